@@ -0,0 +1,301 @@
+/**
+ * Integration Tests for the REST API server
+ *
+ * Requests go through a real HTTP server on an ephemeral port
+ */
+
+const { initialize, CONSTANTS } = require('../../src/index');
+const { createApiServer, buildOpenApiDocument, ROUTES } = require('../../src/server/api-server');
+const { parseServeArgs } = require('../../bin/bumpie-meds');
+
+const { ERROR_CODES } = CONSTANTS;
+
+describe('REST API server', () => {
+  let server;
+  let meds;
+
+  const request = async (method, path, body) => {
+    const { port } = server.address();
+    const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  beforeAll(done => {
+    meds = initialize({ cacheEnabled: false, auditStorage: { type: 'memory' } });
+    server = createApiServer(meds).listen(0, '127.0.0.1', done);
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  describe('routes', () => {
+    test('GET /medications/:id/safety returns the checkSafety result', async () => {
+      const response = await request('GET', '/medications/Tylenol/safety?week=20&patientId=api_patient');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(JSON.parse(JSON.stringify(await meds.checkSafety('Tylenol', 20))));
+
+      const [entry] = await meds.getAuditLogs({ patientId: 'api_patient' });
+      expect(entry.type).toBe('safety_check');
+    });
+
+    test('GET /medications/:id/safety checks doses', async () => {
+      const response = await request('GET', '/medications/Aspirin/safety?week=20&dose=500mg&quantity=2&frequency=tid');
+
+      expect(response.status).toBe(200);
+      expect(response.body.dose.dailyTotal).toEqual({ amount: 3000, unit: 'mg' });
+    });
+
+    test('GET /medications/:id/alternatives lists safer options', async () => {
+      const response = await request('GET', '/medications/Ibuprofen/alternatives?week=30');
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.body)).toBe(true);
+    });
+
+    test('POST /interactions returns the interaction check', async () => {
+      const response = await request('POST', '/interactions', { medications: ['Ibuprofen', 'Lisinopril'], week: 24 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ highestSeverity: 'critical', safe: false });
+      expect(response.body.interactions.some(i => i.ruleId === 'nsaid_ace_inhibitor')).toBe(true);
+    });
+
+    test('POST /risk/comprehensive returns composite risk with a provider recommendation', async () => {
+      const response = await request('POST', '/risk/comprehensive', {
+        medications: ['Lisinopril', { name: 'Acetaminophen', dose: '500mg', frequency: 'q6h' }],
+        week: { weeks: 20, days: 3 },
+        maternalCondition: 'hypertension'
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.maternalCondition).toContain('Hypertension');
+      expect(response.body.providerRecommendation.providerType).toBeTruthy();
+    });
+
+    test('POST /risk/comprehensive accepts a list of concurrent conditions', async () => {
+      const response = await request('POST', '/risk/comprehensive', {
+        medications: ['Labetalol', 'Albuterol'],
+        week: 24,
+        maternalCondition: ['hypertension', 'asthma']
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.maternalConditions).toEqual(['Hypertension (High Blood Pressure)', 'Asthma']);
+      expect(response.body.conditionManagement.conflicts[0].medication).toBe('Labetalol');
+    });
+
+    test('POST /risk/comprehensive adjusts the score for the pregnancy context', async () => {
+      const response = await request('POST', '/risk/comprehensive', {
+        medications: ['Sertraline'],
+        week: 20,
+        pregnancyContext: { gestation: 'twins', ivf: true }
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.scoreAdjustments.map(adjustment => adjustment.factor)).toEqual(['gestation', 'ivf']);
+      expect(response.body.riskScore).toBe(response.body.medicationRiskScore + 8);
+      expect(response.body.providerRecommendation.highRiskPregnancy).toBe(true);
+    });
+
+    test('POST /preconception returns washouts, folic acid and switches', async () => {
+      const response = await request('POST', '/preconception', {
+        medications: ['Depakote'],
+        targetConceptionDate: '2099-03-01',
+        maternalCondition: 'epilepsy'
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        mode: 'preconception',
+        currentMedications: [{ medication: 'Valproate', status: 'switch', washoutWeeks: 12, stopBy: '2098-12-07' }],
+        folicAcid: { dailyDoseMg: 4, startBy: '2098-12-07' }
+      });
+    });
+
+    test('GET /lactation/:id returns lactation safety', async () => {
+      const response = await request('GET', '/lactation/161');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ found: true, medicationName: 'Acetaminophen' });
+    });
+
+    test('GET /lactation/:id applies guidance for the infant age', async () => {
+      const response = await request('GET', '/lactation/Lisinopril?infantAgeWeeks=1');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ lactationSafe: false, safety: { level: 'unsafe' }, infantAgeGroup: { key: 'neonate' } });
+    });
+
+    test('GET /medications/:id/postpartum checks weeks after delivery', async () => {
+      const response = await request('GET', '/medications/Zoloft/postpartum?weeks=50&infantAgeWeeks=50&gestationalAgeAtBirth=34');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        mode: 'postpartum',
+        medicationName: 'Sertraline',
+        weeksPostpartum: 50,
+        breastfeeding: true,
+        safe: true,
+        lactation: { infantAgeGroup: { key: 'older_infant', correctedAgeWeeks: 44 } }
+      });
+    });
+
+    test('GET /medications/:id/paternal checks the father\'s medication and audits it', async () => {
+      const response = await request('GET', '/medications/CellCept/paternal?conceptionDate=2099-03-01&patientId=api_father');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        mode: 'paternal',
+        medicationName: 'Mycophenolate',
+        exposureWindow: { start: '2098-12-17', end: '2099-03-01' },
+        stopBy: '2098-11-30',
+        riskLevel: 'moderate',
+        safe: false
+      });
+
+      const [entry] = await meds.getAuditLogs({ patientId: 'api_father' });
+      expect(entry).toMatchObject({ type: 'paternal_exposure_check', data: { medicationName: 'Mycophenolate', riskLevel: 'moderate' } });
+    });
+
+    test('POST /audit/provider-decisions records the decision', async () => {
+      const response = await request('POST', '/audit/provider-decisions', {
+        patientId: 'api_patient',
+        providerName: 'Dr. Lee',
+        medicationName: 'Lisinopril',
+        weekOfPregnancy: 20,
+        decision: 'switch',
+        reasoning: 'Switch to labetalol'
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ type: 'provider_decision', hash: expect.any(String) });
+    });
+
+    test('GET /medications/search ranks misspelled names', async () => {
+      const response = await request('GET', '/medications/search?q=acetaminophin&limit=3');
+
+      expect(response.status).toBe(200);
+      expect(response.body[0]).toMatchObject({ name: 'Acetaminophen', type: 'fuzzy', distance: 1 });
+    });
+
+    test('GET /medications/autocomplete completes brand names', async () => {
+      const response = await request('GET', '/medications/autocomplete?q=zol');
+      expect(response.body).toEqual([expect.objectContaining({ label: 'Zoloft', name: 'Sertraline' })]);
+    });
+
+    test('GET /medications/:id/safety suggests, but does not resolve, misspellings', async () => {
+      const response = await request('GET', '/medications/lisinoprl/safety?week=20');
+      expect(response.status).toBe(404);
+      expect(response.body.error.details.suggestions[0]).toMatchObject({ name: 'Lisinopril', matchedTerm: 'Lisinopril' });
+    });
+
+    test('GET /health reports the knowledge base version', async () => {
+      const response = await request('GET', '/health');
+      expect(response.body).toMatchObject({ status: 'ok', contentVersion: meds.getContentVersion().id });
+    });
+
+    test('should serve CDS Hooks discovery', async () => {
+      const response = await request('GET', '/cds-services');
+      expect(response.body.services).toHaveLength(2);
+    });
+  });
+
+  describe('errors', () => {
+    test.each([
+      ['an unknown medication', 'GET', '/medications/NotARealDrug/safety?week=20', undefined, 404, ERROR_CODES.MEDICATION_NOT_FOUND],
+      ['a missing week', 'GET', '/medications/Tylenol/safety', undefined, 400, ERROR_CODES.INVALID_WEEK],
+      ['an out-of-range week', 'POST', '/interactions', { medications: ['Ibuprofen'], week: 60 }, 400, ERROR_CODES.INVALID_WEEK],
+      ['an empty medication list', 'POST', '/interactions', { medications: [], week: 20 }, 400, ERROR_CODES.INVALID_REQUEST],
+      ['an unknown condition', 'POST', '/risk/comprehensive', { medications: ['Ibuprofen'], week: 20, maternalCondition: 'gout' }, 400, ERROR_CODES.INVALID_REQUEST],
+      ['an unknown condition in a list', 'POST', '/risk/comprehensive', { medications: ['Ibuprofen'], week: 20, maternalCondition: ['asthma', 'gout'] }, 400, ERROR_CODES.INVALID_REQUEST],
+      ['an empty list of conditions', 'POST', '/risk/comprehensive', { medications: ['Ibuprofen'], week: 20, maternalCondition: [] }, 400, ERROR_CODES.INVALID_REQUEST],
+      ['an invalid pregnancy context', 'POST', '/risk/comprehensive', { medications: ['Ibuprofen'], week: 20, pregnancyContext: { gestation: 'quads' } }, 400, ERROR_CODES.INVALID_REQUEST],
+      ['malformed JSON', 'POST', '/interactions', '{"medications"', 400, ERROR_CODES.INVALID_REQUEST],
+      ['a null body', 'POST', '/interactions', 'null', 400, ERROR_CODES.INVALID_REQUEST],
+      ['an array body', 'POST', '/interactions', '["Ibuprofen"]', 400, ERROR_CODES.INVALID_REQUEST],
+      ['a malformed escape in the path', 'GET', '/medications/%E0%A4%A/safety?week=20', undefined, 400, ERROR_CODES.INVALID_REQUEST],
+      ['a provider decision without a patient', 'POST', '/audit/provider-decisions', { providerName: 'Dr. Lee', medicationName: 'Lisinopril', decision: 'switch' }, 400, ERROR_CODES.INVALID_REQUEST],
+      ['a provider decision without a provider', 'POST', '/audit/provider-decisions', { patientId: 'api_patient', medicationName: 'Lisinopril', decision: 'switch' }, 400, ERROR_CODES.INVALID_REQUEST],
+      ['a provider decision without a medication', 'POST', '/audit/provider-decisions', { patientId: 'api_patient', providerName: 'Dr. Lee', decision: 'switch' }, 400, ERROR_CODES.INVALID_REQUEST],
+      ['an unknown provider decision', 'POST', '/audit/provider-decisions', { patientId: 'api_patient', providerName: 'Dr. Lee', medicationName: 'Lisinopril', decision: 'maybe' }, 400, ERROR_CODES.INVALID_REQUEST],
+      ['a search without q', 'GET', '/medications/search', undefined, 400, ERROR_CODES.INVALID_REQUEST],
+      ['a search with a bad limit', 'GET', '/medications/autocomplete?q=ty&limit=0', undefined, 400, ERROR_CODES.INVALID_REQUEST],
+      ['a postpartum check without weeks', 'GET', '/medications/Zoloft/postpartum', undefined, 400, ERROR_CODES.INVALID_WEEK],
+      ['an unclear breastfeeding flag', 'GET', '/medications/Zoloft/postpartum?weeks=4&breastfeeding=maybe', undefined, 400, ERROR_CODES.INVALID_REQUEST],
+      ['a preconception plan without a date', 'POST', '/preconception', { medications: ['Tylenol'] }, 400, ERROR_CODES.INVALID_DATE],
+      ['a preconception plan for an unknown condition', 'POST', '/preconception', { medications: ['Tylenol'], targetConceptionDate: '2099-03-01', maternalCondition: 'gout' }, 400, ERROR_CODES.INVALID_REQUEST],
+      ['a paternal check with a bad date', 'GET', '/medications/Finasteride/paternal?conceptionDate=soon', undefined, 400, ERROR_CODES.INVALID_DATE],
+      ['an unknown route', 'GET', '/nowhere', undefined, 404, ERROR_CODES.NOT_FOUND],
+      ['the wrong method', 'DELETE', '/interactions', undefined, 404, ERROR_CODES.NOT_FOUND]
+    ])('should reject %s', async (name, method, path, body, status, code) => {
+      const response = await request(method, path, body);
+
+      expect(response.status).toBe(status);
+      expect(response.body.error).toMatchObject({ code, message: expect.any(String) });
+    });
+  });
+
+  test('should return suggestions with MEDICATION_NOT_FOUND', async () => {
+    const response = await request('GET', '/medications/Amlo/safety?week=20');
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.details.suggestions.map(s => s.name)).toEqual([
+      'Amlodipine',
+      'Amlodipine and Atorvastatin',
+      'Amlodipine and Benazepril',
+      'Amlodipine and Celecoxib',
+      'Amlodipine and Olmesartan'
+    ]);
+  });
+
+  describe('OpenAPI document', () => {
+    test('should be served at /openapi.json', async () => {
+      const response = await request('GET', '/openapi.json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.openapi).toBe('3.0.3');
+    });
+
+    test('should describe every route', () => {
+      const document = buildOpenApiDocument();
+
+      ROUTES.forEach(route => {
+        const operation = document.paths[route.path.replace(/:(\w+)/g, '{$1}')][route.method.toLowerCase()];
+        expect(operation.operationId).toBeTruthy();
+        expect(operation.responses[route.status || 200]).toBeDefined();
+      });
+    });
+
+    test('should list the fields a provider decision requires', () => {
+      const schema = buildOpenApiDocument().paths['/audit/provider-decisions'].post
+        .requestBody.content['application/json'].schema;
+
+      expect(schema.required).toEqual(['patientId', 'medicationName', 'decision']);
+      expect(schema.anyOf).toEqual([{ required: ['providerId'] }, { required: ['providerName'] }]);
+      expect(schema.properties.decision.enum).toContain('defer_to_provider');
+    });
+
+    test('should resolve every schema reference', () => {
+      const document = buildOpenApiDocument();
+      const refs = [...JSON.stringify(document).matchAll(/"\$ref":"#\/components\/(\w+)\/(\w+)"/g)];
+
+      expect(refs.length).toBeGreaterThan(0);
+      refs.forEach(([, section, name]) => expect(document.components[section][name]).toBeDefined());
+    });
+  });
+
+  describe('bumpie-meds serve', () => {
+    test('should parse port, host and config options', () => {
+      expect(parseServeArgs(['--port', '8080', '--host', '0.0.0.0'])).toMatchObject({ port: 8080, host: '0.0.0.0' });
+      expect(() => parseServeArgs(['--port', 'abc'])).toThrow('--port');
+      expect(() => parseServeArgs(['--verbose'])).toThrow('Unknown option');
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Integration Tests for the BumpieMeds facade
+ *
+ * Verifies the class API and the functional modules give the same answers
+ */
+
+const { initialize, CONSTANTS } = require('../../src/index');
+const { checkMedicationSafety, getTrimester } = require('../../src/services/pregnancy-safety-engine');
+const TrimesterAnalyzer = require('../../src/services/TrimesterAnalyzer');
+const { AUDIT_TYPES, setAuditStorage } = require('../../src/services/pregnancy-audit-logger');
+
+describe('BumpieMeds facade', () => {
+  const meds = initialize({ enableAudit: true, cacheEnabled: false });
+  const patientId = `facade_patient_${Date.now()}`;
+
+  describe('single trimester definition', () => {
+    test.each([1, 12, 13, 14, 27, 28, 40, 41])('week %i maps to the same trimester everywhere', week => {
+      const analyzer = new TrimesterAnalyzer();
+      expect(getTrimester(week).number).toBe(analyzer.getTrimester(week));
+    });
+
+    test('should end the first trimester at week 13', () => {
+      expect(CONSTANTS.TRIMESTERS[1].weeksRange[1]).toBe(13);
+      expect(getTrimester(13).number).toBe(1);
+    });
+  });
+
+  describe('checkSafety', () => {
+    test.each(['Acetaminophen', 'Ibuprofen', 'Sertraline', 'Atorvastatin'])(
+      'should agree with the engine for %s', async name => {
+        const classResult = await meds.checkSafety(name, 20, { patientId });
+        const engineResult = checkMedicationSafety(name, 20);
+
+        expect(classResult.safe).toBe(engineResult.safe);
+        expect(classResult.riskScore).toBe(engineResult.riskScore);
+        expect(classResult.riskLevel).toBe(engineResult.riskLevel);
+        expect(classResult.trimester).toBe(engineResult.trimester.number);
+      }
+    );
+
+    test('should look up medications by RxCUI', async () => {
+      const result = await meds.checkSafety('161', 20);
+      expect(result.medication.name).toBe('Acetaminophen');
+    });
+
+    test('should reject unknown medications with MEDICATION_NOT_FOUND', async () => {
+      await expect(meds.checkSafety('NotARealDrug', 20)).rejects.toMatchObject({
+        code: CONSTANTS.ERROR_CODES.MEDICATION_NOT_FOUND
+      });
+    });
+  });
+
+  describe('extended pipeline', () => {
+    test('should check interactions', async () => {
+      const result = await meds.checkInteractions(['Atorvastatin'], 20, { patientId });
+      expect(result.highestSeverity).toBe('critical');
+    });
+
+    test('should calculate composite risk with a provider recommendation', async () => {
+      const result = await meds.calculateRisk(['Lisinopril'], 20, {
+        patientId,
+        maternalCondition: 'Hypertension'
+      });
+
+      expect(result.maternalCondition).toContain('Hypertension');
+      expect(result.providerRecommendation.providerType).toBeTruthy();
+    });
+
+    test('should audit the pregnancy context and score adjustments', async () => {
+      const result = await meds.calculateRisk(['Sertraline'], 20, {
+        patientId,
+        pregnancyContext: { gestation: 'twins' }
+      });
+
+      const logs = await meds.getAuditLogs({ patientId, type: AUDIT_TYPES.RISK_CALCULATION });
+      expect(logs[logs.length - 1].data).toMatchObject({
+        pregnancyContext: { gestation: 'twins' },
+        scoreAdjustments: result.scoreAdjustments
+      });
+    });
+
+    test('should return lactation safety', async () => {
+      const result = await meds.getLactationSafety('Tylenol');
+      expect(result.found).toBe(true);
+      expect(result.medicationName).toBe('Acetaminophen');
+    });
+
+    test('should write every action to one audit store', async () => {
+      await meds.logProviderDecision({
+        patientId,
+        providerName: 'Dr. Facade',
+        medicationName: 'Lisinopril',
+        decision: 'switch',
+        reasoning: 'Switch to labetalol'
+      });
+
+      const logs = await meds.getAuditLogs({ patientId });
+      const types = new Set(logs.map(entry => entry.type));
+
+      expect(types.has(AUDIT_TYPES.SAFETY_CHECK)).toBe(true);
+      expect(types.has(AUDIT_TYPES.INTERACTION_CHECK)).toBe(true);
+      expect(types.has(AUDIT_TYPES.RISK_CALCULATION)).toBe(true);
+      expect(types.has(AUDIT_TYPES.PROVIDER_DECISION)).toBe(true);
+    });
+
+    test('should build reports from the unified audit store', async () => {
+      const report = await meds.generateReport(patientId, null, null, 'json');
+
+      expect(report.summary.totalMedications).toBeGreaterThan(0);
+      expect(report.providerDecisions[0].decision).toBe('switch');
+    });
+
+    test('should build a FHIR Bundle from the unified audit store', async () => {
+      const bundle = await meds.generateReport(patientId, null, null, 'fhir');
+      const types = bundle.entry.map(entry => entry.resource.resourceType);
+
+      expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'collection' });
+      expect(types).toContain('DetectedIssue');
+      expect(types).toContain('RiskAssessment');
+      expect(types).toContain('Observation');
+    });
+  });
+
+  describe('medication profile', () => {
+    test('should calculate risk from a stored medication profile', async () => {
+      const profilePatient = `Facade_Profile_${Date.now()}`;
+      const profile = await meds.getMedicationProfile(profilePatient);
+      await profile.start({ medicationName: 'Acetaminophen', dosage: '500mg', weekOfPregnancy: 8 });
+      await profile.start({ medicationName: 'Sertraline', dosage: '50mg', weekOfPregnancy: 10 });
+
+      const reloaded = await meds.getMedicationProfile(profilePatient);
+      const risk = await meds.calculateRisk(reloaded, 12);
+
+      expect(reloaded.patientId).toBe(profilePatient.toLowerCase());
+      expect(risk.medicationCount).toBe(2);
+      expect(risk.providerRecommendation).toBeDefined();
+
+      const logs = await meds.getAuditLogs({ patientId: profilePatient, type: AUDIT_TYPES.RISK_CALCULATION });
+      expect(logs[0].data.medications).toEqual(['Acetaminophen', 'Sertraline']);
+    });
+  });
+
+  describe('audit integrity', () => {
+    test('should verify the hash chain of a keyed audit store', async () => {
+      // Release the store the other instances in this file selected
+      setAuditStorage({ type: 'memory' });
+      const audited = initialize({
+        cacheEnabled: false,
+        auditStorage: { type: 'memory' },
+        auditHmacKey: 'facade-test-hmac-key'
+      });
+
+      await audited.checkSafety('Acetaminophen', 20, { patientId: 'chain_patient' });
+      await audited.logProviderDecision({
+        patientId: 'chain_patient',
+        providerId: 'dr_1',
+        providerName: 'Dr. Lee',
+        medicationName: 'Acetaminophen',
+        weekOfPregnancy: 20,
+        decision: 'continue',
+        reasoning: 'Low risk at recommended dose'
+      });
+
+      const result = await audited.verifyAuditIntegrity();
+
+      expect(result).toMatchObject({ valid: true, entriesChecked: 2, legacyEntries: 0 });
+      expect(audited.auditService.storage.entries[1].hashAlgorithm).toBe('hmac-sha256');
+    });
+  });
+});
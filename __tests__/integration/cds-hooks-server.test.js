@@ -0,0 +1,86 @@
+/**
+ * Integration Tests for the CDS Hooks HTTP server
+ */
+
+const { initialize } = require('../../src/index');
+const { createCdsHooksServer, LOINC } = require('../../src/server/cds-hooks');
+
+const request = async (server, method, path, body) => {
+  const { port } = server.address();
+  const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: typeof body === 'string' ? body : body && JSON.stringify(body)
+  });
+  const text = await response.text();
+  return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+};
+
+describe('CDS Hooks server', () => {
+  let server;
+
+  beforeAll(done => {
+    const meds = initialize({ cacheEnabled: false, auditStorage: { type: 'memory' } });
+    server = createCdsHooksServer(meds).listen(0, '127.0.0.1', done);
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  test('should serve discovery with CORS headers', async () => {
+    const response = await request(server, 'GET', '/cds-services');
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('access-control-allow-origin')).toBe('*');
+    expect(response.body.services.map(s => s.id)).toEqual(['bumpie-meds-order-select', 'bumpie-meds-order-sign']);
+  });
+
+  test('should answer preflight requests', async () => {
+    const response = await request(server, 'OPTIONS', '/cds-services/bumpie-meds-order-sign');
+    expect(response.status).toBe(204);
+  });
+
+  test('should return cards for an order-sign request', async () => {
+    const response = await request(server, 'POST', '/cds-services/bumpie-meds-order-sign', {
+      hookInstance: 'server-test',
+      hook: 'order-sign',
+      context: {
+        patientId: 'p1',
+        draftOrders: {
+          resourceType: 'Bundle',
+          entry: [{
+            resource: {
+              resourceType: 'MedicationRequest',
+              id: 'statin',
+              status: 'draft',
+              medicationCodeableConcept: { text: 'Atorvastatin' }
+            }
+          }]
+        }
+      },
+      prefetch: {
+        gestationalAge: {
+          resourceType: 'Observation',
+          code: { coding: [{ code: LOINC.DELIVERY_DATE }] },
+          valueDateTime: new Date(Date.now() + 140 * 24 * 60 * 60 * 1000).toISOString()
+        }
+      }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.cards[0]).toMatchObject({ indicator: 'critical', summary: expect.stringContaining('Category X') });
+  });
+
+  test.each([
+    ['malformed JSON', '/cds-services/bumpie-meds-order-sign', '{', 400],
+    ['missing prefetch', '/cds-services/bumpie-meds-order-sign', { hook: 'order-sign', context: {} }, 412],
+    ['unknown service', '/cds-services/unknown', { context: {} }, 404],
+    ['unknown path', '/other', {}, 404]
+  ])('should reject %s', async (name, path, body, status) => {
+    const response = await request(server, 'POST', path, body);
+
+    expect(response.status).toBe(status);
+    expect(response.body.error.code).toBeTruthy();
+  });
+});
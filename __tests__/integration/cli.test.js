@@ -0,0 +1,365 @@
+/**
+ * Integration Tests for the bumpie CLI
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, parseArgs, parseWeekArg, formatTable, validateMedicationRecords } = require('../../src/cli/bumpie');
+const { setAuditStorage } = require('../../src/services/pregnancy-audit-logger');
+
+const bumpie = async (...argv) => {
+  let stdout = '';
+  let stderr = '';
+  // Each run stands for a separate process, so release the previous run's audit store
+  setAuditStorage({ type: 'memory' });
+  const code = await run(argv, {
+    stdout: { write: text => { stdout += text; } },
+    stderr: { write: text => { stderr += text; } }
+  });
+  return { code, stdout, stderr };
+};
+
+describe('bumpie CLI', () => {
+  let dir;
+  let auditPath;
+  let configPath;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumpie-cli-'));
+    auditPath = path.join(dir, 'audit.jsonl');
+    configPath = path.join(dir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ auditStorage: { type: 'jsonl', path: auditPath } }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('check', () => {
+    test('should print a safety table with dose warnings', async () => {
+      const { code, stdout } = await bumpie('check', 'Tylenol', '--week', '9', '--dose', '500mg', '--quantity', '2', '--frequency', 'q6h');
+
+      expect(code).toBe(0);
+      expect(stdout).toMatch(/^Medication\s+Week\s+Trimester\s+Category/);
+      expect(stdout).toMatch(/Acetaminophen\s+9\s+1\s+B/);
+      expect(stdout).toContain('Daily total: 4000mg (max 3000mg)');
+    });
+
+    test('should print JSON with --json', async () => {
+      const { stdout } = await bumpie('check', 'Lisinopril', '--week', '20+3', '--json');
+      expect(JSON.parse(stdout)).toMatchObject({ medication: { name: 'Lisinopril' }, category: 'D', weekOfPregnancy: 20 });
+    });
+
+    test.each([
+      [['check', 'Tylenol'], '--week is required'],
+      [['check', 'Tylenol', '--week', 'nine'], '--week must be'],
+      [['check', 'NotARealDrug', '--week', '9'], 'not found'],
+      [['check', 'Tylenol', 'Advil', '--week', '9'], 'Expected one medication'],
+      [['check', 'Tylenol', '--week', '9', '--verbose'], 'Unknown option: --verbose']
+    ])('should fail for %j', async (argv, message) => {
+      const { code, stderr } = await bumpie(...argv);
+
+      expect(code).toBe(1);
+      expect(stderr).toContain(message);
+    });
+  });
+
+  describe('interactions', () => {
+    test('should list findings by severity', async () => {
+      const { code, stdout } = await bumpie('interactions', 'Ibuprofen', 'Lisinopril', '--week', '30');
+
+      expect(code).toBe(0);
+      expect(stdout).toContain('highest severity critical');
+      expect(stdout).toMatch(/critical\s+drug_interaction\s+Ibuprofen \+ Lisinopril/);
+    });
+  });
+
+  describe('regimen', () => {
+    test('should review medications against the condition', async () => {
+      const { code, stdout } = await bumpie('regimen', 'Lamotrigine', 'Valproate', '--condition', 'epilepsy', '--week', '20');
+
+      expect(code).toBe(0);
+      expect(stdout).toMatch(/Valproate\s+avoid\s+DISCONTINUE/);
+      expect(stdout).toContain('- DISCONTINUE Valproate: Not safe for Epilepsy during pregnancy (alternatives: Lamotrigine');
+    });
+
+    test('should review medications against concurrent conditions', async () => {
+      const { code, stdout } = await bumpie('regimen', 'Labetalol', 'Albuterol', '--condition', 'hypertension', '--condition', 'asthma', '--week', '24');
+
+      expect(code).toBe(0);
+      expect(stdout).toMatch(/Labetalol\s+conflict\s+SWITCH/);
+      expect(stdout).toContain('Labetalol: recommended for Hypertension (High Blood Pressure) but to avoid for Asthma');
+      expect(stdout).toContain('  Asthma: Continue treatment; monitor lung function');
+    });
+
+    test('should require a condition', async () => {
+      const { code, stderr } = await bumpie('regimen', 'Lamotrigine', '--week', '20');
+
+      expect(code).toBe(1);
+      expect(stderr).toContain('--condition is required');
+    });
+  });
+
+  describe('preconception', () => {
+    test('should list washouts and folic acid for the target date', async () => {
+      const { code, stdout } = await bumpie('preconception', 'Depakote', 'Lamotrigine', '--target', '2099-03-01', '--condition', 'epilepsy');
+
+      expect(code).toBe(0);
+      expect(stdout).toMatch(/Valproate\s+switch\s+12 weeks\s+2098-12-07/);
+      expect(stdout).toContain('Folic acid: 4 mg daily from 2098-12-07');
+      expect(stdout).toContain('- SWITCH Valproate: Neural tube defects and neurodevelopmental disorders. Not safe for Epilepsy in pregnancy (alternatives: Lamotrigine, Levetiracetam)');
+    });
+
+    test('should require a target date', async () => {
+      const { code, stderr } = await bumpie('preconception', 'Depakote');
+
+      expect(code).toBe(1);
+      expect(stderr).toContain('--target is required');
+    });
+  });
+
+  describe('postpartum', () => {
+    test('should rate breastfeeding for an infant of that age', async () => {
+      const { code, stdout } = await bumpie('postpartum', 'Lisinopril', '--weeks', '1');
+
+      expect(code).toBe(0);
+      expect(stdout).toMatch(/Lisinopril\s+1\s+yes\s+Newborn\s+unsafe\s+no/);
+      expect(stdout).toContain('Timing: Take once daily right after a feed');
+    });
+
+    test('should only flag future-pregnancy risk when not breastfeeding', async () => {
+      const { code, stdout } = await bumpie('postpartum', 'Lipitor', '--weeks', '8', '--not-breastfeeding');
+
+      expect(code).toBe(0);
+      expect(stdout).toContain('Atorvastatin is contraindicated in pregnancy');
+    });
+
+    test('should require weeks', async () => {
+      const { code, stderr } = await bumpie('postpartum', 'Lisinopril');
+
+      expect(code).toBe(1);
+      expect(stderr).toContain('--weeks is required');
+    });
+  });
+
+  describe('paternal', () => {
+    test('should print semen transfer, sperm exposure and the washout deadline', async () => {
+      const { code, stdout } = await bumpie('paternal', 'CellCept', '--conception', '2099-03-01');
+
+      expect(code).toBe(0);
+      expect(stdout).toMatch(/Mycophenolate\s+moderate\s+yes\s+13 weeks\s+moderate\s+no/);
+      expect(stdout).toContain('Sperm for conception on 2099-03-01 develop from 2098-12-17: taken in that window');
+      expect(stdout).toContain('Stop by: 2098-11-30');
+    });
+
+    test('should print JSON for a medication without paternal data', async () => {
+      const { code, stdout } = await bumpie('paternal', 'Zoloft', '--json');
+
+      expect(code).toBe(0);
+      expect(JSON.parse(stdout)).toMatchObject({ medicationName: 'Sertraline', paternalData: false, riskLevel: 'unknown' });
+    });
+
+    test('should reject a bad last dose date', async () => {
+      const { code, stderr } = await bumpie('paternal', 'Finasteride', '--last-dose', 'last week');
+
+      expect(code).toBe(1);
+      expect(stderr).toContain('Invalid date for lastDoseDate');
+    });
+  });
+
+  describe('audit', () => {
+    beforeAll(async () => {
+      await bumpie('check', 'Tylenol', '--week', '12', '--patient', 'cli_patient', '--config', configPath);
+      await bumpie('interactions', 'Ibuprofen', 'Lisinopril', '--week', '30', '--patient', 'cli_patient', '--config', configPath);
+    });
+
+    test('should only audit checks for a named patient', async () => {
+      const before = fs.readFileSync(auditPath, 'utf8').trim().split('\n').length;
+      await bumpie('check', 'Tylenol', '--week', '12', '--config', configPath);
+
+      expect(fs.readFileSync(auditPath, 'utf8').trim().split('\n')).toHaveLength(before);
+      expect(before).toBe(2);
+    });
+
+    test('should export CSV within a date range', async () => {
+      const today = new Date().toISOString().slice(0, 10);
+      const { code, stdout } = await bumpie('audit', 'export', '--format', 'csv', '--from', today, '--to', today, '--path', auditPath);
+
+      expect(code).toBe(0);
+      const lines = stdout.trim().split('\n');
+      expect(lines[0]).toMatch(/^ID,Type,Timestamp/);
+      expect(lines).toHaveLength(3);
+
+      const { stdout: empty } = await bumpie('audit', 'export', '--format', 'csv', '--to', '2020-01-01', '--path', auditPath);
+      expect(empty.trim()).toBe('No entries found');
+    });
+
+    test('should write an export to --output', async () => {
+      const output = path.join(dir, 'export.json');
+      const { stdout } = await bumpie('audit', 'export', '--patient', 'cli_patient', '--output', output, '--config', configPath);
+
+      expect(stdout).toContain('Wrote json export');
+      expect(JSON.parse(fs.readFileSync(output, 'utf8'))).toMatchObject({ entryCount: 2, integrity: { valid: true } });
+    });
+
+    test('should reject unknown formats and dates', async () => {
+      expect((await bumpie('audit', 'export', '--format', 'xml', '--path', auditPath)).stderr).toContain('--format must be one of');
+      expect((await bumpie('audit', 'export', '--from', 'yesterday', '--path', auditPath)).stderr).toContain('--from must be a date');
+    });
+
+    test('should verify the chain and fail once it is edited', async () => {
+      const intact = await bumpie('audit', 'verify', '--path', auditPath);
+      expect(intact.code).toBe(0);
+      expect(intact.stdout).toContain('✅ Audit chain intact');
+
+      const lines = fs.readFileSync(auditPath, 'utf8').trim().split('\n');
+      const first = JSON.parse(lines[0]);
+      first.data.weekOfPregnancy = 30;
+      fs.writeFileSync(auditPath, [JSON.stringify(first), ...lines.slice(1)].join('\n') + '\n');
+
+      const broken = await bumpie('audit', 'verify', '--path', auditPath, '--json');
+      expect(broken.code).toBe(1);
+      expect(JSON.parse(broken.stdout)).toMatchObject({ valid: false, firstBrokenLink: { index: 0 } });
+    });
+  });
+
+  describe('db validate', () => {
+    test('should pass for the bundled data files', async () => {
+      const { code, stdout } = await bumpie('db', 'validate');
+
+      expect(code).toBe(0);
+      expect(stdout).toMatch(/medications\.json\s+\d+\s+0/);
+      expect(stdout).toContain('✅ Data files are valid');
+    });
+
+    test('should report problems in a supplementary knowledge base file', async () => {
+      const kb = path.join(dir, 'bad-kb.json');
+      fs.writeFileSync(kb, JSON.stringify({ version: '1', interactions: { broken: { match: [{ class: 'not_a_class' }] } } }));
+
+      const { code, stdout } = await bumpie('db', 'validate', '--kb', kb, '--json');
+      const report = JSON.parse(stdout);
+
+      expect(code).toBe(1);
+      expect(report.valid).toBe(false);
+      expect(report.files.find(file => file.source === kb).problems.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('db import', () => {
+    test('should require an RxNorm directory', async () => {
+      const { code, stderr } = await bumpie('db', 'import', '--labels', 'labels.json');
+
+      expect(code).toBe(1);
+      expect(stderr).toContain('--rxnorm <dir> is required');
+    });
+
+    test('should write nothing when imported records are incomplete', async () => {
+      const rrf = path.join(dir, 'rrf');
+      fs.mkdirSync(rrf);
+      ['RXNCONSO.RRF', 'RXNREL.RRF', 'RXNSAT.RRF'].forEach(file => fs.writeFileSync(path.join(rrf, file), ''));
+      const base = path.join(dir, 'base.json');
+      const output = path.join(dir, 'imported.json');
+      fs.writeFileSync(base, JSON.stringify([{ name: 'Newdrug' }]));
+
+      const { code, stdout } = await bumpie('db', 'import', '--rxnorm', rrf, '--base', base, '--output', output, '--date', '2026-10-19');
+
+      expect(code).toBe(1);
+      expect(stdout).toContain('Newdrug: not found in RxNorm, kept as is');
+      expect(stdout).toContain('❌ Not written: 4 problem(s) in the imported records');
+      expect(fs.existsSync(output)).toBe(false);
+    });
+  });
+
+  describe('db review and db merge', () => {
+    const record = (overrides = {}) => ({
+      id: 'med_rxcui_36437',
+      rxcui: '36437',
+      name: 'Sertraline',
+      genericName: 'Sertraline',
+      brandNames: ['Zoloft'],
+      pregnancyCategory: { fda: 'C', trimester3: { safe: false, risk: 'moderate', warnings: ['Monitor the newborn'], alternatives: [] } },
+      ...overrides
+    });
+    let file;
+
+    beforeAll(() => {
+      file = path.join(dir, 'curated.json');
+      fs.writeFileSync(file, JSON.stringify([record()]));
+    });
+
+    test('should record a review and an approval by a second clinician', async () => {
+      expect((await bumpie('db', 'review', 'sertraline', '--status', 'reviewed', '--reviewer', 'dr.lee', '--file', file)).stdout)
+        .toContain('✅ Sertraline: draft -> reviewed by dr.lee');
+
+      const { code, stderr } = await bumpie('db', 'review', 'Sertraline', '--status', 'approved', '--reviewer', 'dr.lee', '--file', file);
+      expect(code).toBe(1);
+      expect(stderr).toContain('approval needs a second clinician');
+
+      await bumpie('db', 'review', '36437', '--status', 'approved', '--reviewer', 'dr.patel', '--date', '2026-10-19', '--file', file);
+      const [saved] = JSON.parse(fs.readFileSync(file, 'utf8'));
+      expect(saved).toMatchObject({ verified: true, curation: { status: 'approved' } });
+      expect(saved.curation.history.at(-1)).toMatchObject({ reviewer: 'dr.patel', date: '2026-10-19T00:00:00.000Z' });
+    });
+
+    test('should merge a rebuild without overwriting reviewed warnings', async () => {
+      const rebuilt = path.join(dir, 'rebuilt.json');
+      const output = path.join(dir, 'merged.json');
+      fs.writeFileSync(rebuilt, JSON.stringify([record({
+        brandNames: ['Zoloft', 'Lustral'],
+        pregnancyCategory: { fda: 'C', trimester3: { safe: false, risk: 'moderate', warnings: ['Generated'], alternatives: [] } }
+      })]));
+
+      const { code, stdout } = await bumpie('db', 'merge', rebuilt, '--file', file, '--output', output);
+      const [merged] = JSON.parse(fs.readFileSync(output, 'utf8'));
+
+      expect(code).toBe(0);
+      expect(stdout).toContain('⚠️  Sertraline pregnancyCategory.trimester3.warnings: kept the curated value');
+      expect(merged).toMatchObject({ brandNames: ['Zoloft', 'Lustral'], verified: true });
+      expect(merged.pregnancyCategory.trimester3.warnings).toEqual(['Monitor the newborn']);
+    });
+  });
+
+  describe('helpers', () => {
+    test('parseArgs should collect positionals, values and repeated lists', () => {
+      expect(parseArgs(['a', '--week', '9', 'b', '--kb', 'x', '--kb', 'y', '--json'], { week: 'value', kb: 'list', json: 'flag' }))
+        .toEqual({ positionals: ['a', 'b'], options: { week: '9', kb: ['x', 'y'], json: true } });
+      expect(() => parseArgs(['--week'], { week: 'value' })).toThrow('--week needs a value');
+    });
+
+    test('parseWeekArg should read weeks and weeks+days', () => {
+      expect(parseWeekArg('20')).toBe(20);
+      expect(parseWeekArg('20+3')).toEqual({ weeks: 20, days: 3 });
+      expect(() => parseWeekArg('20+9')).toThrow('--week must be');
+    });
+
+    test('formatTable should pad columns to the widest cell', () => {
+      expect(formatTable(['A', 'Long'], [['xyz', 1], [null, 'value']])).toBe([
+        'A    Long',
+        '---  -----',
+        'xyz  1',
+        '     value'
+      ].join('\n'));
+    });
+
+    test('validateMedicationRecords should check the schema, duplicates and consistency', () => {
+      const medication = (id, overrides) => ({
+        id, rxcui: '1', name: 'Alpha', genericName: 'Alpha', brandNames: [], pregnancyCategory: { fda: 'B' }, ...overrides
+      });
+      const problems = validateMedicationRecords([
+        medication('a', { brandNames: ['Alphex'] }),
+        medication('b', { name: 'alpha', brandNames: ['Alphex'], pregnancyCategory: { fda: 'Q' } }),
+        { id: 'c', rxcui: '3', name: 'Gamma', genericName: 'Gamma', brandNames: [] }
+      ]);
+
+      expect(problems).toEqual([
+        { path: '$[1].pregnancyCategory.fda', message: 'must be one of A, B, C, D, X, N, got "Q"' },
+        { path: '$[1].name', message: 'duplicates $[0].name' },
+        { path: '$[2]', message: 'needs pregnancyCategory, pllr or both' },
+        { path: '$[1].brandNames[0]', rule: 'duplicate-brand', message: '"Alphex" is also a brand of Alpha ($[0].brandNames[0])' },
+        { path: '$[1].rxcui', rule: 'rxcui-collision', message: '1 is also the RxCUI of Alpha ($[0].rxcui)' }
+      ]);
+      expect(validateMedicationRecords([{ id: 'c' }])).toContainEqual({ path: '$[0]', message: 'is missing required property "name"' });
+    });
+  });
+});
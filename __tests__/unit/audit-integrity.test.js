@@ -0,0 +1,386 @@
+/**
+ * Audit Integrity Tests
+ *
+ * Tests for the tamper-evident audit hash chain
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  chainEntry,
+  verifyChain,
+  buildCheckpoints,
+  canonicalize,
+  describeLegacyEntries,
+  GENESIS_HASH,
+  RETENTION_CHECKPOINT_TYPE
+} = require('../../src/services/audit-integrity');
+const {
+  logProviderDecision,
+  logSafetyCheck,
+  exportAuditLogs,
+  cleanupOldLogs,
+  verifyAuditIntegrity,
+  setAuditStorage,
+  setAuditHmacKey
+} = require('../../src/services/pregnancy-audit-logger');
+const { JsonlAuditStorage } = require('../../src/services/audit-storage');
+
+const HMAC_KEY = 'clinic-audit-secret-key';
+
+const buildChain = (count, key = null, legacy = []) => {
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const entry = {
+      id: `audit_${i}`,
+      type: 'provider_decision',
+      timestamp: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString(),
+      patientId: 'patient_chain',
+      data: { decision: 'continue', medicationName: 'Sertraline' }
+    };
+    if (i === 0 && legacy.length > 0) entry.legacy = describeLegacyEntries(legacy);
+    entries.push(chainEntry(entry, entries[entries.length - 1] || null, key));
+  }
+  return [...legacy, ...entries];
+};
+
+// Drop the oldest `count` entries and record the cleanup, as cleanupOldLogs does
+const applyRetention = (entries, count) => {
+  const removed = entries.slice(0, count);
+  const retained = entries.slice(count);
+  const lastRemoved = removed.filter(entry => entry.hash).pop();
+  const checkpoint = chainEntry({
+    id: 'cleanup',
+    type: RETENTION_CHECKPOINT_TYPE,
+    timestamp: '2026-02-01T00:00:00.000Z',
+    data: {
+      removed: count,
+      anchor: lastRemoved ? { sequence: lastRemoved.sequence, hash: lastRemoved.hash } : null,
+      legacy: describeLegacyEntries(retained)
+    }
+  }, entries[entries.length - 1]);
+
+  return [...retained, checkpoint];
+};
+
+const logDecision = (decision = 'continue') => logProviderDecision({
+  patientId: 'patient_chain',
+  providerId: 'dr_1',
+  providerName: 'Dr. Lee',
+  medicationName: 'Sertraline',
+  weekOfPregnancy: 12,
+  decision,
+  reasoning: 'Benefits outweigh risks'
+});
+
+describe('Audit Integrity', () => {
+
+  describe('canonicalize', () => {
+    test('should not depend on key order', () => {
+      expect(canonicalize({ b: 1, a: { d: [1, 2], c: null } }))
+        .toBe(canonicalize({ a: { c: null, d: [1, 2] }, b: 1 }));
+    });
+  });
+
+  describe('verifyChain', () => {
+    test('should accept an intact chain', () => {
+      const entries = buildChain(5);
+      const result = verifyChain(entries);
+
+      expect(entries[0].previousHash).toBe(GENESIS_HASH);
+      expect(entries[4].sequence).toBe(5);
+      expect(result).toMatchObject({ valid: true, entriesChecked: 5, headHash: entries[4].hash });
+    });
+
+    test('should report an edited entry', () => {
+      const entries = buildChain(5);
+      entries[2].data.decision = 'discontinue';
+
+      expect(verifyChain(entries).firstBrokenLink).toMatchObject({
+        index: 2,
+        id: 'audit_2',
+        reason: 'hash_mismatch'
+      });
+    });
+
+    test('should report a deleted entry', () => {
+      const entries = buildChain(5);
+      entries.splice(3, 1);
+
+      expect(verifyChain(entries).firstBrokenLink).toMatchObject({
+        index: 3,
+        id: 'audit_4',
+        reason: 'previous_hash_mismatch'
+      });
+    });
+
+    test('should report an entry added without a hash', () => {
+      const entries = buildChain(3);
+      entries.push({ id: 'forged', type: 'provider_decision', timestamp: new Date().toISOString() });
+
+      expect(verifyChain(entries).firstBrokenLink).toMatchObject({ id: 'forged', reason: 'missing_hash' });
+    });
+
+    test('should count entries written before chaining as legacy', () => {
+      const legacy = [{ id: 'old_1' }, { id: 'old_2' }];
+      const result = verifyChain(buildChain(2, null, legacy));
+
+      expect(result).toMatchObject({ valid: true, legacyEntries: 2, entriesChecked: 2 });
+    });
+
+    test('should reject legacy entries not recorded by a migration marker', () => {
+      const entries = [{ id: 'old_1' }, ...buildChain(2)];
+
+      expect(verifyChain(entries).firstBrokenLink).toMatchObject({
+        index: 1,
+        id: 'audit_0',
+        reason: 'legacy_entries_mismatch'
+      });
+    });
+
+    test('should detect edited or deleted legacy entries', () => {
+      const edited = buildChain(2, null, [{ id: 'old_1', data: { decision: 'continue' } }, { id: 'old_2' }]);
+      edited[0].data.decision = 'discontinue';
+
+      const deleted = buildChain(2, null, [{ id: 'old_1' }, { id: 'old_2' }]).slice(1);
+
+      expect(verifyChain(edited).firstBrokenLink.reason).toBe('legacy_entries_mismatch');
+      expect(verifyChain(deleted).firstBrokenLink.reason).toBe('legacy_entries_mismatch');
+    });
+
+    test('should detect chained entries stripped of their hashes and edited', () => {
+      const entries = buildChain(5);
+      for (const entry of entries.slice(0, 2)) {
+        delete entry.hash;
+        delete entry.previousHash;
+        delete entry.sequence;
+      }
+      entries[1].data.decision = 'discontinue';
+
+      expect(verifyChain(entries).firstBrokenLink).toMatchObject({
+        index: 2,
+        id: 'audit_2',
+        reason: 'missing_chain_anchor'
+      });
+    });
+
+    test('should detect the oldest entries deleted without a retention cleanup', () => {
+      const result = verifyChain(buildChain(5).slice(2));
+
+      expect(result.valid).toBe(false);
+      expect(result.firstBrokenLink).toMatchObject({
+        id: 'audit_2',
+        reason: 'missing_chain_anchor',
+        expected: { sequence: 2 }
+      });
+    });
+
+    test('should verify from the first retained entry after retention cleanup', () => {
+      const result = verifyChain(applyRetention(buildChain(5), 2));
+
+      expect(result).toMatchObject({ valid: true, startSequence: 3, entriesChecked: 4, headSequence: 6 });
+    });
+
+    test('should verify a cleanup that removed every entry', () => {
+      const result = verifyChain(applyRetention(buildChain(3), 3));
+
+      expect(result).toMatchObject({ valid: true, startSequence: 4, entriesChecked: 1 });
+    });
+
+    test('should accept the legacy entries that remain after retention cleanup', () => {
+      const legacy = [{ id: 'old_1' }, { id: 'old_2' }, { id: 'old_3' }];
+      const entries = applyRetention(buildChain(2, null, legacy), 1);
+
+      expect(verifyChain(entries)).toMatchObject({ valid: true, legacyEntries: 2 });
+      expect(verifyChain(entries.slice(1)).firstBrokenLink.reason).toBe('legacy_entries_mismatch');
+    });
+
+    test('should require the HMAC key for keyed chains', () => {
+      const entries = buildChain(3, HMAC_KEY);
+
+      expect(verifyChain(entries, HMAC_KEY).valid).toBe(true);
+      expect(verifyChain(entries).firstBrokenLink.reason).toBe('hmac_key_required');
+    });
+
+    test('should reject a keyed log re-chained without the key', () => {
+      const entries = buildChain(3, HMAC_KEY);
+      const forged = [];
+      entries.forEach((entry, index) => {
+        const { sequence, previousHash, hashAlgorithm, hash, ...fields } = entry;
+        if (index === 1) fields.data = { ...fields.data, decision: 'discontinue' };
+        forged.push(chainEntry(fields, forged[forged.length - 1] || null, null));
+      });
+
+      expect(verifyChain(forged).valid).toBe(true);
+      expect(verifyChain(forged, HMAC_KEY).firstBrokenLink).toMatchObject({
+        index: 0,
+        reason: 'unkeyed_hash',
+        expected: 'hmac-sha256',
+        actual: 'sha256'
+      });
+      expect(verifyChain(entries, 'a-different-secret-key').firstBrokenLink.reason).toBe('hash_mismatch');
+    });
+  });
+
+  describe('buildCheckpoints', () => {
+    test('should list every interval-th entry and the head', () => {
+      const checkpoints = buildCheckpoints(buildChain(7), 3);
+      expect(checkpoints.map(c => c.sequence)).toEqual([3, 6, 7]);
+    });
+  });
+
+  describe('audit logger', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = setAuditStorage({ type: 'memory' });
+      setAuditHmacKey(null);
+    });
+
+    afterAll(() => {
+      setAuditStorage();
+      setAuditHmacKey(null);
+    });
+
+    test('should chain every logged entry', async () => {
+      const first = await logDecision();
+      const second = await logDecision('switch');
+
+      expect(first.previousHash).toBe(GENESIS_HASH);
+      expect(second.previousHash).toBe(first.hash);
+      expect(await verifyAuditIntegrity()).toMatchObject({ valid: true, entriesChecked: 2 });
+    });
+
+    test('should chain concurrent writes in order', async () => {
+      await Promise.all([logDecision(), logDecision(), logDecision()]);
+
+      expect(storage.entries.map(e => e.sequence)).toEqual([1, 2, 3]);
+      expect((await verifyAuditIntegrity()).valid).toBe(true);
+    });
+
+    test('should detect a provider decision altered in storage', async () => {
+      await logDecision();
+      const target = await logDecision();
+      await logDecision();
+
+      storage.entries[1].data.decision = 'discontinue';
+
+      const result = await verifyAuditIntegrity();
+      expect(result.valid).toBe(false);
+      expect(result.firstBrokenLink).toMatchObject({ id: target.id, reason: 'hash_mismatch' });
+    });
+
+    test('should not let callers alter the stored entry', async () => {
+      const entry = await logDecision();
+      entry.data.decision = 'discontinue';
+
+      expect((await verifyAuditIntegrity()).valid).toBe(true);
+    });
+
+    test('should sign entries with the configured HMAC key', async () => {
+      setAuditHmacKey(HMAC_KEY);
+      const entry = await logDecision();
+
+      expect(entry.hashAlgorithm).toBe('hmac-sha256');
+      expect((await verifyAuditIntegrity()).valid).toBe(true);
+      expect((await verifyAuditIntegrity({ hmacKey: 'a-different-secret-key' })).valid).toBe(false);
+    });
+
+    test('should include chain checkpoints in JSON exports', async () => {
+      await logDecision();
+      const head = await logDecision();
+
+      const exported = JSON.parse(await exportAuditLogs({ patientId: 'patient_chain' }));
+
+      expect(exported.integrity).toMatchObject({
+        hashAlgorithm: 'sha256',
+        valid: true,
+        headSequence: 2,
+        headHash: head.hash
+      });
+      expect(exported.integrity.checkpoints[exported.integrity.checkpoints.length - 1].hash).toBe(head.hash);
+      expect(exported.entries[0].hash).toBe(head.hash);
+    });
+
+    test('should include hashes in CSV exports', async () => {
+      const entry = await logDecision();
+      const csv = await exportAuditLogs({}, 'csv');
+
+      expect(csv.split('\n')[0]).toMatch(/,Sequence,Hash$/);
+      expect(csv).toContain(entry.hash);
+    });
+
+    test('should keep the chain verifiable after retention cleanup', async () => {
+      await storage.append(chainEntry({ id: 'old', type: 'safety_check', timestamp: '2000-01-01T00:00:00.000Z' }, null));
+      await logSafetyCheck({
+        patientId: 'patient_chain',
+        medicationName: 'Acetaminophen',
+        weekOfPregnancy: 20,
+        trimester: 2,
+        riskScore: 20,
+        riskLevel: 'low',
+        fdaCategory: 'B',
+        safe: true
+      });
+
+      await cleanupOldLogs();
+
+      const checkpoint = storage.entries[storage.entries.length - 1];
+      expect(checkpoint).toMatchObject({
+        type: 'retention_cleanup',
+        sequence: 3,
+        data: { removed: 1, anchor: { sequence: 1 }, legacy: null }
+      });
+      expect(await verifyAuditIntegrity()).toMatchObject({ valid: true, startSequence: 2 });
+    });
+
+    test('should detect entries deleted after a retention cleanup', async () => {
+      await storage.append(chainEntry({ id: 'old', type: 'safety_check', timestamp: '2000-01-01T00:00:00.000Z' }, null));
+      await logDecision();
+      await cleanupOldLogs();
+      await logDecision();
+      await logDecision();
+
+      storage.entries.splice(0, 3);
+
+      expect((await verifyAuditIntegrity()).firstBrokenLink.reason).toBe('missing_chain_anchor');
+    });
+
+    test('should record entries written before chaining in a migration marker', async () => {
+      await storage.append({ id: 'old_1', type: 'safety_check', timestamp: new Date().toISOString() });
+      await storage.append({ id: 'old_2', type: 'safety_check', timestamp: new Date().toISOString() });
+
+      const first = await logDecision();
+      await logDecision();
+
+      expect(first).toMatchObject({ sequence: 1, previousHash: GENESIS_HASH, legacy: { entries: 2 } });
+      expect(await verifyAuditIntegrity()).toMatchObject({ valid: true, legacyEntries: 2, entriesChecked: 2 });
+
+      storage.entries[0].type = 'provider_decision';
+      expect((await verifyAuditIntegrity()).firstBrokenLink.reason).toBe('legacy_entries_mismatch');
+    });
+  });
+
+  describe('JSONL chaining', () => {
+    test('should continue the chain from the last line on disk', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bumpie-chain-'));
+      const file = path.join(dir, 'audit.jsonl');
+
+      try {
+        setAuditStorage(new JsonlAuditStorage({ path: file }));
+        await logDecision();
+
+        // A new process reading the same file continues the chain
+        setAuditStorage(new JsonlAuditStorage({ path: file }));
+        const second = await logDecision();
+
+        expect(second.sequence).toBe(2);
+        expect((await verifyAuditIntegrity()).valid).toBe(true);
+      } finally {
+        setAuditStorage();
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
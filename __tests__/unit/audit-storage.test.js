@@ -0,0 +1,306 @@
+/**
+ * Audit Storage Tests
+ *
+ * Tests for the audit trail storage adapters
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  createAuditStorage,
+  MemoryAuditStorage,
+  JsonlAuditStorage,
+  SqliteAuditStorage
+} = require('../../src/services/audit-storage');
+const {
+  logSafetyCheck,
+  queryAuditLogs,
+  cleanupOldLogs,
+  setAuditStorage,
+  getAuditStorage
+} = require('../../src/services/pregnancy-audit-logger');
+const AuditService = require('../../src/services/AuditService');
+const { validateConfig } = require('../../src/utils/validators');
+
+const entry = (id, timestamp = new Date().toISOString()) => ({
+  id,
+  type: 'safety_check',
+  timestamp,
+  patientId: 'patient_storage',
+  sessionId: null,
+  data: { medicationName: 'Acetaminophen' }
+});
+
+const sqliteAvailable = (() => {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch (error) {
+    try {
+      require.resolve('better-sqlite3');
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+})();
+
+describe('Audit Storage', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bumpie-audit-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('createAuditStorage', () => {
+    test('should create the adapter for each type', () => {
+      expect(createAuditStorage({ type: 'memory' })).toBeInstanceOf(MemoryAuditStorage);
+      expect(createAuditStorage({ type: 'jsonl', path: 'x.jsonl' })).toBeInstanceOf(JsonlAuditStorage);
+      expect(createAuditStorage({ type: 'sqlite', path: 'x.sqlite' })).toBeInstanceOf(SqliteAuditStorage);
+      expect(createAuditStorage().type).toBe('jsonl');
+    });
+
+    test('should pass a custom adapter through', () => {
+      const custom = { append: async () => {}, readAll: async () => [], replaceAll: async () => {} };
+      expect(createAuditStorage(custom)).toBe(custom);
+    });
+
+    test('should reject unknown storage types', () => {
+      expect(() => createAuditStorage({ type: 'postgres' })).toThrow(/Unknown audit storage type/);
+    });
+  });
+
+  describe('JsonlAuditStorage', () => {
+    test('should append entries and read them back in order', async () => {
+      const storage = new JsonlAuditStorage({ path: path.join(tempDir, 'audit.jsonl') });
+
+      await storage.append(entry('a'));
+      await storage.append(entry('b'));
+
+      expect((await storage.readAll()).map(e => e.id)).toEqual(['a', 'b']);
+      const contents = await fs.readFile(storage.path, 'utf8');
+      expect(contents.trim().split('\n')).toHaveLength(2);
+    });
+
+    test('should keep every entry from concurrent writers', async () => {
+      const file = path.join(tempDir, 'audit.jsonl');
+      const writers = [new JsonlAuditStorage({ path: file }), new JsonlAuditStorage({ path: file })];
+
+      await Promise.all(Array.from({ length: 20 }, (_, i) => writers[i % 2].append(entry(`e${i}`))));
+
+      expect(await writers[0].readAll()).toHaveLength(20);
+    });
+
+    test('should serialize locked read-then-append across instances', async () => {
+      const file = path.join(tempDir, 'audit.jsonl');
+      const writers = [new JsonlAuditStorage({ path: file }), new JsonlAuditStorage({ path: file })];
+
+      await Promise.all(Array.from({ length: 10 }, (_, i) => writers[i % 2].withLock(async () => {
+        const count = (await writers[i % 2].readAll()).length;
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await writers[i % 2].append(entry(`e${count}`));
+      })));
+
+      expect((await writers[0].readAll()).map(e => e.id)).toEqual(Array.from({ length: 10 }, (_, i) => `e${i}`));
+      await expect(fs.access(`${file}.lock`)).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+
+    test('should remove a stale lock left by a crashed writer', async () => {
+      const storage = new JsonlAuditStorage({ path: path.join(tempDir, 'audit.jsonl'), lock: { staleMs: 1000 } });
+      await storage.initialize();
+      await fs.writeFile(storage.lockPath, '12345');
+      const past = new Date(Date.now() - 60000);
+      await fs.utimes(storage.lockPath, past, past);
+
+      await expect(storage.withLock(async () => 'done')).resolves.toBe('done');
+    });
+
+    test('should time out while another writer holds the lock', async () => {
+      const storage = new JsonlAuditStorage({ path: path.join(tempDir, 'audit.jsonl'), lock: { timeoutMs: 50 } });
+      await storage.initialize();
+      await fs.writeFile(storage.lockPath, '12345');
+
+      await expect(storage.withLock(async () => 'done')).rejects.toMatchObject({ code: 'AUDIT_ERROR' });
+    });
+
+    test('should import a legacy JSON log when first created', async () => {
+      const legacyPath = path.join(tempDir, 'legacy.json');
+      await fs.writeFile(legacyPath, JSON.stringify({ version: '1.0.0', entries: [entry('old')] }));
+
+      const storage = new JsonlAuditStorage({ path: path.join(tempDir, 'audit.jsonl'), legacyPath });
+      await storage.append(entry('new'));
+
+      expect((await storage.readAll()).map(e => e.id)).toEqual(['old', 'new']);
+    });
+
+    test('should ignore a partially written final line', async () => {
+      const storage = new JsonlAuditStorage({ path: path.join(tempDir, 'audit.jsonl') });
+      await storage.append(entry('a'));
+      await fs.appendFile(storage.path, '{"id":"b","ty');
+
+      expect((await storage.readAll()).map(e => e.id)).toEqual(['a']);
+    });
+
+    test('should report corrupt lines', async () => {
+      const storage = new JsonlAuditStorage({ path: path.join(tempDir, 'audit.jsonl') });
+      await storage.append(entry('a'));
+      await fs.appendFile(storage.path, 'not json\n');
+
+      await expect(storage.readAll()).rejects.toMatchObject({ code: 'AUDIT_ERROR' });
+    });
+
+    test('should rewrite the file on replaceAll', async () => {
+      const storage = new JsonlAuditStorage({ path: path.join(tempDir, 'audit.jsonl') });
+      await storage.append(entry('a'));
+      await storage.append(entry('b'));
+
+      await storage.replaceAll([entry('b')]);
+
+      expect((await storage.readAll()).map(e => e.id)).toEqual(['b']);
+    });
+  });
+
+  (sqliteAvailable ? describe : describe.skip)('SqliteAuditStorage', () => {
+    test('should append, read and replace entries', async () => {
+      const storage = new SqliteAuditStorage({ path: path.join(tempDir, 'audit.sqlite') });
+
+      await storage.append(entry('a'));
+      await storage.append(entry('b'));
+      expect((await storage.readAll()).map(e => e.id)).toEqual(['a', 'b']);
+
+      await storage.replaceAll([entry('b')]);
+      expect((await storage.readAll()).map(e => e.id)).toEqual(['b']);
+
+      await storage.close();
+    });
+
+    test('should serialize locked read-then-append across connections', async () => {
+      const file = path.join(tempDir, 'audit.sqlite');
+      const writers = [new SqliteAuditStorage({ path: file }), new SqliteAuditStorage({ path: file })];
+
+      await Promise.all(Array.from({ length: 10 }, (_, i) => writers[i % 2].withLock(async () => {
+        const count = (await writers[i % 2].readAll()).length;
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await writers[i % 2].append(entry(`e${count}`));
+      })));
+
+      expect((await writers[0].readAll()).map(e => e.id)).toEqual(Array.from({ length: 10 }, (_, i) => `e${i}`));
+      await Promise.all(writers.map(writer => writer.close()));
+    });
+
+    test('should keep one chain when two connections log through the logger', async () => {
+      const file = path.join(tempDir, 'audit.sqlite');
+      const writers = [new SqliteAuditStorage({ path: file }), new SqliteAuditStorage({ path: file })];
+      const check = patientId => ({
+        patientId, medicationName: 'Acetaminophen', weekOfPregnancy: 20, trimester: 2,
+        riskScore: 20, riskLevel: 'low', fdaCategory: 'B', safe: true
+      });
+
+      // Each logger module instance stands for a separate process; a slow
+      // read leaves room for the other writer to append in between
+      const loggers = writers.map(writer => {
+        const readLast = writer.readLast.bind(writer);
+        writer.readLast = async () => {
+          const last = await readLast();
+          await new Promise(resolve => setTimeout(resolve, 5));
+          return last;
+        };
+        let logger;
+        jest.isolateModules(() => {
+          logger = require('../../src/services/pregnancy-audit-logger');
+        });
+        logger.setAuditStorage(writer);
+        return logger;
+      });
+
+      await Promise.all(Array.from({ length: 10 }, (_, i) => loggers[i % 2].logSafetyCheck(check(`patient_${i}`))));
+
+      const verification = await loggers[0].verifyAuditIntegrity();
+      expect(verification).toMatchObject({ valid: true, entriesChecked: 10, headSequence: 10 });
+      await Promise.all(writers.map(writer => writer.close()));
+    });
+  });
+
+  if (!sqliteAvailable) {
+    test('should explain how to enable SQLite storage when no driver is available', async () => {
+      const storage = new SqliteAuditStorage({ path: path.join(tempDir, 'audit.sqlite') });
+      await expect(storage.initialize()).rejects.toMatchObject({ code: 'INVALID_CONFIG' });
+    });
+  }
+
+  describe('audit logger integration', () => {
+    afterEach(() => {
+      setAuditStorage();
+    });
+
+    test('should log and query through the selected adapter', async () => {
+      const storage = setAuditStorage({ type: 'memory' });
+
+      await logSafetyCheck({
+        patientId: 'patient_storage',
+        medicationName: 'Acetaminophen',
+        weekOfPregnancy: 20,
+        trimester: 2,
+        riskScore: 20,
+        riskLevel: 'low',
+        fdaCategory: 'B',
+        safe: true
+      });
+
+      expect(storage.entries).toHaveLength(1);
+      expect(await queryAuditLogs({ patientId: 'patient_storage' })).toHaveLength(1);
+    });
+
+    test('should remove entries past retention through the adapter', async () => {
+      const storage = setAuditStorage({ type: 'memory' });
+      await storage.append(entry('old', '2000-01-01T00:00:00.000Z'));
+      await storage.append(entry('new'));
+
+      const result = await cleanupOldLogs();
+
+      expect(result).toMatchObject({ removed: 1, retained: 1 });
+      expect(storage.entries.map(e => e.id)[0]).toBe('new');
+      expect(storage.entries.map(e => e.type)).toEqual(['safety_check', 'retention_cleanup']);
+    });
+
+    test('should share the configured adapter with AuditService', async () => {
+      const service = new AuditService(validateConfig({ auditStorage: { type: 'memory' } }));
+
+      await service.logInteractions({
+        medications: ['Ibuprofen'],
+        weekOfPregnancy: 20,
+        interactionsFound: 0,
+        highestSeverity: 'none',
+        safe: true,
+        recommendation: 'ok'
+      }, { patientId: 'patient_storage' });
+
+      expect(getAuditStorage()).toBe(service.storage);
+      expect(await queryAuditLogs({ type: 'interaction_check' })).toHaveLength(1);
+    });
+
+    test('should reject a second AuditService with a different storage or key', () => {
+      const file = path.join(tempDir, 'audit.jsonl');
+      const config = { auditStorage: { type: 'jsonl', path: file }, auditHmacKey: 'storage-test-hmac-key' };
+      const service = new AuditService(validateConfig(config));
+
+      expect(new AuditService(validateConfig(config)).storage).toBe(service.storage);
+      expect(() => new AuditService(validateConfig({ auditStorage: { type: 'memory' } })))
+        .toThrow(expect.objectContaining({ code: 'INVALID_CONFIG' }));
+      expect(() => new AuditService(validateConfig({ auditStorage: config.auditStorage })))
+        .toThrow(/differ from those already selected/);
+      expect(getAuditStorage()).toBe(service.storage);
+    });
+
+    test('should validate the storage config', () => {
+      expect(validateConfig({}).auditStorage.type).toBe('jsonl');
+      expect(() => validateConfig({ auditStorage: { type: 'postgres' } })).toThrow(/auditStorage.type/);
+      expect(() => validateConfig({ auditStorage: { type: 'jsonl', path: 42 } })).toThrow(/auditStorage.path/);
+    });
+  });
+});
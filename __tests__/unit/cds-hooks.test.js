@@ -0,0 +1,260 @@
+/**
+ * CDS Hooks Tests
+ *
+ * Tests for the order-select and order-sign services
+ */
+
+const { initialize } = require('../../src/index');
+const {
+  getCdsServices,
+  handleCdsHook,
+  getPregnancyContext,
+  getDraftMedications,
+  LOINC
+} = require('../../src/server/cds-hooks');
+const { ERROR_CODES } = require('../../src/utils/constants');
+
+const AS_OF = '2026-10-19';
+const RXNORM = 'http://www.nlm.nih.gov/research/umls/rxnorm';
+
+const bundle = resources => ({
+  resourceType: 'Bundle',
+  type: 'searchset',
+  entry: resources.map(resource => ({ resource }))
+});
+
+const medicationRequest = (id, coding) => ({
+  resourceType: 'MedicationRequest',
+  id,
+  status: 'draft',
+  intent: 'order',
+  subject: { reference: 'Patient/p1' },
+  medicationCodeableConcept: coding
+});
+
+const pregnancyStatus = code => bundle([{
+  resourceType: 'Observation',
+  status: 'final',
+  code: { coding: [{ system: 'http://loinc.org', code: LOINC.PREGNANCY_STATUS }] },
+  effectiveDateTime: '2026-09-01',
+  valueCodeableConcept: { coding: [{ system: 'http://snomed.info/sct', code }] }
+}]);
+
+const gestationalAge = (weeks, effectiveDateTime = AS_OF) => bundle([{
+  resourceType: 'Observation',
+  status: 'final',
+  code: { coding: [{ system: 'http://loinc.org', code: LOINC.GESTATIONAL_AGE }] },
+  effectiveDateTime,
+  valueQuantity: { value: weeks, unit: 'wk', system: 'http://unitsofmeasure.org', code: 'wk' }
+}]);
+
+const hookRequest = (hook, orders, prefetch = {}, selections = null) => ({
+  hookInstance: 'd1577c69-dfbe-44ad-ba6d-3e05e953b2ea',
+  hook,
+  context: {
+    userId: 'Practitioner/example',
+    patientId: 'p1',
+    draftOrders: bundle(orders),
+    ...(selections ? { selections } : {})
+  },
+  prefetch: {
+    pregnancyStatus: pregnancyStatus('77386006'),
+    gestationalAge: gestationalAge(20),
+    ...prefetch
+  }
+});
+
+describe('CDS Hooks', () => {
+  const meds = initialize({ cacheEnabled: false, auditStorage: { type: 'memory' } });
+  const lisinopril = medicationRequest('lisinopril', {
+    coding: [{ system: RXNORM, code: '29046', display: 'lisinopril' }]
+  });
+  const ibuprofen = medicationRequest('ibuprofen', { text: 'Ibuprofen 400 MG Oral Tablet' });
+  const acetaminophen = medicationRequest('acetaminophen', { coding: [{ system: RXNORM, code: '161' }] });
+
+  describe('getCdsServices', () => {
+    test('should list order-select and order-sign services with prefetch templates', () => {
+      const { services } = getCdsServices();
+
+      expect(services.map(s => s.hook)).toEqual(['order-select', 'order-sign']);
+      services.forEach(service => {
+        expect(service.prefetch.pregnancyStatus).toContain('{{context.patientId}}');
+        expect(service.prefetch.gestationalAge).toContain(LOINC.GESTATIONAL_AGE);
+      });
+    });
+  });
+
+  describe('getPregnancyContext', () => {
+    test('should advance gestational age from the observation date', () => {
+      const context = getPregnancyContext({ gestationalAge: gestationalAge(20, '2026-09-21') }, AS_OF);
+      expect(context).toMatchObject({ pregnant: true, gestationalAge: { weeks: 24, days: 0 } });
+    });
+
+    test('should read an estimated delivery date', () => {
+      const context = getPregnancyContext({
+        gestationalAge: bundle([{
+          resourceType: 'Observation',
+          code: { coding: [{ code: LOINC.DELIVERY_DATE }] },
+          valueDateTime: '2027-03-01'
+        }])
+      }, AS_OF);
+
+      expect(context.gestationalAge.weeks).toBe(21);
+    });
+
+    test('should not treat a not-pregnant status as pregnant', () => {
+      const context = getPregnancyContext({
+        pregnancyStatus: pregnancyStatus('60001007'),
+        gestationalAge: gestationalAge(20)
+      }, AS_OF);
+
+      expect(context).toEqual({ pregnant: false, gestationalAge: null });
+    });
+  });
+
+  describe('getDraftMedications', () => {
+    test('should resolve RxNorm codes and text, limited to selections for order-select', () => {
+      const context = hookRequest('order-select', [lisinopril, ibuprofen], {}, ['MedicationRequest/ibuprofen']).context;
+
+      expect(getDraftMedications(context, 'order-select').map(d => d.name)).toEqual(['Ibuprofen']);
+      expect(getDraftMedications(context, 'order-sign').map(d => d.medication.name)).toEqual(['Lisinopril', 'Ibuprofen']);
+    });
+
+    test('should resolve contained Medication references', () => {
+      const request = {
+        ...medicationRequest('contained', undefined),
+        contained: [{ resourceType: 'Medication', id: 'med', code: { coding: [{ system: RXNORM, code: '29046' }] } }],
+        medicationReference: { reference: '#med' }
+      };
+
+      expect(getDraftMedications({ draftOrders: bundle([request]) }, 'order-sign')[0].medication.name).toBe('Lisinopril');
+    });
+  });
+
+  describe('handleCdsHook', () => {
+    test('should warn about a Category D order and name alternatives for the condition', async () => {
+      const { cards } = await handleCdsHook(meds, 'bumpie-meds-order-select', hookRequest(
+        'order-select',
+        [lisinopril, ibuprofen],
+        { conditions: bundle([{ resourceType: 'Condition', code: { text: 'Essential hypertension' } }]) },
+        ['MedicationRequest/lisinopril']
+      ), { asOf: AS_OF });
+
+      const medicationCard = cards.find(c => c.summary.startsWith('Lisinopril'));
+      expect(medicationCard.summary).toBe('Lisinopril at 20 weeks: FDA Category D pregnancy risk');
+      expect(['warning', 'critical']).toContain(medicationCard.indicator);
+      expect(medicationCard.source.label).toBe('Bumpie Meds');
+      expect(medicationCard.detail).toContain('Not safe for Hypertension');
+      expect(medicationCard.detail).toMatch(/Alternatives to consider:.*Labetalol/);
+      // Only the selected order gets a medication card
+      expect(cards.some(c => c.summary.startsWith('Ibuprofen at'))).toBe(false);
+    });
+
+    test('should check orders against every active maternal condition', async () => {
+      const calculateRisk = jest.spyOn(meds, 'calculateRisk');
+      const { cards } = await handleCdsHook(meds, 'bumpie-meds-order-select', hookRequest(
+        'order-select',
+        [lisinopril],
+        { conditions: bundle([
+          { resourceType: 'Condition', code: { text: 'Essential hypertension' } },
+          { resourceType: 'Condition', code: { text: 'Asthma, mild persistent' } },
+          { resourceType: 'Condition', code: { text: 'Hypertension in pregnancy' } }
+        ]) },
+        ['MedicationRequest/lisinopril']
+      ), { asOf: AS_OF });
+
+      expect(calculateRisk.mock.calls[0][2].maternalCondition).toEqual(['HYPERTENSION', 'ASTHMA']);
+      expect(cards.find(c => c.summary.startsWith('Lisinopril')).detail)
+        .toContain('Not safe for Hypertension (High Blood Pressure) during pregnancy');
+      calculateRisk.mockRestore();
+    });
+
+    test('should suggest replacing an order with a listed alternative', async () => {
+      const active = { ...lisinopril, id: 'active-lisinopril', status: 'active' };
+      const { cards } = await handleCdsHook(meds, 'bumpie-meds-order-sign', hookRequest(
+        'order-sign',
+        [ibuprofen],
+        { medications: bundle([active]) }
+      ), { asOf: AS_OF });
+
+      const medicationCard = cards.find(c => c.summary.startsWith('Ibuprofen at'));
+      expect(medicationCard.selectionBehavior).toBe('at-most-one');
+      expect(medicationCard.suggestions.map(s => s.label)).toEqual(['Replace Ibuprofen with Acetaminophen']);
+
+      const [remove, create] = medicationCard.suggestions[0].actions;
+      expect(remove).toMatchObject({ type: 'delete', resourceId: ['MedicationRequest/ibuprofen'] });
+      expect(create).toMatchObject({
+        type: 'create',
+        resource: {
+          resourceType: 'MedicationRequest',
+          status: 'draft',
+          medicationCodeableConcept: { coding: [{ system: RXNORM, code: '161' }] },
+          subject: { reference: 'Patient/p1' }
+        }
+      });
+    });
+
+    test('should raise interaction cards with active medications from prefetch', async () => {
+      const active = { ...lisinopril, id: 'active-lisinopril', status: 'active' };
+      const { cards } = await handleCdsHook(meds, 'bumpie-meds-order-sign', hookRequest(
+        'order-sign',
+        [ibuprofen],
+        { medications: bundle([active]) }
+      ), { asOf: AS_OF });
+
+      const interaction = cards.find(c => c.summary.startsWith('Ibuprofen + Lisinopril'));
+      expect(interaction.indicator).toBe('critical');
+      expect(interaction.suggestions.map(s => s.label)).toContain('Replace Ibuprofen with Acetaminophen');
+      // The provider recommendation escalates critical regimens
+      expect(cards.some(c => /Obstetrician/.test(c.summary))).toBe(true);
+    });
+
+    test('should return no cards for safe orders', async () => {
+      const { cards } = await handleCdsHook(meds, 'bumpie-meds-order-sign', hookRequest('order-sign', [acetaminophen]), { asOf: AS_OF });
+      expect(cards).toEqual([]);
+    });
+
+    test('should return no cards when the patient is not pregnant', async () => {
+      const { cards } = await handleCdsHook(meds, 'bumpie-meds-order-sign', hookRequest('order-sign', [lisinopril], {
+        pregnancyStatus: pregnancyStatus('60001007')
+      }), { asOf: AS_OF });
+
+      expect(cards).toEqual([]);
+    });
+
+    test('should ask for gestational age when only pregnancy status is known', async () => {
+      const { cards } = await handleCdsHook(meds, 'bumpie-meds-order-sign', hookRequest('order-sign', [lisinopril], {
+        gestationalAge: null
+      }), { asOf: AS_OF });
+
+      expect(cards).toHaveLength(1);
+      expect(cards[0].summary).toMatch(/gestational age is not recorded/);
+    });
+
+    test('should flag medications missing from the database', async () => {
+      const unknown = medicationRequest('unknown', { text: 'Notarealdrug 5 MG' });
+      const { cards } = await handleCdsHook(meds, 'bumpie-meds-order-sign', hookRequest('order-sign', [unknown]), { asOf: AS_OF });
+
+      expect(cards).toMatchObject([{ indicator: 'info', summary: 'Notarealdrug 5 MG is not in the Bumpie Meds database' }]);
+    });
+
+    test('should audit the risk calculation under the hook instance', async () => {
+      await handleCdsHook(meds, 'bumpie-meds-order-sign', hookRequest('order-sign', [lisinopril]), { asOf: AS_OF });
+
+      const [entry] = await meds.getAuditLogs({ sessionId: 'd1577c69-dfbe-44ad-ba6d-3e05e953b2ea', type: 'risk_calculation' });
+      expect(entry).toMatchObject({ patientId: 'p1', data: { medications: ['Lisinopril'], weekOfPregnancy: 20 } });
+    });
+
+    test('should reject unknown services, mismatched hooks and missing prefetch', async () => {
+      const request = hookRequest('order-sign', [lisinopril]);
+
+      await expect(handleCdsHook(meds, 'nope', request)).rejects.toMatchObject({ code: ERROR_CODES.NOT_FOUND });
+      await expect(handleCdsHook(meds, 'bumpie-meds-order-select', request)).rejects.toMatchObject({
+        code: ERROR_CODES.INVALID_REQUEST
+      });
+      await expect(handleCdsHook(meds, 'bumpie-meds-order-sign', { ...request, prefetch: undefined })).rejects.toMatchObject({
+        code: ERROR_CODES.MISSING_PREFETCH
+      });
+    });
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Combination Product Tests
+ *
+ * Tests for decomposing combination products into active ingredients and the
+ * worst-case safety, interaction, risk and exposure results built from them
+ */
+
+const {
+  findCombinationProduct,
+  expandCombinationProduct,
+  expandMedicationName,
+  validateCombinationProducts
+} = require('../../src/services/combination-products');
+const {
+  checkMedicationSafety,
+  findMedication,
+  getLactationSafety,
+  getTrimesterWarnings
+} = require('../../src/services/pregnancy-safety-engine');
+const { checkPregnancyInteractions, assessMedicationRegimen } = require('../../src/services/pregnancy-interaction-checker');
+const { calculateSingleMedicationRisk } = require('../../src/services/pregnancy-risk-calculator');
+const { analyzeExposure } = require('../../src/services/pregnancy-exposure-analysis');
+const SafetyChecker = require('../../src/services/SafetyChecker');
+
+describe('Combination Products', () => {
+  describe('findCombinationProduct', () => {
+    test.each([
+      ['Percocet', 'Oxycodone and Acetaminophen'],
+      ['norco', 'Hydrocodone and Acetaminophen'],
+      ['Tylenol with Codeine', 'Acetaminophen and Codeine'],
+      ['Zestoretic', 'Lisinopril and Hydrochlorothiazide'],
+      ['Oxycodone and Acetaminophen', 'Oxycodone and Acetaminophen']
+    ])('should resolve %s to %s', (name, product) => {
+      expect(findCombinationProduct(name).product.name).toBe(product);
+    });
+
+    test('should not resolve single-ingredient medications', () => {
+      expect(findCombinationProduct('Tylenol')).toBeNull();
+      expect(findCombinationProduct('Oxycodone')).toBeNull();
+    });
+
+    test('should not resolve misspelled brand names', () => {
+      expect(findCombinationProduct('Zestorettic')).toBeNull();
+    });
+
+    test('should no longer resolve combination brands to one ingredient', () => {
+      expect(findMedication('Percocet')).toBeNull();
+      expect(findMedication('Tylenol').name).toBe('Acetaminophen');
+    });
+
+    test.each([
+      ['Lorcet', 'Hydrocodone and Acetaminophen'],
+      ['Ultracet', 'Tramadol and Acetaminophen'],
+      ['Apadaz', 'Benzhydrocodone and Acetaminophen'],
+      ['Trezix', 'Acetaminophen, Caffeine and Dihydrocodeine'],
+      ['Ascomp', 'Butalbital, Aspirin, Caffeine and Codeine'],
+      ['Kazano', 'Alogliptin and Metformin'],
+      ['Talicia', 'Omeprazole, Amoxicillin and Rifabutin'],
+      ['Lotensin HCT', 'Benazepril and Hydrochlorothiazide']
+    ])('should resolve the former single-ingredient brand %s to %s', (name, product) => {
+      expect(findMedication(name)).toBeNull();
+      expect(findCombinationProduct(name).product.name).toBe(product);
+    });
+
+    test.each([
+      ['Combogesic', 'Acetaminophen and Ibuprofen'],
+      ['Excedrin Back & Body', 'Acetaminophen and Aspirin'],
+      ['Saleto', 'Acetaminophen, Aspirin, Caffeine and Salicylamide'],
+      ['Arthriten Max', 'Acetaminophen, Aspirin and Caffeine'],
+      ['Arthriten Inflammatory Pain', 'Acetaminophen, Aspirin and Caffeine'],
+      ['Exaprin', 'Acetaminophen, Aspirin and Caffeine'],
+      ['Exaprin Plus', 'Acetaminophen, Aspirin and Caffeine'],
+      ['Backaid IPF', 'Acetaminophen, Aspirin and Caffeine'],
+      ['Excedrin PM Triple Action', 'Acetaminophen, Aspirin and Diphenhydramine'],
+      ['Pamprin Max Formula', 'Acetaminophen, Aspirin and Caffeine'],
+      ['Anacin Advanced Headache Formula', 'Acetaminophen, Aspirin and Caffeine'],
+      ['Ninjacof A', 'Acetaminophen, Chlorpheniramine, Dextromethorphan and Phenylephrine'],
+      ['Frenadol', 'Acetaminophen, Ascorbic Acid, Caffeine, Chlorpheniramine and Dextromethorphan']
+    ])('should resolve the multi-ingredient brand %s to %s', (name, product) => {
+      expect(findCombinationProduct(name).product.name).toBe(product);
+    });
+  });
+
+  describe('expandCombinationProduct', () => {
+    test('should return ingredient records in label order', () => {
+      const { product } = findCombinationProduct('Percocet');
+
+      expect(expandCombinationProduct(product).map(i => [i.name, i.medication?.rxcui])).toEqual([
+        ['Oxycodone', '7804'],
+        ['Acetaminophen', '161']
+      ]);
+    });
+
+    test('should keep ingredients missing from the database', () => {
+      const { ingredients } = expandMedicationName('Fioricet');
+
+      expect(ingredients.map(i => [i.name, i.medication?.name || null])).toEqual([
+        ['Butalbital', null],
+        ['Acetaminophen', 'Acetaminophen'],
+        ['Caffeine', null]
+      ]);
+    });
+
+    test('should expand a single medication to itself', () => {
+      expect(expandMedicationName('Advil')).toMatchObject({ product: null, ingredients: [{ name: 'Ibuprofen' }] });
+    });
+  });
+
+  describe('checkMedicationSafety', () => {
+    test('should report the opioid in Percocet at 30 weeks', () => {
+      const result = checkMedicationSafety('Percocet', 30);
+
+      expect(result).toMatchObject({
+        found: true,
+        combination: true,
+        medicationName: 'Oxycodone and Acetaminophen',
+        worstIngredient: 'Oxycodone',
+        safe: false,
+        riskScore: checkMedicationSafety('Oxycodone', 30).riskScore
+      });
+      expect(result.ingredients).toMatchObject([
+        { name: 'Oxycodone', found: true, safe: false, fdaCategory: null, riskBasis: 'pllr' },
+        { name: 'Acetaminophen', found: true, safe: true, fdaCategory: 'B' }
+      ]);
+      expect(result.warnings).toContain('Oxycodone: Prolonged use near term can cause neonatal opioid withdrawal syndrome');
+      expect(result.requiresObstetrician).toBe(true);
+    });
+
+    test('should take the contraindicated ingredient of Zestoretic', () => {
+      const result = checkMedicationSafety('Zestoretic', 24);
+
+      expect(result.worstIngredient).toBe('Lisinopril');
+      expect(result.fdaCategory.category).toBe('D');
+      expect(result.contraindications).toEqual(expect.arrayContaining(checkMedicationSafety('Lisinopril', 24).contraindications));
+    });
+
+    test('should report the ibuprofen in Combogesic at 32 weeks', () => {
+      const result = checkMedicationSafety('Combogesic', 32);
+
+      expect(result).toMatchObject({ found: true, combination: true, worstIngredient: 'Ibuprofen', safe: false });
+      expect(result.ingredients.map(i => i.name)).toEqual(['Acetaminophen', 'Ibuprofen']);
+    });
+
+    test('should not report Lorcet as acetaminophen alone', () => {
+      const result = checkMedicationSafety('Lorcet', 30);
+
+      expect(result).toMatchObject({ combination: true, worstIngredient: 'Hydrocodone', safe: false });
+      expect(result.ingredients.map(i => i.name)).toEqual(['Hydrocodone', 'Acetaminophen']);
+    });
+
+    test('should not call a product safe when an ingredient was not assessed', () => {
+      const result = checkMedicationSafety('Fioricet', 20);
+
+      expect(result.safe).toBe(false);
+      expect(result.requiresProviderConsent).toBe(true);
+      expect(result.ingredients.filter(i => !i.found).map(i => i.name)).toEqual(['Butalbital', 'Caffeine']);
+      expect(result.warnings).toContain('Caffeine: Not in the pregnancy safety database - this ingredient was not assessed');
+    });
+
+    test('should not assess a dose against one ingredient', () => {
+      const result = checkMedicationSafety('Norco', 20, { dose: '5mg', frequency: 'q6h' });
+
+      expect(result.dose).toBeNull();
+      expect(result.warnings).toContain('Dose checks are not applied to combination products - check the daily total of each ingredient');
+    });
+
+    test('should aggregate trimester warnings and lactation safety', () => {
+      expect(getTrimesterWarnings('Vicodin', 3)).toEqual(
+        getTrimesterWarnings('Hydrocodone', 3).map(warning => `Hydrocodone: ${warning}`)
+      );
+      expect(getLactationSafety('Percocet')).toMatchObject({
+        found: true,
+        combination: true,
+        safety: { level: 'caution' },
+        ingredients: [{ name: 'Oxycodone', safety: 'caution' }, { name: 'Acetaminophen', safety: 'safe' }]
+      });
+    });
+  });
+
+  describe('SafetyChecker', () => {
+    test('should pass per-ingredient detail through check', async () => {
+      const checker = new SafetyChecker({ cacheEnabled: false });
+      const result = await checker.check('Percocet', 30);
+
+      expect(result.medication).toEqual({ name: 'Oxycodone and Acetaminophen', genericName: 'Oxycodone and Acetaminophen', rxcui: null });
+      expect(result.combination).toBe(true);
+      expect(result.ingredients).toHaveLength(2);
+      expect(result.safe).toBe(false);
+    });
+  });
+
+  describe('checkPregnancyInteractions', () => {
+    test('should check every ingredient and flag duplicated ingredients', () => {
+      const result = checkPregnancyInteractions(['Percocet', 'Tylenol'], 30);
+
+      expect(result.combinationProducts).toEqual([{
+        name: 'Percocet',
+        product: 'Oxycodone and Acetaminophen',
+        ingredients: ['Oxycodone', 'Acetaminophen'],
+        checked: ['Oxycodone', 'Acetaminophen']
+      }]);
+      expect(result.interactions).toEqual([expect.objectContaining({
+        type: 'duplicate_ingredient',
+        medications: ['Acetaminophen'],
+        sources: ['Percocet', 'Tylenol'],
+        severity: 'moderate'
+      })]);
+      expect(result.highestSeverity).toBe('moderate');
+    });
+
+    test('should find rules triggered by an ingredient', () => {
+      const result = checkPregnancyInteractions(['Vicoprofen', 'Zestoretic'], 30);
+
+      expect(result.interactions).toEqual(expect.arrayContaining([
+        expect.objectContaining({ type: 'drug_interaction', ruleId: 'nsaid_ace_inhibitor', medications: ['Ibuprofen', 'Lisinopril'] }),
+        expect.objectContaining({ ruleId: 'ace_inhibitor_pregnancy', product: 'Zestoretic' })
+      ]));
+      expect(result.highestSeverity).toBe('critical');
+    });
+
+    test('should not flag a brand and generic entered for the same single medication', () => {
+      expect(checkPregnancyInteractions(['Tylenol', 'Acetaminophen'], 30).interactionsFound).toBe(0);
+    });
+  });
+
+  describe('risk and regimen', () => {
+    test('should carry ingredients into the single medication risk', () => {
+      const risk = calculateSingleMedicationRisk('Norco', 36);
+
+      expect(risk).toMatchObject({ combination: true, worstIngredient: 'Hydrocodone', safe: false });
+      expect(risk.ingredients.map(i => i.name)).toEqual(['Hydrocodone', 'Acetaminophen']);
+    });
+
+    test('should review each ingredient against the maternal condition', () => {
+      const regimen = assessMedicationRegimen(['Zestoretic'], 'hypertension', 20);
+
+      expect(regimen.currentMedications).toEqual([
+        expect.objectContaining({ medication: 'Lisinopril', product: 'Zestoretic', status: 'avoid' }),
+        expect.objectContaining({ medication: 'Hydrochlorothiazide', product: 'Zestoretic' })
+      ]);
+      expect(regimen.needsChange).toBe(true);
+    });
+
+    test('should score exposure windows by the worst ingredient', () => {
+      const exposure = analyzeExposure({ medicationName: 'Zestoretic', startWeek: 2, stopWeek: 8 });
+
+      expect(exposure).toMatchObject({ combination: true, fdaCategory: 'D' });
+      expect(exposure.windows.find(w => w.key === 'cardiac').worstIngredient).toBe('Lisinopril');
+      expect(exposure.ingredients.map(i => i.name)).toEqual(['Lisinopril', 'Hydrochlorothiazide']);
+    });
+  });
+
+  describe('validateCombinationProducts', () => {
+    test('should pass the bundled file', () => {
+      expect(validateCombinationProducts(require('../../src/data/combination-products.json'))).toEqual([]);
+    });
+
+    test('should report missing fields, single ingredients and shared brands', () => {
+      expect(validateCombinationProducts({
+        products: {
+          a: { name: 'A and B', brandNames: ['Abby'], ingredients: ['A', 'B'] },
+          b: { brandNames: ['abby'], ingredients: ['A'] }
+        }
+      })).toEqual([
+        { path: '$.products.b.name', message: 'is required' },
+        { path: '$.products.b.ingredients', message: 'must list at least two active ingredients' },
+        { path: '$.products.b.brandNames[0]', message: 'duplicates $.products.a.brandNames[0]' }
+      ]);
+    });
+  });
+});
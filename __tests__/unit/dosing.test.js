@@ -0,0 +1,127 @@
+/**
+ * Dosing Tests
+ *
+ * Tests for strength and frequency parsing and daily dose limits
+ */
+
+const {
+  parseStrength,
+  toMilligrams,
+  parseFrequency,
+  normalizeDose,
+  assessDose
+} = require('../../src/utils/dosing');
+const { findMedication } = require('../../src/services/pregnancy-safety-engine');
+
+describe('Dosing', () => {
+
+  describe('parseStrength', () => {
+    test('should parse strength strings from medication records', () => {
+      expect(parseStrength('325mg')).toEqual({ amount: 325, unit: 'mg', per: null });
+      expect(parseStrength('90mcg/inhalation')).toEqual({ amount: 90, unit: 'mcg', per: 'inhalation' });
+      expect(parseStrength('0.5 g')).toEqual({ amount: 0.5, unit: 'g', per: null });
+    });
+
+    test('should treat plain numbers as milligrams', () => {
+      expect(parseStrength(81)).toEqual({ amount: 81, unit: 'mg', per: null });
+    });
+
+    test('should return null for unparseable strings', () => {
+      expect(parseStrength('as directed')).toBeNull();
+    });
+  });
+
+  describe('toMilligrams', () => {
+    test('should convert mass units', () => {
+      expect(toMilligrams('1g')).toBe(1000);
+      expect(toMilligrams('50mcg')).toBe(0.05);
+    });
+
+    test('should return null for non-mass units', () => {
+      expect(toMilligrams('8 inhalations')).toBeNull();
+    });
+  });
+
+  describe('parseFrequency', () => {
+    test.each([
+      ['daily', 1],
+      ['BID', 2],
+      ['t.i.d.', 3],
+      ['q6h', 4],
+      ['every 4-6 hours', 6],
+      ['3 times daily', 3],
+      [2, 2]
+    ])('should parse %p as %p doses per day', (frequency, expected) => {
+      expect(parseFrequency(frequency)).toBe(expected);
+    });
+
+    test('should return null for unknown frequencies', () => {
+      expect(parseFrequency('whenever')).toBeNull();
+    });
+  });
+
+  describe('normalizeDose', () => {
+    test('should compute the daily total', () => {
+      const dose = normalizeDose({ dose: '325mg', quantity: 2, frequency: 'q6h' });
+
+      expect(dose.perDose).toEqual({ amount: 650, unit: 'mg' });
+      expect(dose.dailyTotalMg).toBe(2600);
+      expect(dose.route).toBe('oral');
+      expect(dose.systemic).toBe(true);
+    });
+
+    test('should assume one dose per day when frequency is missing', () => {
+      const dose = normalizeDose({ dose: '81mg' });
+
+      expect(dose.dosesPerDay).toBe(1);
+      expect(dose.frequencyAssumed).toBe(true);
+    });
+
+    test('should reject missing or invalid inputs', () => {
+      expect(() => normalizeDose({})).toThrow();
+      expect(() => normalizeDose({ dose: '81mg', frequency: 'sometimes' })).toThrow(/frequency/);
+      expect(() => normalizeDose({ dose: '81mg', quantity: 0 })).toThrow(/Quantity/);
+    });
+  });
+
+  describe('assessDose', () => {
+    const aspirin = findMedication('Aspirin');
+
+    test('should recognise the low-dose aspirin band', () => {
+      const result = assessDose(aspirin, 2, { dose: '81mg', frequency: 'daily' });
+
+      expect(result.lowDose).toBe(true);
+      expect(result.riskOverride).toBe('low');
+      expect(result.safeOverride).toBe(true);
+    });
+
+    test('should not apply the low-dose band before its start week', () => {
+      const early = assessDose(aspirin, 1, { dose: '81mg', frequency: 'daily' }, 8);
+      const started = assessDose(aspirin, 1, { dose: '81mg', frequency: 'daily' }, 12);
+
+      expect(early).toMatchObject({ lowDose: false, riskOverride: null, safeOverride: null });
+      expect(early.warnings).toContain('The low-dose band (up to 162mg/day) applies from week 12');
+      expect(started).toMatchObject({ lowDose: true, riskOverride: 'low', safeOverride: true });
+    });
+
+    test('should flag doses above the pregnancy limit', () => {
+      const result = assessDose(aspirin, 2, { dose: '325mg', frequency: 'q6h' });
+
+      expect(result.exceedsPregnancyLimit).toBe(true);
+      expect(result.exceedsLabelLimit).toBe(false);
+      expect(result.riskOverride).toBe('high');
+    });
+
+    test('should flag doses above the label maximum', () => {
+      const result = assessDose(aspirin, 2, { dose: '500mg', quantity: 2, frequency: 'q4h' });
+
+      expect(result.exceedsLabelLimit).toBe(true);
+      expect(result.riskOverride).toBe('critical');
+    });
+
+    test('should warn about strengths not listed for the medication', () => {
+      const result = assessDose(aspirin, 2, { dose: '100mg' });
+      expect(result.warnings.some(w => w.includes('not a listed strength'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * FHIR Export Tests
+ *
+ * Tests for converting audit entries to a FHIR R4 Bundle
+ */
+
+const {
+  buildFhirBundle,
+  interactionResultToDetectedIssues,
+  FHIR_SYSTEMS
+} = require('../../src/services/fhir-export');
+const {
+  logMedicationStarted,
+  logMedicationStopped,
+  logInteractionCheck,
+  logRiskCalculation,
+  exportAuditLogs,
+  setAuditStorage,
+  getAuditStorage
+} = require('../../src/services/pregnancy-audit-logger');
+const { checkPregnancyInteractions } = require('../../src/services/pregnancy-interaction-checker');
+const AuditService = require('../../src/services/AuditService');
+
+const PATIENT = 'patient_fhir';
+
+const resourcesOf = (bundle, type) => bundle.entry
+  .map(entry => entry.resource)
+  .filter(resource => resource.resourceType === type);
+
+describe('FHIR Export', () => {
+  beforeEach(() => {
+    setAuditStorage({ type: 'memory' });
+  });
+
+  afterAll(() => {
+    setAuditStorage();
+  });
+
+  const logExposureHistory = async () => {
+    await logMedicationStarted({
+      patientId: PATIENT,
+      medicationName: 'Ibuprofen',
+      dosage: '400mg',
+      frequency: 'every 6 hours',
+      weekOfPregnancy: 10,
+      startDate: '2026-03-01T00:00:00.000Z',
+      indication: 'Back pain'
+    });
+    await logMedicationStarted({
+      patientId: PATIENT,
+      medicationName: 'Lisinopril',
+      dosage: '10mg',
+      weekOfPregnancy: 12,
+      startDate: '2026-03-15T00:00:00.000Z',
+      indication: 'Hypertension'
+    });
+    await logMedicationStopped({
+      patientId: PATIENT,
+      medicationName: 'Ibuprofen',
+      weekOfPregnancy: 14,
+      stopDate: '2026-03-29T00:00:00.000Z',
+      reason: 'Pain resolved'
+    });
+  };
+
+  const logAssessments = async () => {
+    const service = new AuditService({ auditStorage: getAuditStorage() });
+    const interactions = checkPregnancyInteractions(['Ibuprofen', 'Lisinopril'], 20);
+    await service.logInteractions(interactions, { patientId: PATIENT });
+    await logRiskCalculation({
+      patientId: PATIENT,
+      medications: ['Ibuprofen', 'Lisinopril'],
+      weekOfPregnancy: 20,
+      overallRiskLevel: 'critical',
+      riskScore: 92,
+      requiresProviderConsent: true,
+      requiresObstetrician: true,
+      recommendations: [
+        { priority: 'HIGH', action: 'Review with obstetrician', medication: 'Lisinopril', reason: 'Category D - Known fetal risks' },
+        { priority: 'CRITICAL', action: 'Seek immediate medical attention', reason: 'Critical drug interactions detected during pregnancy' }
+      ],
+      contentVersion: 'interactions@2026.10.0'
+    });
+  };
+
+  describe('buildFhirBundle', () => {
+    test('should produce a collection Bundle with full URLs', async () => {
+      await logExposureHistory();
+      const bundle = JSON.parse(await exportAuditLogs({ patientId: PATIENT }, 'fhir'));
+
+      expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'collection' });
+      bundle.entry.forEach(entry => {
+        expect(entry.fullUrl).toBe(`urn:uuid:${entry.resource.id}`);
+        expect(entry.resource.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      });
+    });
+
+    test('should export medication courses as MedicationStatements with RxNorm codings', async () => {
+      await logExposureHistory();
+      const statements = resourcesOf(JSON.parse(await exportAuditLogs({}, 'fhir')), 'MedicationStatement');
+
+      expect(statements).toHaveLength(2);
+      const ibuprofen = statements.find(s => s.medicationCodeableConcept.text === 'Ibuprofen');
+
+      expect(ibuprofen).toMatchObject({
+        status: 'stopped',
+        subject: { identifier: { system: FHIR_SYSTEMS.PATIENT_ID, value: PATIENT } },
+        effectivePeriod: { start: '2026-03-01T00:00:00.000Z', end: '2026-03-29T00:00:00.000Z' },
+        reasonCode: [{ text: 'Back pain' }],
+        statusReason: [{ text: 'Pain resolved' }],
+        dosage: [{ text: '400mg every 6 hours' }]
+      });
+      expect(ibuprofen.medicationCodeableConcept.coding[0]).toMatchObject({
+        system: FHIR_SYSTEMS.RXNORM,
+        code: '5640'
+      });
+      expect(statements.find(s => s.medicationCodeableConcept.text === 'Lisinopril').status).toBe('active');
+    });
+
+    test('should export interaction findings as DetectedIssues implicating the statements', async () => {
+      await logExposureHistory();
+      await logAssessments();
+      const bundle = JSON.parse(await exportAuditLogs({}, 'fhir'));
+
+      const statementUrls = bundle.entry
+        .filter(entry => entry.resource.resourceType === 'MedicationStatement')
+        .map(entry => entry.fullUrl);
+      const drugIssue = resourcesOf(bundle, 'DetectedIssue').find(issue => issue.code.coding[0].code === 'DRG');
+
+      expect(drugIssue).toMatchObject({
+        status: 'final',
+        severity: 'high',
+        patient: { identifier: { value: PATIENT } },
+        code: { text: expect.stringContaining('nsaid_ace_inhibitor') }
+      });
+      expect(drugIssue.implicated.map(ref => ref.reference).sort()).toEqual([...statementUrls].sort());
+      expect(drugIssue.mitigation[0].action.text).toBe('AVOID COMBINATION - Use safer alternatives');
+    });
+
+    test('should code pregnancy contraindications as condition alerts', async () => {
+      await logInteractionCheck({
+        patientId: PATIENT,
+        medications: ['Atorvastatin'],
+        weekOfPregnancy: 8,
+        interactionsFound: 1,
+        highestSeverity: 'critical',
+        safe: false,
+        recommendation: 'Stop',
+        findings: [{
+          type: 'pregnancy_contraindication',
+          ruleId: null,
+          severity: 'critical',
+          trimesterRisk: 'critical',
+          medications: ['Atorvastatin'],
+          reason: 'Category X - Contraindicated in pregnancy',
+          recommendation: 'DISCONTINUE IMMEDIATELY'
+        }]
+      });
+
+      const [issue] = resourcesOf(JSON.parse(await exportAuditLogs({}, 'fhir')), 'DetectedIssue');
+
+      expect(issue.code.coding[0]).toMatchObject({ system: FHIR_SYSTEMS.ACT_CODE, code: 'COND' });
+      expect(issue.implicated).toEqual([{ display: 'Atorvastatin' }]);
+      expect(issue.detail).toBe('Category X - Contraindicated in pregnancy (week 8)');
+    });
+
+    test('should export risk calculations as RiskAssessments based on gestational age', async () => {
+      await logAssessments();
+      const bundle = JSON.parse(await exportAuditLogs({}, 'fhir'));
+
+      const [observation] = bundle.entry.filter(entry => entry.resource.resourceType === 'Observation');
+      const [assessment] = resourcesOf(bundle, 'RiskAssessment');
+
+      expect(observation.resource).toMatchObject({
+        status: 'final',
+        code: { coding: [{ system: FHIR_SYSTEMS.LOINC, code: '49051-6' }] },
+        valueQuantity: { value: 20, unit: 'wk', system: FHIR_SYSTEMS.UCUM, code: 'wk' }
+      });
+      expect(assessment.basis[0].reference).toBe(observation.fullUrl);
+      expect(assessment.prediction[0]).toMatchObject({
+        qualitativeRisk: { coding: [{ system: FHIR_SYSTEMS.RISK_PROBABILITY, code: 'high' }] },
+        rationale: expect.stringContaining('92/100')
+      });
+      expect(assessment.mitigation).toBe([
+        'Review with obstetrician - Lisinopril: Category D - Known fetal risks',
+        'Seek immediate medical attention: Critical drug interactions detected during pregnancy'
+      ].join('\n'));
+      expect(assessment.note[0].text).toContain('interactions@2026.10.0');
+    });
+
+    test('should not export a RiskAssessment without a patient', () => {
+      const bundle = buildFhirBundle([{
+        id: 'audit_anonymous',
+        type: 'risk_calculation',
+        timestamp: '2026-03-01T00:00:00.000Z',
+        patientId: null,
+        data: { medications: ['Ibuprofen'], weekOfPregnancy: 20, overallRiskLevel: 'moderate', riskScore: 40 }
+      }]);
+
+      expect(resourcesOf(bundle, 'RiskAssessment')).toEqual([]);
+    });
+
+    test('should give the same resources the same ids on every export', async () => {
+      await logExposureHistory();
+      await logAssessments();
+
+      const first = JSON.parse(await exportAuditLogs({}, 'fhir'));
+      const second = JSON.parse(await exportAuditLogs({}, 'fhir'));
+
+      expect(second.entry.map(e => e.fullUrl)).toEqual(first.entry.map(e => e.fullUrl));
+      expect(new Set(first.entry.map(e => e.fullUrl)).size).toBe(first.entry.length);
+    });
+
+    test('should return an empty Bundle for no entries', () => {
+      expect(buildFhirBundle([]).entry).toEqual([]);
+    });
+  });
+
+  describe('interactionResultToDetectedIssues', () => {
+    test('should convert a live interaction check', () => {
+      const result = checkPregnancyInteractions(['Ibuprofen', 'Lisinopril'], 20);
+      const issues = interactionResultToDetectedIssues(result, { patientId: PATIENT });
+
+      expect(issues.length).toBe(result.interactionsFound);
+      issues.forEach(issue => {
+        expect(issue.resourceType).toBe('DetectedIssue');
+        expect(issue.patient.identifier.value).toBe(PATIENT);
+      });
+    });
+
+    test('should return no issues when nothing was found', () => {
+      const result = checkPregnancyInteractions(['Acetaminophen'], 20);
+      expect(interactionResultToDetectedIssues(result)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Knowledge Base Tests
+ *
+ * Tests for loading, validating and merging the interaction, washout and
+ * maternal-condition knowledge base
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadKnowledgeBase,
+  validateKnowledgeBase
+} = require('../../src/services/knowledge-base');
+const {
+  checkPregnancyInteractions,
+  getSafeAlternativesForCondition,
+  configureKnowledgeBase,
+  getContentVersion,
+  assessPreconceptionRegimen
+} = require('../../src/services/pregnancy-interaction-checker');
+const { validateSchema } = require('../../src/utils/schema-validator');
+const { validateConfig } = require('../../src/utils/validators');
+
+const clinicRules = {
+  version: '1.2.0',
+  source: 'clinic',
+  interactions: {
+    ssri_proton_pump_inhibitor: {
+      match: [{ class: 'ssri' }, { class: 'proton_pump_inhibitor' }],
+      severity: 'low',
+      normalSeverity: 'low',
+      pregnancySpecific: false,
+      reason: 'Clinic monitoring rule',
+      effects: { maternal: ['Hyponatremia'], fetal: [], neonatal: [] },
+      trimesterRisks: { 1: 'low', 2: 'low', 3: 'low' },
+      recommendation: 'Monitor sodium',
+      alternatives: {}
+    }
+  },
+  conditions: {
+    MIGRAINE: {
+      condition: 'Migraine',
+      risksInPregnancy: ['Preeclampsia'],
+      safeMedications: {
+        firstLine: ['Acetaminophen'],
+        secondLine: ['Metoclopramide'],
+        avoid: ['Ergotamine']
+      },
+      trimesterConsiderations: { 1: 'Acetaminophen first', 2: 'Acetaminophen first', 3: 'Avoid NSAIDs' }
+    }
+  }
+};
+
+describe('Knowledge Base', () => {
+
+  afterEach(() => {
+    configureKnowledgeBase();
+  });
+
+  describe('loadKnowledgeBase', () => {
+    test('should load and version the built-in rules', () => {
+      const kb = loadKnowledgeBase();
+
+      expect(kb.interactions.nsaid_ace_inhibitor.severity).toBe('critical');
+      expect(kb.conditions.HYPERTENSION).toBeDefined();
+      expect(kb.washouts.isotretinoin.washoutWeeks).toBe(4);
+      expect(kb.conditions.EPILEPSY.preconception.folicAcid.dailyDoseMg).toBe(4);
+      expect(kb.contentVersion.interactions).toMatch(/^\d+\.\d+\.\d+$/);
+      expect(kb.contentVersion.id).toBe(
+        `interactions@${kb.contentVersion.interactions}+conditions@${kb.contentVersion.conditions}`
+      );
+      expect(kb.overrides).toEqual([]);
+    });
+
+    test('should merge supplementary rules and record overrides', () => {
+      const override = {
+        version: '0.1.0',
+        source: 'override',
+        interactions: {
+          nsaid_nsaid: { ...loadKnowledgeBase().interactions.nsaid_nsaid, severity: 'moderate' }
+        }
+      };
+
+      const kb = loadKnowledgeBase({ supplementary: [clinicRules, override] });
+
+      expect(kb.interactions.ssri_proton_pump_inhibitor).toBeDefined();
+      expect(kb.conditions.MIGRAINE.condition).toBe('Migraine');
+      expect(kb.interactions.nsaid_nsaid.severity).toBe('moderate');
+      expect(kb.overrides).toEqual([{ type: 'interaction', key: 'nsaid_nsaid', source: 'override' }]);
+      expect(kb.contentVersion.supplementary).toEqual([
+        { source: 'clinic', version: '1.2.0' },
+        { source: 'override', version: '0.1.0' }
+      ]);
+      expect(kb.contentVersion.id).toMatch(/\+clinic@1\.2\.0\+override@0\.1\.0$/);
+    });
+
+    test('should read supplementary rule files from disk', () => {
+      const file = path.join(os.tmpdir(), `bumpie-kb-${Date.now()}.json`);
+      const { source, ...rules } = clinicRules;
+      fs.writeFileSync(file, JSON.stringify(rules));
+
+      try {
+        const kb = loadKnowledgeBase({ supplementary: [file] });
+        expect(kb.contentVersion.supplementary[0]).toEqual({
+          source: path.basename(file, '.json'),
+          version: '1.2.0'
+        });
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    test('should reject unreadable supplementary files', () => {
+      expect(() => loadKnowledgeBase({ supplementary: ['/nonexistent/rules.json'] }))
+        .toThrow(/Failed to read knowledge base file/);
+    });
+  });
+
+  describe('validateKnowledgeBase', () => {
+    test('should reject rules that do not match the schema', () => {
+      const invalid = {
+        version: '1.0.0',
+        interactions: {
+          bad_rule: { ...clinicRules.interactions.ssri_proton_pump_inhibitor, severity: 'severe' }
+        }
+      };
+
+      try {
+        validateKnowledgeBase(invalid, 'test');
+        throw new Error('expected validation to fail');
+      } catch (error) {
+        expect(error.code).toBe('DATA_LOAD_ERROR');
+        expect(error.details.errors[0].path).toBe('$.interactions.bad_rule.severity');
+      }
+    });
+
+    test('should reject unknown therapeutic classes', () => {
+      const invalid = {
+        version: '1.0.0',
+        interactions: {
+          ssri_triptan: {
+            ...clinicRules.interactions.ssri_proton_pump_inhibitor,
+            match: [{ class: 'ssri' }, { class: 'triptan' }]
+          }
+        }
+      };
+
+      expect(() => validateKnowledgeBase(invalid, 'test')).toThrow(/unknown therapeutic class "triptan"/);
+    });
+
+    test('should reject washout rules with an unknown class or a negative period', () => {
+      const invalid = {
+        version: '1.0.0',
+        washouts: {
+          triptan: { match: { class: 'triptan' }, washoutWeeks: 1, reason: 'Test', recommendation: 'Stop' },
+          finasteride: { match: { drug: 'Finasteride' }, washoutWeeks: -4, reason: 'Test', recommendation: 'Stop' }
+        }
+      };
+
+      try {
+        validateKnowledgeBase(invalid, 'test');
+        throw new Error('expected validation to fail');
+      } catch (error) {
+        expect(error.details.errors.map(e => e.path)).toEqual([
+          '$.washouts.triptan.match.class',
+          '$.washouts.finasteride.washoutWeeks'
+        ]);
+      }
+    });
+
+    test('should require a version stamp', () => {
+      const { version, ...unversioned } = clinicRules;
+      expect(() => validateKnowledgeBase(unversioned, 'test')).toThrow(/version/);
+    });
+  });
+
+  describe('validateSchema', () => {
+    const schema = {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        tags: { type: 'array', items: { enum: ['a', 'b'] }, maxItems: 2 },
+        week: { type: 'integer', minimum: 1, maximum: 45 }
+      },
+      additionalProperties: false
+    };
+
+    test('should accept valid data', () => {
+      expect(validateSchema({ name: 'x', tags: ['a'] }, schema)).toEqual({ valid: true, errors: [] });
+    });
+
+    test('should report every error with its path', () => {
+      const { valid, errors } = validateSchema({ tags: ['c', 'a', 'b'], extra: 1 }, schema);
+
+      expect(valid).toBe(false);
+      expect(errors.map(e => e.path)).toEqual(['$', '$.tags', '$.tags[0]', '$.extra']);
+    });
+
+    test('should enforce minimum and maximum', () => {
+      expect(validateSchema({ name: 'x', week: 1 }, schema).valid).toBe(true);
+      expect(validateSchema({ name: 'x', week: 45 }, schema).valid).toBe(true);
+      expect(validateSchema({ name: 'x', week: 0 }, schema).errors).toEqual([
+        { path: '$.week', message: 'must be >= 1, got 0' }
+      ]);
+      expect(validateSchema({ name: 'x', week: 46 }, schema).errors).toEqual([
+        { path: '$.week', message: 'must be <= 45, got 46' }
+      ]);
+    });
+  });
+
+  describe('interaction checker integration', () => {
+    test('should stamp results with the content version', () => {
+      const version = getContentVersion();
+
+      expect(checkPregnancyInteractions(['Ibuprofen'], 20).contentVersion).toEqual(version);
+      expect(getSafeAlternativesForCondition('hypertension', 2).contentVersion).toEqual(version);
+    });
+
+    test('should apply supplementary rules once configured', () => {
+      const version = configureKnowledgeBase({ supplementary: [clinicRules] });
+      const result = checkPregnancyInteractions(['Sertraline', 'Omeprazole'], 20);
+
+      expect(result.interactions.some(i => i.ruleId === 'ssri_proton_pump_inhibitor')).toBe(true);
+      expect(result.contentVersion.id).toBe(version.id);
+      expect(getSafeAlternativesForCondition('migraine', 1).found).toBe(true);
+    });
+
+    test('should apply supplementary washout rules to preconception plans', () => {
+      configureKnowledgeBase({
+        supplementary: [{
+          version: '1.0.0',
+          source: 'fertility-clinic',
+          washouts: {
+            isotretinoin: { match: { drug: 'Isotretinoin' }, washoutWeeks: 8, reason: 'Clinic policy', recommendation: 'Stop 2 months before' }
+          }
+        }]
+      });
+
+      const result = assessPreconceptionRegimen(['Isotretinoin'], '2027-03-01', { asOf: '2026-10-19' });
+      expect(result.washouts[0]).toMatchObject({ washoutWeeks: 8, stopBy: '2027-01-04' });
+    });
+
+    test('should reject instances that ask for different supplementary files', () => {
+      const { BumpieMeds } = require('../../src/index');
+      const meds = new BumpieMeds({ knowledgeBaseFiles: [clinicRules] });
+
+      expect(() => new BumpieMeds({ knowledgeBaseFiles: [clinicRules] })).not.toThrow();
+      expect(() => new BumpieMeds()).toThrow(/differ from those already loaded/);
+      expect(meds.getContentVersion().supplementary).toHaveLength(1);
+    });
+
+    test('should accept supplementary files in the module config', () => {
+      expect(validateConfig({ knowledgeBaseFiles: [clinicRules] }).knowledgeBaseFiles).toHaveLength(1);
+      expect(() => validateConfig({ knowledgeBaseFiles: 'rules.json' })).toThrow(/knowledgeBaseFiles/);
+    });
+  });
+});
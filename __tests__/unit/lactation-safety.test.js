@@ -0,0 +1,132 @@
+/**
+ * Lactation Safety Tests
+ *
+ * Tests for infant age groups, age-aware breastfeeding guidance and postpartum mode
+ */
+
+const {
+  getInfantAgeGroup,
+  getLactationSafety,
+  checkPostpartumSafety,
+  LACTATION_SAFETY
+} = require('../../src/services/lactation-safety');
+const { ERROR_CODES } = require('../../src/utils/constants');
+const { validatePostpartumWeek } = require('../../src/utils/validators');
+
+describe('Lactation Safety', () => {
+  describe('getInfantAgeGroup', () => {
+    test.each([
+      [{ ageWeeks: 0 }, 'neonate', 0],
+      [{ ageWeeks: 3.5 }, 'neonate', 3.5],
+      [{ ageWeeks: 4 }, 'infant', 4],
+      [{ ageWeeks: 26 }, 'older_infant', 26],
+      [{ ageWeeks: 2, gestationalAgeAtBirth: 32 }, 'premature', -6],
+      [{ ageWeeks: 11, gestationalAgeAtBirth: 32 }, 'premature', 3],
+      [{ ageWeeks: 12, gestationalAgeAtBirth: 32 }, 'infant', 4],
+      [{ ageWeeks: 1, gestationalAgeAtBirth: 38 }, 'neonate', 1]
+    ])('should place %j in %s', (infant, key, correctedAgeWeeks) => {
+      expect(getInfantAgeGroup(infant)).toMatchObject({ key, ageWeeks: infant.ageWeeks, correctedAgeWeeks });
+    });
+
+    test('should reject missing or impossible ages', () => {
+      expect(() => getInfantAgeGroup({})).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_REQUEST }));
+      expect(() => getInfantAgeGroup({ ageWeeks: -1 })).toThrow('Infant age must be');
+      expect(() => getInfantAgeGroup({ ageWeeks: 2, gestationalAgeAtBirth: 18 })).toThrow('between 22 and 44 weeks');
+    });
+  });
+
+  describe('getLactationSafety', () => {
+    test('should return infant dose, milk/plasma ratio, half-life, timing and monitoring', () => {
+      expect(getLactationSafety('Zoloft')).toMatchObject({
+        found: true,
+        medicationName: 'Sertraline',
+        lactationSafe: true,
+        safety: LACTATION_SAFETY.SAFE,
+        relativeInfantDose: { min: 0.4, max: 2.2, aboveThreshold: false },
+        milkPlasmaRatio: null,
+        halfLifeHours: 26,
+        timing: null,
+        infantMonitoring: ['Irritability or unusual sleepiness', 'Poor feeding or poor weight gain'],
+        infantAgeGroup: null,
+        infantAgeNote: null
+      });
+      expect(getLactationSafety('Tylenol').relativeInfantDose).toEqual({ min: 8.8, max: 24.2, aboveThreshold: true });
+    });
+
+    test('should apply guidance for the infant age group', () => {
+      const older = getLactationSafety('Lisinopril', { infant: { ageWeeks: 12 } });
+      const newborn = getLactationSafety('Lisinopril', { infant: { ageWeeks: 1 } });
+
+      expect(older).toMatchObject({ lactationSafe: 'caution', safety: LACTATION_SAFETY.CAUTION, infantAgeNote: null });
+      expect(older.infantAgeGroup.key).toBe('infant');
+      expect(newborn).toMatchObject({ lactationSafe: false, safety: LACTATION_SAFETY.UNSAFE });
+      expect(newborn.infantAgeNote).toContain('enalapril or captopril');
+      expect(newborn.timing).toBe('Take once daily right after a feed');
+    });
+
+    test('should rate a combination product by its least safe ingredient for the infant', () => {
+      const term = getLactationSafety('Percocet', { infant: { ageWeeks: 8 } });
+      const preterm = getLactationSafety('Percocet', { infant: { ageWeeks: 1, gestationalAgeAtBirth: 34 } });
+
+      expect(term.safety).toBe(LACTATION_SAFETY.CAUTION);
+      expect(preterm.safety).toBe(LACTATION_SAFETY.UNSAFE);
+      expect(preterm.infantAgeNote).toMatch(/^Oxycodone: Preterm infants are at risk of apnea/);
+      expect(preterm.infantMonitoring).toContain('Limpness or slow, shallow breathing');
+      expect(preterm.ingredients[1]).toMatchObject({ name: 'Acetaminophen', safety: 'safe', halfLifeHours: 2 });
+    });
+
+    test('should report codeine as unsafe at any age', () => {
+      expect(getLactationSafety('Codeine', { infant: { ageWeeks: 40 } }).safety).toBe(LACTATION_SAFETY.UNSAFE);
+    });
+  });
+
+  describe('checkPostpartumSafety', () => {
+    test('should use weeks since delivery as the infant age while breastfeeding', () => {
+      const result = checkPostpartumSafety('Gabapentin', { weeksPostpartum: 2 });
+
+      expect(result).toMatchObject({
+        mode: 'postpartum',
+        medicationName: 'Gabapentin',
+        weeksPostpartum: 2,
+        breastfeeding: true,
+        safe: false,
+        warnings: []
+      });
+      expect(result.lactation).toMatchObject({ safety: LACTATION_SAFETY.CAUTION, infantAgeGroup: { key: 'neonate', ageWeeks: 2 } });
+      expect(checkPostpartumSafety('Gabapentin', { weeksPostpartum: 10 }).safe).toBe(true);
+    });
+
+    test('should accept weeks past the end of pregnancy and a preterm birth', () => {
+      const result = checkPostpartumSafety('Sertraline', { weeksPostpartum: 60, infant: { gestationalAgeAtBirth: 30 } });
+
+      expect(result.lactation.infantAgeGroup).toMatchObject({ key: 'older_infant', ageWeeks: 60, correctedAgeWeeks: 50 });
+    });
+
+    test('should flag only future-pregnancy risk when not breastfeeding', () => {
+      expect(checkPostpartumSafety('Lipitor', { weeksPostpartum: 8, breastfeeding: false })).toMatchObject({
+        breastfeeding: false,
+        lactation: null,
+        safe: true,
+        warnings: ['Atorvastatin is contraindicated in pregnancy: use effective contraception while taking it']
+      });
+    });
+
+    test('should reject invalid weeks and unknown medications', () => {
+      expect(() => checkPostpartumSafety('Sertraline', { weeksPostpartum: 105 }))
+        .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_WEEK }));
+      expect(() => checkPostpartumSafety('Sertraline', {})).toThrow('Weeks postpartum must be');
+      expect(() => checkPostpartumSafety('NotARealDrug', { weeksPostpartum: 4 }))
+        .toThrow(expect.objectContaining({ code: ERROR_CODES.MEDICATION_NOT_FOUND }));
+    });
+  });
+
+  describe('validatePostpartumWeek', () => {
+    test('should allow whole weeks from delivery to two years', () => {
+      expect(validatePostpartumWeek(0)).toBe(true);
+      expect(validatePostpartumWeek(46)).toBe(true);
+      expect(validatePostpartumWeek(104)).toBe(true);
+      expect(() => validatePostpartumWeek(2.5)).toThrow('whole number from 0 to 104');
+      expect(() => validatePostpartumWeek('6')).toThrow('whole number from 0 to 104');
+    });
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Medication Curation Tests
+ *
+ * Tests for review status, field provenance and merging rebuilt records
+ * without losing clinician-authored data
+ */
+
+const {
+  getCuration,
+  getCurationSummary,
+  recordProvenance,
+  updateCuratedField,
+  transitionReviewStatus,
+  diffMedicationRecords,
+  mergeMedicationRecords,
+  mergeMedicationDatabases,
+  PROVENANCE_SOURCES
+} = require('../../src/services/medication-curation');
+const { checkMedicationSafety } = require('../../src/services/pregnancy-safety-engine');
+const { ERROR_CODES } = require('../../src/utils/constants');
+
+const trimester = (risk, warnings = []) => ({ safe: risk === 'low', risk, warnings, alternatives: [] });
+
+const RECORD = {
+  id: 'med_rxcui_36437',
+  rxcui: '36437',
+  name: 'Sertraline',
+  brandNames: ['Zoloft'],
+  therapeuticClasses: ['ssri'],
+  pregnancyCategory: {
+    fda: 'C',
+    trimester1: trimester('moderate'),
+    trimester2: trimester('moderate'),
+    trimester3: trimester('moderate', ['Monitor the newborn for poor neonatal adaptation'])
+  },
+  contraindications: [],
+  lastUpdated: '2026-01-12T00:00:00.000Z',
+  verified: false
+};
+
+const CLINICIAN = { source: PROVENANCE_SOURCES.CLINICIAN, citation: 'ACOG CPG 5', reviewer: 'dr.lee', reviewDate: '2026-10-01' };
+
+// What the builder produces: letter-derived trimester blocks with empty warnings
+const rebuilt = (overrides = {}) => ({
+  ...RECORD,
+  brandNames: ['Zoloft', 'Lustral'],
+  pregnancyCategory: { fda: 'C', trimester1: trimester('moderate'), trimester2: trimester('moderate'), trimester3: trimester('moderate') },
+  lastUpdated: '2026-10-19T00:00:00.000Z',
+  ...overrides
+});
+
+describe('Medication Curation', () => {
+  describe('review status', () => {
+    test('should treat records without curation as draft', () => {
+      expect(getCuration(RECORD)).toEqual({ status: 'draft', history: [], fields: {} });
+      expect(getCurationSummary(RECORD)).toMatchObject({ status: 'draft', verified: false, reviewedBy: null, approvedBy: null });
+      expect(getCurationSummary(RECORD).unreviewedFields).toContain('pregnancyCategory.trimester3.warnings');
+    });
+
+    test('should move draft -> reviewed -> approved and mark the record verified', () => {
+      const reviewed = transitionReviewStatus(RECORD, 'reviewed', { reviewer: 'dr.lee', date: '2026-10-02' });
+      const approved = transitionReviewStatus(reviewed, 'approved', { reviewer: 'dr.patel', date: '2026-10-03', note: 'Checked against label' });
+
+      expect(reviewed.verified).toBe(false);
+      expect(reviewed.curation.fields['pregnancyCategory.fda']).toEqual({ source: null, citation: null, reviewer: 'dr.lee', reviewDate: '2026-10-02' });
+      expect(approved.verified).toBe(true);
+      expect(getCurationSummary(approved)).toEqual({
+        status: 'approved',
+        verified: true,
+        reviewedBy: 'dr.lee',
+        reviewedAt: '2026-10-02',
+        approvedBy: 'dr.patel',
+        approvedAt: '2026-10-03',
+        unreviewedFields: []
+      });
+      expect(RECORD.curation).toBeUndefined();
+    });
+
+    test.each([
+      ['skipping review', rec => transitionReviewStatus(rec, 'approved', { reviewer: 'dr.patel' }), 'cannot move from draft to approved'],
+      ['an unknown status', rec => transitionReviewStatus(rec, 'signed', { reviewer: 'dr.lee' }), 'Unknown review status'],
+      ['no reviewer', rec => transitionReviewStatus(rec, 'reviewed'), 'A reviewer is required'],
+      [
+        'the reviewer approving their own review',
+        rec => transitionReviewStatus(transitionReviewStatus(rec, 'reviewed', { reviewer: 'dr.lee' }), 'approved', { reviewer: 'dr.lee' }),
+        'approval needs a second clinician'
+      ]
+    ])('should reject %s', (label, transition, message) => {
+      expect(() => transition(RECORD)).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_REQUEST, message: expect.stringContaining(message) }));
+    });
+
+    test('should send an approved record back to draft when a curated field changes', () => {
+      const approved = transitionReviewStatus(
+        transitionReviewStatus(RECORD, 'reviewed', { reviewer: 'dr.lee', date: '2026-10-02' }),
+        'approved',
+        { reviewer: 'dr.patel', date: '2026-10-03' }
+      );
+      const edited = updateCuratedField(approved, 'pregnancyCategory.trimester1.warnings', ['Take folic acid'], CLINICIAN);
+
+      expect(edited.pregnancyCategory.trimester1.warnings).toEqual(['Take folic acid']);
+      expect(edited.curation.fields['pregnancyCategory.trimester1.warnings']).toEqual(CLINICIAN);
+      expect(edited.curation.history.at(-1)).toEqual({ status: 'draft', reviewer: 'dr.lee', date: '2026-10-01', note: 'Changed pregnancyCategory.trimester1.warnings' });
+      expect(getCurationSummary(edited)).toMatchObject({ status: 'draft', verified: false, reviewedBy: null, approvedBy: null });
+    });
+  });
+
+  describe('recordProvenance', () => {
+    test('should only accept curated fields with a source', () => {
+      expect(() => recordProvenance(RECORD, 'brandNames', CLINICIAN)).toThrow('Not a curated field: brandNames');
+      expect(() => recordProvenance(RECORD, 'pregnancyCategory.fda', { citation: 'x' })).toThrow('needs a source');
+      expect(() => recordProvenance(RECORD, 'pregnancyCategory.fda', { source: 'clinician', reviewer: 'dr.lee' }))
+        .toThrow('no review date');
+    });
+  });
+
+  describe('diff and merge', () => {
+    test('should list changed fields and which are protected', () => {
+      const curated = recordProvenance(RECORD, 'pregnancyCategory.trimester3.warnings', CLINICIAN);
+
+      expect(diffMedicationRecords(curated, rebuilt())).toEqual([
+        {
+          field: 'pregnancyCategory.trimester3.warnings',
+          current: ['Monitor the newborn for poor neonatal adaptation'],
+          incoming: [],
+          curated: true,
+          protected: true
+        },
+        { field: 'brandNames', current: ['Zoloft'], incoming: ['Zoloft', 'Lustral'], curated: false, protected: false }
+      ]);
+    });
+
+    test('should keep clinician-authored warnings when rebuilding', () => {
+      const current = recordProvenance(RECORD, 'pregnancyCategory.trimester3.warnings', CLINICIAN);
+      const incoming = rebuilt({
+        pregnancyCategory: { ...rebuilt().pregnancyCategory, trimester3: trimester('moderate', ['Generated warning']) }
+      });
+      const { record, changes, conflicts } = mergeMedicationRecords(current, incoming, { date: '2026-10-19' });
+
+      expect(record.pregnancyCategory.trimester3.warnings).toEqual(['Monitor the newborn for poor neonatal adaptation']);
+      expect(record.brandNames).toEqual(['Zoloft', 'Lustral']);
+      expect(record.lastUpdated).toBe('2026-10-19T00:00:00.000Z');
+      expect(changes.map(change => change.field)).toEqual(['brandNames']);
+      expect(conflicts).toEqual([expect.objectContaining({ field: 'pregnancyCategory.trimester3.warnings', incoming: ['Generated warning'] })]);
+    });
+
+    test('should not let empty or generated values replace curated data in a draft', () => {
+      const generated = { source: PROVENANCE_SOURCES.GENERATED, citation: 'FDA category C', reviewer: null, reviewDate: null };
+      const incoming = recordProvenance(
+        rebuilt({ pregnancyCategory: { ...rebuilt().pregnancyCategory, trimester2: trimester('low') } }),
+        'pregnancyCategory.trimester2.risk',
+        generated
+      );
+      const { record, conflicts } = mergeMedicationRecords(RECORD, incoming);
+
+      expect(record.pregnancyCategory.trimester3.warnings).toEqual(RECORD.pregnancyCategory.trimester3.warnings);
+      expect(record.pregnancyCategory.trimester2.risk).toBe('moderate');
+      expect(record.pregnancyCategory.trimester2.safe).toBe(true);
+      expect(conflicts).toEqual([]);
+    });
+
+    test('should send a reviewed record back to draft when curated data changes', () => {
+      const reviewed = transitionReviewStatus(
+        { ...RECORD, contraindications: undefined },
+        'reviewed',
+        { reviewer: 'dr.lee', date: '2026-10-02' }
+      );
+      const { record, conflicts } = mergeMedicationRecords(reviewed, rebuilt({ contraindications: ['MAOI use'] }), { date: '2026-10-19' });
+
+      expect(record.contraindications).toEqual(['MAOI use']);
+      expect(conflicts).toEqual([]);
+      expect(record.curation.status).toBe('draft');
+      expect(record.curation.history.at(-1)).toEqual({ status: 'draft', reviewer: null, date: '2026-10-19', note: 'Rebuilt: contraindications' });
+    });
+
+    test('should merge databases by RxCUI and report what changed', () => {
+      const approved = transitionReviewStatus(
+        transitionReviewStatus(RECORD, 'reviewed', { reviewer: 'dr.lee' }),
+        'approved',
+        { reviewer: 'dr.patel' }
+      );
+      const { medications, report } = mergeMedicationDatabases(
+        [approved, { name: 'Keptdrug', rxcui: '1', pregnancyCategory: { fda: 'B' } }],
+        [rebuilt({ therapeuticClasses: ['antidepressant'] }), { name: 'Newdrug', rxcui: '2', pregnancyCategory: { fda: 'C' } }]
+      );
+
+      expect(medications.map(m => m.name)).toEqual(['Sertraline', 'Keptdrug', 'Newdrug']);
+      expect(medications[0]).toMatchObject({ brandNames: ['Zoloft', 'Lustral'], therapeuticClasses: ['ssri'], verified: true });
+      expect(medications[2].curation.status).toBe('draft');
+      expect(report).toEqual({
+        added: ['Newdrug'],
+        updated: ['Sertraline'],
+        unchanged: [],
+        returnedToDraft: [],
+        conflicts: [expect.objectContaining({ medication: 'Sertraline', field: 'therapeuticClasses' })]
+      });
+    });
+  });
+
+  describe('safety results', () => {
+    test('should report whether the data behind a result was verified', () => {
+      expect(checkMedicationSafety('Sertraline', 20)).toMatchObject({
+        verified: false,
+        curation: { status: 'draft', verified: false, approvedBy: null }
+      });
+
+      const product = checkMedicationSafety('Percocet', 20);
+      expect(product).toMatchObject({ verified: false, curation: null });
+      expect(product.ingredients[0]).toMatchObject({ verified: false, curationStatus: 'draft' });
+    });
+  });
+});
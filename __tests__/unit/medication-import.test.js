@@ -0,0 +1,299 @@
+/**
+ * Medication Import Tests
+ *
+ * Tests for building medication records from RxNorm RRF files and openFDA
+ * label dumps, using a small release written to a temporary directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  importMedicationData,
+  loadRxNorm,
+  selectLabel,
+  extractLabelSections,
+  parsePllrSections
+} = require('../../src/services/medication-import');
+const { ERROR_CODES } = require('../../src/utils/constants');
+
+/**
+ * RRF rows with only the columns the importer reads filled in
+ */
+const conso = (rxcui, tty, str, { sab = 'RXNORM', suppress = 'N' } = {}) => {
+  const row = Array(18).fill('');
+  Object.assign(row, { 0: rxcui, 11: sab, 12: tty, 14: str, 16: suppress });
+  return row.join('|');
+};
+// "subject rela object", written the way RxNorm does: once forward, once inverse
+const rel = (subject, rela, object, inverse) => {
+  const row = (rxcui1, rxcui2, label) => {
+    const fields = Array(16).fill('');
+    Object.assign(fields, { 0: rxcui1, 4: rxcui2, 7: label, 10: 'RXNORM', 14: 'N' });
+    return fields.join('|');
+  };
+  return [row(object, subject, rela), row(subject, object, inverse)];
+};
+const sat = (rxcui, ndc) => {
+  const row = Array(13).fill('');
+  Object.assign(row, { 0: rxcui, 8: 'NDC', 9: 'RXNORM', 10: ndc, 11: 'N' });
+  return row.join('|');
+};
+
+const RXNCONSO = [
+  conso('161', 'IN', 'acetaminophen'),
+  conso('7804', 'IN', 'oxycodone'),
+  conso('99001', 'IN', 'testazine'),
+  conso('202433', 'BN', 'Tylenol'),
+  conso('218325', 'BN', 'Feverall'),
+  conso('42844', 'BN', 'Percocet'),
+  conso('315266', 'SCDC', 'acetaminophen 325 MG'),
+  conso('313782', 'SCD', 'acetaminophen 325 MG Oral Tablet'),
+  conso('209387', 'SBD', 'acetaminophen 325 MG Oral Tablet [Tylenol]'),
+  conso('1049620', 'SCDC', 'oxycodone hydrochloride 5 MG'),
+  conso('1049621', 'SCD', 'acetaminophen 325 MG / oxycodone hydrochloride 5 MG Oral Tablet'),
+  conso('1049640', 'SBD', 'acetaminophen 325 MG / oxycodone hydrochloride 5 MG Oral Tablet [Percocet]'),
+  conso('999999', 'BN', 'Retired Brand', { suppress: 'O' }),
+  conso('161', 'IN', 'PARACETAMOL', { sab: 'MTHSPL' })
+];
+
+const RXNREL = [
+  rel('202433', 'tradename_of', '161', 'has_tradename'),
+  rel('218325', 'tradename_of', '161', 'has_tradename'),
+  rel('999999', 'tradename_of', '161', 'has_tradename'),
+  rel('42844', 'tradename_of', '161', 'has_tradename'),
+  rel('42844', 'tradename_of', '7804', 'has_tradename'),
+  rel('315266', 'has_ingredient', '161', 'ingredient_of'),
+  rel('313782', 'consists_of', '315266', 'constitutes'),
+  rel('209387', 'tradename_of', '313782', 'has_tradename'),
+  rel('1049620', 'has_ingredient', '7804', 'ingredient_of'),
+  rel('1049621', 'consists_of', '1049620', 'constitutes'),
+  rel('1049621', 'consists_of', '315266', 'constitutes'),
+  rel('1049640', 'tradename_of', '1049621', 'has_tradename')
+].flat();
+
+const RXNSAT = [
+  sat('313782', '00904198861'),
+  sat('209387', '50580045701'),
+  sat('313782', '00536322001'),
+  sat('1049621', '00406051201')
+];
+
+const PLLR_TEXT = '8.1 Pregnancy Pregnancy Exposure Registry There is a pregnancy exposure registry for testazine. ' +
+  'Risk Summary Available data from cohort studies have not identified a drug-associated risk of major birth defects. ' +
+  'Clinical Considerations Fetal/Neonatal Adverse Reactions Monitor neonates for sedation. ' +
+  'Data Human Data A cohort of 1,200 exposed pregnancies showed no increase in malformations. ' +
+  'Animal Data No malformations were seen in rats at 10 times the human dose.';
+
+const LABELS = {
+  meta: { last_updated: '2026-10-10' },
+  results: [
+    {
+      set_id: 'apap-old',
+      effective_time: '20240101',
+      openfda: { rxcui: ['313782'], generic_name: ['ACETAMINOPHEN'] },
+      pregnancy: ['Pregnancy Category C. Use only if clearly needed.']
+    },
+    {
+      set_id: 'apap-new',
+      version: '7',
+      effective_time: '20250601',
+      openfda: { rxcui: ['209387'], generic_name: ['ACETAMINOPHEN'] },
+      pregnancy: ['8.1 Pregnancy Pregnancy Category B. No adequate studies.'],
+      nursing_mothers: ['Acetaminophen is  excreted in breast milk in small amounts.']
+    },
+    {
+      set_id: 'percocet',
+      effective_time: '20260101',
+      openfda: { rxcui: ['1049640'], generic_name: ['OXYCODONE AND ACETAMINOPHEN'] },
+      pregnancy: ['Prolonged use can cause neonatal opioid withdrawal syndrome.']
+    },
+    {
+      set_id: 'testazine',
+      effective_time: '20260301',
+      openfda: { generic_name: ['TESTAZINE'] },
+      pregnancy: [PLLR_TEXT],
+      lactation: ['8.2 Lactation Risk Summary Testazine is present in human milk.']
+    },
+    {
+      set_id: 'no-pregnancy-section',
+      effective_time: '20260901',
+      openfda: { rxcui: ['313782'] },
+      indications_and_usage: ['Temporarily relieves minor aches and pains.']
+    }
+  ]
+};
+
+const BASE = [
+  {
+    id: 'med_rxcui_161',
+    rxcui: '161',
+    name: 'Acetaminophen',
+    genericName: 'Acetaminophen',
+    brandNames: ['Tylenol', 'Percocet', 'Mapap'],
+    therapeuticClasses: ['analgesic'],
+    pregnancyCategory: { fda: 'B' },
+    sources: [{ type: 'ACOG', url: 'https://www.acog.org', date: '2025-01-01' }],
+    verified: true
+  },
+  { name: 'Testazine', therapeuticClasses: [] },
+  { name: 'Curatedonly', pregnancyCategory: { fda: 'C' } }
+];
+
+describe('Medication Import', () => {
+  let dir;
+  let labelFile;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumpie-import-'));
+    fs.writeFileSync(path.join(dir, 'RXNCONSO.RRF'), `${RXNCONSO.join('|\n')}|\n`);
+    fs.writeFileSync(path.join(dir, 'RXNREL.RRF'), `${RXNREL.join('|\n')}|\n`);
+    fs.writeFileSync(path.join(dir, 'RXNSAT.RRF'), `${RXNSAT.join('|\n')}|\n`);
+    labelFile = path.join(dir, 'drug-label-0001-of-0001.json');
+    fs.writeFileSync(labelFile, JSON.stringify(LABELS));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const runImport = (options = {}) => importMedicationData({
+    medications: BASE,
+    rxnormDir: dir,
+    labelFiles: [labelFile],
+    ...options
+  });
+
+  describe('loadRxNorm', () => {
+    test('should resolve ingredients through brands, components and products', async () => {
+      const rxnorm = await loadRxNorm(dir);
+
+      expect(rxnorm.ingredientsOf('202433')).toEqual(['161']);
+      expect(rxnorm.ingredientsOf('1049640').sort()).toEqual(['161', '7804']);
+      expect(rxnorm.concepts.has('999999')).toBe(false);
+      expect(rxnorm.productsOf('161').sort()).toEqual(['209387', '313782']);
+    });
+
+    test('should fail with DATA_LOAD_ERROR for a missing release', async () => {
+      await expect(loadRxNorm(path.join(dir, 'missing'))).rejects.toMatchObject({ code: ERROR_CODES.DATA_LOAD_ERROR });
+    });
+  });
+
+  describe('importMedicationData', () => {
+    test('should refresh imported fields and keep curated ones', async () => {
+      const { medications } = await runImport();
+      const acetaminophen = medications[0];
+
+      expect(acetaminophen).toMatchObject({
+        id: 'med_rxcui_161',
+        rxcui: '161',
+        therapeuticClasses: ['analgesic'],
+        pregnancyCategory: { fda: 'B' },
+        verified: true,
+        brandNames: ['Tylenol', 'Mapap', 'Feverall'],
+        ndcCodes: ['00536322001', '00904198861', '50580045701'],
+        ingredients: [{ rxcui: '161', name: 'Acetaminophen' }],
+        lastUpdated: '2026-10-10T00:00:00.000Z'
+      });
+      expect(acetaminophen.sources.map(s => s.type)).toEqual(['ACOG', 'RxNorm', 'openFDA']);
+      expect(acetaminophen.label).toEqual({
+        setId: 'apap-new',
+        version: '7',
+        effectiveDate: '2025-06-01',
+        pregnancyCategory: 'B',
+        sections: {
+          pregnancy: 'Pregnancy Pregnancy Category B. No adequate studies.',
+          nursingMothers: 'Acetaminophen is excreted in breast milk in small amounts.'
+        }
+      });
+    });
+
+    test('should take PLLR sections from the label when nothing was curated', async () => {
+      const { medications, report } = await runImport();
+      const testazine = medications[1];
+
+      expect(testazine).toMatchObject({ id: 'med_rxcui_99001', rxcui: '99001', verified: false });
+      expect(testazine.pllr).toEqual({
+        riskSummary: {
+          text: 'Available data from cohort studies have not identified a drug-associated risk of major birth defects.',
+          riskLevel: null
+        },
+        clinicalConsiderations: {
+          diseaseAssociatedRisk: null,
+          doseAdjustments: null,
+          fetalNeonatalAdverseReactions: 'Monitor neonates for sedation.',
+          laborOrDelivery: null
+        },
+        data: {
+          human: 'A cohort of 1,200 exposed pregnancies showed no increase in malformations.',
+          animal: 'No malformations were seen in rats at 10 times the human dose.'
+        },
+        pregnancyExposureRegistry: { available: true, text: 'There is a pregnancy exposure registry for testazine.' },
+        reproductivePotential: null
+      });
+      expect(testazine.curation.status).toBe('draft');
+      expect(testazine.curation.fields['pllr.riskSummary']).toEqual({
+        source: 'openFDA',
+        citation: 'openFDA label set_id testazine',
+        reviewer: null,
+        reviewDate: null
+      });
+      expect(report.pllrFromLabel).toEqual(['Testazine']);
+    });
+
+    test('should report unmatched records and combination brands', async () => {
+      const { medications, combinationProducts, report } = await runImport();
+
+      expect(medications[2]).toBe(BASE[2]);
+      expect(report).toMatchObject({
+        matched: ['Acetaminophen', 'Testazine'],
+        unmatched: ['Curatedonly'],
+        withoutLabel: [],
+        removedCombinationBrands: [{ medication: 'Acetaminophen', brand: 'Percocet' }],
+        date: '2026-10-10'
+      });
+      expect(combinationProducts).toEqual({
+        acetaminophen_oxycodone: { name: 'Acetaminophen and Oxycodone', brandNames: ['Percocet'], ingredients: ['Acetaminophen', 'Oxycodone'] }
+      });
+    });
+
+    test('should derive trimester data from a label letter', async () => {
+      const { medications, report } = await runImport({ medications: [{ name: 'Acetaminophen' }] });
+
+      expect(medications[0].pregnancyCategory).toEqual({
+        fda: 'B',
+        trimester1: { safe: true, risk: 'low', warnings: [], alternatives: [] },
+        trimester2: { safe: true, risk: 'low', warnings: [], alternatives: [] },
+        trimester3: { safe: true, risk: 'low', warnings: [], alternatives: [] }
+      });
+      expect(report.categoryFromLabel).toEqual(['Acetaminophen']);
+    });
+
+    test('should build the same output from the same files', async () => {
+      const first = await runImport();
+      const second = await runImport();
+
+      expect(JSON.stringify(second)).toBe(JSON.stringify(first));
+    });
+
+    test('should use --date over the label dump date and require one', async () => {
+      expect((await runImport({ date: '2026-10-19' })).report.date).toBe('2026-10-19');
+      await expect(runImport({ labelFiles: [] })).rejects.toMatchObject({ code: ERROR_CODES.INVALID_REQUEST });
+    });
+  });
+
+  describe('labels', () => {
+    test('should prefer the newest label for a product, then fall back to the generic name', () => {
+      expect(selectLabel(LABELS.results, 'acetaminophen', ['313782', '209387']).set_id).toBe('apap-new');
+      expect(selectLabel(LABELS.results, 'testazine', []).set_id).toBe('testazine');
+      expect(selectLabel(LABELS.results, 'oxycodone', [])).toBeNull();
+    });
+
+    test('should leave letter-category labels out of PLLR parsing', () => {
+      const label = extractLabelSections(LABELS.results[1]);
+
+      expect(label.pregnancyCategory).toBe('B');
+      expect(parsePllrSections(label)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Medication Linter Tests
+ *
+ * Tests for the medication JSON Schema and the cross-record consistency rules
+ */
+
+const { validateMedicationSchema, lintMedicationRecords, LINT_RULES } = require('../../src/services/medication-linter');
+const medications = require('../../src/data/medications.json');
+const combinationProducts = require('../../src/data/combination-products.json');
+
+const trimester = (overrides = {}) => ({ safe: false, risk: 'moderate', warnings: [], alternatives: [], ...overrides });
+
+const medication = (name, overrides = {}) => ({
+  id: `med_${name.toLowerCase()}`,
+  rxcui: String(name.length),
+  name,
+  genericName: name,
+  brandNames: [],
+  pregnancyCategory: { fda: 'C', trimester1: trimester(), trimester2: trimester(), trimester3: trimester() },
+  contraindications: [],
+  ...overrides
+});
+
+describe('Medication Linter', () => {
+  describe('bundled data', () => {
+    test('should pass the schema and every lint rule', () => {
+      expect(validateMedicationSchema(medications)).toEqual([]);
+      expect(lintMedicationRecords(medications, { combinationProducts: combinationProducts.products })).toEqual([]);
+    });
+  });
+
+  describe('validateMedicationSchema', () => {
+    test('should report missing fields, unknown properties and bad values by path', () => {
+      const record = medication('Alpha', {
+        rxcui: 'RX1',
+        brand: 'Alphex',
+        pregnancyCategory: { fda: 'C', trimester1: trimester({ risk: 'unknown' }) },
+        ndcCodes: ['0002-1433-80', 'not-an-ndc']
+      });
+      delete record.genericName;
+
+      expect(validateMedicationSchema([record])).toEqual(expect.arrayContaining([
+        { path: '$[0]', message: 'is missing required property "genericName"' },
+        { path: '$[0].brand', message: 'is not an allowed property' },
+        { path: '$[0].rxcui', message: expect.stringContaining('must match') },
+        { path: '$[0].pregnancyCategory.trimester1.risk', message: expect.stringContaining('must be one of') },
+        { path: '$[0].ndcCodes[1]', message: expect.stringContaining('must match') }
+      ]));
+      expect(validateMedicationSchema({})).toEqual([{ path: '$', message: 'must be array, got object' }]);
+    });
+
+    test.each([0, 99])('should reject a low-dose fromWeek of %i', fromWeek => {
+      const lowDose = { maxDailyDose: '162mg', fromWeek, risk: 'low', safe: true };
+      const record = medication('Alpha', {
+        pregnancyCategory: { fda: 'C', trimester1: trimester({ lowDose }), trimester2: trimester(), trimester3: trimester() }
+      });
+
+      expect(validateMedicationSchema([record])).toEqual([
+        { path: '$[0].pregnancyCategory.trimester1.lowDose.fromWeek', message: expect.stringMatching(/^must be [<>]= (1|45), got /) }
+      ]);
+    });
+  });
+
+  describe('lintMedicationRecords', () => {
+    test('should flag a trimester marked safe with a high risk', () => {
+      const record = medication('Alpha', {
+        pregnancyCategory: { fda: 'D', trimester1: trimester(), trimester2: trimester({ safe: true, risk: 'high' }) }
+      });
+
+      expect(lintMedicationRecords([record])).toEqual([{
+        path: '$[0].pregnancyCategory.trimester2',
+        rule: LINT_RULES.SAFE_WITH_HIGH_RISK,
+        message: 'is marked safe but its risk is high'
+      }]);
+    });
+
+    test('should require contraindications for Category X', () => {
+      const record = medication('Alpha', { pregnancyCategory: { fda: 'X' } });
+
+      expect(lintMedicationRecords([record])).toEqual([
+        expect.objectContaining({ path: '$[0].contraindications', rule: LINT_RULES.CATEGORY_X_WITHOUT_CONTRAINDICATIONS })
+      ]);
+      expect(lintMedicationRecords([{ ...record, contraindications: ['Pregnancy'] }])).toEqual([]);
+    });
+
+    test('should resolve alternatives as findMedication does', () => {
+      const alternatives = ['Betamine', 'Bettamine', 'Percocet', 'Nothingol', 'Alpha'];
+      const records = [
+        medication('Alpha', { pregnancyCategory: { fda: 'C', trimester1: trimester({ alternatives }) } }),
+        medication('Betamine')
+      ];
+
+      expect(lintMedicationRecords(records, { combinationProducts: combinationProducts.products })).toEqual([
+        { path: '$[0].pregnancyCategory.trimester1.alternatives[1]', rule: LINT_RULES.UNRESOLVED_ALTERNATIVE, message: '"Bettamine" does not resolve to a medication' },
+        { path: '$[0].pregnancyCategory.trimester1.alternatives[2]', rule: LINT_RULES.UNRESOLVED_ALTERNATIVE, message: '"Percocet" does not resolve to a medication' },
+        { path: '$[0].pregnancyCategory.trimester1.alternatives[3]', rule: LINT_RULES.UNRESOLVED_ALTERNATIVE, message: '"Nothingol" does not resolve to a medication' },
+        { path: '$[0].pregnancyCategory.trimester1.alternatives[4]', rule: LINT_RULES.UNRESOLVED_ALTERNATIVE, message: '"Alpha" is this medication' }
+      ]);
+    });
+
+    test('should flag brand names shared across generics', () => {
+      const records = [
+        medication('Alpha', { brandNames: ['Alphex', 'Duoplex'] }),
+        medication('Betamine', { brandNames: ['duoplex'] })
+      ];
+
+      expect(lintMedicationRecords(records)).toEqual([
+        { path: '$[1].brandNames[0]', rule: LINT_RULES.DUPLICATE_BRAND, message: '"duoplex" is also a brand of Alpha ($[0].brandNames[1])' }
+      ]);
+    });
+
+    test('should flag combination brands listed under a single ingredient', () => {
+      const records = [
+        medication('Acetaminophen', { brandNames: ['Tylenol', 'Lorcet', 'Ultracet', 'Feverall PM'] }),
+        medication('Hydrochlorothiazide', { brandNames: ['Microzide', 'Lotensin HCT'] })
+      ];
+
+      expect(lintMedicationRecords(records, { combinationProducts: combinationProducts.products })).toEqual([
+        { path: '$[0].brandNames[1]', rule: LINT_RULES.COMBINATION_BRAND, message: '"Lorcet" is a brand of the combination product Hydrocodone and Acetaminophen' },
+        { path: '$[0].brandNames[2]', rule: LINT_RULES.COMBINATION_BRAND, message: '"Ultracet" is a brand of the combination product Tramadol and Acetaminophen' },
+        { path: '$[0].brandNames[3]', rule: LINT_RULES.COMBINATION_BRAND, message: '"Feverall PM" names a combination product; list it in combination-products.json' },
+        { path: '$[1].brandNames[1]', rule: LINT_RULES.COMBINATION_BRAND, message: '"Lotensin HCT" is a brand of the combination product Benazepril and Hydrochlorothiazide' }
+      ]);
+    });
+
+    test('should flag generic and international names listed as brands', () => {
+      const records = [
+        medication('Acetaminophen', { brandNames: ['Tylenol', 'Paracetamol'] }),
+        medication('Betamine', { synonyms: ['Betamina'], brandNames: ['Acetaminophen', 'Betamina'] })
+      ];
+
+      expect(lintMedicationRecords(records).map(problem => [problem.path, problem.rule])).toEqual([
+        ['$[0].brandNames[1]', LINT_RULES.BRAND_IS_GENERIC],
+        ['$[1].brandNames[0]', LINT_RULES.BRAND_IS_GENERIC],
+        ['$[1].brandNames[1]', LINT_RULES.BRAND_IS_GENERIC]
+      ]);
+      expect(lintMedicationRecords([{ ...records[0], brandNames: ['Tylenol'], synonyms: ['Paracetamol'] }])).toEqual([]);
+    });
+
+    test('should flag RxCUI collisions', () => {
+      const records = [medication('Alpha', { rxcui: '42' }), medication('Betamine', { rxcui: '42' })];
+
+      expect(lintMedicationRecords(records)).toEqual([{
+        path: '$[1].rxcui',
+        rule: LINT_RULES.RXCUI_COLLISION,
+        message: '42 is also the RxCUI of Alpha ($[0].rxcui)'
+      }]);
+    });
+  });
+});
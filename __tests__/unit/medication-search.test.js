@@ -0,0 +1,188 @@
+/**
+ * Medication Search Tests
+ *
+ * Tests for normalization, edit distance, ranked search, resolution and autocomplete
+ */
+
+const {
+  searchMedications,
+  resolveMedication,
+  autocompleteMedications,
+  suggestMedications,
+  medicationNotFoundError,
+  createMedicationIndex,
+  toCombinationEntities,
+  normalizeMedicationName,
+  editDistance,
+  MATCH_TYPES
+} = require('../../src/services/medication-search');
+const { findMedication, checkMedicationSafety } = require('../../src/services/pregnancy-safety-engine');
+const { ERROR_CODES } = require('../../src/utils/constants');
+
+describe('Medication Search', () => {
+  describe('normalizeMedicationName', () => {
+    test.each([
+      ['sertraline HCl 50 mg', 'sertraline'],
+      ['Levothyroxine Sodium 50mcg tablet', 'levothyroxine'],
+      ['Tylenol Extra Strength', 'tylenol'],
+      ['Hydrocodone/APAP 5/325', 'hydrocodone apap'],
+      ['Paracétamol', 'paracetamol'],
+      ['Extra Strength', 'extra strength']
+    ])('should normalize %s', (input, expected) => {
+      expect(normalizeMedicationName(input)).toBe(expected);
+    });
+  });
+
+  describe('editDistance', () => {
+    test('should count insertions, deletions, substitutions and transpositions', () => {
+      expect(editDistance('acetaminophin', 'acetaminophen')).toBe(1);
+      expect(editDistance('ibuprofn', 'ibuprofen')).toBe(1);
+      expect(editDistance('sertarline', 'sertraline')).toBe(1);
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+    });
+
+    test('should stop early past the maximum', () => {
+      expect(editDistance('aspirin', 'metformin', 2)).toBe(3);
+    });
+  });
+
+  describe('resolveMedication', () => {
+    test.each([
+      ['Acetaminophen', 'Acetaminophen', MATCH_TYPES.EXACT],
+      ['161', 'Acetaminophen', MATCH_TYPES.EXACT],
+      ['Tylenol Extra', 'Acetaminophen', MATCH_TYPES.NORMALIZED],
+      ['Paracetamol', 'Acetaminophen', MATCH_TYPES.EXACT],
+      ['sertraline HCl 50 mg', 'Sertraline', MATCH_TYPES.NORMALIZED]
+    ])('should resolve %s to %s', (query, name, type) => {
+      const resolved = resolveMedication(query);
+
+      expect(resolved.medication.name).toBe(name);
+      expect(resolved.match).toMatchObject({ query, type });
+    });
+
+    test.each([
+      ['an unknown name', 'NotARealDrug'],
+      ['part of several brand names', 'Pamprin'],
+      ['one ingredient of a combination product', 'caffeine'],
+      ['a combination product unless asked for', 'Percocet'],
+      ['a short misspelling', 'asa'],
+      ['a misspelling', 'acetaminophin'],
+      ['a drug two edits from a brand name', 'Ketoprofen'],
+      ['a drug of the same class', 'Fosinopril'],
+      ['an empty string', '  ']
+    ])('should not resolve %s', (name, query) => {
+      expect(resolveMedication(query)).toBeNull();
+    });
+
+    test('should back findMedication and report the match in safety results', () => {
+      expect(findMedication('Zolof')).toBeNull();
+      expect(findMedication('Zoloft 50mg').name).toBe('Sertraline');
+
+      const result = checkMedicationSafety('tylenol extra strength', 20);
+      expect(result.medicationName).toBe('Acetaminophen');
+      expect(result.nameMatch).toMatchObject({ matchedTerm: 'Tylenol', type: MATCH_TYPES.NORMALIZED, distance: 0 });
+      expect(checkMedicationSafety('Ketoprofen', 10).found).toBe(false);
+    });
+  });
+
+  describe('searchMedications', () => {
+    test('should rank one result per medication, best first', () => {
+      const results = searchMedications('Anacin');
+
+      expect(results.map(r => r.name)).toEqual(['Aspirin and Caffeine', 'Acetaminophen, Aspirin and Caffeine', 'Acetaminophen', 'Aspirin']);
+      expect(results[0]).toMatchObject({ type: MATCH_TYPES.EXACT, field: 'brandName' });
+      expect(results[1]).toMatchObject({ type: MATCH_TYPES.TOKENS, field: 'brandName' });
+    });
+
+    test('should suggest medications and combination products for misspellings', () => {
+      const results = searchMedications('codiene');
+
+      expect(results[0].name).toBe('Codeine');
+      expect(results.find(r => r.name === 'Acetaminophen and Codeine'))
+        .toMatchObject({ combination: true, ingredients: ['Acetaminophen', 'Codeine'] });
+    });
+
+    test('should return nothing for empty queries', () => {
+      expect(searchMedications('')).toEqual([]);
+    });
+
+    test('should apply the limit', () => {
+      expect(searchMedications('a', { limit: 1 }).length).toBeLessThanOrEqual(1);
+    });
+  });
+
+  describe('autocompleteMedications', () => {
+    test('should complete names and brands by prefix', () => {
+      const labels = autocompleteMedications('tyl').map(c => c.label);
+
+      expect(labels[0]).toBe('Tylenol');
+      expect(labels).toContain('Tylenol PM');
+    });
+
+    test('should match later words and put generic names first', () => {
+      const completions = autocompleteMedications('ser');
+      expect(completions[0]).toMatchObject({ label: 'Sertraline', field: 'name', rxcui: '36437' });
+    });
+
+    test('should tolerate a typo only when nothing matches as typed', () => {
+      expect(autocompleteMedications('lisi').map(c => c.label)).toEqual(['Lisinopril', 'Lisinopril and Hydrochlorothiazide']);
+      expect(autocompleteMedications('lysin').map(c => c.label)).toContain('Lisinopril');
+    });
+  });
+
+  describe('not-found suggestions', () => {
+    test('should carry ranked suggestions in the error details', () => {
+      const error = medicationNotFoundError('Advl');
+
+      expect(error.code).toBe(ERROR_CODES.MEDICATION_NOT_FOUND);
+      expect(error.message).toBe('Medication not found: Advl. Did you mean: Ibuprofen?');
+      expect(error.details).toEqual({ query: 'Advl', suggestions: suggestMedications('Advl') });
+    });
+
+    test('should suggest, not answer for, look-alike drugs missing from the database', () => {
+      const ketoprofen = checkMedicationSafety('Ketoprofen', 10);
+      const fosinopril = checkMedicationSafety('Fosinopril', 10);
+      const misspelled = checkMedicationSafety('acetaminophin', 20);
+
+      expect(ketoprofen).toMatchObject({ found: false, suggestions: [{ name: 'Ibuprofen', matchedTerm: 'Neoprofen' }] });
+      expect(fosinopril.found).toBe(false);
+      expect(fosinopril.suggestions[0].name).toBe('Lisinopril');
+      expect(misspelled.found).toBe(false);
+      expect(misspelled.suggestions[0]).toMatchObject({ name: 'Acetaminophen', matchedTerm: 'Acetaminophen' });
+    });
+
+    test('should be attached to not-found safety results', () => {
+      const result = checkMedicationSafety('Amlo', 20);
+
+      expect(result.found).toBe(false);
+      expect(result.suggestions.map(s => s.name)).toEqual([
+        'Amlodipine',
+        'Amlodipine and Atorvastatin',
+        'Amlodipine and Benazepril',
+        'Amlodipine and Celecoxib',
+        'Amlodipine and Olmesartan'
+      ]);
+    });
+  });
+
+  describe('createMedicationIndex', () => {
+    test('should index names, generics, brands and RxCUIs', () => {
+      const index = createMedicationIndex([
+        { name: 'Testamine', genericName: 'Testamine', brandNames: ['Testex'], rxcui: '1' }
+      ]);
+
+      expect(index.terms.map(t => t.field)).toEqual(['name', 'genericName', 'brandName', 'rxcui']);
+      expect(index.exact.get('testex').medication.name).toBe('Testamine');
+    });
+
+    test('should index a combination brand for the product only', () => {
+      const index = createMedicationIndex(
+        [{ name: 'Testamine', genericName: 'Testamine', brandNames: ['Testex', 'Testex Plus'], rxcui: '1' }],
+        toCombinationEntities({ testamine_other: { name: 'Testamine and Other', brandNames: ['Testex Plus'], ingredients: ['Testamine', 'Other'] } })
+      );
+
+      expect(index.exact.get('testex plus').medication).toMatchObject({ id: 'testamine_other', combination: true });
+      expect(index.terms.filter(t => t.medication.name === 'Testamine').map(t => t.term)).not.toContain('Testex Plus');
+    });
+  });
+});
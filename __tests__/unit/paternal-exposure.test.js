@@ -0,0 +1,121 @@
+/**
+ * Paternal Exposure Tests
+ *
+ * Tests for semen transfer, spermatogenesis timing and washout of medications
+ * taken by the father around conception
+ */
+
+const { checkPaternalExposure, SPERMATOGENESIS_DAYS } = require('../../src/services/paternal-exposure');
+const { ERROR_CODES } = require('../../src/utils/constants');
+
+const asOf = '2026-10-19';
+
+describe('Paternal Exposure', () => {
+  describe('checkPaternalExposure', () => {
+    test('should report semen transfer, spermatogenesis and washout for ongoing treatment', () => {
+      const result = checkPaternalExposure('CellCept', { conceptionDate: '2027-03-01', asOf });
+
+      expect(result).toMatchObject({
+        mode: 'paternal',
+        found: true,
+        medicationName: 'Mycophenolate',
+        rxcui: '68149',
+        paternalData: true,
+        semenTransfer: { concern: 'moderate', condomAdvised: true },
+        spermatogenesis: { affected: true },
+        washoutWeeks: 13,
+        spermatogenesisDays: SPERMATOGENESIS_DAYS,
+        conceptionDate: '2027-03-01',
+        lastDoseDate: null,
+        exposureWindow: { start: '2026-12-17', end: '2027-03-01' },
+        exposedDuringSpermatogenesis: true,
+        washoutComplete: false,
+        stopBy: '2026-11-30',
+        safeFrom: '2027-01-18',
+        daysUntilSafe: 91,
+        riskLevel: 'moderate',
+        safe: false
+      });
+      expect(result.warnings).toEqual([
+        'Use condoms while taking Mycophenolate and for 13 weeks after the last dose',
+        'Stop Mycophenolate by 2026-11-30 to complete the 13-week washout before conception',
+        'Sperm for this conception developed during Mycophenolate treatment: Genotoxic; could affect sperm formed during treatment'
+      ]);
+    });
+
+    test('should clear the risk once the washout before conception is complete', () => {
+      const result = checkPaternalExposure('Trexall', { conceptionDate: '2027-01-15', lastDoseDate: '2026-09-01', asOf });
+
+      expect(result).toMatchObject({
+        medicationName: 'Methotrexate',
+        exposedDuringSpermatogenesis: false,
+        washoutComplete: true,
+        safeFrom: '2026-11-24',
+        riskLevel: 'none',
+        safe: true,
+        warnings: []
+      });
+    });
+
+    test('should keep a washout pending when it ends after conception', () => {
+      const result = checkPaternalExposure('Depakote', { conceptionDate: '2026-11-20', lastDoseDate: '2026-09-01', asOf });
+
+      expect(result).toMatchObject({
+        medicationName: 'Valproate',
+        exposedDuringSpermatogenesis: false,
+        washoutComplete: false,
+        riskLevel: 'moderate',
+        warnings: ['The 12-week washout after Valproate ends on 2026-11-24']
+      });
+    });
+
+    test('should rate treatment during spermatogenesis as low when no washout is needed', () => {
+      const result = checkPaternalExposure('Propecia', { conceptionDate: '2026-12-01', asOf });
+
+      expect(result).toMatchObject({
+        medicationName: 'Finasteride',
+        washoutWeeks: 0,
+        washoutComplete: true,
+        stopBy: null,
+        exposedDuringSpermatogenesis: true,
+        riskLevel: 'low',
+        safe: true
+      });
+      expect(result.recommendation).toMatch(/^No need to stop before conception/);
+    });
+
+    test('should measure the washout to the assessment date without a conception date', () => {
+      const result = checkPaternalExposure('Methotrexate', { lastDoseDate: '2026-01-01', asOf });
+
+      expect(result).toMatchObject({
+        exposureWindow: null,
+        exposedDuringSpermatogenesis: null,
+        washoutComplete: true,
+        daysUntilSafe: 0,
+        riskLevel: 'none'
+      });
+    });
+
+    test('should report unknown risk for a medication without paternal data', () => {
+      expect(checkPaternalExposure('Zoloft', { asOf })).toMatchObject({
+        medicationName: 'Sertraline',
+        paternalData: false,
+        semenTransfer: null,
+        washoutWeeks: null,
+        washoutComplete: null,
+        riskLevel: 'unknown',
+        safe: false,
+        recommendation: 'No data on paternal use: consult healthcare provider before trying to conceive'
+      });
+    });
+
+    test('should reject invalid dates and unknown medications', () => {
+      expect(() => checkPaternalExposure('Finasteride', { conceptionDate: 'soon' }))
+        .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_DATE }));
+      expect(() => checkPaternalExposure('Finasteride', { lastDoseDate: '2026-11-01', asOf }))
+        .toThrow('Last dose date 2026-11-01 is in the future');
+      expect(() => checkPaternalExposure('NotARealDrug'))
+        .toThrow(expect.objectContaining({ code: ERROR_CODES.MEDICATION_NOT_FOUND }));
+    });
+  });
+});
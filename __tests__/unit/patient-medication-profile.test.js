@@ -0,0 +1,149 @@
+/**
+ * Patient Medication Profile Tests
+ *
+ * Tests for the medication timeline replayed from audit events
+ */
+
+const PatientMedicationProfile = require('../../src/services/PatientMedicationProfile');
+const { calculateComprehensiveRisk } = require('../../src/services/pregnancy-risk-calculator');
+const { AUDIT_TYPES } = require('../../src/services/pregnancy-audit-logger');
+
+let sequence = 0;
+const newPatientId = () => `profile_test_${Date.now()}_${sequence++}`;
+
+describe('PatientMedicationProfile', () => {
+
+  describe('timeline', () => {
+    test('should track start, dose change and stop as courses', async () => {
+      const profile = new PatientMedicationProfile(newPatientId());
+
+      await profile.start({ medicationName: 'Sertraline', dosage: '50mg', frequency: 'daily', weekOfPregnancy: 2, indication: 'Depression' });
+      await profile.change({ medicationName: 'Sertraline', dosage: '100mg', weekOfPregnancy: 10 });
+      await profile.stop({ medicationName: 'Sertraline', weekOfPregnancy: 20, reason: 'Remission' });
+
+      const history = profile.getHistory();
+      expect(history).toHaveLength(2);
+      expect(history[0]).toMatchObject({ dosage: '50mg', startWeek: 2, stopWeek: 10, active: false });
+      expect(history[1]).toMatchObject({ dosage: '100mg', frequency: 'daily', startWeek: 10, stopWeek: 20, stopReason: 'Remission' });
+      expect(profile.getActiveMedications()).toHaveLength(0);
+    });
+
+    test('should answer exposure queries for a week range', async () => {
+      const profile = new PatientMedicationProfile(newPatientId());
+
+      await profile.start({ medicationName: 'Lisinopril', dosage: '10mg', weekOfPregnancy: 1 });
+      await profile.stop({ medicationName: 'Lisinopril', weekOfPregnancy: 5 });
+      await profile.start({ medicationName: 'Acetaminophen', dosage: '500mg', weekOfPregnancy: 12 });
+
+      const exposures = profile.getExposures(3, 8);
+      expect(exposures).toHaveLength(1);
+      expect(exposures[0].medicationName).toBe('Lisinopril');
+      expect(exposures[0].exposureWeeks).toEqual([3, 5]);
+
+      expect(profile.getActiveMedicationNames(14)).toEqual(['Acetaminophen']);
+    });
+
+    test('should reject an inverted exposure window', () => {
+      const profile = new PatientMedicationProfile(newPatientId());
+      expect(() => profile.getExposures(8, 3)).toThrow();
+    });
+
+    test('should refuse to stop a medication that is not active', async () => {
+      const profile = new PatientMedicationProfile(newPatientId());
+      await expect(profile.stop({ medicationName: 'Ibuprofen', weekOfPregnancy: 10 })).rejects.toThrow();
+    });
+
+    test('should place date-only events using the dating input', async () => {
+      const profile = new PatientMedicationProfile(newPatientId(), { dating: { lmp: '2026-01-01' } });
+
+      await profile.start({ medicationName: 'Metformin', startDate: '2025-12-01' });
+      await profile.stop({ medicationName: 'Metformin', stopDate: '2026-02-12' });
+
+      const [course] = profile.getHistory();
+      expect(course.startWeek).toBeLessThanOrEqual(0);
+      expect(course.stopWeek).toBe(6);
+      expect(profile.getExposures(3, 8)).toHaveLength(1);
+    });
+
+    test('should order backfilled events by effective date', () => {
+      const patientId = newPatientId();
+      const profile = new PatientMedicationProfile(patientId);
+
+      profile.applyEvent({
+        id: 'b', type: AUDIT_TYPES.MEDICATION_STOPPED, patientId, timestamp: '2026-03-01T00:00:00Z',
+        data: { medicationName: 'Omeprazole', weekOfPregnancy: 9 }
+      });
+      profile.applyEvent({
+        id: 'a', type: AUDIT_TYPES.MEDICATION_STARTED, patientId, timestamp: '2026-03-02T00:00:00Z',
+        data: { medicationName: 'Omeprazole', weekOfPregnancy: 4, startDate: '2026-01-15' }
+      });
+
+      expect(profile.getHistory()[0]).toMatchObject({ startWeek: 4, stopWeek: 9, active: false });
+    });
+
+    test('should ignore events for other patients', () => {
+      const profile = new PatientMedicationProfile(newPatientId());
+      profile.applyEvent({
+        id: 'x', type: AUDIT_TYPES.MEDICATION_STARTED, patientId: 'someone_else', timestamp: new Date().toISOString(),
+        data: { medicationName: 'Aspirin', weekOfPregnancy: 12 }
+      });
+      expect(profile.getHistory()).toHaveLength(0);
+    });
+  });
+
+  describe('load', () => {
+    test('should rebuild the profile from the audit trail', async () => {
+      const patientId = newPatientId();
+      const recorded = new PatientMedicationProfile(patientId);
+      await recorded.start({ medicationName: 'Levothyroxine', dosage: '50mcg', weekOfPregnancy: 6 });
+      await recorded.start({ medicationName: 'Amlodipine', dosage: '5mg', weekOfPregnancy: 20 });
+      await recorded.stop({ medicationName: 'Amlodipine', weekOfPregnancy: 24 });
+
+      const loaded = await PatientMedicationProfile.load(patientId);
+
+      expect(loaded.getHistory()).toEqual(recorded.getHistory());
+      expect(loaded.getActiveMedicationNames()).toEqual(['Levothyroxine']);
+      expect(loaded.getTimeline().map(e => e.type)).toEqual([
+        AUDIT_TYPES.MEDICATION_STARTED,
+        AUDIT_TYPES.MEDICATION_STARTED,
+        AUDIT_TYPES.MEDICATION_STOPPED
+      ]);
+    });
+  });
+
+  describe('risk calculation', () => {
+    test('should feed active medications into calculateComprehensiveRisk', async () => {
+      const profile = new PatientMedicationProfile(newPatientId());
+      await profile.start({ medicationName: 'Acetaminophen', weekOfPregnancy: 4 });
+      await profile.start({ medicationName: 'Ibuprofen', weekOfPregnancy: 10 });
+      await profile.stop({ medicationName: 'Ibuprofen', weekOfPregnancy: 15 });
+
+      const risk = calculateComprehensiveRisk(profile, 12);
+      expect(risk.medicationCount).toBe(2);
+
+      const later = calculateComprehensiveRisk(profile, 30);
+      expect(later.medicationCount).toBe(1);
+      expect(later.medicationRisks[0].medicationName).toBe('Acetaminophen');
+    });
+
+    test('should return an empty regimen when nothing is active at the week', async () => {
+      const profile = new PatientMedicationProfile(newPatientId());
+      await profile.start({ medicationName: 'Ibuprofen', weekOfPregnancy: 10 });
+
+      const risk = calculateComprehensiveRisk(profile, 8, 'hypertension');
+      expect(risk).toMatchObject({
+        medicationCount: 0,
+        medicationRisks: [],
+        riskScore: 0,
+        safe: true,
+        maternalConditions: ['hypertension'],
+        conditionManagement: null
+      });
+      expect(risk.recommendations[0].reason).toBe('No medications are active at week 8');
+    });
+
+    test('should reject an explicit empty medication list', () => {
+      expect(() => calculateComprehensiveRisk([], 12)).toThrow(expect.objectContaining({ code: 'INVALID_REQUEST' }));
+    });
+  });
+});
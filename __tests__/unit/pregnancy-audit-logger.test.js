@@ -11,6 +11,7 @@ const {
   logSafetyCheck,
   logInteractionCheck,
   logRiskCalculation,
+  logPaternalExposureCheck,
   logProviderDecision,
   logPatientDecision,
   logMedicationStarted,
@@ -129,6 +130,28 @@ describe('Pregnancy Audit Logger', () => {
     });
   });
 
+  describe('logPaternalExposureCheck', () => {
+    test('should log paternal exposure check', async () => {
+      const entry = await logPaternalExposureCheck({
+        patientId: 'patient789',
+        medicationName: 'Mycophenolate',
+        rxcui: '68149',
+        conceptionDate: '2027-03-01',
+        semenTransferConcern: 'moderate',
+        spermatogenesisAffected: true,
+        washoutWeeks: 13,
+        exposedDuringSpermatogenesis: true,
+        washoutComplete: false,
+        riskLevel: 'moderate',
+        safe: false,
+        recommendation: 'Use condoms during treatment and for 90 days after the last dose'
+      });
+
+      expect(entry.type).toBe(AUDIT_TYPES.PATERNAL_EXPOSURE_CHECK);
+      expect(entry.data).toMatchObject({ medicationName: 'Mycophenolate', lastDoseDate: null, washoutWeeks: 13, warnings: [] });
+    });
+  });
+
   describe('logProviderDecision', () => {
     test('should log provider decision with all required fields', async () => {
       const entry = await logProviderDecision({
@@ -0,0 +1,127 @@
+/**
+ * Pregnancy Dating Tests
+ *
+ * Tests for gestational age calculation and ultrasound redating
+ */
+
+const {
+  calculateGestationalAge,
+  getGestationalAgeFromEDD,
+  gestationalAgeFromCRL,
+  DATING_METHODS
+} = require('../../src/services/pregnancy-dating');
+
+const { checkMedicationSafety } = require('../../src/services/pregnancy-safety-engine');
+const { checkPregnancyInteractions } = require('../../src/services/pregnancy-interaction-checker');
+
+describe('Pregnancy Dating', () => {
+
+  describe('calculateGestationalAge', () => {
+    test('should date from LMP', () => {
+      const result = calculateGestationalAge({ lmp: '2026-01-01' }, '2026-03-06');
+
+      expect(result.weeks).toBe(9);
+      expect(result.days).toBe(1);
+      expect(result.label).toBe('9w1d');
+      expect(result.weekOfPregnancy).toBe(9);
+      expect(result.edd).toBe('2026-10-08');
+      expect(result.method).toBe(DATING_METHODS.LMP);
+    });
+
+    test('should date from an established EDD', () => {
+      const result = getGestationalAgeFromEDD('2026-10-08', '2026-03-06');
+
+      expect(result.label).toBe('9w1d');
+      expect(result.method).toBe(DATING_METHODS.EDD);
+    });
+
+    test('should not shift date-only strings across trimester boundaries', () => {
+      // Day 91 is 13w0d - the first day of week 13, not 12w6d
+      const result = calculateGestationalAge({ lmp: '2026-01-01' }, '2026-04-02');
+
+      expect(result.label).toBe('13w0d');
+      expect(result.weekOfPregnancy).toBe(13);
+    });
+
+    test('should date from conception date', () => {
+      const result = calculateGestationalAge({ conceptionDate: '2026-01-15' }, '2026-03-06');
+
+      expect(result.label).toBe('9w1d');
+      expect(result.method).toBe(DATING_METHODS.CONCEPTION);
+    });
+
+    test('should prefer IVF transfer dating over LMP and ultrasound', () => {
+      const result = calculateGestationalAge({
+        lmp: '2025-12-20',
+        ivfTransfer: { date: '2026-01-20', embryoAgeDays: 5 },
+        ultrasound: { date: '2026-03-01', crlMm: 20 }
+      }, '2026-03-06');
+
+      expect(result.method).toBe(DATING_METHODS.ART);
+      expect(result.edd).toBe('2026-10-08');
+      expect(result.redated).toBe(false);
+    });
+
+    test('should keep LMP dating when ultrasound agrees within threshold', () => {
+      const result = calculateGestationalAge({
+        lmp: '2026-01-01',
+        ultrasound: { date: '2026-03-06', crlMm: 24 }
+      }, '2026-03-06');
+
+      expect(result.method).toBe(DATING_METHODS.LMP);
+      expect(result.redated).toBe(false);
+      expect(result.redatingRule.ultrasoundMethod).toBe('CRL');
+    });
+
+    test('should redate to ultrasound when discrepancy exceeds threshold', () => {
+      const result = calculateGestationalAge({
+        lmp: '2026-01-01',
+        ultrasound: { date: '2026-03-06', crlMm: 10 }
+      }, '2026-03-06');
+
+      expect(result.method).toBe(DATING_METHODS.ULTRASOUND);
+      expect(result.redated).toBe(true);
+      expect(result.discrepancyDays).toBeGreaterThan(5);
+    });
+
+    test('should throw when no dating source is provided', () => {
+      expect(() => calculateGestationalAge({}, '2026-03-06')).toThrow();
+    });
+
+    test('should throw for invalid dates', () => {
+      expect(() => calculateGestationalAge({ lmp: 'not-a-date' })).toThrow();
+    });
+
+    test('should throw when reference date precedes LMP', () => {
+      expect(() => calculateGestationalAge({ lmp: '2026-03-06' }, '2026-01-01')).toThrow();
+    });
+  });
+
+  describe('gestationalAgeFromCRL', () => {
+    test('should estimate gestational age from crown-rump length', () => {
+      const days = gestationalAgeFromCRL(45);
+      expect(days).toBeGreaterThanOrEqual(77);
+      expect(days).toBeLessThanOrEqual(79);
+    });
+
+    test('should reject CRL outside first-trimester range', () => {
+      expect(() => gestationalAgeFromCRL(0)).toThrow();
+      expect(() => gestationalAgeFromCRL(100)).toThrow();
+    });
+  });
+
+  describe('integration with existing entry points', () => {
+    test('should accept gestational age in checkMedicationSafety', () => {
+      const ga = calculateGestationalAge({ lmp: '2026-01-01' }, '2026-05-21');
+      const result = checkMedicationSafety('Acetaminophen', ga);
+
+      expect(result.weekOfPregnancy).toBe(ga.weeks);
+      expect(result.trimester.number).toBe(2);
+    });
+
+    test('should accept gestational age in checkPregnancyInteractions', () => {
+      const result = checkPregnancyInteractions(['Acetaminophen'], { weeks: 30, days: 4 });
+      expect(result.weekOfPregnancy).toBe(30);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Pregnancy Exposure Analysis Tests
+ *
+ * Tests for embryonic window overlap of first-trimester exposures
+ */
+
+const {
+  analyzeExposure,
+  analyzeExposures,
+  EMBRYONIC_WINDOWS
+} = require('../../src/services/pregnancy-exposure-analysis');
+const { CRITICAL_WEEKS, isCriticalPeriod } = require('../../src/services/pregnancy-safety-engine');
+const PatientMedicationProfile = require('../../src/services/PatientMedicationProfile');
+
+describe('Pregnancy Exposure Analysis', () => {
+
+  describe('analyzeExposure', () => {
+    test('should report every window overlapped by an exposure from before conception to week 7', () => {
+      const result = analyzeExposure({ medicationName: 'Lisinopril', startWeek: -4, stopWeek: 7 });
+
+      expect(result.exposedWindows).toEqual(['all_or_none', 'neural_tube', 'cardiac']);
+      expect(result.preconceptionOnly).toBe(false);
+
+      const cardiac = result.windows.find(w => w.key === 'cardiac');
+      expect(cardiac.overlapWeeks).toEqual([5, 7]);
+      expect(cardiac.riskScore).toBeGreaterThan(0);
+    });
+
+    test('should cover the four embryonic windows', () => {
+      expect(Object.values(EMBRYONIC_WINDOWS).map(w => [w.key, w.weeks])).toEqual([
+        ['all_or_none', [2, 3]],
+        ['neural_tube', [4, 6]],
+        ['cardiac', [5, 10]],
+        ['palate', [8, 12]]
+      ]);
+    });
+
+    test('should not report windows the exposure missed', () => {
+      const result = analyzeExposure({ medicationName: 'Lisinopril', startWeek: -4, stopWeek: 4 });
+      const cardiac = result.windows.find(w => w.key === 'cardiac');
+
+      expect(cardiac.exposed).toBe(false);
+      expect(cardiac.riskScore).toBeNull();
+    });
+
+    test('should derive window severity from the engine critical weeks', () => {
+      const result = analyzeExposure({ medicationName: 'Acetaminophen', startWeek: 4, stopWeek: 4 });
+      const neuralTube = result.windows.find(w => w.key === 'neural_tube');
+
+      expect(neuralTube.severity).toBe(CRITICAL_WEEKS[4].severity);
+      expect(neuralTube.reasons).toEqual([CRITICAL_WEEKS[4].reason]);
+      expect(result.highestSeverity).toBe('critical');
+    });
+
+    test('should assess an exposure in the cardiac window', () => {
+      const result = analyzeExposure({ medicationName: 'Lisinopril', startWeek: 7, stopWeek: 7 });
+      const cardiac = result.windows.find(w => w.key === 'cardiac');
+
+      expect(result.exposedWindows).toEqual(['cardiac']);
+      expect(cardiac).toMatchObject({
+        exposed: true,
+        overlapWeeks: [7, 7],
+        severity: CRITICAL_WEEKS[7].severity,
+        reasons: [CRITICAL_WEEKS[7].reason]
+      });
+      expect(cardiac.riskScore).toBeGreaterThan(0);
+    });
+
+    test('should assess an exposure in the palate window', () => {
+      const result = analyzeExposure({ medicationName: 'Lisinopril', startWeek: 11, stopWeek: 12 });
+      const palate = result.windows.find(w => w.key === 'palate');
+
+      expect(result.exposedWindows).toEqual(['palate']);
+      expect(palate).toMatchObject({
+        exposed: true,
+        overlapWeeks: [11, 12],
+        severity: isCriticalPeriod(11).severity,
+        reasons: [isCriticalPeriod(11).reason]
+      });
+      expect(palate.riskLevel).toBe(result.riskLevel);
+      expect(result.summary).toBe('Lisinopril exposure overlapped: palate formation');
+    });
+
+    test('should list the critical-week reasons a window spans', () => {
+      const result = analyzeExposure({ medicationName: 'Acetaminophen', startWeek: 5, stopWeek: 10 });
+
+      expect(result.windows.find(w => w.key === 'cardiac').reasons).toEqual([
+        CRITICAL_WEEKS[5].reason,
+        CRITICAL_WEEKS[7].reason,
+        isCriticalPeriod(9).reason
+      ]);
+    });
+
+    test('should flag exposures limited to the all-or-none period', () => {
+      const result = analyzeExposure({ medicationName: 'Ibuprofen', startWeek: 1, stopWeek: 2 });
+
+      expect(result.allOrNoneOnly).toBe(true);
+      expect(result.summary).toMatch(/all-or-none/);
+    });
+
+    test('should not score all-or-none exposure as a critical period', () => {
+      const result = analyzeExposure({ medicationName: 'Lisinopril', startWeek: 1, stopWeek: 2 });
+      const allOrNone = result.windows.find(w => w.key === 'all_or_none');
+
+      expect(allOrNone).toMatchObject({ exposed: true, severity: 'normal', riskScore: null, riskLevel: null });
+      expect(result).toMatchObject({ highestSeverity: 'normal', highestRiskScore: null, riskLevel: null });
+      expect(result.summary).toMatch(/malformations are not expected/);
+    });
+
+    test('should report preconception-only exposures', () => {
+      const result = analyzeExposure({ medicationName: 'Atorvastatin', startWeek: -10, stopWeek: 1 });
+
+      expect(result.preconceptionOnly).toBe(true);
+      expect(result.exposedWindows).toEqual([]);
+      expect(result.riskLevel).toBeNull();
+    });
+
+    test('should place date-based exposures using dating information', () => {
+      const result = analyzeExposure(
+        { medicationName: 'Sertraline', startDate: '2025-11-01', stopDate: '2026-02-19' },
+        { dating: { lmp: '2026-01-01' } }
+      );
+
+      expect(result.exposureWeeks.start).toBeLessThan(0);
+      expect(result.exposureWeeks.stop).toBe(7);
+      expect(result.exposedWindows).toContain('cardiac');
+    });
+
+    test('should treat an ongoing exposure as covering every later window', () => {
+      const result = analyzeExposure({ medicationName: 'Omeprazole', startWeek: 6 });
+
+      expect(result.exposureWeeks.ongoing).toBe(true);
+      expect(result.exposedWindows).toEqual(['neural_tube', 'cardiac', 'palate']);
+    });
+
+    test('should require dating information for date-based exposures', () => {
+      expect(() => analyzeExposure({ medicationName: 'Aspirin', startDate: '2026-01-01' })).toThrow(/Dating/);
+    });
+
+    test('should reject an exposure that stops before it starts', () => {
+      expect(() => analyzeExposure({ medicationName: 'Aspirin', startWeek: 8, stopWeek: 4 })).toThrow();
+    });
+
+    test('should reject unknown medications', () => {
+      expect(() => analyzeExposure({ medicationName: 'NotARealDrug', startWeek: 1, stopWeek: 4 }))
+        .toThrow(/not found/);
+    });
+  });
+
+  describe('analyzeExposures', () => {
+    test('should combine several exposures', () => {
+      const result = analyzeExposures([
+        { medicationName: 'Acetaminophen', startWeek: 1, stopWeek: 2 },
+        { medicationName: 'Lisinopril', startWeek: 6, stopWeek: 11 }
+      ]);
+
+      expect(result.exposures).toHaveLength(2);
+      expect(result.exposedWindows).toEqual(['all_or_none', 'neural_tube', 'cardiac', 'palate']);
+      expect(result.highestRiskScore).toBe(result.exposures[1].highestRiskScore);
+    });
+
+    test('should analyze every course in a medication profile', () => {
+      const patientId = `exposure_profile_${Date.now()}`;
+      const profile = new PatientMedicationProfile(patientId);
+      profile.applyEvent({
+        id: 'a', type: 'medication_started', patientId, timestamp: '2026-01-01T00:00:00Z',
+        data: { medicationName: 'Metformin', weekOfPregnancy: 1 }
+      });
+
+      const result = analyzeExposures(profile);
+
+      expect(result.exposures[0].exposureWeeks.ongoing).toBe(true);
+      expect(result.exposedWindows).toEqual(Object.values(EMBRYONIC_WINDOWS).map(w => w.key));
+    });
+  });
+});
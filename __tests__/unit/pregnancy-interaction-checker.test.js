@@ -8,9 +8,13 @@ const {
   checkPregnancyInteractions,
   getSafeAlternativesForCondition,
   assessMedicationRegimen,
+  assessPreconceptionRegimen,
+  findWashoutRule,
+  matchInteractionRules,
   PREGNANCY_INTERACTIONS,
   MATERNAL_CONDITIONS
 } = require('../../src/services/pregnancy-interaction-checker');
+const { ERROR_CODES } = require('../../src/utils/constants');
 
 describe('Pregnancy Interaction Checker', () => {
 
@@ -171,18 +175,207 @@ describe('Pregnancy Interaction Checker', () => {
         assessMedicationRegimen(['Acetaminophen'], 'UnknownCondition', 20)
       ).toThrow();
     });
+
+    test('should flag a medication recommended for one condition but to avoid for another', () => {
+      const result = assessMedicationRegimen(['Labetalol', 'Albuterol'], ['hypertension', 'asthma'], 24);
+
+      expect(result.conditions).toEqual(['Hypertension (High Blood Pressure)', 'Asthma']);
+      expect(result.condition).toBe('Hypertension (High Blood Pressure), Asthma');
+      expect(result.currentMedications[0]).toMatchObject({
+        medication: 'Labetalol',
+        status: 'conflict',
+        byCondition: [
+          { condition: 'Hypertension (High Blood Pressure)', status: 'recommended' },
+          { condition: 'Asthma', status: 'avoid' }
+        ]
+      });
+      expect(result.currentMedications[1]).toMatchObject({ medication: 'Albuterol', status: 'recommended' });
+      expect(result.conflicts).toEqual([
+        { medication: 'Labetalol', recommendedFor: ['Hypertension (High Blood Pressure)'], avoidFor: ['Asthma'] }
+      ]);
+      expect(result.needsChange).toBe(true);
+      expect(result.recommendations[0]).toMatchObject({
+        action: 'SWITCH',
+        medication: 'Labetalol',
+        alternatives: ['Methyldopa', 'Nifedipine']
+      });
+    });
+
+    test('should merge trimester considerations of every condition into one plan', () => {
+      const result = assessMedicationRegimen(['Levothyroxine'], ['thyroid', 'asthma', 'ASTHMA'], 10);
+
+      expect(result.conditions).toHaveLength(2);
+      expect(result.trimesterPlan[1].map(item => item.condition)).toEqual(result.conditions);
+      expect(result.trimesterPlan[3]).toHaveLength(2);
+      expect(result.trimesterGuidance).toBe(result.trimesterPlan[1].map(item => `${item.condition}: ${item.guidance}`).join(' '));
+      expect(new Set(result.conditionRisks).size).toBe(result.conditionRisks.length);
+    });
+
+    test('should reject an empty list of conditions', () => {
+      expect(() => assessMedicationRegimen(['Labetalol'], [], 20))
+        .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_REQUEST }));
+      expect(() => assessMedicationRegimen(['Labetalol'], ['asthma', 'gout'], 20)).toThrow('Unknown maternal condition: gout');
+    });
+
+    test('should report unknown conditions as invalid requests with the known names', () => {
+      let error;
+      try {
+        assessMedicationRegimen(['Labetalol'], ['gout'], 20);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).toBe(ERROR_CODES.INVALID_REQUEST);
+      expect(error.details.known).toEqual(expect.arrayContaining(['hypertension', 'asthma']));
+    });
+  });
+
+  describe('assessPreconceptionRegimen', () => {
+    const asOf = '2026-10-19';
+
+    test('should report washout periods and the date to stop by', () => {
+      const result = assessPreconceptionRegimen(['Isotretinoin', 'Lipitor', 'Sertraline'], '2027-03-01', { asOf });
+
+      expect(result).toMatchObject({
+        mode: 'preconception',
+        condition: null,
+        targetConceptionDate: '2027-03-01',
+        weeksUntilConception: 19,
+        earliestConceptionDate: '2027-01-11',
+        onSchedule: true,
+        needsChange: true
+      });
+      expect(result.washouts).toEqual([
+        { medication: 'Isotretinoin', washoutWeeks: 4, stopBy: '2027-02-01', onSchedule: true, safeFrom: '2026-11-16' },
+        { medication: 'Atorvastatin', washoutWeeks: 12, stopBy: '2026-12-07', onSchedule: true, safeFrom: '2027-01-11' }
+      ]);
+      expect(result.currentMedications[2]).toMatchObject({ medication: 'Sertraline', status: 'continue', washoutWeeks: null });
+    });
+
+    test('should give the earliest safe date when the target is too soon', () => {
+      const result = assessPreconceptionRegimen(['Trexall'], '2026-11-16', { asOf });
+
+      expect(result.currentMedications[0]).toMatchObject({ medication: 'Methotrexate', status: 'stop', stopBy: '2026-08-24', onSchedule: false });
+      expect(result).toMatchObject({ onSchedule: false, earliestConceptionDate: '2027-01-11' });
+      expect(result.folicAcid).toMatchObject({ dailyDoseMg: 0.4, startBy: '2026-10-19', onSchedule: true });
+    });
+
+    test('should switch to first-line medications and raise folic acid for epilepsy', () => {
+      const result = assessPreconceptionRegimen(['Depakote', 'Lamotrigine'], '2027-03-01', { maternalCondition: 'epilepsy', asOf });
+
+      expect(result.currentMedications.map(med => [med.medication, med.status])).toEqual([
+        ['Valproate', 'switch'],
+        ['Lamotrigine', 'continue']
+      ]);
+      expect(result.recommendations[0]).toMatchObject({
+        action: 'SWITCH',
+        medication: 'Valproate',
+        stopBy: '2026-12-07',
+        alternatives: ['Lamotrigine', 'Levetiracetam']
+      });
+      expect(result.folicAcid).toEqual({
+        dailyDoseMg: 4,
+        startWeeksBefore: 12,
+        startBy: '2026-12-07',
+        onSchedule: true,
+        reason: 'Antiseizure medications raise the risk of neural tube defects'
+      });
+      expect(result.conditionGuidance).toContain('confirm seizure control');
+    });
+
+    test('should switch drugs the condition avoids even without a washout', () => {
+      const result = assessPreconceptionRegimen(['Zestril', 'Methyldopa'], '2027-03-01', { maternalCondition: 'hypertension', asOf });
+
+      expect(result.currentMedications[0]).toMatchObject({ status: 'switch', washoutWeeks: 0, stopBy: '2027-03-01' });
+      expect(result.currentMedications[0].alternatives).toContain('Labetalol');
+      expect(result.currentMedications[1]).toMatchObject({ status: 'continue', reason: 'First-line treatment' });
+    });
+
+    test('should review Category D medications and advise continuing otherwise', () => {
+      expect(assessPreconceptionRegimen(['Ibuprofen'], '2027-03-01', { asOf }).recommendations)
+        .toEqual([expect.objectContaining({ action: 'REVIEW', reason: 'Category D in pregnancy' })]);
+      expect(assessPreconceptionRegimen(['Tylenol'], '2027-03-01', { asOf })).toMatchObject({
+        needsChange: false,
+        requiresProviderConsent: false,
+        recommendations: [{ action: 'CONTINUE' }]
+      });
+    });
+
+    test('should reject past dates, unknown conditions and empty regimens', () => {
+      expect(() => assessPreconceptionRegimen(['Tylenol'], '2026-10-01', { asOf })).toThrow('is in the past');
+      expect(() => assessPreconceptionRegimen(['Tylenol'], 'soon', { asOf })).toThrow('Invalid date');
+      expect(() => assessPreconceptionRegimen(['Tylenol'], '2027-03-01', { maternalCondition: 'gout', asOf }))
+        .toThrow('Unknown maternal condition: gout');
+      expect(() => assessPreconceptionRegimen([], '2027-03-01', { asOf })).toThrow('non-empty array');
+    });
+  });
+
+  describe('findWashoutRule', () => {
+    test('should match by class, drug name or alias', () => {
+      expect(findWashoutRule({ name: 'Atorvastatin', genericName: 'Atorvastatin', therapeuticClasses: ['statin'] }, ['Lipitor']).ruleId)
+        .toBe('statin_preconception');
+      expect(findWashoutRule(null, ['Coumadin']).ruleId).toBe('warfarin');
+      expect(findWashoutRule(null, ['Tylenol'])).toBeNull();
+    });
+  });
+
+  describe('class-based interaction rules', () => {
+    test('should match any NSAID with any ACE inhibitor', () => {
+      const naproxen = { name: 'Naproxen', genericName: 'Naproxen', therapeuticClasses: ['nsaid'] };
+      const enalapril = { name: 'Enalapril', genericName: 'Enalapril', therapeuticClasses: ['ace_inhibitor'] };
+
+      const [interaction] = matchInteractionRules(enalapril, naproxen);
+
+      expect(interaction.ruleId).toBe('nsaid_ace_inhibitor');
+      expect(interaction.medications).toEqual(['Naproxen', 'Enalapril']);
+      expect(interaction.matchedOn[0]).toMatchObject({ medication: 'Naproxen', class: 'nsaid', classLabel: 'NSAIDs' });
+      expect(interaction.alternatives).toEqual({
+        Naproxen: ['Acetaminophen'],
+        Enalapril: ['Methyldopa', 'Labetalol']
+      });
+    });
+
+    test('should report the concrete medications that triggered a class rule', () => {
+      const result = checkPregnancyInteractions(['Advil', 'Cozaar'], 24);
+      const interaction = result.interactions.find(i => i.ruleId === 'nsaid_arb');
+
+      expect(interaction.medications).toEqual(['Ibuprofen', 'Losartan']);
+      expect(interaction.currentTrimesterRisk).toBe('critical');
+    });
+
+    test('should match class-to-drug rules', () => {
+      const result = checkPregnancyInteractions(['Omeprazole', 'Levothyroxine'], 10);
+      const interaction = result.interactions.find(i => i.type === 'drug_interaction');
+
+      expect(interaction.ruleId).toBe('levothyroxine_proton_pump_inhibitor');
+      expect(interaction.matchedOn).toEqual([
+        { medication: 'Levothyroxine', drug: 'Levothyroxine' },
+        expect.objectContaining({ medication: 'Omeprazole', class: 'proton_pump_inhibitor' })
+      ]);
+      expect(result.highestSeverity).toBe('moderate');
+    });
+
+    test('should use class rules for single-medication contraindications', () => {
+      const result = checkPregnancyInteractions(['Losartan'], 20);
+      expect(result.interactions[0].ruleId).toBe('arb_pregnancy');
+    });
+
+    test('should not pair a medication with itself under another name', () => {
+      const result = checkPregnancyInteractions(['Ibuprofen', 'Advil'], 20);
+      expect(result.interactions.filter(i => i.type === 'drug_interaction')).toHaveLength(0);
+    });
   });
 
   describe('PREGNANCY_INTERACTIONS constant', () => {
     test('should define NSAID + ACE inhibitor interaction', () => {
-      const interaction = PREGNANCY_INTERACTIONS['ibuprofen_lisinopril'];
+      const interaction = PREGNANCY_INTERACTIONS['nsaid_ace_inhibitor'];
       expect(interaction).toBeDefined();
       expect(interaction.severity).toBe('critical');
       expect(interaction.pregnancySpecific).toBe(true);
     });
 
     test('should have trimester-specific risk levels', () => {
-      const interaction = PREGNANCY_INTERACTIONS['ibuprofen_aspirin'];
+      const interaction = PREGNANCY_INTERACTIONS['nsaid_nsaid'];
       expect(interaction.trimesterRisks).toBeDefined();
       expect(interaction.trimesterRisks[1]).toBeDefined();
       expect(interaction.trimesterRisks[2]).toBeDefined();
@@ -190,9 +383,9 @@ describe('Pregnancy Interaction Checker', () => {
     });
 
     test('should include alternatives for unsafe combinations', () => {
-      const interaction = PREGNANCY_INTERACTIONS['ibuprofen_lisinopril'];
+      const interaction = PREGNANCY_INTERACTIONS['nsaid_ace_inhibitor'];
       expect(interaction.alternatives).toBeDefined();
-      expect(interaction.alternatives['Ibuprofen']).toContain('Acetaminophen');
+      expect(interaction.alternatives.nsaid).toContain('Acetaminophen');
     });
   });
 
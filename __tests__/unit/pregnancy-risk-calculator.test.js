@@ -10,8 +10,13 @@ const {
   calculateComprehensiveRisk,
   getProviderRecommendation,
   getRiskLevelFromScore,
+  calculateCompositeScore,
+  getPregnancyContextAdjustments,
+  assessPreeclampsiaRisk,
   RISK_THRESHOLDS
 } = require('../../src/services/pregnancy-risk-calculator');
+const { toPregnancyContext } = require('../../src/utils/validators');
+const { ERROR_CODES } = require('../../src/utils/constants');
 
 describe('Pregnancy Risk Calculator', () => {
 
@@ -50,6 +55,20 @@ describe('Pregnancy Risk Calculator', () => {
   });
 
   describe('calculateMultipleMedicationRisk', () => {
+    test('should accept dosed regimen entries alongside names', () => {
+      const lowDose = calculateMultipleMedicationRisk(
+        ['Acetaminophen', { name: 'Aspirin', dose: '81mg', frequency: 'daily' }],
+        20
+      );
+      const analgesic = calculateMultipleMedicationRisk(
+        ['Acetaminophen', { name: 'Aspirin', dose: '1g', frequency: 'tid' }],
+        20
+      );
+
+      expect(lowDose.medicationRisks[1].dose.lowDose).toBe(true);
+      expect(analgesic.medicationRisks[1].riskScore).toBeGreaterThan(lowDose.medicationRisks[1].riskScore);
+    });
+
     test('should calculate composite risk for safe medications', () => {
       const result = calculateMultipleMedicationRisk(
         ['Acetaminophen', 'Levothyroxine'], 
@@ -214,7 +233,125 @@ describe('Pregnancy Risk Calculator', () => {
     });
   });
 
+  describe('pregnancy context', () => {
+    test('should leave the score unchanged for a singleton pregnancy without risk factors', () => {
+      const result = calculateComprehensiveRisk(['Methyldopa'], 20, null, {});
+
+      expect(result.pregnancyContext).toMatchObject({ gestation: 'singleton', ivf: false, renalImpairment: 'none' });
+      expect(result.scoreAdjustments).toEqual([]);
+      expect(result.riskScore).toBe(result.medicationRiskScore);
+      expect(result.preeclampsiaRisk).toMatchObject({ level: 'low', aspirinRecommended: false });
+    });
+
+    test('should itemize every adjustment to the composite score', () => {
+      const context = { gestation: 'twins', ivf: true, maternalAge: 41, renalImpairment: 'moderate' };
+      const result = calculateComprehensiveRisk(['Sertraline'], 20, null, context);
+
+      expect(result.scoreAdjustments.map(({ factor, value, points }) => [factor, value, points])).toEqual([
+        ['gestation', 'twins', 5],
+        ['ivf', true, 3],
+        ['maternalAge', 41, 5],
+        ['renalImpairment', 'moderate', 8]
+      ]);
+      expect(result.riskScore).toBe(result.medicationRiskScore + 21);
+      expect(result.preeclampsiaRisk).toMatchObject({
+        level: 'high',
+        highRiskFactors: ['multifetal_gestation', 'renal_disease'],
+        moderateRiskFactors: ['age_35_or_older', 'ivf']
+      });
+    });
+
+    test('should add preeclampsia points only for factors not scored elsewhere', () => {
+      const adjustments = context => getPregnancyContextAdjustments(toPregnancyContext(context));
+
+      expect(adjustments({ gestation: 'twins', preeclampsiaRiskFactors: ['multifetal_gestation'] }).map(a => a.factor)).toEqual(['gestation']);
+      expect(adjustments({ maternalAge: 36, bmi: 32, preeclampsiaRiskFactors: ['nulliparity'] }).map(a => a.factor)).toEqual(['maternalAge', 'bmi']);
+      expect(adjustments({ gestation: 'twins', preeclampsiaRiskFactors: ['prior_preeclampsia'] })[1]).toMatchObject({
+        factor: 'preeclampsiaRisk',
+        value: 'high',
+        points: 5,
+        reason: 'High preeclampsia risk: prior preeclampsia'
+      });
+    });
+
+    test('should count hypertension as a preeclampsia risk factor and itemize the condition adjustment', () => {
+      const result = calculateComprehensiveRisk(['Lisinopril'], 20, 'Hypertension', { maternalAge: 30 });
+
+      expect(result.preeclampsiaRisk).toMatchObject({ level: 'high', highRiskFactors: ['chronic_hypertension'] });
+      expect(result.scoreAdjustments).toEqual([
+        expect.objectContaining({ factor: 'preeclampsiaRisk', points: 5 }),
+        expect.objectContaining({ factor: 'maternalCondition', points: 15 })
+      ]);
+      expect(result.riskScore).toBe(Math.min(result.medicationRiskScore + 20, 100));
+    });
+
+    test('should count every concurrent condition and report conflicts between them', () => {
+      const result = calculateComprehensiveRisk(['Labetalol'], 20, ['Hypertension', 'Diabetes', 'Asthma'], { maternalAge: 30 });
+
+      expect(result.maternalConditions).toHaveLength(3);
+      expect(result.preeclampsiaRisk.highRiskFactors).toEqual(['chronic_hypertension', 'pregestational_diabetes']);
+      expect(result.conditionManagement.conflicts).toEqual([
+        { medication: 'Labetalol', recommendedFor: ['Hypertension (High Blood Pressure)'], avoidFor: ['Asthma'] }
+      ]);
+      expect(Object.keys(result.conditionManagement.trimesterPlan)).toEqual(['1', '2', '3']);
+      expect(result.scoreAdjustments[1]).toMatchObject({ factor: 'maternalCondition', points: 15 });
+    });
+
+    test('should add context points in calculateMultipleMedicationRisk', () => {
+      const plain = calculateMultipleMedicationRisk(['Sertraline'], 20);
+      const withContext = calculateMultipleMedicationRisk(['Sertraline'], 20, { priorPretermBirth: true, bmi: 42 });
+
+      expect(plain).toMatchObject({ pregnancyContext: null, preeclampsiaRisk: null, scoreAdjustments: [] });
+      expect(withContext.riskScore).toBe(plain.riskScore + 10);
+    });
+
+    test('should grade preeclampsia risk by high and moderate factors', () => {
+      expect(assessPreeclampsiaRisk(toPregnancyContext({ preeclampsiaRiskFactors: ['nulliparity'] })).level).toBe('low');
+      expect(assessPreeclampsiaRisk(toPregnancyContext({ bmi: 31, preeclampsiaRiskFactors: ['nulliparity'] }))).toEqual({
+        level: 'moderate',
+        highRiskFactors: [],
+        moderateRiskFactors: ['nulliparity', 'obesity'],
+        aspirinRecommended: true
+      });
+      expect(assessPreeclampsiaRisk(toPregnancyContext({ preeclampsiaRiskFactors: ['prior_preeclampsia'] })).level).toBe('high');
+    });
+
+    test('should score age and BMI bands', () => {
+      const points = context => getPregnancyContextAdjustments(toPregnancyContext(context)).map(a => [a.factor, a.points]);
+
+      expect(points({ maternalAge: 16, bmi: 17 })).toEqual([['maternalAge', 3], ['bmi', 2]]);
+      expect(points({ maternalAge: 34, bmi: 29.9 })).toEqual([]);
+      expect(points({ gestation: 'triplets_or_more' })).toEqual([['gestation', 10]]);
+    });
+
+    test('should reject unknown fields and invalid values', () => {
+      expect(() => toPregnancyContext({ twins: true })).toThrow('Unknown pregnancy context field: twins');
+      expect(() => toPregnancyContext({ gestation: 'quads' })).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_REQUEST }));
+      expect(() => toPregnancyContext({ maternalAge: '35' })).toThrow('maternalAge must be');
+      expect(() => toPregnancyContext({ renalImpairment: 'high' })).toThrow('renalImpairment must be one of none, mild, moderate, severe');
+      expect(() => toPregnancyContext({ preeclampsiaRiskFactors: ['smoking'] })).toThrow('must list known risk factors');
+      expect(() => calculateComprehensiveRisk(['Methyldopa'], 20, null, 'twins')).toThrow('Pregnancy context must be an object');
+    });
+  });
+
   describe('getProviderRecommendation', () => {
+    test('should refer a high-risk pregnancy to an obstetrician with consults and considerations', () => {
+      const risk = calculateComprehensiveRisk(['Methyldopa'], 20, null, { gestation: 'twins', hepaticImpairment: 'severe' });
+      const result = getProviderRecommendation(risk);
+
+      expect(result).toMatchObject({ providerType: 'Obstetrician', highRiskPregnancy: true, consults: ['Hepatology'] });
+      expect(result.considerations).toEqual([
+        expect.stringMatching(/^Multiple gestation/),
+        'Hepatic impairment: adjust doses of hepatically metabolized medications',
+        'High preeclampsia risk: low-dose aspirin (81 mg daily) is recommended from 12 weeks until delivery'
+      ]);
+    });
+
+    test('should not recommend starting aspirin after 28 weeks', () => {
+      const risk = calculateComprehensiveRisk(['Methyldopa'], 32, null, { preeclampsiaRiskFactors: ['prior_preeclampsia'] });
+      expect(getProviderRecommendation(risk).considerations).toEqual([]);
+    });
+
     test('should recommend emergency for Category X', () => {
       const riskAssessment = {
         overallRiskLevel: 'critical',
@@ -262,6 +399,23 @@ describe('Pregnancy Risk Calculator', () => {
     });
   });
 
+  describe('calculateCompositeScore', () => {
+    const noInteractions = { interactions: [] };
+    const categoryD = { found: true, riskScore: 80 };
+    const unclassified = { found: true, riskScore: null, riskBasis: 'unclassified' };
+
+    test('should not lower the score when an unclassified medication is added', () => {
+      const alone = calculateCompositeScore([categoryD], noInteractions);
+
+      expect(alone).toBe(80);
+      expect(calculateCompositeScore([categoryD, unclassified], noInteractions)).toBe(alone);
+    });
+
+    test('should score unclassified medications alone as 0', () => {
+      expect(calculateCompositeScore([unclassified], noInteractions)).toBe(0);
+    });
+  });
+
   describe('getRiskLevelFromScore', () => {
     test('should return low for score 25', () => {
       expect(getRiskLevelFromScore(25)).toBe('low');
@@ -16,6 +16,8 @@ const {
   FDA_CATEGORIES,
   TRIMESTERS
 } = require('../../src/services/pregnancy-safety-engine');
+const SafetyChecker = require('../../src/services/SafetyChecker');
+const { resolvePregnancyRisk } = require('../../src/utils/pllr');
 
 describe('Pregnancy Safety Engine', () => {
   
@@ -26,13 +28,13 @@ describe('Pregnancy Safety Engine', () => {
       expect(result.name).toBe('1st Trimester');
     });
 
-    test('should return first trimester for week 12', () => {
-      const result = getTrimester(12);
+    test('should return first trimester for week 13', () => {
+      const result = getTrimester(13);
       expect(result.number).toBe(1);
     });
 
-    test('should return second trimester for week 13', () => {
-      const result = getTrimester(13);
+    test('should return second trimester for week 14', () => {
+      const result = getTrimester(14);
       expect(result.number).toBe(2);
       expect(result.name).toBe('2nd Trimester');
     });
@@ -57,8 +59,13 @@ describe('Pregnancy Safety Engine', () => {
       expect(() => getTrimester(0)).toThrow();
     });
 
-    test('should throw error for week 41', () => {
-      expect(() => getTrimester(41)).toThrow();
+    test('should return third trimester for post-term week 41', () => {
+      const result = getTrimester(41);
+      expect(result.number).toBe(3);
+    });
+
+    test('should throw error for week 46', () => {
+      expect(() => getTrimester(46)).toThrow();
     });
   });
 
@@ -140,6 +147,125 @@ describe('Pregnancy Safety Engine', () => {
     });
   });
 
+  describe('PLLR narrative labeling', () => {
+    const pllrOnlyMedication = (riskLevel) => ({
+      name: 'NewDrug',
+      genericName: 'NewDrug',
+      pllr: {
+        riskSummary: { text: 'Narrative risk summary', riskLevel },
+        pregnancyExposureRegistry: { available: true, name: 'NewDrug Pregnancy Registry' }
+      }
+    });
+
+    test('should score from PLLR risk summary when letter category is absent', () => {
+      const low = calculateRiskScore(pllrOnlyMedication('low'), 20);
+      const contraindicated = calculateRiskScore(pllrOnlyMedication('contraindicated'), 20);
+
+      expect(low).toBeLessThanOrEqual(30);
+      expect(contraindicated).toBeGreaterThan(80);
+    });
+
+    test('should prefer the letter category when both are present', () => {
+      const medication = {
+        ...pllrOnlyMedication('contraindicated'),
+        pregnancyCategory: { fda: 'B' }
+      };
+      expect(calculateRiskScore(medication, 20)).toBeLessThanOrEqual(30);
+    });
+
+    test('should return PLLR sections with the safety assessment', () => {
+      const result = checkMedicationSafety('Sertraline', 20);
+
+      expect(result.riskBasis).toBe('fda_category');
+      expect(result.pllr.riskSummary.text).toBeTruthy();
+      expect(result.pllr.pregnancyExposureRegistry.available).toBe(true);
+      expect(result.pllr.reproductivePotential).toBeNull();
+    });
+
+    test('should score a letterless record in the database from its PLLR risk summary', () => {
+      const result = checkMedicationSafety('Codeine', 20);
+
+      expect(result).toMatchObject({ riskBasis: 'pllr', fdaCategory: null });
+      expect(result.pllrRiskLevel.level).toBe('moderate');
+      expect(result.riskScore).toEqual(expect.any(Number));
+      expect(result.riskLevel).toBe(getRiskLevel(result.riskScore));
+    });
+
+    test('should not score a record with neither a letter nor a PLLR risk summary', () => {
+      const unlabeled = { name: 'UnlabeledDrug', genericName: 'UnlabeledDrug', pregnancyCategory: { fda: 'N' } };
+
+      expect(resolvePregnancyRisk(unlabeled)).toMatchObject({ basis: 'unclassified', scoringCategory: null });
+      expect(calculateRiskScore(unlabeled, 20)).toBeNull();
+    });
+
+    test('should expose PLLR labeling through SafetyChecker.check', async () => {
+      const checker = new SafetyChecker({ cacheEnabled: false });
+      const result = await checker.check('Codeine', 20);
+
+      expect(result).toMatchObject({ category: 'N', riskBasis: 'pllr' });
+      expect(result.pllr.riskSummary.riskLevel).toBe('moderate');
+      expect(result.pllr.clinicalConsiderations.laborOrDelivery).toMatch(/naloxone/);
+    });
+
+    test('should report no PLLR data for letter-only medications', () => {
+      const result = checkMedicationSafety('Acetaminophen', 20);
+
+      expect(result.riskBasis).toBe('fda_category');
+      expect(result.pllr).toBeNull();
+    });
+  });
+
+  describe('dose-aware scoring', () => {
+    test('should score low-dose aspirin below analgesic-dose aspirin', () => {
+      const lowDose = checkMedicationSafety('Aspirin', 20, { dose: '81mg', frequency: 'daily' });
+      const analgesic = checkMedicationSafety('Aspirin', 20, { dose: '500mg', quantity: 2, frequency: 'tid' });
+
+      expect(lowDose.dose.lowDose).toBe(true);
+      expect(lowDose.safe).toBe(true);
+      expect(analgesic.dose.dailyTotalMg).toBe(3000);
+      expect(analgesic.dose.exceedsPregnancyLimit).toBe(true);
+      expect(analgesic.safe).toBe(false);
+      expect(analgesic.riskScore).toBeGreaterThan(lowDose.riskScore);
+      expect(analgesic.warnings.some(w => w.includes('pregnancy limit'))).toBe(true);
+    });
+
+    test('should keep the first trimester risk for low-dose aspirin at week 8', () => {
+      const week8 = checkMedicationSafety('Aspirin', 8, { dose: '81mg', frequency: 'daily' });
+      const week12 = checkMedicationSafety('Aspirin', 12, { dose: '81mg', frequency: 'daily' });
+
+      expect(week8.dose.lowDose).toBe(false);
+      expect(week8.safe).toBe(false);
+      expect(week8.riskScore).toBeGreaterThan(30);
+      expect(week12.dose.lowDose).toBe(true);
+      expect(week12.safe).toBe(true);
+    });
+
+    test('should raise risk when the daily total exceeds the label maximum', () => {
+      const medication = findMedication('Acetaminophen');
+      const withinLabel = calculateRiskScore(medication, 20, { dose: '500mg', frequency: 'q6h' });
+      const overLabel = calculateRiskScore(medication, 20, { dose: '650mg', quantity: 2, frequency: 'q6h' });
+
+      expect(withinLabel).toBe(calculateRiskScore(medication, 20));
+      expect(overLabel).toBeGreaterThanOrEqual(85);
+    });
+
+    test('should not compare topical doses with systemic limits', () => {
+      const result = checkMedicationSafety('Aspirin', 20, { dose: '1000mg', frequency: 'qid', route: 'topical' });
+
+      expect(result.dose.systemic).toBe(false);
+      expect(result.dose.exceedsLabelLimit).toBe(false);
+      expect(result.riskScore).toBe(checkMedicationSafety('Aspirin', 20).riskScore);
+    });
+
+    test('should leave results unchanged when no dose is given', () => {
+      expect(checkMedicationSafety('Aspirin', 20).dose).toBeNull();
+    });
+
+    test('should reject an unparseable dose', () => {
+      expect(() => checkMedicationSafety('Aspirin', 20, { dose: 'two tablets' })).toThrow(/Unrecognized dose/);
+    });
+  });
+
   describe('getRiskLevel', () => {
     test('should return low for score 20', () => {
       expect(getRiskLevel(20)).toBe('low');
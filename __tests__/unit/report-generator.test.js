@@ -0,0 +1,195 @@
+/**
+ * Report Generator Tests
+ *
+ * Tests for the doctor-facing PDF report and the PDF writer
+ */
+
+const zlib = require('zlib');
+const ReportGenerator = require('../../src/services/ReportGenerator');
+const { PdfDocument, encodeWinAnsi, toRgb } = require('../../src/utils/pdf-document');
+const { FDA_CATEGORIES } = require('../../src/utils/constants');
+
+const safetyCheck = (medicationName, week, fdaCategory, safe, extra = {}) => ({
+  id: `audit_${medicationName}_${week}`,
+  type: 'safety_check',
+  timestamp: new Date(Date.UTC(2026, 0, week)).toISOString(),
+  patientId: 'patient_pdf',
+  data: {
+    medicationName,
+    weekOfPregnancy: week,
+    trimester: week < 14 ? 1 : week < 28 ? 2 : 3,
+    fdaCategory,
+    safe,
+    riskLevel: safe ? 'low' : 'high',
+    warnings: [],
+    alternatives: [],
+    ...extra
+  }
+});
+
+const paternalCheck = {
+  id: 'audit_paternal',
+  type: 'paternal_exposure_check',
+  timestamp: '2026-10-19T00:00:00.000Z',
+  patientId: 'patient_pdf',
+  data: {
+    medicationName: 'Mycophenolate',
+    conceptionDate: '2027-03-01',
+    lastDoseDate: null,
+    exposedDuringSpermatogenesis: true,
+    washoutComplete: false,
+    riskLevel: 'moderate',
+    safe: false,
+    warnings: ['Use condoms while taking Mycophenolate and for 13 weeks after the last dose'],
+    recommendation: 'Use condoms during treatment and for 90 days after the last dose'
+  }
+};
+
+/**
+ * Check the cross-reference table and return the decompressed page contents
+ */
+const parsePdf = buffer => {
+  const pdf = buffer.toString('latin1');
+  const startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  expect(pdf.slice(startxref, startxref + 4)).toBe('xref');
+
+  const offsets = [...pdf.matchAll(/(\d{10}) 00000 n /g)].map(m => Number(m[1]));
+  offsets.forEach((offset, index) => {
+    expect(pdf.slice(offset, offset + 12)).toMatch(new RegExp(`^${index + 1} 0 obj`));
+  });
+
+  return [...pdf.matchAll(/stream\n([\s\S]*?)\nendstream/g)]
+    .map(m => zlib.inflateSync(Buffer.from(m[1], 'latin1')).toString('latin1'));
+};
+
+const textOf = content => [...content.matchAll(/\((.*?)\) Tj/g)].map(m => m[1]).join('\n');
+
+describe('ReportGenerator', () => {
+  const generator = new ReportGenerator({});
+
+  describe('generatePDF', () => {
+    const entries = [
+      safetyCheck('Acetaminophen', 8, 'B', true, { warnings: ['Use lowest effective dose'] }),
+      safetyCheck('Lisinopril', 10, 'D', false),
+      safetyCheck('Atorvastatin', 12, 'X', false),
+      {
+        id: 'audit_decision',
+        type: 'provider_decision',
+        timestamp: '2026-01-20T00:00:00.000Z',
+        provider: { id: 'dr_1', name: 'Dr. Lee' },
+        data: { medicationName: 'Lisinopril', decision: 'switch', reasoning: 'Switch to labetalol' }
+      }
+    ];
+
+    test('should produce a valid PDF file', async () => {
+      const pdf = await generator.generatePDF('patient_pdf', entries);
+
+      expect(Buffer.isBuffer(pdf)).toBe(true);
+      expect(pdf.subarray(0, 8).toString()).toBe('%PDF-1.4');
+      expect(pdf.toString('latin1').trimEnd().endsWith('%%EOF')).toBe(true);
+      expect(parsePdf(pdf).length).toBeGreaterThan(0);
+    });
+
+    test('should include the patient header, medications, decisions and disclaimer', async () => {
+      const text = parsePdf(await generator.generatePDF('patient_pdf', entries)).map(textOf).join('\n');
+
+      expect(text).toContain('patient_pdf');
+      expect(text).toContain('Gestational Timeline');
+      expect(text).toContain('Atorvastatin');
+      expect(text).toContain(FDA_CATEGORIES.X.label);
+      expect(text).toContain('Use lowest effective dose');
+      expect(text).toContain('STOP IMMEDIATELY');
+      expect(text).toContain('Dr. Lee: SWITCH Lisinopril');
+      expect(text).toContain('IMPORTANT MEDICAL DISCLAIMER:');
+      expect(text).toMatch(/Page 1 of \d+/);
+    });
+
+    test('should color medications by FDA category', async () => {
+      const content = parsePdf(await generator.generatePDF('patient_pdf', entries)).join('\n');
+
+      ['B', 'D', 'X'].forEach(code => {
+        expect(content).toContain(`${toRgb(FDA_CATEGORIES[code].color)} rg`);
+      });
+    });
+
+    test('should paginate long reports and number every page', async () => {
+      const many = Array.from({ length: 60 }, (_, i) =>
+        safetyCheck(`Medication ${i + 1}`, (i % 40) + 1, 'C', true)
+      );
+
+      const pages = parsePdf(await generator.generatePDF('patient_pdf', many));
+
+      expect(pages.length).toBeGreaterThan(2);
+      pages.forEach((page, index) => {
+        expect(textOf(page)).toContain(`Page ${index + 1} of ${pages.length}`);
+      });
+      // The medication table header is repeated on continuation pages
+      expect(pages.filter(page => textOf(page).includes('Weeks checked')).length).toBeGreaterThan(1);
+    });
+
+    test('should render a report with no entries', async () => {
+      const text = parsePdf(await generator.generatePDF('patient_pdf', [])).map(textOf).join('\n');
+
+      expect(text).toContain('No safety checks recorded');
+      expect(text).toContain('No medications checked');
+      expect(text).not.toContain('Paternal Exposures');
+    });
+
+    test('should list paternal exposure checks', async () => {
+      const text = parsePdf(await generator.generatePDF('patient_pdf', [...entries, paternalCheck])).map(textOf).join('\n');
+
+      expect(text).toContain('Paternal Exposures');
+      expect(text).toContain('Mycophenolate: MODERATE, conception 2027-03-01');
+    });
+  });
+
+  describe('generateJSON', () => {
+    test('should report paternal exposure checks apart from the safety checks', () => {
+      const report = generator.generateJSON('patient_pdf', [safetyCheck('Acetaminophen', 8, 'B', true), paternalCheck]);
+
+      expect(report.period.totalChecks).toBe(1);
+      expect(report.paternalExposures).toEqual([{
+        timestamp: '2026-10-19T00:00:00.000Z',
+        medication: 'Mycophenolate',
+        conceptionDate: '2027-03-01',
+        lastDoseDate: null,
+        exposedDuringSpermatogenesis: true,
+        washoutComplete: false,
+        riskLevel: 'moderate',
+        safe: false,
+        warnings: ['Use condoms while taking Mycophenolate and for 13 weeks after the last dose'],
+        recommendation: 'Use condoms during treatment and for 90 days after the last dose'
+      }]);
+    });
+  });
+
+  describe('PdfDocument', () => {
+    test('should encode text for the standard fonts', () => {
+      expect(encodeWinAnsi('Week 5 – 6 ≥ 3 🚫')).toEqual(Buffer.from([
+        ...Buffer.from('Week 5 '), 0x96, ...Buffer.from(' 6 >= 3 ')
+      ]));
+    });
+
+    test('should wrap text to the available width', () => {
+      const doc = new PdfDocument();
+      const lines = doc.wrapText('Low-dose aspirin is recommended from 12 weeks for preeclampsia prophylaxis', 120, 'regular', 10);
+
+      expect(lines.length).toBeGreaterThan(1);
+      lines.forEach(line => expect(doc.widthOfString(line, 'regular', 10)).toBeLessThanOrEqual(120));
+    });
+
+    test('should measure bold text wider than regular text', () => {
+      const doc = new PdfDocument();
+      expect(doc.widthOfString('Medication', 'bold', 10)).toBeGreaterThan(doc.widthOfString('Medication', 'regular', 10));
+    });
+
+    test('should add a page when the cursor reaches the footer', () => {
+      const doc = new PdfDocument();
+      doc.y = doc.bottom - 5;
+
+      expect(doc.ensureSpace(20)).toBe(true);
+      expect(doc.pageCount).toBe(2);
+      expect(doc.y).toBe(doc.margin);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * bumpie-meds command
+ *
+ * Usage: bumpie-meds serve [--port 3000] [--host 127.0.0.1] [--config config.json]
+ * The config file holds initialize() options (auditStorage, auditHmacKey, ...)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { initialize } = require('../src/index');
+const { createApiServer } = require('../src/server/api-server');
+
+const USAGE = 'Usage: bumpie-meds serve [--port 3000] [--host 127.0.0.1] [--config config.json]';
+
+/**
+ * Parse serve options
+ * @param {Array<string>} args - Arguments after the command
+ * @returns {Object} { port, host, config }
+ */
+function parseServeArgs(args) {
+  const options = {
+    port: Number(process.env.PORT) || 3000,
+    host: process.env.HOST || '127.0.0.1',
+    config: {}
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port') options.port = Number(args[++i]);
+    else if (args[i] === '--host') options.host = args[++i];
+    else if (args[i] === '--config') {
+      options.config = JSON.parse(fs.readFileSync(path.resolve(args[++i]), 'utf8'));
+    } else {
+      throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+
+  if (!Number.isInteger(options.port) || options.port < 0) {
+    throw new Error('--port must be a whole number');
+  }
+
+  return options;
+}
+
+function serve(args) {
+  const { port, host, config } = parseServeArgs(args);
+  const server = createApiServer(initialize(config), { serverUrl: `http://${host}:${port}` });
+
+  server.listen(port, host, () => {
+    console.log(`Bumpie Meds API listening on http://${host}:${port}`);
+    console.log(`OpenAPI document: http://${host}:${port}/openapi.json`);
+  });
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+function main(argv) {
+  const [command, ...args] = argv;
+
+  if (command === 'serve') return serve(args);
+
+  console.error(USAGE);
+  process.exitCode = command ? 1 : 0;
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { parseServeArgs };
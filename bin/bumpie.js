@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/**
+ * bumpie command
+ *
+ * Usage: bumpie <check|interactions|regimen|audit export|audit verify|db validate> [options]
+ * Run `bumpie help` for the full option list
+ */
+
+const { run } = require('../src/cli/bumpie');
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,18 @@
+/**
+ * Offline Medication Data Build
+ *
+ * Rebuilds src/data/medications.json from a local RxNorm release and openFDA
+ * drug label dumps, without network access (CI, air-gapped deployments)
+ *
+ * Usage: node scripts/build-data.js --rxnorm <rrf dir> [--labels <file>...]
+ *        [--base <file>] [--output <file>] [--combinations <file>] [--date YYYY-MM-DD]
+ * Same as `bumpie db import`; exits with status 1 if the imported records are invalid
+ */
+
+const { run } = require('../src/cli/bumpie');
+
+if (require.main === module) {
+  run(['db', 'import', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,18 @@
+/**
+ * CDS Hooks Server
+ *
+ * Starts the CDS Hooks discovery, order-select and order-sign endpoints
+ *
+ * Usage: node scripts/cds-hooks-server.js
+ * Listens on PORT (default 3030). Audit storage follows the default configuration
+ */
+
+const { initialize } = require('../src/index');
+const { createCdsHooksServer } = require('../src/server/cds-hooks');
+
+const port = Number(process.env.PORT) || 3030;
+const server = createCdsHooksServer(initialize());
+
+server.listen(port, () => {
+  console.log(`CDS Hooks services at http://localhost:${port}/cds-services`);
+});
@@ -10,6 +10,7 @@
 const https = require('https');
 const fs = require('fs').promises;
 const path = require('path');
+const { mergeMedicationDatabases, PROVENANCE_SOURCES } = require('../src/services/medication-curation');
 
 // ============================================
 // CONFIGURATION
@@ -226,6 +227,7 @@ async function enrichMedication(baseMed, index) {
     genericName: baseMed.genericName,
     brandNames: baseMed.brandNames || [],
     category: baseMed.category || 'Uncategorized',
+    therapeuticClasses: baseMed.therapeuticClasses || [],
     manufacturer: baseMed.manufacturer || 'Multiple manufacturers',
     dosages: baseMed.dosages || [],
     forms: baseMed.forms || ['Tablet'],
@@ -305,6 +307,9 @@ function exportForBumpie(medications) {
     name: med.genericName,
     genericName: med.genericName,
     brandNames: med.brandNames,
+    therapeuticClasses: med.therapeuticClasses,
+    dosages: med.dosages,
+    maxDailyDose: med.maxDailyDose,
     pregnancyCategory: {
       fda: med.pregnancy_category,
       trimester1: {
@@ -336,6 +341,8 @@ function exportForBumpie(medications) {
       }
     },
     contraindications: [],
+    // Only the input's yes/no; infant dose, half-life and age guidance are curated
+    ...(med.lactation_safe !== undefined && { lactation: { safe: med.lactation_safe } }),
     sources: [
       {
         type: 'RxNorm',
@@ -344,7 +351,24 @@ function exportForBumpie(medications) {
       }
     ],
     lastUpdated: med.lastUpdated,
-    verified: med.verified
+    verified: med.verified,
+    // Trimester blocks above are placeholders derived from the letter; the
+    // merge into medications.json never lets them replace curated values
+    curation: {
+      status: 'draft',
+      history: [],
+      fields: Object.fromEntries([
+        ...[1, 2, 3].flatMap(number =>
+          ['safe', 'risk', 'warnings', 'alternatives'].map(field => [
+            `pregnancyCategory.trimester${number}.${field}`,
+            { source: PROVENANCE_SOURCES.GENERATED, citation: `FDA category ${med.pregnancy_category}`, reviewer: null, reviewDate: null }
+          ])
+        ),
+        ...(med.lactation_safe !== undefined
+          ? [['lactation.safe', { source: PROVENANCE_SOURCES.GENERATED, citation: 'input-medications.json lactation_safe', reviewer: null, reviewDate: null }]]
+          : [])
+      ])
+    }
   }));
 }
 
@@ -407,12 +431,19 @@ async function main() {
     // Export for Bumpie_Meds
     console.log('\n🤰 Exporting for Bumpie_Meds...');
     const bumpieData = exportForBumpie(enriched);
+    // Merge into the current database so clinician-curated data survives the rebuild
+    const current = JSON.parse(await fs.readFile(CONFIG.bumpieOutputFile, 'utf8').catch(() => '[]'));
+    const { medications: merged, report } = mergeMedicationDatabases(current, bumpieData);
     await fs.writeFile(
       CONFIG.bumpieOutputFile,
-      JSON.stringify(bumpieData, null, 2),
+      JSON.stringify(merged, null, 2),
       'utf8'
     );
     console.log(`✓ Saved to: ${CONFIG.bumpieOutputFile}`);
+    console.log(`  Added: ${report.added.length}, updated: ${report.updated.length}, back to draft: ${report.returnedToDraft.length}`);
+    report.conflicts.forEach(conflict => {
+      console.log(`  ⚠️  ${conflict.medication} ${conflict.field}: kept the curated value`);
+    });
     
     // Export for MindTrackAI
     console.log('\n🧠 Exporting for MindTrackAI...');
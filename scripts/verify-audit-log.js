@@ -0,0 +1,66 @@
+/**
+ * Audit Log Verifier
+ *
+ * Checks the pregnancy audit trail hash chain and reports the first broken link
+ *
+ * Usage: node scripts/verify-audit-log.js [--storage jsonl|sqlite|json] [--path <file>]
+ * The HMAC key, if the log was written with one, is read from BUMPIE_AUDIT_HMAC_KEY
+ * Exits with status 1 if the chain is broken
+ */
+
+const { setAuditStorage, setAuditHmacKey, verifyAuditIntegrity } = require('../src/services/pregnancy-audit-logger');
+
+/**
+ * Parse --storage and --path arguments
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} Storage options
+ */
+function parseArgs(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--storage') options.type = args[++i];
+    else if (args[i] === '--path') options.path = args[++i];
+  }
+
+  return options;
+}
+
+async function main() {
+  setAuditStorage(parseArgs(process.argv.slice(2)));
+  setAuditHmacKey(process.env.BUMPIE_AUDIT_HMAC_KEY || null);
+
+  const result = await verifyAuditIntegrity();
+
+  console.log(`Entries verified: ${result.entriesChecked}`);
+  if (result.legacyEntries > 0) {
+    console.log(`Entries written before hash chaining: ${result.legacyEntries}`);
+  }
+  if (result.startSequence > 1) {
+    console.log(`Chain starts at sequence ${result.startSequence} (earlier entries removed by retention cleanup)`);
+  }
+
+  if (result.valid) {
+    console.log(result.headHash
+      ? `✅ Audit chain intact. Head: #${result.headSequence} ${result.headHash}`
+      : '✅ No chained entries to verify');
+    return;
+  }
+
+  const link = result.firstBrokenLink;
+  console.error(`❌ Audit chain broken at entry ${link.index} (id ${link.id}, sequence ${link.sequence}): ${link.reason}`);
+  if (link.expected) {
+    console.error(`   expected ${link.expected}`);
+    console.error(`   actual   ${link.actual}`);
+  }
+  process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Verification failed:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { parseArgs };
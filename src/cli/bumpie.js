@@ -0,0 +1,920 @@
+/**
+ * Bumpie CLI
+ *
+ * Commands behind bin/bumpie.js for answering safety questions, exporting and
+ * verifying the audit trail and validating the data files from a shell
+ *
+ * @module bumpie-cli
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { initialize } = require('../index');
+const PregnancyInteractionChecker = require('../services/pregnancy-interaction-checker');
+const PregnancyAuditLogger = require('../services/pregnancy-audit-logger');
+const { BUILT_IN_FILES, readKnowledgeBaseFile, validateKnowledgeBase } = require('../services/knowledge-base');
+const { COMBINATION_PRODUCTS_FILE, validateCombinationProducts } = require('../services/combination-products');
+const { importMedicationData } = require('../services/medication-import');
+const { transitionReviewStatus, mergeMedicationDatabases, getCuration } = require('../services/medication-curation');
+const { validateMedicationSchema, lintMedicationRecords } = require('../services/medication-linter');
+const { createError } = require('../utils/validators');
+const { ERROR_CODES } = require('../utils/constants');
+
+const MEDICATIONS_FILE = path.join(__dirname, '../data/medications.json');
+
+const USAGE = `Usage: bumpie <command> [options]
+
+Commands:
+  check <medication> --week <week>          Safety of one medication
+        [--dose 500mg] [--quantity 2] [--frequency q6h] [--route oral]
+  interactions <medication...> --week <week>
+                                            Interactions between medications
+  regimen <medication...> --condition <condition>... --week <week>
+                                            Regimen review for maternal conditions;
+                                            repeat --condition for concurrent conditions
+  preconception <medication...> --target <date> [--condition <condition>]
+                                            Washouts and folic acid before conception
+  postpartum <medication> --weeks <weeks since delivery>
+        [--infant-age <weeks>] [--born-at <week of pregnancy>] [--not-breastfeeding]
+                                            Safety after delivery and while breastfeeding
+  paternal <medication> [--conception <date>] [--last-dose <date>]
+                                            Father's medication around conception
+  audit export [--format json|csv|fhir] [--from <date>] [--to <date>]
+               [--patient <id>] [--output <file>]
+                                            Export the audit trail
+  audit verify                              Verify the audit hash chain
+  db validate [--kb <file>...]              Validate the medication database and knowledge base
+  db import --rxnorm <dir> [--labels <file>...] [--base <file>] [--output <file>]
+            [--combinations <file>] [--date YYYY-MM-DD]
+                                            Rebuild the medication database from RxNorm
+                                            RRF files and openFDA label dumps, offline
+  db review <medication> --status draft|reviewed|approved [--reviewer <name>]
+            [--note <text>] [--date <date>] [--file <file>]
+                                            Record a clinical review of a medication
+  db merge <rebuilt file> [--file <file>] [--output <file>] [--dry-run]
+                                            Merge a rebuilt database, keeping curated data
+
+Options:
+  --json               Print the result as JSON
+  --config <file>      JSON file of initialize() options
+  --patient <id>       Patient ID; check, interactions, regimen and paternal are audited only when given
+  --storage <type>     Audit storage type (audit commands)
+  --path <file>        Audit storage file (audit commands)
+
+Weeks are whole weeks (20) or weeks+days (20+3); postpartum weeks are whole
+weeks. The infant's age defaults to the weeks since delivery. The audit HMAC
+key is read from BUMPIE_AUDIT_HMAC_KEY.`;
+
+/**
+ * Options each command accepts: 'value' takes an argument, 'list' may repeat, 'flag' takes none
+ */
+const COMMON_OPTIONS = { json: 'flag', config: 'value' };
+const AUDIT_OPTIONS = { ...COMMON_OPTIONS, storage: 'value', path: 'value' };
+
+const COMMANDS = {
+  check: {
+    options: { ...COMMON_OPTIONS, week: 'value', patient: 'value', dose: 'value', quantity: 'value', frequency: 'value', route: 'value' },
+    run: runCheck
+  },
+  interactions: {
+    options: { ...COMMON_OPTIONS, week: 'value', patient: 'value' },
+    run: runInteractions
+  },
+  regimen: {
+    options: { ...COMMON_OPTIONS, week: 'value', condition: 'list', patient: 'value' },
+    run: runRegimen
+  },
+  preconception: {
+    options: { ...COMMON_OPTIONS, target: 'value', condition: 'value' },
+    run: runPreconception
+  },
+  postpartum: {
+    options: { ...COMMON_OPTIONS, weeks: 'value', 'infant-age': 'value', 'born-at': 'value', 'not-breastfeeding': 'flag' },
+    run: runPostpartum
+  },
+  paternal: {
+    options: { ...COMMON_OPTIONS, conception: 'value', 'last-dose': 'value', patient: 'value' },
+    run: runPaternal
+  },
+  'audit export': {
+    options: { ...AUDIT_OPTIONS, format: 'value', from: 'value', to: 'value', patient: 'value', output: 'value' },
+    run: runAuditExport
+  },
+  'audit verify': {
+    options: AUDIT_OPTIONS,
+    run: runAuditVerify
+  },
+  'db validate': {
+    options: { json: 'flag', kb: 'list' },
+    run: runDbValidate
+  },
+  'db import': {
+    options: { json: 'flag', rxnorm: 'value', labels: 'list', base: 'value', output: 'value', combinations: 'value', date: 'value' },
+    run: runDbImport
+  },
+  'db review': {
+    options: { json: 'flag', status: 'value', reviewer: 'value', note: 'value', date: 'value', file: 'value' },
+    run: runDbReview
+  },
+  'db merge': {
+    options: { json: 'flag', file: 'value', output: 'value', 'dry-run': 'flag' },
+    run: runDbMerge
+  }
+};
+
+const EXPORT_FORMATS = ['json', 'csv', 'fhir'];
+
+/**
+ * Run a bumpie command
+ *
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {Object} [io] - { stdout, stderr } streams (default: the process streams)
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  const print = text => {
+    io.stdout.write(`${text}\n`);
+  };
+
+  if (argv.length === 0 || argv[0] === 'help' || argv[0] === '--help') {
+    print(USAGE);
+    return 0;
+  }
+
+  const name = COMMANDS[argv[0]] ? argv[0] : `${argv[0]} ${argv[1]}`;
+  const command = COMMANDS[name];
+
+  if (!command) {
+    io.stderr.write(`❌ Unknown command: ${argv.slice(0, 2).join(' ')}\n\n${USAGE}\n`);
+    return 1;
+  }
+
+  try {
+    const args = parseArgs(argv.slice(name.split(' ').length), command.options);
+    return (await command.run(args, print)) || 0;
+  } catch (error) {
+    io.stderr.write(`❌ ${error.message}\n`);
+    return 1;
+  }
+}
+
+/**
+ * Split arguments into positionals and options
+ *
+ * @param {Array<string>} args - Arguments after the command
+ * @param {Object} spec - Option name to 'value', 'list' or 'flag'
+ * @returns {Object} { positionals, options }
+ */
+function parseArgs(args, spec) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      positionals.push(args[i]);
+      continue;
+    }
+
+    const name = args[i].slice(2);
+    const kind = spec[name];
+
+    if (!kind) {
+      throw createError(ERROR_CODES.INVALID_REQUEST, `Unknown option: ${args[i]}`);
+    }
+
+    if (kind === 'flag') {
+      options[name] = true;
+      continue;
+    }
+
+    const value = args[++i];
+    if (value === undefined || value.startsWith('--')) {
+      throw createError(ERROR_CODES.INVALID_REQUEST, `${args[i - 1]} needs a value`);
+    }
+
+    if (kind === 'list') options[name] = [...(options[name] || []), value];
+    else options[name] = value;
+  }
+
+  return { positionals, options };
+}
+
+/**
+ * Parse a week argument: "20" or weeks+days "20+3"
+ *
+ * @param {string} value - Week argument
+ * @returns {number|Object} Week, or { weeks, days }
+ */
+function parseWeekArg(value) {
+  if (value === undefined) {
+    throw createError(ERROR_CODES.INVALID_WEEK, '--week is required');
+  }
+
+  const match = /^(\d+)(?:\+([0-6]))?$/.exec(value);
+  if (!match) {
+    throw createError(ERROR_CODES.INVALID_WEEK, `--week must be weeks (20) or weeks+days (20+3), got "${value}"`);
+  }
+
+  return match[2] === undefined
+    ? Number(match[1])
+    : { weeks: Number(match[1]), days: Number(match[2]) };
+}
+
+/**
+ * Format rows as a plain-text table
+ *
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Cell values
+ * @returns {string} Table
+ */
+function formatTable(headers, rows) {
+  const cells = rows.map(row => row.map(cell => (cell === null || cell === undefined ? '' : String(cell))));
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...cells.map(row => row[column].length))
+  );
+  const line = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  return [line(headers), line(widths.map(width => '-'.repeat(width))), ...cells.map(line)].join('\n');
+}
+
+/**
+ * Read the --config file
+ * @private
+ */
+function readConfig(options) {
+  if (!options.config) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(options.config), 'utf8'));
+  } catch (error) {
+    throw createError(ERROR_CODES.INVALID_CONFIG, `Could not read config file ${options.config}`, { error: error.message });
+  }
+}
+
+/**
+ * Facade for the query commands; audited only for a named patient
+ * @private
+ */
+function createFacade(options) {
+  const config = readConfig(options);
+  return initialize({ ...config, enableAudit: Boolean(options.patient) && config.enableAudit !== false });
+}
+
+/**
+ * Facade for the audit commands, with --storage / --path overriding the config
+ * @private
+ */
+function createAuditFacade(options) {
+  const config = readConfig(options);
+  const auditStorage = options.storage || options.path
+    ? { ...config.auditStorage, ...(options.storage && { type: options.storage }), ...(options.path && { path: options.path }) }
+    : config.auditStorage;
+
+  return initialize({
+    ...config,
+    ...(auditStorage && { auditStorage: { type: 'jsonl', ...auditStorage } }),
+    auditHmacKey: process.env.BUMPIE_AUDIT_HMAC_KEY || config.auditHmacKey || null
+  });
+}
+
+/**
+ * @private
+ */
+function requirePositionals(positionals, label, { max = Infinity } = {}) {
+  if (positionals.length === 0) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `Missing ${label}`);
+  }
+  if (positionals.length > max) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `Expected one ${label}, got ${positionals.length}`);
+  }
+  return positionals;
+}
+
+async function runCheck({ positionals, options }, print) {
+  const [medication] = requirePositionals(positionals, 'medication', { max: 1 });
+  const week = parseWeekArg(options.week);
+  const meds = createFacade(options);
+
+  const result = await meds.checkSafety(medication, week, {
+    patientId: options.patient,
+    dose: options.dose,
+    quantity: options.quantity === undefined ? undefined : Number(options.quantity),
+    frequency: options.frequency,
+    route: options.route
+  });
+
+  if (options.json) return print(JSON.stringify(result, null, 2));
+
+  print(formatTable(
+    ['Medication', 'Week', 'Trimester', 'Category', 'Risk', 'Score', 'Safe'],
+    [[
+      result.medication.name,
+      result.weekOfPregnancy,
+      result.trimester,
+      result.category || '-',
+      result.riskLevel,
+      result.riskScore,
+      result.safe ? 'yes' : 'no'
+    ]]
+  ));
+
+  if (result.combination) {
+    print('');
+    print(formatTable(
+      ['Ingredient', 'Category', 'Risk', 'Score', 'Safe'],
+      result.ingredients.map(ingredient => ingredient.found
+        ? [ingredient.name, ingredient.fdaCategory || '-', ingredient.riskLevel, ingredient.riskScore, ingredient.safe ? 'yes' : 'no']
+        : [ingredient.name, '-', 'not in database', '-', 'no'])
+    ));
+  }
+
+  if (result.dose) {
+    const { dailyTotal } = result.dose;
+    print(`\nDaily total: ${dailyTotal ? `${dailyTotal.amount}${dailyTotal.unit}` : 'unknown'} (max ${result.maxDailyDose || 'not listed'})`);
+  }
+  result.warnings.forEach(warning => print(`⚠️  ${warning}`));
+  print(`\n${result.recommendation}`);
+  if (result.alternatives.length > 0) {
+    print(`Alternatives: ${result.alternatives.join(', ')}`);
+  }
+  print(result.verified
+    ? `Data: clinically verified (approved by ${result.curation?.approvedBy || 'unknown'})`
+    : `Data: not clinically verified${result.curation ? ` (${result.curation.status})` : ''}`);
+}
+
+/**
+ * Parse a whole number of weeks option
+ * @private
+ */
+function parseWeeksOption(value, name) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) {
+    throw createError(ERROR_CODES.INVALID_WEEK, `${name} must be a whole number of weeks, got "${value}"`);
+  }
+  return Number(value);
+}
+
+/**
+ * "1-3.5", "0.85" or "-" for a { min, max } range
+ * @private
+ */
+function formatRange(range, unit = '') {
+  if (!range) return '-';
+  return range.min === range.max ? `${range.min}${unit}` : `${range.min}-${range.max}${unit}`;
+}
+
+async function runPostpartum({ positionals, options }, print) {
+  const [medication] = requirePositionals(positionals, 'medication', { max: 1 });
+  if (options.weeks === undefined) {
+    throw createError(ERROR_CODES.INVALID_WEEK, '--weeks is required');
+  }
+  const infantAge = parseWeeksOption(options['infant-age'], '--infant-age');
+  const bornAt = parseWeeksOption(options['born-at'], '--born-at');
+  const meds = createFacade(options);
+
+  const result = await meds.checkPostpartumSafety(medication, {
+    weeksPostpartum: parseWeeksOption(options.weeks, '--weeks'),
+    breastfeeding: !options['not-breastfeeding'],
+    infant: {
+      ...(infantAge !== undefined && { ageWeeks: infantAge }),
+      ...(bornAt !== undefined && { gestationalAgeAtBirth: bornAt })
+    }
+  });
+
+  if (options.json) return print(JSON.stringify(result, null, 2));
+
+  const { lactation } = result;
+  print(formatTable(
+    ['Medication', 'Weeks postpartum', 'Breastfeeding', 'Infant', 'Lactation', 'Safe'],
+    [[
+      result.medicationName,
+      result.weeksPostpartum,
+      result.breastfeeding ? 'yes' : 'no',
+      lactation?.infantAgeGroup.label || '-',
+      lactation?.safety.level || '-',
+      result.safe ? 'yes' : 'no'
+    ]]
+  ));
+
+  if (lactation?.combination) {
+    print('');
+    print(formatTable(
+      ['Ingredient', 'Lactation', 'Infant dose', 'Milk/plasma', 'Half-life'],
+      lactation.ingredients.map(ingredient => [
+        ingredient.name,
+        ingredient.found ? ingredient.safety : 'not in database',
+        formatRange(ingredient.relativeInfantDose, '%'),
+        formatRange(ingredient.milkPlasmaRatio),
+        ingredient.halfLifeHours === null ? '-' : `${ingredient.halfLifeHours} h`
+      ])
+    ));
+  } else if (lactation) {
+    print(`\nRelative infant dose: ${formatRange(lactation.relativeInfantDose, '%')}` +
+      ` | Milk/plasma ratio: ${formatRange(lactation.milkPlasmaRatio)}` +
+      ` | Half-life: ${lactation.halfLifeHours === null ? '-' : `${lactation.halfLifeHours} h`}`);
+  }
+
+  if (lactation) {
+    if (lactation.infantAgeNote) print(`${lactation.infantAgeGroup.label}: ${lactation.infantAgeNote}`);
+    if (lactation.timing) print(`Timing: ${lactation.timing}`);
+    if (lactation.infantMonitoring.length > 0) print(`Watch the infant for: ${lactation.infantMonitoring.join('; ')}`);
+  }
+  result.warnings.forEach(warning => print(`⚠️  ${warning}`));
+  print(`\n${result.recommendation}`);
+  if (lactation) print(lactation.notes);
+}
+
+async function runInteractions({ positionals, options }, print) {
+  const medications = requirePositionals(positionals, 'medications');
+  const week = parseWeekArg(options.week);
+  const meds = createFacade(options);
+
+  const result = await meds.checkInteractions(medications, week, { patientId: options.patient });
+
+  if (options.json) return print(JSON.stringify(result, null, 2));
+
+  print(`Week ${result.weekOfPregnancy} (trimester ${result.trimester}): ` +
+    `${result.interactionsFound} finding(s), highest severity ${result.highestSeverity || 'none'}`);
+
+  if (result.interactions.length > 0) {
+    print('');
+    print(formatTable(
+      ['Severity', 'Type', 'Medications', 'Reason'],
+      result.interactions.map(interaction => [
+        interaction.severity,
+        interaction.type,
+        interaction.medications.join(' + '),
+        interaction.reason
+      ])
+    ));
+  }
+
+  print(`\n${result.recommendation}`);
+}
+
+async function runRegimen({ positionals, options }, print) {
+  const medications = requirePositionals(positionals, 'medications');
+  const week = parseWeekArg(options.week);
+
+  if (!options.condition) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, '--condition is required', {
+      conditions: Object.keys(PregnancyInteractionChecker.MATERNAL_CONDITIONS).map(key => key.toLowerCase())
+    });
+  }
+
+  const meds = createFacade(options);
+  const result = PregnancyInteractionChecker.assessMedicationRegimen(medications, options.condition, week);
+
+  if (options.patient) {
+    // Regimen reviews are recorded as risk calculations against the conditions
+    await meds.calculateRisk(medications, week, { patientId: options.patient, maternalCondition: options.condition });
+  }
+
+  if (options.json) return print(JSON.stringify(result, null, 2));
+
+  print(`${result.condition} at week ${result.weekOfPregnancy} (trimester ${result.trimester})`);
+  print('');
+  print(formatTable(
+    ['Medication', 'Status', 'Recommendation'],
+    result.currentMedications.map(entry => [entry.medication, entry.status, entry.recommendation])
+  ));
+
+  result.conflicts.forEach(conflict => {
+    print(`\n⚠️  ${conflict.medication}: recommended for ${conflict.recommendedFor.join(', ')} but to avoid for ${conflict.avoidFor.join(', ')}`);
+  });
+
+  print(`\nInteractions: ${result.interactions.interactionsFound} finding(s), ` +
+    `highest severity ${result.interactions.highestSeverity || 'none'}`);
+  if (result.conditions.length === 1) {
+    print(`Trimester guidance: ${result.trimesterGuidance}`);
+  } else {
+    print('Trimester guidance:');
+    result.trimesterPlan[result.trimester].forEach(item => print(`  ${item.condition}: ${item.guidance}`));
+  }
+
+  result.recommendations.forEach(recommendation => {
+    const alternatives = recommendation.alternatives?.length ? ` (alternatives: ${recommendation.alternatives.join(', ')})` : '';
+    const subject = [recommendation.action, recommendation.medication].filter(Boolean).join(' ');
+    print(`- ${subject}: ${recommendation.reason}${alternatives}`);
+  });
+}
+
+async function runPreconception({ positionals, options }, print) {
+  const medications = requirePositionals(positionals, 'medications');
+  if (!options.target) {
+    throw createError(ERROR_CODES.INVALID_DATE, '--target is required (planned conception date, YYYY-MM-DD)');
+  }
+  const meds = createFacade(options);
+
+  const result = await meds.assessPreconception(medications, options.target, { maternalCondition: options.condition });
+
+  if (options.json) return print(JSON.stringify(result, null, 2));
+
+  const condition = result.condition ? `, ${result.condition}` : '';
+  print(`Conception planned for ${result.targetConceptionDate} (${result.weeksUntilConception} weeks away${condition})`);
+  print('');
+  print(formatTable(
+    ['Medication', 'Status', 'Washout', 'Stop by', 'Recommendation'],
+    result.currentMedications.map(entry => [
+      entry.product ? `${entry.medication} (${entry.product})` : entry.medication,
+      entry.status,
+      entry.washoutWeeks === null ? '-' : `${entry.washoutWeeks} weeks`,
+      entry.stopBy ? `${entry.stopBy}${entry.onSchedule ? '' : ' (passed)'}` : '-',
+      entry.recommendation
+    ])
+  ));
+
+  const { folicAcid } = result;
+  print(`\nFolic acid: ${folicAcid.dailyDoseMg} mg daily from ${folicAcid.startBy}` +
+    ` (${folicAcid.startWeeksBefore} weeks before conception${folicAcid.onSchedule ? '' : ', start now'}). ${folicAcid.reason}`);
+  if (!result.onSchedule) {
+    print(`⚠️  Too soon for every washout: the earliest safe conception date is ${result.earliestConceptionDate}`);
+  }
+  if (result.conditionGuidance) print(`Condition guidance: ${result.conditionGuidance}`);
+
+  result.recommendations.forEach(recommendation => {
+    const alternatives = recommendation.alternatives?.length ? ` (alternatives: ${recommendation.alternatives.join(', ')})` : '';
+    const subject = [recommendation.action, recommendation.medication].filter(Boolean).join(' ');
+    print(`- ${subject}: ${recommendation.reason}${alternatives}`);
+  });
+}
+
+async function runPaternal({ positionals, options }, print) {
+  const [medication] = requirePositionals(positionals, 'medication', { max: 1 });
+  const meds = createFacade(options);
+
+  const result = await meds.checkPaternalExposure(medication, {
+    conceptionDate: options.conception,
+    lastDoseDate: options['last-dose'],
+    patientId: options.patient
+  });
+
+  if (options.json) return print(JSON.stringify(result, null, 2));
+
+  print(formatTable(
+    ['Medication', 'Semen transfer', 'Sperm affected', 'Washout', 'Risk', 'Safe'],
+    [[
+      result.medicationName,
+      result.semenTransfer?.concern || '-',
+      result.spermatogenesis ? (result.spermatogenesis.affected ? 'yes' : 'no') : '-',
+      result.washoutWeeks === null ? '-' : `${result.washoutWeeks} weeks`,
+      result.riskLevel,
+      result.safe ? 'yes' : 'no'
+    ]]
+  ));
+
+  if (result.exposureWindow) {
+    const exposed = result.exposedDuringSpermatogenesis ? 'taken' : 'not taken';
+    print(`\nSperm for conception on ${result.exposureWindow.end} develop from ${result.exposureWindow.start}: ${exposed} in that window`);
+  }
+  if (result.stopBy) print(`Stop by: ${result.stopBy}`);
+  result.warnings.forEach(warning => print(`⚠️  ${warning}`));
+  print(`\n${result.recommendation}`);
+}
+
+/**
+ * Date filter from --from / --to; a date-only --to covers the whole day
+ * @private
+ */
+function parseDateOption(value, name, endOfDay = false) {
+  if (value === undefined) return null;
+
+  if (Number.isNaN(new Date(value).getTime())) {
+    throw createError(ERROR_CODES.INVALID_DATE, `--${name} must be a date, got "${value}"`);
+  }
+
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value;
+}
+
+async function runAuditExport({ options }, print) {
+  const format = options.format || 'json';
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `--format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const filters = {};
+  const startDate = parseDateOption(options.from, 'from');
+  const endDate = parseDateOption(options.to, 'to', true);
+  if (startDate) filters.startDate = startDate;
+  if (endDate) filters.endDate = endDate;
+  if (options.patient) filters.patientId = options.patient;
+
+  createAuditFacade(options);
+  const output = await PregnancyAuditLogger.exportAuditLogs(filters, format);
+
+  if (!options.output) return print(output);
+
+  fs.writeFileSync(path.resolve(options.output), `${output}\n`);
+  print(`Wrote ${format} export to ${options.output}`);
+}
+
+async function runAuditVerify({ options }, print) {
+  const result = await createAuditFacade(options).verifyAuditIntegrity();
+
+  if (options.json) {
+    print(JSON.stringify(result, null, 2));
+    return result.valid ? 0 : 1;
+  }
+
+  print(`Entries verified: ${result.entriesChecked}`);
+  if (result.legacyEntries > 0) {
+    print(`Entries written before hash chaining: ${result.legacyEntries}`);
+  }
+
+  if (result.valid) {
+    print(result.headHash
+      ? `✅ Audit chain intact. Head: #${result.headSequence} ${result.headHash}`
+      : '✅ No chained entries to verify');
+    return 0;
+  }
+
+  const link = result.firstBrokenLink;
+  print(`❌ Audit chain broken at entry ${link.index} (id ${link.id}, sequence ${link.sequence}): ${link.reason}`);
+  return 1;
+}
+
+/**
+ * Check the medication records the engine relies on: the medication JSON
+ * Schema, the fields the engine needs, unique ids and names, and the
+ * cross-record consistency rules of the medication linter
+ *
+ * @param {Array<Object>} medications - Medication records
+ * @param {Object} [options] - Options
+ * @param {Object} [options.combinationProducts] - Products keyed by id, checked for brand names claimed twice
+ * @returns {Array<Object>} Problems as { path, message } plus rule for lint findings
+ */
+function validateMedicationRecords(medications, { combinationProducts = {} } = {}) {
+  if (!Array.isArray(medications)) {
+    return [{ path: '$', message: 'must be an array of medication records' }];
+  }
+
+  const problems = validateMedicationSchema(medications);
+  const seen = { id: new Map(), name: new Map() };
+
+  medications.forEach((medication, index) => {
+    const at = `$[${index}]`;
+    if (!medication || typeof medication !== 'object') return;
+
+    // The engine needs one of the two; the schema cannot require either
+    if (!medication.pregnancyCategory && !medication.pllr) {
+      problems.push({ path: at, message: 'needs pregnancyCategory, pllr or both' });
+    }
+
+    Object.entries(seen).forEach(([field, values]) => {
+      const value = medication[field] && String(medication[field]).toLowerCase();
+      if (!value) return;
+
+      if (values.has(value)) {
+        problems.push({ path: `${at}.${field}`, message: `duplicates ${values.get(value)}` });
+      } else {
+        values.set(value, `$[${index}].${field}`);
+      }
+    });
+  });
+
+  return problems.concat(lintMedicationRecords(medications, { combinationProducts }));
+}
+
+/**
+ * Combination products from the data file, or none when it cannot be read;
+ * db validate reports an unreadable file on its own row
+ *
+ * @returns {Object} Products keyed by id
+ */
+function readCombinationProducts() {
+  try {
+    return JSON.parse(fs.readFileSync(COMBINATION_PRODUCTS_FILE, 'utf8')).products || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+async function runDbValidate({ options }, print) {
+  const report = [];
+
+  try {
+    const medications = JSON.parse(fs.readFileSync(MEDICATIONS_FILE, 'utf8'));
+    report.push({
+      source: MEDICATIONS_FILE,
+      entries: Array.isArray(medications) ? medications.length : 0,
+      problems: validateMedicationRecords(medications, { combinationProducts: readCombinationProducts() })
+    });
+  } catch (error) {
+    report.push({ source: MEDICATIONS_FILE, entries: 0, problems: [{ path: '$', message: error.message }] });
+  }
+
+  try {
+    const combinations = JSON.parse(fs.readFileSync(COMBINATION_PRODUCTS_FILE, 'utf8'));
+    report.push({
+      source: COMBINATION_PRODUCTS_FILE,
+      entries: Object.keys(combinations.products || {}).length,
+      problems: validateCombinationProducts(combinations)
+    });
+  } catch (error) {
+    report.push({ source: COMBINATION_PRODUCTS_FILE, entries: 0, problems: [{ path: '$', message: error.message }] });
+  }
+
+  [BUILT_IN_FILES.interactions, BUILT_IN_FILES.conditions, ...(options.kb || [])].forEach(file => {
+    try {
+      const data = readKnowledgeBaseFile(path.resolve(file));
+      validateKnowledgeBase(data, file);
+      report.push({
+        source: file,
+        entries: Object.keys(data.interactions || {}).length + Object.keys(data.conditions || {}).length,
+        problems: []
+      });
+    } catch (error) {
+      report.push({ source: file, entries: 0, problems: error.details?.errors || [{ path: '$', message: error.message }] });
+    }
+  });
+
+  const valid = report.every(entry => entry.problems.length === 0);
+
+  if (options.json) {
+    print(JSON.stringify({ valid, files: report }, null, 2));
+    return valid ? 0 : 1;
+  }
+
+  print(formatTable(
+    ['File', 'Entries', 'Problems'],
+    report.map(entry => [path.relative(process.cwd(), entry.source) || entry.source, entry.entries, entry.problems.length])
+  ));
+
+  report.forEach(entry => {
+    entry.problems.forEach(problem => {
+      const rule = problem.rule ? ` [${problem.rule}]` : '';
+      print(`❌ ${path.basename(entry.source)} ${problem.path}: ${problem.message}${rule}`);
+    });
+  });
+
+  print(valid ? '\n✅ Data files are valid' : '\n❌ Data files have problems');
+  return valid ? 0 : 1;
+}
+
+async function runDbImport({ options }, print) {
+  if (!options.rxnorm) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, '--rxnorm <dir> is required');
+  }
+  if (options.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(options.date)) {
+    throw createError(ERROR_CODES.INVALID_DATE, `--date must be YYYY-MM-DD, got "${options.date}"`);
+  }
+
+  const baseFile = path.resolve(options.base || MEDICATIONS_FILE);
+  const output = path.resolve(options.output || MEDICATIONS_FILE);
+  let medications;
+  try {
+    medications = JSON.parse(fs.readFileSync(baseFile, 'utf8'));
+  } catch (error) {
+    throw createError(ERROR_CODES.DATA_LOAD_ERROR, `Failed to read base medications: ${baseFile}`, { error: error.message });
+  }
+
+  const result = await importMedicationData({
+    medications,
+    rxnormDir: path.resolve(options.rxnorm),
+    labelFiles: (options.labels || []).map(file => path.resolve(file)),
+    date: options.date || null
+  });
+  const problems = validateMedicationRecords(result.medications, { combinationProducts: result.combinationProducts });
+  const { report } = result;
+
+  // Only a database the engine can load is written
+  if (problems.length === 0) {
+    fs.writeFileSync(output, JSON.stringify(result.medications, null, 2));
+    if (options.combinations) {
+      fs.writeFileSync(
+        path.resolve(options.combinations),
+        JSON.stringify({ updated: report.date, products: result.combinationProducts }, null, 2)
+      );
+    }
+  }
+
+  if (options.json) {
+    print(JSON.stringify({ written: problems.length === 0, output, report, problems }, null, 2));
+    return problems.length === 0 ? 0 : 1;
+  }
+
+  print(formatTable(['Imported', 'Count'], [
+    ['Matched in RxNorm', report.matched.length],
+    ['Not in RxNorm', report.unmatched.length],
+    ['Without a label', report.withoutLabel.length],
+    ['Category from label', report.categoryFromLabel.length],
+    ['PLLR from label', report.pllrFromLabel.length],
+    ['Combination products', Object.keys(result.combinationProducts).length]
+  ]));
+
+  report.unmatched.forEach(name => print(`⚠️  ${name}: not found in RxNorm, kept as is`));
+  report.withoutLabel.forEach(name => print(`⚠️  ${name}: no openFDA label`));
+  report.removedCombinationBrands.forEach(({ medication, brand }) => {
+    print(`⚠️  ${medication}: removed combination brand ${brand}`);
+  });
+  problems.forEach(problem => print(`❌ ${problem.path}: ${problem.message}`));
+
+  if (problems.length > 0) {
+    print(`\n❌ Not written: ${problems.length} problem(s) in the imported records`);
+    return 1;
+  }
+
+  print(`\n✅ Wrote ${result.medications.length} medications (${report.date}) to ${path.relative(process.cwd(), output) || output}`);
+  return 0;
+}
+
+/**
+ * Read a medication database file for a command that rewrites it
+ * @private
+ */
+function readMedicationsFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw createError(ERROR_CODES.DATA_LOAD_ERROR, `Failed to read medications: ${file}`, { error: error.message });
+  }
+}
+
+async function runDbReview({ positionals, options }, print) {
+  const [name] = requirePositionals(positionals, 'medication', { max: 1 });
+  if (!options.status) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, '--status is required');
+  }
+
+  const file = path.resolve(options.file || MEDICATIONS_FILE);
+  const medications = readMedicationsFile(file);
+
+  // Reviews name the record exactly; no fuzzy matching for a write
+  const key = name.toLowerCase();
+  const index = medications.findIndex(medication =>
+    [medication.name, medication.id, medication.rxcui].some(value => value && String(value).toLowerCase() === key)
+  );
+  if (index === -1) {
+    throw createError(ERROR_CODES.MEDICATION_NOT_FOUND, `Medication not found in ${path.basename(file)}: ${name}`);
+  }
+
+  const before = getCuration(medications[index]).status;
+  const review = { reviewer: options.reviewer || null, note: options.note || null };
+  if (options.date) review.date = new Date(parseDateOption(options.date, 'date')).toISOString();
+
+  medications[index] = transitionReviewStatus(medications[index], options.status, review);
+  fs.writeFileSync(file, JSON.stringify(medications, null, 2));
+
+  const { curation } = medications[index];
+  if (options.json) return print(JSON.stringify({ medication: medications[index].name, ...curation }, null, 2));
+
+  const by = review.reviewer ? ` by ${review.reviewer}` : '';
+  print(`✅ ${medications[index].name}: ${before} -> ${curation.status}${by}`);
+}
+
+async function runDbMerge({ positionals, options }, print) {
+  const [rebuiltFile] = requirePositionals(positionals, 'rebuilt file', { max: 1 });
+  const file = path.resolve(options.file || MEDICATIONS_FILE);
+  const output = path.resolve(options.output || file);
+
+  const { medications, report } = mergeMedicationDatabases(
+    readMedicationsFile(file),
+    readMedicationsFile(path.resolve(rebuiltFile))
+  );
+  const problems = validateMedicationRecords(medications, { combinationProducts: readCombinationProducts() });
+  const written = !options['dry-run'] && problems.length === 0;
+  if (written) {
+    fs.writeFileSync(output, JSON.stringify(medications, null, 2));
+  }
+
+  if (options.json) {
+    print(JSON.stringify({ written, output, report, problems }, null, 2));
+    return problems.length === 0 ? 0 : 1;
+  }
+
+  print(formatTable(['Merged', 'Count'], [
+    ['Added', report.added.length],
+    ['Updated', report.updated.length],
+    ['Unchanged', report.unchanged.length],
+    ['Back to draft', report.returnedToDraft.length],
+    ['Curated values kept', report.conflicts.length]
+  ]));
+
+  report.returnedToDraft.forEach(name => print(`⚠️  ${name}: curated data changed, review status back to draft`));
+  report.conflicts.forEach(conflict => print(`⚠️  ${conflict.medication} ${conflict.field}: kept the curated value`));
+  problems.forEach(problem => print(`❌ ${problem.path}: ${problem.message}`));
+
+  if (problems.length > 0) {
+    print(`\n❌ Not written: ${problems.length} problem(s) in the merged records`);
+    return 1;
+  }
+
+  print(written
+    ? `\n✅ Wrote ${medications.length} medications to ${path.relative(process.cwd(), output) || output}`
+    : '\nDry run: nothing written');
+  return 0;
+}
+
+module.exports = {
+  // Constants
+  USAGE,
+
+  // Core functions
+  run,
+
+  // Helper functions
+  parseArgs,
+  parseWeekArg,
+  formatTable,
+  validateMedicationRecords
+};
@@ -11,12 +11,37 @@ const PregnancySafetyEngine = require('./services/pregnancy-safety-engine');
 const PregnancyInteractionChecker = require('./services/pregnancy-interaction-checker');
 const PregnancyRiskCalculator = require('./services/pregnancy-risk-calculator');
 const PregnancyAuditLogger = require('./services/pregnancy-audit-logger');
-const { validateConfig } = require('./utils/validators');
+const PregnancyDating = require('./services/pregnancy-dating');
+const PregnancyExposureAnalysis = require('./services/pregnancy-exposure-analysis');
+const PatientMedicationProfile = require('./services/PatientMedicationProfile');
+const MedicationSearch = require('./services/medication-search');
+const CombinationProducts = require('./services/combination-products');
+const MedicationCuration = require('./services/medication-curation');
+const MedicationLinter = require('./services/medication-linter');
+const LactationSafety = require('./services/lactation-safety');
+const PaternalExposure = require('./services/paternal-exposure');
+const CdsHooks = require('./server/cds-hooks');
+const ApiServer = require('./server/api-server');
+const { validateConfig, sanitizePatientId, toWeekOfPregnancy } = require('./utils/validators');
 const CONSTANTS = require('./utils/constants');
 
+/**
+ * Pick dose inputs out of an options object
+ * @param {Object} options - Options that may carry dose, quantity, frequency and route
+ * @returns {Object|null} Dosing input, or null when no dose was given
+ */
+function getDosing(options) {
+  if (options.dose === undefined || options.dose === null) return null;
+
+  const { dose, quantity, frequency, route } = options;
+  return { dose, quantity, frequency, route };
+}
+
 class BumpieMeds {
   constructor(config = {}) {
     this.config = validateConfig(config);
+    // The knowledge base is shared by every instance in the process; conflicting files are rejected
+    PregnancyInteractionChecker.useKnowledgeBase({ supplementary: this.config.knowledgeBaseFiles });
     this.safetyChecker = new SafetyChecker(this.config);
     this.trimesterAnalyzer = new TrimesterAnalyzer();
     this.auditService = new AuditService(this.config);
@@ -26,19 +51,19 @@ class BumpieMeds {
   /**
    * Check medication safety during pregnancy
    * @param {string} medicationId - RxCUI or medication name
-   * @param {number} weekOfPregnancy - Current week (1-40+)
-   * @param {Object} options - Additional options
+   * @param {number|Object} weekOfPregnancy - Current week (1-40+) or result of getGestationalAge
+   * @param {Object} options - { patientId, context, dose, quantity, frequency, route }
    * @returns {Promise<Object>} Safety result
    */
   async checkSafety(medicationId, weekOfPregnancy, options = {}) {
     try {
-      const result = await this.safetyChecker.check(medicationId, weekOfPregnancy);
+      const result = await this.safetyChecker.check(medicationId, weekOfPregnancy, getDosing(options));
       
       // Log to audit trail if enabled
       if (this.config.enableAudit) {
         await this.auditService.logCheck({
           medication: result.medication,
-          weekOfPregnancy,
+          weekOfPregnancy: result.weekOfPregnancy,
           trimester: result.trimester,
           result,
           context: options.context || {},
@@ -52,6 +77,20 @@ class BumpieMeds {
     }
   }
 
+  /**
+   * Calculate gestational age from pregnancy dates
+   * @param {Object} datingInput - { lmp, edd, conceptionDate, ivfTransfer, ultrasound }
+   * @param {Date|string} asOf - Reference date (default: today)
+   * @returns {Object} Gestational age, accepted wherever a week number is
+   */
+  getGestationalAge(datingInput, asOf = new Date()) {
+    try {
+      return PregnancyDating.calculateGestationalAge(datingInput, asOf);
+    } catch (error) {
+      throw this._handleError(error);
+    }
+  }
+
   /**
    * Get trimester-specific information
    * @param {string} medicationId - RxCUI or medication name
@@ -72,13 +111,205 @@ class BumpieMeds {
     return this.safetyChecker.findAlternatives(medicationId, weekOfPregnancy);
   }
 
+  /**
+   * Search medications by name, brand or RxCUI, tolerating misspellings,
+   * salts and strengths ("acetaminophin", "sertraline HCl 50 mg")
+   * @param {string} query - Text as typed
+   * @param {Object} options - { limit }
+   * @returns {Array<Object>} Ranked matches, one per medication
+   */
+  searchMedications(query, options = {}) {
+    return MedicationSearch.searchMedications(query, options);
+  }
+
+  /**
+   * Prefix completions for a medication input field
+   * @param {string} prefix - Text typed so far
+   * @param {Object} options - { limit }
+   * @returns {Array<Object>} [{ label, name, genericName, rxcui, field }]
+   */
+  autocompleteMedication(prefix, options = {}) {
+    return MedicationSearch.autocompleteMedications(prefix, options);
+  }
+
+  /**
+   * Check pregnancy-specific drug interactions
+   * @param {Array<string>} medicationIds - Medication names or RxCUIs
+   * @param {number|Object} weekOfPregnancy - Current week or gestational age
+   * @param {Object} options - { patientId, sessionId }
+   * @returns {Promise<Object>} Interaction assessment
+   */
+  async checkInteractions(medicationIds, weekOfPregnancy, options = {}) {
+    try {
+      const result = PregnancyInteractionChecker.checkPregnancyInteractions(medicationIds, weekOfPregnancy);
+
+      if (this.config.enableAudit) {
+        await this.auditService.logInteractions(result, options);
+      }
+
+      return result;
+    } catch (error) {
+      throw this._handleError(error);
+    }
+  }
+
+  /**
+   * Calculate composite risk for a medication regimen
+   * @param {Array<string|Object>|PatientMedicationProfile} medicationIds - Medication names or RxCUIs,
+   *   { name, dose, quantity, frequency, route } entries, or a patient profile
+   * @param {number|Object} weekOfPregnancy - Current week or gestational age
+   * @param {Object} options - { maternalCondition (one name or a list), pregnancyContext, patientId, sessionId }
+   * @returns {Promise<Object>} Comprehensive risk with provider recommendation
+   */
+  async calculateRisk(medicationIds, weekOfPregnancy, options = {}) {
+    try {
+      const medications = PregnancyRiskCalculator.resolveMedicationNames(
+        medicationIds,
+        toWeekOfPregnancy(weekOfPregnancy)
+      );
+      const risk = PregnancyRiskCalculator.calculateComprehensiveRisk(
+        medicationIds,
+        weekOfPregnancy,
+        options.maternalCondition || null,
+        options.pregnancyContext || null
+      );
+      const result = {
+        ...risk,
+        providerRecommendation: PregnancyRiskCalculator.getProviderRecommendation(risk)
+      };
+
+      if (this.config.enableAudit) {
+        await this.auditService.logRisk(medications.map(PregnancyRiskCalculator.getMedicationName), result, {
+          ...options,
+          patientId: options.patientId || medicationIds.patientId
+        });
+      }
+
+      return result;
+    } catch (error) {
+      throw this._handleError(error);
+    }
+  }
+
+  /**
+   * Assess a regimen before conception (preconception mode)
+   * @param {Array<string>} medicationIds - Medication names or RxCUIs
+   * @param {Date|string} targetConceptionDate - Planned conception or embryo transfer date
+   * @param {Object} options - { maternalCondition, asOf }
+   * @returns {Promise<Object>} Washout periods, folic acid and switch recommendations
+   */
+  async assessPreconception(medicationIds, targetConceptionDate, options = {}) {
+    try {
+      return PregnancyInteractionChecker.assessPreconceptionRegimen(medicationIds, targetConceptionDate, options);
+    } catch (error) {
+      throw this._handleError(error);
+    }
+  }
+
+  /**
+   * Get breastfeeding safety for a medication
+   * @param {string} medicationId - RxCUI or medication name
+   * @param {Object} options - { infant: { ageWeeks, gestationalAgeAtBirth } } for age-specific guidance
+   * @returns {Promise<Object>} Lactation safety with relative infant dose, half-life, timing and monitoring
+   */
+  async getLactationSafety(medicationId, options = {}) {
+    try {
+      const medication = await this.safetyChecker.findMedication(medicationId, { combinations: true });
+      return LactationSafety.getLactationSafety(medication.name, { infant: options.infant });
+    } catch (error) {
+      throw this._handleError(error);
+    }
+  }
+
+  /**
+   * Check a medication after delivery (postpartum mode)
+   * @param {string} medicationId - RxCUI or medication name
+   * @param {Object} options - { weeksPostpartum, breastfeeding, infant: { ageWeeks, gestationalAgeAtBirth } }
+   * @returns {Promise<Object>} Postpartum assessment; lactation safety while breastfeeding
+   */
+  async checkPostpartumSafety(medicationId, options = {}) {
+    try {
+      const medication = await this.safetyChecker.findMedication(medicationId, { combinations: true });
+      return LactationSafety.checkPostpartumSafety(medication.name, options);
+    } catch (error) {
+      throw this._handleError(error);
+    }
+  }
+
+  /**
+   * Check a medication taken by the father around conception
+   * @param {string} medicationId - RxCUI or medication name
+   * @param {Object} options - { conceptionDate, lastDoseDate, asOf, patientId, sessionId }
+   * @returns {Promise<Object>} Semen transfer, spermatogenesis exposure and washout
+   */
+  async checkPaternalExposure(medicationId, options = {}) {
+    try {
+      const medication = await this.safetyChecker.findMedication(medicationId);
+      const result = PaternalExposure.checkPaternalExposure(medication.name, options);
+
+      if (this.config.enableAudit) {
+        await this.auditService.logPaternalExposure(result, options);
+      }
+
+      return result;
+    } catch (error) {
+      throw this._handleError(error);
+    }
+  }
+
+  /**
+   * Load a patient's medication profile from the audit trail
+   * The profile can be passed to calculateRisk in place of a medication list
+   * @param {string} patientId - Patient identifier (hashed)
+   * @param {Object} options - { dating } getGestationalAge input for date-only events
+   * @returns {Promise<PatientMedicationProfile>} Medication profile
+   */
+  async getMedicationProfile(patientId, options = {}) {
+    try {
+      return await PatientMedicationProfile.load(sanitizePatientId(patientId), options);
+    } catch (error) {
+      throw this._handleError(error);
+    }
+  }
+
+  /**
+   * Report which embryonic windows medication exposures overlapped
+   * @param {Object|Array<Object>|PatientMedicationProfile} exposures - { medicationName, startWeek, stopWeek }
+   *   or { medicationName, startDate, stopDate }, a list of them, or a patient profile
+   * @param {Object} options - { dating } getGestationalAge input for date-based exposures
+   * @returns {Promise<Object>} Exposure analysis
+   */
+  async analyzeExposure(exposures, options = {}) {
+    try {
+      if (Array.isArray(exposures) || typeof exposures?.getHistory === 'function') {
+        return PregnancyExposureAnalysis.analyzeExposures(exposures, options);
+      }
+      return PregnancyExposureAnalysis.analyzeExposure(exposures, options);
+    } catch (error) {
+      throw this._handleError(error);
+    }
+  }
+
+  /**
+   * Record a provider decision in the audit trail
+   * @param {Object} decision - { patientId, providerId, providerName, medicationName, decision, reasoning, ... }
+   * @returns {Promise<Object>} Audit entry
+   */
+  async logProviderDecision(decision) {
+    try {
+      return await this.auditService.logDecision(decision);
+    } catch (error) {
+      throw this._handleError(error);
+    }
+  }
+
   /**
    * Generate doctor report
    * @param {string} patientId - Patient identifier (hashed)
    * @param {Date} startDate - Report start date
    * @param {Date} endDate - Report end date
-   * @param {string} format - 'pdf' | 'json' | 'csv'
-   * @returns {Promise<Buffer|Object|string>} Report
+   * @param {string} format - 'pdf' | 'json' | 'csv' | 'fhir'
+   * @returns {Promise<Buffer|Object|string>} Report (a FHIR R4 Bundle object for 'fhir')
    */
   async generateReport(patientId, startDate, endDate, format = 'json') {
     const logs = await this.auditService.query({
@@ -92,6 +323,8 @@ class BumpieMeds {
         return this.reportGenerator.generatePDF(patientId, logs);
       case 'csv':
         return this.reportGenerator.generateCSV(logs);
+      case 'fhir':
+        return this.reportGenerator.generateFHIR(logs);
       case 'json':
       default:
         return this.reportGenerator.generateJSON(patientId, logs);
@@ -107,6 +340,26 @@ class BumpieMeds {
     return this.auditService.query(filters);
   }
 
+  /**
+   * Verify that the audit trail has not been altered
+   * @returns {Promise<Object>} { valid, entriesChecked, headHash, firstBrokenLink, ... }
+   */
+  async verifyAuditIntegrity() {
+    try {
+      return await this.auditService.verifyIntegrity();
+    } catch (error) {
+      throw this._handleError(error);
+    }
+  }
+
+  /**
+   * Get the version of the interaction and maternal-condition knowledge base
+   * @returns {Object} { id, interactions, conditions, supplementary }
+   */
+  getContentVersion() {
+    return PregnancyInteractionChecker.getContentVersion();
+  }
+
   /**
    * Get FDA disclaimer text
    * @returns {string} Disclaimer
@@ -144,5 +397,17 @@ module.exports = {
   PregnancySafetyEngine,
   PregnancyInteractionChecker,
   PregnancyRiskCalculator,
-  PregnancyAuditLogger
+  PregnancyAuditLogger,
+  PregnancyDating,
+  PregnancyExposureAnalysis,
+  PatientMedicationProfile,
+  MedicationSearch,
+  CombinationProducts,
+  MedicationCuration,
+  MedicationLinter,
+  LactationSafety,
+  PaternalExposure,
+  // HTTP servers
+  CdsHooks,
+  ApiServer
 };
@@ -0,0 +1,614 @@
+/**
+ * REST API Server
+ *
+ * HTTP routes over the BumpieMeds facade for services that are not written
+ * in Node. Responses are the facade's result objects as JSON; errors are
+ * { error: { code, message, details } } with a status from ERROR_STATUS.
+ * The OpenAPI document is built from the same route table, at /openapi.json
+ *
+ * @module api-server
+ */
+
+const http = require('http');
+const { createCdsHooksHandler } = require('./cds-hooks');
+const { readJsonBody, sendJson, sendError, sendPreflight } = require('./http-helpers');
+const PregnancyInteractionChecker = require('../services/pregnancy-interaction-checker');
+const { DECISION_TYPES } = require('../services/pregnancy-audit-logger');
+const { createError } = require('../utils/validators');
+const { ERROR_CODES, GESTATION_TYPES, IMPAIRMENT_GRADES, PREECLAMPSIA_RISK_FACTORS } = require('../utils/constants');
+const { version } = require('../../package.json');
+
+/**
+ * Reusable OpenAPI parameters and schemas
+ */
+const WEEK_PARAMETER = {
+  name: 'week',
+  in: 'query',
+  required: true,
+  description: 'Week of pregnancy (1-45)',
+  schema: { type: 'integer', minimum: 1, maximum: 45 }
+};
+
+const MEDICATION_ID_PARAMETER = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'Medication name, brand name or RxCUI',
+  schema: { type: 'string' }
+};
+
+const INFANT_PARAMETERS = [
+  { name: 'infantAgeWeeks', in: 'query', description: 'Infant age in weeks, for age-specific guidance', schema: { type: 'number', minimum: 0 } },
+  { name: 'gestationalAgeAtBirth', in: 'query', description: 'Week of pregnancy at birth (default 40); before 37 is preterm', schema: { type: 'integer', minimum: 22, maximum: 44 } }
+];
+
+const SEARCH_PARAMETERS = [
+  { name: 'q', in: 'query', required: true, description: 'Text as typed', schema: { type: 'string' } },
+  { name: 'limit', in: 'query', description: 'Most results returned (default 10)', schema: { type: 'integer', minimum: 1, maximum: 50 } }
+];
+
+const WEEK_SCHEMA = {
+  oneOf: [
+    { type: 'integer', minimum: 1, maximum: 45 },
+    { type: 'object', description: 'Gestational age, e.g. from getGestationalAge', properties: { weeks: { type: 'integer' }, days: { type: 'integer' } } }
+  ]
+};
+
+const MEDICATION_LIST_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    oneOf: [
+      { type: 'string' },
+      {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          dose: { type: 'string' },
+          quantity: { type: 'number' },
+          frequency: { type: 'string' },
+          route: { type: 'string' }
+        }
+      }
+    ]
+  }
+};
+
+const PREGNANCY_CONTEXT_SCHEMA = {
+  type: 'object',
+  description: 'Pregnancy context; each field adjusts the composite score (see scoreAdjustments)',
+  properties: {
+    gestation: { type: 'string', enum: GESTATION_TYPES },
+    ivf: { type: 'boolean' },
+    maternalAge: { type: 'number', minimum: 10, maximum: 65 },
+    bmi: { type: 'number', minimum: 10, maximum: 80 },
+    priorPretermBirth: { type: 'boolean' },
+    renalImpairment: { type: 'string', enum: IMPAIRMENT_GRADES },
+    hepaticImpairment: { type: 'string', enum: IMPAIRMENT_GRADES },
+    preeclampsiaRiskFactors: {
+      type: 'array',
+      items: { type: 'string', enum: [...PREECLAMPSIA_RISK_FACTORS.high, ...PREECLAMPSIA_RISK_FACTORS.moderate] }
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Routes: method, path (":name" segments are parameters), handler and OpenAPI operation
+ * Handlers receive (meds, { params, query, body }) and return the response body
+ */
+const ROUTES = [
+  {
+    method: 'GET',
+    path: '/medications/search',
+    handler: (meds, { query }) => meds.searchMedications(requireQuery(query), { limit: parseLimit(query.limit) }),
+    operation: {
+      operationId: 'searchMedications',
+      summary: 'Search medications by name, brand or RxCUI, tolerating misspellings',
+      parameters: SEARCH_PARAMETERS,
+      resultSchema: 'SearchResultList'
+    }
+  },
+  {
+    method: 'GET',
+    path: '/medications/autocomplete',
+    handler: (meds, { query }) => meds.autocompleteMedication(requireQuery(query), { limit: parseLimit(query.limit) }),
+    operation: {
+      operationId: 'autocompleteMedication',
+      summary: 'Complete a partially typed medication or brand name',
+      parameters: SEARCH_PARAMETERS,
+      resultSchema: 'CompletionList'
+    }
+  },
+  {
+    method: 'GET',
+    path: '/medications/:id/safety',
+    handler: (meds, { params, query }) => meds.checkSafety(params.id, parseWeek(query.week), {
+      patientId: query.patientId,
+      dose: query.dose,
+      quantity: query.quantity === undefined ? undefined : Number(query.quantity),
+      frequency: query.frequency,
+      route: query.route
+    }),
+    operation: {
+      operationId: 'checkSafety',
+      summary: 'Check medication safety at a week of pregnancy',
+      parameters: [
+        MEDICATION_ID_PARAMETER,
+        WEEK_PARAMETER,
+        { name: 'dose', in: 'query', schema: { type: 'string' }, description: 'Dose per administration, e.g. "81mg"' },
+        { name: 'quantity', in: 'query', schema: { type: 'number' }, description: 'Units per dose' },
+        { name: 'frequency', in: 'query', schema: { type: 'string' }, description: 'e.g. "daily", "bid" or "q6h"' },
+        { name: 'route', in: 'query', schema: { type: 'string' } },
+        { name: 'patientId', in: 'query', schema: { type: 'string' }, description: 'Hashed patient id for the audit trail' }
+      ],
+      resultSchema: 'SafetyResult'
+    }
+  },
+  {
+    method: 'GET',
+    path: '/medications/:id/alternatives',
+    handler: (meds, { params, query }) => meds.findAlternatives(params.id, parseWeek(query.week)),
+    operation: {
+      operationId: 'findAlternatives',
+      summary: 'Find safer alternatives to a medication',
+      parameters: [MEDICATION_ID_PARAMETER, WEEK_PARAMETER],
+      resultSchema: 'AlternativeList'
+    }
+  },
+  {
+    method: 'POST',
+    path: '/interactions',
+    handler: (meds, { body }) => meds.checkInteractions(
+      requireMedications(body),
+      body.week,
+      { patientId: body.patientId, sessionId: body.sessionId }
+    ),
+    operation: {
+      operationId: 'checkInteractions',
+      summary: 'Check pregnancy-specific drug interactions',
+      requestBody: {
+        type: 'object',
+        required: ['medications', 'week'],
+        properties: {
+          medications: { type: 'array', minItems: 1, items: { type: 'string' } },
+          week: WEEK_SCHEMA,
+          patientId: { type: 'string' },
+          sessionId: { type: 'string' }
+        }
+      },
+      resultSchema: 'InteractionResult'
+    }
+  },
+  {
+    method: 'POST',
+    path: '/risk/comprehensive',
+    handler: (meds, { body }) => meds.calculateRisk(requireMedications(body), body.week, {
+      maternalCondition: requireKnownConditions(body.maternalCondition),
+      pregnancyContext: body.pregnancyContext,
+      patientId: body.patientId,
+      sessionId: body.sessionId
+    }),
+    operation: {
+      operationId: 'calculateRisk',
+      summary: 'Calculate composite risk for a medication regimen',
+      requestBody: {
+        type: 'object',
+        required: ['medications', 'week'],
+        properties: {
+          medications: MEDICATION_LIST_SCHEMA,
+          week: WEEK_SCHEMA,
+          maternalCondition: {
+            oneOf: [
+              { type: 'string' },
+              { type: 'array', minItems: 1, items: { type: 'string' } }
+            ],
+            description: 'e.g. "hypertension", or ["hypertension", "asthma"] for concurrent conditions'
+          },
+          pregnancyContext: PREGNANCY_CONTEXT_SCHEMA,
+          patientId: { type: 'string' },
+          sessionId: { type: 'string' }
+        }
+      },
+      resultSchema: 'RiskResult'
+    }
+  },
+  {
+    method: 'POST',
+    path: '/preconception',
+    handler: (meds, { body }) => meds.assessPreconception(requireMedications(body), body.targetConceptionDate, {
+      maternalCondition: requireKnownCondition(body.maternalCondition)
+    }),
+    operation: {
+      operationId: 'assessPreconception',
+      summary: 'Plan a regimen before conception: washout periods, folic acid and switches',
+      requestBody: {
+        type: 'object',
+        required: ['medications', 'targetConceptionDate'],
+        properties: {
+          medications: { type: 'array', minItems: 1, items: { type: 'string' } },
+          targetConceptionDate: { type: 'string', format: 'date', description: 'Planned conception or embryo transfer date' },
+          maternalCondition: { type: 'string', description: 'e.g. "epilepsy" or "diabetes"' }
+        }
+      },
+      resultSchema: 'PreconceptionResult'
+    }
+  },
+  {
+    method: 'GET',
+    path: '/lactation/:id',
+    handler: (meds, { params, query }) => meds.getLactationSafety(params.id, { infant: parseInfant(query) }),
+    operation: {
+      operationId: 'getLactationSafety',
+      summary: 'Get breastfeeding safety for a medication',
+      parameters: [MEDICATION_ID_PARAMETER, ...INFANT_PARAMETERS],
+      resultSchema: 'LactationResult'
+    }
+  },
+  {
+    method: 'GET',
+    path: '/medications/:id/postpartum',
+    handler: (meds, { params, query }) => meds.checkPostpartumSafety(params.id, {
+      weeksPostpartum: parseWeek(query.weeks),
+      breastfeeding: parseBoolean(query.breastfeeding, 'breastfeeding'),
+      infant: parseInfant(query)
+    }),
+    operation: {
+      operationId: 'checkPostpartumSafety',
+      summary: 'Check a medication after delivery, for breastfeeding mothers by infant age',
+      parameters: [
+        MEDICATION_ID_PARAMETER,
+        { name: 'weeks', in: 'query', required: true, description: 'Completed weeks since delivery (0-104)', schema: { type: 'integer', minimum: 0, maximum: 104 } },
+        { name: 'breastfeeding', in: 'query', description: 'Whether the mother is breastfeeding (default true)', schema: { type: 'boolean' } },
+        ...INFANT_PARAMETERS
+      ],
+      resultSchema: 'PostpartumResult'
+    }
+  },
+  {
+    method: 'GET',
+    path: '/medications/:id/paternal',
+    handler: (meds, { params, query }) => meds.checkPaternalExposure(params.id, {
+      conceptionDate: query.conceptionDate,
+      lastDoseDate: query.lastDoseDate,
+      patientId: query.patientId
+    }),
+    operation: {
+      operationId: 'checkPaternalExposure',
+      summary: 'Check a medication taken by the father around conception',
+      parameters: [
+        MEDICATION_ID_PARAMETER,
+        { name: 'conceptionDate', in: 'query', description: 'Planned or estimated conception date', schema: { type: 'string', format: 'date' } },
+        { name: 'lastDoseDate', in: 'query', description: 'Date of the last dose; omit while still taking it', schema: { type: 'string', format: 'date' } },
+        { name: 'patientId', in: 'query', schema: { type: 'string' }, description: 'Hashed patient id for the audit trail' }
+      ],
+      resultSchema: 'PaternalExposureResult'
+    }
+  },
+  {
+    method: 'POST',
+    path: '/audit/provider-decisions',
+    status: 201,
+    handler: (meds, { body }) => meds.logProviderDecision(requireProviderDecision(body)),
+    operation: {
+      operationId: 'logProviderDecision',
+      summary: 'Record a provider decision in the audit trail',
+      requestBody: {
+        type: 'object',
+        required: ['patientId', 'medicationName', 'decision'],
+        anyOf: [{ required: ['providerId'] }, { required: ['providerName'] }],
+        properties: {
+          patientId: { type: 'string' },
+          providerId: { type: 'string', description: 'providerId or providerName is required' },
+          providerName: { type: 'string' },
+          medicationName: { type: 'string' },
+          weekOfPregnancy: { type: 'integer' },
+          decision: { type: 'string', enum: Object.values(DECISION_TYPES) },
+          reasoning: { type: 'string' }
+        }
+      },
+      resultSchema: 'AuditEntry'
+    }
+  },
+  {
+    method: 'GET',
+    path: '/health',
+    handler: meds => ({ status: 'ok', version, contentVersion: meds.getContentVersion().id }),
+    operation: {
+      operationId: 'getHealth',
+      summary: 'Server status and knowledge base version',
+      resultSchema: 'Health'
+    }
+  }
+];
+
+/**
+ * Build the OpenAPI 3.0 document for the routes
+ *
+ * @param {Object} [options] - Options
+ * @param {string} [options.serverUrl] - Base URL to list under servers
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenApiDocument(options = {}) {
+  const paths = {};
+
+  ROUTES.forEach(route => {
+    const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+    const { resultSchema, requestBody, ...operation } = route.operation;
+
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method.toLowerCase()] = {
+      ...operation,
+      ...(requestBody ? {
+        requestBody: { required: true, content: { 'application/json': { schema: requestBody } } }
+      } : {}),
+      responses: {
+        [route.status || 200]: {
+          description: 'Result',
+          content: { 'application/json': { schema: { $ref: `#/components/schemas/${resultSchema}` } } }
+        },
+        400: { $ref: '#/components/responses/BadRequest' },
+        404: { $ref: '#/components/responses/NotFound' },
+        500: { $ref: '#/components/responses/ServerError' }
+      }
+    };
+  });
+
+  const errorResponse = description => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  });
+  const result = description => ({ type: 'object', description, additionalProperties: true });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Bumpie Meds API',
+      version,
+      description: 'Pregnancy medication safety checks. For informational purposes only; not a substitute for professional medical advice.'
+    },
+    servers: options.serverUrl ? [{ url: options.serverUrl }] : [],
+    paths,
+    components: {
+      schemas: {
+        SearchResultList: { type: 'array', items: result('Medication match: name, rxcui, matchedTerm, type (exact, normalized, tokens, prefix, fuzzy), score') },
+        CompletionList: { type: 'array', items: result('Completion: label, name, genericName, rxcui, field') },
+        SafetyResult: result('checkSafety result: safe, riskScore, riskLevel, category, warnings, alternatives, verified, curation (review status of the record), ...; combination products add worstIngredient and ingredients'),
+        AlternativeList: { type: 'array', items: result('Alternative medication with its safety at the week') },
+        InteractionResult: result('checkPregnancyInteractions result: interactions, highestSeverity, recommendation, contentVersion, ...'),
+        RiskResult: result('calculateComprehensiveRisk result with providerRecommendation; scoreAdjustments itemizes the points added for the pregnancy context and maternal condition'),
+        PreconceptionResult: result('assessPreconceptionRegimen result: currentMedications, washouts, earliestConceptionDate, folicAcid, recommendations, contentVersion, ...'),
+        LactationResult: result('getLactationSafety result: safety, relativeInfantDose, milkPlasmaRatio, halfLifeHours, timing, infantMonitoring, infantAgeGroup, ...'),
+        PostpartumResult: result('checkPostpartumSafety result: weeksPostpartum, breastfeeding, safe, lactation, warnings, recommendation'),
+        PaternalExposureResult: result('checkPaternalExposure result: semenTransfer, spermatogenesis, exposedDuringSpermatogenesis, washoutWeeks, washoutComplete, stopBy, riskLevel, safe, warnings, ...'),
+        AuditEntry: result('Audit log entry with its hash chain fields'),
+        Health: result('status, version and contentVersion'),
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', enum: [...Object.values(ERROR_CODES), 'UNKNOWN_ERROR'] },
+                message: { type: 'string' },
+                details: { type: 'object' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        BadRequest: errorResponse('Invalid input (INVALID_REQUEST, INVALID_WEEK, INVALID_DOSE, ...)'),
+        NotFound: errorResponse('Unknown medication or route'),
+        ServerError: errorResponse('Internal error')
+      }
+    }
+  };
+}
+
+/**
+ * Create the request handler, for use with http.createServer or test clients
+ *
+ * @param {Object} meds - BumpieMeds instance
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.cdsHooks] - Also serve CDS Hooks under /cds-services (default: true)
+ * @returns {Function} (req, res) => void
+ */
+function createApiHandler(meds, options = {}) {
+  const routes = ROUTES.map(route => ({ ...route, matcher: compilePath(route.path) }));
+  const cdsHooks = options.cdsHooks === false ? null : createCdsHooksHandler(meds);
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') return sendPreflight(res);
+
+    if (req.method === 'GET' && url.pathname === '/openapi.json') {
+      return sendJson(res, 200, buildOpenApiDocument({ serverUrl: options.serverUrl }));
+    }
+
+    for (const route of routes) {
+      const params = route.matcher(url.pathname);
+      if (!params || route.method !== req.method) continue;
+
+      const body = req.method === 'POST' ? await readJsonBody(req) : {};
+      const result = await route.handler(meds, {
+        params,
+        query: Object.fromEntries(url.searchParams),
+        body
+      });
+      return sendJson(res, route.status || 200, result);
+    }
+
+    throw createError(ERROR_CODES.NOT_FOUND, `No route for ${req.method} ${url.pathname}`);
+  };
+
+  return (req, res) => {
+    const fallback = () => handle(req, res).catch(error => sendError(res, error));
+    if (cdsHooks) return cdsHooks(req, res, fallback);
+    return fallback();
+  };
+}
+
+/**
+ * Create the HTTP server
+ *
+ * @param {Object} meds - BumpieMeds instance
+ * @param {Object} [options] - See createApiHandler
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createApiServer(meds, options = {}) {
+  return http.createServer(createApiHandler(meds, options));
+}
+
+/**
+ * Turn "/a/:id/b" into a function returning { id } for matching paths, else null
+ * @private
+ */
+function compilePath(path) {
+  const names = [];
+  const pattern = new RegExp(`^${path.replace(/:(\w+)/g, (match, name) => {
+    names.push(name);
+    return '([^/]+)';
+  })}/?$`);
+
+  return pathname => {
+    const match = pattern.exec(pathname);
+    if (!match) return null;
+    return Object.fromEntries(names.map((name, index) => [name, decodePathSegment(match[index + 1])]));
+  };
+}
+
+/**
+ * @private
+ */
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `Malformed escape in URL path: ${segment}`);
+  }
+}
+
+/**
+ * Week from a query string; non-numbers are passed on so validation reports them
+ * @private
+ */
+function parseWeek(week) {
+  return week !== undefined && week !== '' && !Number.isNaN(Number(week)) ? Number(week) : week;
+}
+
+/**
+ * Infant from the infantAgeWeeks and gestationalAgeAtBirth query parameters
+ * @private
+ */
+function parseInfant(query) {
+  if (query.infantAgeWeeks === undefined && query.gestationalAgeAtBirth === undefined) return undefined;
+
+  return {
+    ...(query.infantAgeWeeks !== undefined && { ageWeeks: parseWeek(query.infantAgeWeeks) }),
+    ...(query.gestationalAgeAtBirth !== undefined && { gestationalAgeAtBirth: parseWeek(query.gestationalAgeAtBirth) })
+  };
+}
+
+/**
+ * @private
+ */
+function parseBoolean(value, name) {
+  if (value === undefined) return undefined;
+  if (value === 'true' || value === 'false') return value === 'true';
+  throw createError(ERROR_CODES.INVALID_REQUEST, `${name} must be true or false`);
+}
+
+/**
+ * @private
+ */
+function requireQuery(query) {
+  if (!query.q || !query.q.trim()) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, 'q is required');
+  }
+  return query.q;
+}
+
+/**
+ * @private
+ */
+function parseLimit(limit) {
+  if (limit === undefined) return undefined;
+
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value < 1 || value > 50) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, 'limit must be a whole number from 1 to 50');
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function requireMedications(body) {
+  if (!Array.isArray(body.medications) || body.medications.length === 0) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, 'medications must be a non-empty array');
+  }
+  return body.medications;
+}
+
+/**
+ * Provider decision body: who decided what, for which patient and medication
+ * @private
+ */
+function requireProviderDecision(body) {
+  const missing = ['patientId', 'medicationName', 'decision'].filter(field =>
+    typeof body[field] !== 'string' || !body[field].trim()
+  );
+  if (!body.providerId && !body.providerName) missing.push('providerId or providerName');
+
+  if (missing.length > 0) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `Missing required fields: ${missing.join(', ')}`, { missing });
+  }
+
+  const decisions = Object.values(DECISION_TYPES);
+  if (!decisions.includes(body.decision)) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `Unknown decision: ${body.decision}`, { known: decisions });
+  }
+  return body;
+}
+
+/**
+ * @private
+ */
+function requireKnownCondition(condition) {
+  if (!condition) return null;
+
+  const key = String(condition).toUpperCase().replace(/\s+/g, '_');
+  if (!PregnancyInteractionChecker.MATERNAL_CONDITIONS[key]) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `Unknown maternal condition: ${condition}`, {
+      known: Object.keys(PregnancyInteractionChecker.MATERNAL_CONDITIONS).map(k => k.toLowerCase())
+    });
+  }
+  return condition;
+}
+
+/**
+ * A condition name or a list of condition names
+ * @private
+ */
+function requireKnownConditions(conditions) {
+  if (!Array.isArray(conditions)) return requireKnownCondition(conditions);
+  if (conditions.length === 0) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, 'maternalCondition must be a condition name or a non-empty list of names');
+  }
+  return conditions.map(requireKnownCondition);
+}
+
+module.exports = {
+  // Constants
+  ROUTES,
+
+  // Core functions
+  createApiServer,
+  createApiHandler,
+  buildOpenApiDocument
+};
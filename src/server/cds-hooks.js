@@ -0,0 +1,559 @@
+/**
+ * CDS Hooks Service
+ *
+ * CDS Hooks discovery endpoint and order-select / order-sign services. The
+ * EHR sends the draft MedicationRequests and, through prefetch, the patient's
+ * pregnancy status, gestational age, active medications and conditions. Each
+ * request is scored with calculateComprehensiveRisk (through a BumpieMeds
+ * instance, so it is audited like any other risk calculation) and answered
+ * with cards whose suggestions replace a draft order with a safer alternative
+ *
+ * Prefetch is required: this service does not query the EHR's FHIR server
+ *
+ * @module cds-hooks
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { addDays } = require('date-fns');
+const { findMedication } = require('../services/pregnancy-safety-engine');
+const PregnancyInteractionChecker = require('../services/pregnancy-interaction-checker');
+const { calculateGestationalAge, PREGNANCY_LENGTH_DAYS } = require('../services/pregnancy-dating');
+const { createError } = require('../utils/validators');
+const { ERROR_CODES, FDA_CATEGORIES } = require('../utils/constants');
+const { readJsonBody, sendJson, sendError, sendPreflight } = require('./http-helpers');
+
+const RXNORM_SYSTEM = 'http://www.nlm.nih.gov/research/umls/rxnorm';
+
+/**
+ * LOINC codes read from prefetched Observations
+ */
+const LOINC = {
+  PREGNANCY_STATUS: '82810-3',
+  GESTATIONAL_AGE: '49051-6',
+  GESTATIONAL_AGE_ESTIMATED: '11884-4',
+  GESTATIONAL_AGE_CLINICAL: '18185-9',
+  DELIVERY_DATE: '11778-8'
+};
+
+/**
+ * Pregnancy status answers (SNOMED CT and LOINC answer codes)
+ */
+const PREGNANT_CODES = ['77386006', 'LA15173-0'];
+const NOT_PREGNANT_CODES = ['60001007', 'LA26683-5'];
+
+/**
+ * Prefetch templates requested in discovery
+ */
+const PREFETCH_TEMPLATES = {
+  pregnancyStatus: `Observation?patient={{context.patientId}}&code=http://loinc.org|${LOINC.PREGNANCY_STATUS}&_sort=-date&_count=1`,
+  gestationalAge: 'Observation?patient={{context.patientId}}&code=' + [
+    LOINC.GESTATIONAL_AGE,
+    LOINC.GESTATIONAL_AGE_ESTIMATED,
+    LOINC.GESTATIONAL_AGE_CLINICAL,
+    LOINC.DELIVERY_DATE
+  ].map(code => `http://loinc.org|${code}`).join(',') + '&_sort=-date',
+  medications: 'MedicationRequest?patient={{context.patientId}}&status=active',
+  conditions: 'Condition?patient={{context.patientId}}&clinical-status=active'
+};
+
+/**
+ * Services listed by the discovery endpoint
+ */
+const CDS_SERVICES = [
+  {
+    hook: 'order-select',
+    id: 'bumpie-meds-order-select',
+    title: 'Bumpie Meds pregnancy medication check',
+    description: 'Checks selected medication orders for pregnancy risk, pregnancy-specific interactions and safer alternatives',
+    prefetch: PREFETCH_TEMPLATES
+  },
+  {
+    hook: 'order-sign',
+    id: 'bumpie-meds-order-sign',
+    title: 'Bumpie Meds pregnancy medication review',
+    description: 'Reviews medication orders for pregnancy risk before they are signed',
+    prefetch: PREFETCH_TEMPLATES
+  }
+];
+
+const CARD_SOURCE = { label: 'Bumpie Meds' };
+
+/**
+ * Card indicator for a severity or risk level
+ */
+const INDICATORS = {
+  critical: 'critical',
+  high: 'warning',
+  moderate: 'warning',
+  low: 'info',
+  minimal: 'info'
+};
+
+/**
+ * Discovery response
+ *
+ * @returns {Object} { services }
+ */
+function getCdsServices() {
+  return { services: CDS_SERVICES };
+}
+
+/**
+ * Handle a CDS Hooks request
+ *
+ * @param {Object} meds - BumpieMeds instance used to calculate (and audit) risk
+ * @param {string} serviceId - Service id from the request URL
+ * @param {Object} request - CDS Hooks request body
+ * @param {Object} [options] - Options
+ * @param {Date|string} [options.asOf] - Date gestational age is calculated for (default: today)
+ * @returns {Promise<Object>} { cards }
+ */
+async function handleCdsHook(meds, serviceId, request, options = {}) {
+  const service = CDS_SERVICES.find(s => s.id === serviceId);
+  if (!service) {
+    throw createError(ERROR_CODES.NOT_FOUND, `Unknown CDS service: ${serviceId}`, { serviceId });
+  }
+
+  validateHookRequest(service, request);
+
+  const { context } = request;
+  const prefetch = request.prefetch || {};
+  const pregnancy = getPregnancyContext(prefetch, options.asOf);
+  if (!pregnancy.pregnant) return { cards: [] };
+
+  const drafts = getDraftMedications(context, service.hook);
+  if (drafts.length === 0) return { cards: [] };
+
+  const cards = drafts
+    .filter(draft => !draft.medication)
+    .map(draft => card({
+      summary: `${draft.name} is not in the Bumpie Meds database`,
+      detail: 'Pregnancy safety could not be checked for this medication. Review its labeling before ordering.',
+      indicator: 'info'
+    }));
+
+  if (!pregnancy.gestationalAge) {
+    cards.push(card({
+      summary: 'Patient is pregnant but gestational age is not recorded',
+      detail: 'Record gestational age or the estimated delivery date to check trimester-specific medication risk.',
+      indicator: 'warning'
+    }));
+    return { cards };
+  }
+
+  const known = drafts.filter(draft => draft.medication);
+  if (known.length === 0) return { cards };
+
+  const active = getActiveMedicationNames(prefetch.medications, known);
+  const medicationNames = [...new Set([...known.map(draft => draft.medication.name), ...active])];
+
+  const risk = await meds.calculateRisk(medicationNames, pregnancy.gestationalAge, {
+    patientId: context.patientId,
+    maternalCondition: getMaternalConditions(prefetch.conditions),
+    sessionId: request.hookInstance
+  });
+
+  cards.push(...buildCards(risk, known, context.patientId));
+  return { cards };
+}
+
+/**
+ * Create an HTTP server for the CDS Hooks endpoints
+ *
+ * GET  {basePath}           - discovery
+ * POST {basePath}/{service} - hook request
+ *
+ * @param {Object} meds - BumpieMeds instance
+ * @param {Object} [options] - Options
+ * @param {string} [options.basePath] - Path prefix (default: /cds-services)
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createCdsHooksServer(meds, options = {}) {
+  const handler = createCdsHooksHandler(meds, options);
+  return http.createServer((req, res) => {
+    handler(req, res, () => {
+      sendError(res, createError(ERROR_CODES.NOT_FOUND, `No route for ${req.method} ${req.url}`));
+    });
+  });
+}
+
+/**
+ * Request handler for the CDS Hooks endpoints, for mounting in another server
+ * Calls next() for requests outside basePath
+ *
+ * @param {Object} meds - BumpieMeds instance
+ * @param {Object} [options] - See createCdsHooksServer
+ * @returns {Function} (req, res, next) => void
+ */
+function createCdsHooksHandler(meds, options = {}) {
+  const basePath = (options.basePath || '/cds-services').replace(/\/$/, '');
+
+  return (req, res, next) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== basePath && !pathname.startsWith(`${basePath}/`)) return next();
+
+    if (req.method === 'OPTIONS') return sendPreflight(res);
+
+    if (req.method === 'GET' && pathname === basePath) {
+      return sendJson(res, 200, getCdsServices());
+    }
+
+    const serviceId = decodeURIComponent(pathname.slice(basePath.length + 1));
+    if (req.method !== 'POST' || !serviceId) return next();
+
+    readJsonBody(req)
+      .then(body => handleCdsHook(meds, serviceId, body, options))
+      .then(result => sendJson(res, 200, result))
+      .catch(error => sendError(res, error));
+  };
+}
+
+/**
+ * @private
+ */
+function validateHookRequest(service, request) {
+  if (!request || typeof request !== 'object') {
+    throw createError(ERROR_CODES.INVALID_REQUEST, 'Request body must be a JSON object');
+  }
+
+  if (request.hook && request.hook !== service.hook) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `Service ${service.id} handles ${service.hook}, not ${request.hook}`);
+  }
+
+  if (!request.context || typeof request.context !== 'object') {
+    throw createError(ERROR_CODES.INVALID_REQUEST, 'Request context is required');
+  }
+
+  const prefetch = request.prefetch || {};
+  if (prefetch.pregnancyStatus === undefined && prefetch.gestationalAge === undefined) {
+    throw createError(
+      ERROR_CODES.MISSING_PREFETCH,
+      'Prefetch must include pregnancyStatus or gestationalAge',
+      { required: ['pregnancyStatus', 'gestationalAge'] }
+    );
+  }
+}
+
+/**
+ * Read pregnancy status and gestational age from prefetch
+ * A gestational age observation implies pregnancy when no status is recorded
+ *
+ * @param {Object} prefetch - Prefetch from the request
+ * @param {Date|string} [asOf] - Reference date
+ * @returns {Object} { pregnant, gestationalAge } where gestationalAge is a calculateGestationalAge result or null
+ */
+function getPregnancyContext(prefetch, asOf = new Date()) {
+  const [status] = latest(resourcesOf(prefetch.pregnancyStatus, 'Observation')
+    .filter(obs => hasCode(obs.code, LOINC.PREGNANCY_STATUS)));
+  const statusCodes = (status?.valueCodeableConcept?.coding || []).map(coding => coding.code);
+
+  const gestationalAge = latest(resourcesOf(prefetch.gestationalAge, 'Observation'))
+    .map(obs => toGestationalAge(obs, asOf))
+    .find(Boolean) || null;
+
+  let pregnant = null;
+  if (statusCodes.some(code => PREGNANT_CODES.includes(code))) pregnant = true;
+  else if (statusCodes.some(code => NOT_PREGNANT_CODES.includes(code))) pregnant = false;
+  else if (gestationalAge) pregnant = true;
+
+  return { pregnant, gestationalAge: pregnant ? gestationalAge : null };
+}
+
+/**
+ * Gestational age today from an observation of gestational age or delivery date
+ * @private
+ */
+function toGestationalAge(observation, asOf) {
+  try {
+    if (hasCode(observation.code, LOINC.DELIVERY_DATE) && observation.valueDateTime) {
+      return calculateGestationalAge({ edd: observation.valueDateTime.slice(0, 10) }, asOf);
+    }
+
+    const quantity = observation.valueQuantity;
+    const effective = observation.effectiveDateTime || observation.issued;
+    if (!quantity || typeof quantity.value !== 'number' || !effective) return null;
+
+    const days = ['d', 'day', 'days'].includes(quantity.code || quantity.unit)
+      ? quantity.value
+      : quantity.value * 7;
+    const edd = addDays(new Date(effective), PREGNANCY_LENGTH_DAYS - Math.round(days));
+    return calculateGestationalAge({ edd: edd.toISOString().slice(0, 10) }, asOf);
+  } catch (error) {
+    // Observations that date the pregnancy out of range are ignored
+    return null;
+  }
+}
+
+/**
+ * Draft MedicationRequests the hook is about
+ * order-select: the selected orders; order-sign: every draft order
+ *
+ * @param {Object} context - Hook context
+ * @param {string} hook - Hook name
+ * @returns {Array<Object>} [{ requestId, name, medication, resource }]
+ */
+function getDraftMedications(context, hook) {
+  let requests = resourcesOf(context.draftOrders, 'MedicationRequest');
+
+  if (hook === 'order-select' && Array.isArray(context.selections)) {
+    requests = requests.filter(resource => context.selections.includes(`MedicationRequest/${resource.id}`));
+  }
+
+  return requests.map(resource => {
+    const resolved = resolveMedication(resource, context.draftOrders);
+    return { requestId: `MedicationRequest/${resource.id}`, resource, ...resolved };
+  });
+}
+
+/**
+ * Resolve a MedicationRequest's medication: RxNorm code first, then names
+ * @private
+ */
+function resolveMedication(request, bundle) {
+  let concept = request.medicationCodeableConcept;
+
+  const reference = request.medicationReference?.reference;
+  if (!concept && reference) {
+    const medication = reference.startsWith('#')
+      ? (request.contained || []).find(resource => resource.id === reference.slice(1))
+      : resourcesOf(bundle, 'Medication').find(resource => `Medication/${resource.id}` === reference);
+    concept = medication?.code;
+  }
+
+  const codings = concept?.coding || [];
+  const candidates = [
+    ...codings.filter(coding => coding.system === RXNORM_SYSTEM).map(coding => coding.code),
+    ...codings.map(coding => coding.display),
+    concept?.text,
+    request.medicationReference?.display
+  ].filter(Boolean);
+
+  // RxNorm clinical drug names lead with the ingredient: "Ibuprofen 400 MG Oral Tablet"
+  const ingredients = candidates.map(candidate => candidate.split(/\s+\d/)[0]);
+  const medication = [...candidates, ...ingredients].map(candidate => findMedication(candidate)).find(Boolean) || null;
+  return {
+    name: medication ? medication.name : candidates[candidates.length - 1] || 'Unknown medication',
+    medication
+  };
+}
+
+/**
+ * Known medications from prefetched active orders, excluding the drafts
+ * @private
+ */
+function getActiveMedicationNames(medications, drafts) {
+  const draftIds = drafts.map(draft => draft.resource.id);
+
+  return resourcesOf(medications, 'MedicationRequest')
+    .filter(resource => !draftIds.includes(resource.id))
+    .map(resource => resolveMedication(resource, medications).medication)
+    .filter(Boolean)
+    .map(medication => medication.name);
+}
+
+/**
+ * Maternal conditions in the knowledge base that match an active condition,
+ * or null when none match
+ * @private
+ */
+function getMaternalConditions(conditions) {
+  const keys = Object.keys(PregnancyInteractionChecker.MATERNAL_CONDITIONS);
+
+  const matched = resourcesOf(conditions, 'Condition').flatMap(condition => {
+    const text = [condition.code?.text, ...(condition.code?.coding || []).map(c => c.display)]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    return keys.filter(k => text.includes(k.toLowerCase()));
+  });
+
+  return matched.length > 0 ? [...new Set(matched)] : null;
+}
+
+/**
+ * Cards for a risk result: one per draft medication of concern, one per
+ * interaction involving a draft, and the provider recommendation when it
+ * needs escalation
+ *
+ * @param {Object} risk - BumpieMeds.calculateRisk result
+ * @param {Array<Object>} drafts - Resolved draft medications
+ * @param {string} patientId - FHIR patient id, for suggested orders
+ * @returns {Array<Object>} Cards
+ */
+function buildCards(risk, drafts, patientId) {
+  const cards = [];
+  const week = risk.weekOfPregnancy;
+  const draftFor = name => drafts.find(draft => draft.medication.name.toLowerCase() === String(name).toLowerCase()
+    || draft.medication.genericName?.toLowerCase() === String(name).toLowerCase());
+
+  risk.medicationRisks.forEach(medicationRisk => {
+    const draft = medicationRisk.found && draftFor(medicationRisk.medicationName);
+    if (!draft || medicationRisk.safe) return;
+
+    const category = FDA_CATEGORIES[medicationRisk.fdaCategory];
+    const findings = risk.interactionRisks.filter(interaction =>
+      interaction.type !== 'drug_interaction' && interaction.medications.some(name => draftFor(name) === draft)
+    );
+    const condition = risk.conditionManagement?.currentMedications
+      ?.find(m => draftFor(m.medication) === draft && (m.status === 'avoid' || m.status === 'conflict'));
+    const alternatives = alternativesFor(risk, draft);
+
+    cards.push(card({
+      summary: `${medicationRisk.medicationName} at ${week} weeks: ${category ? `FDA Category ${category.code}` : medicationRisk.riskLevel} pregnancy risk`,
+      indicator: medicationRisk.fdaCategory === 'X' ? 'critical' : INDICATORS[medicationRisk.riskLevel] || 'warning',
+      detail: [
+        medicationRisk.recommendation,
+        ...findings.map(finding => `- ${finding.reason}`),
+        ...medicationRisk.warnings.map(warning => `- ${warning}`),
+        condition ? `- ${condition.recommendation}` : null,
+        alternatives.length > 0 ? `**Alternatives to consider:** ${alternatives.join(', ')}` : null,
+        `**Provider:** ${risk.providerRecommendation.recommendation}`
+      ].filter(Boolean).join('\n\n'),
+      suggestions: alternativeSuggestions(draft, alternatives, patientId)
+    }));
+  });
+
+  risk.interactionRisks
+    .filter(interaction => interaction.type === 'drug_interaction' && interaction.medications.some(draftFor))
+    .forEach(interaction => {
+      const severity = interaction.currentTrimesterRisk === 'critical' ? 'critical' : interaction.severity;
+      const involved = interaction.medications.map(draftFor).filter(Boolean);
+
+      cards.push(card({
+        summary: `${interaction.medications.join(' + ')}: ${interaction.reason}`,
+        indicator: INDICATORS[severity] || 'warning',
+        detail: [
+          `**${interaction.recommendation}**`,
+          interaction.effects?.fetal?.length ? `Fetal effects: ${interaction.effects.fetal.join(', ')}` : null
+        ].filter(Boolean).join('\n\n'),
+        suggestions: involved.flatMap(draft =>
+          alternativeSuggestions(draft, interaction.alternatives?.[draft.medication.genericName] || [], patientId)
+        )
+      }));
+    });
+
+  const provider = risk.providerRecommendation;
+  if (provider.escalationNeeded) {
+    cards.push(card({
+      summary: `${provider.action}: ${provider.providerType}`,
+      indicator: provider.urgency === 'emergency' ? 'critical' : 'warning',
+      detail: `Composite pregnancy risk score ${risk.riskScore}/100 (${risk.overallRiskLevel}) at ${week} weeks. ${provider.recommendation}.`
+    }));
+  }
+
+  return cards;
+}
+
+/**
+ * Safer alternatives for a draft medication from the risk result
+ * @private
+ */
+function alternativesFor(risk, draft) {
+  const names = [draft.medication.name, draft.medication.genericName].filter(Boolean).map(n => n.toLowerCase());
+  return [...new Set(risk.safeAlternatives
+    .filter(entry => names.includes(entry.medication.toLowerCase()))
+    .flatMap(entry => entry.alternatives))];
+}
+
+/**
+ * One suggestion per alternative that is a medication we know: delete the
+ * draft order and create a draft order for the alternative. Other
+ * alternatives (unlisted drugs, non-drug measures) are only named in the detail
+ * @private
+ */
+function alternativeSuggestions(draft, alternatives, patientId) {
+  const seen = new Set();
+
+  return alternatives
+    .map(name => findMedication(name))
+    .filter(medication => medication && !seen.has(medication.name) && seen.add(medication.name))
+    .map(medication => ({
+      label: `Replace ${draft.name} with ${medication.name}`,
+      uuid: crypto.randomUUID(),
+      actions: [
+        {
+          type: 'delete',
+          description: `Remove the ${draft.name} order`,
+          resourceId: [draft.requestId]
+        },
+        {
+          type: 'create',
+          description: `Order ${medication.name}`,
+          resource: {
+            resourceType: 'MedicationRequest',
+            status: 'draft',
+            intent: 'order',
+            medicationCodeableConcept: {
+              coding: medication.rxcui
+                ? [{ system: RXNORM_SYSTEM, code: medication.rxcui, display: medication.genericName || medication.name }]
+                : [],
+              text: medication.name
+            },
+            subject: patientId ? { reference: `Patient/${patientId}` } : undefined
+          }
+        }
+      ]
+    }));
+}
+
+/**
+ * @private
+ */
+function card({ summary, detail, indicator, suggestions = [] }) {
+  return {
+    uuid: crypto.randomUUID(),
+    // CDS Hooks limits summaries to 140 characters
+    summary: summary.length > 140 ? `${summary.slice(0, 139)}…` : summary,
+    detail,
+    indicator,
+    source: CARD_SOURCE,
+    ...(suggestions.length > 0 ? { suggestions, selectionBehavior: 'at-most-one' } : {})
+  };
+}
+
+/**
+ * Resources of a type from a prefetch value (Bundle, single resource or null)
+ * @private
+ */
+function resourcesOf(value, resourceType) {
+  if (!value) return [];
+  const resources = value.resourceType === 'Bundle'
+    ? (value.entry || []).map(entry => entry.resource).filter(Boolean)
+    : [value];
+  return resources.filter(resource => resource.resourceType === resourceType);
+}
+
+/**
+ * Observations newest first
+ * @private
+ */
+function latest(observations) {
+  const time = obs => new Date(obs.effectiveDateTime || obs.issued || 0).getTime();
+  return [...observations].sort((a, b) => time(b) - time(a));
+}
+
+/**
+ * @private
+ */
+function hasCode(concept, code) {
+  return (concept?.coding || []).some(coding => coding.code === code);
+}
+
+module.exports = {
+  // Constants
+  CDS_SERVICES,
+  PREFETCH_TEMPLATES,
+  LOINC,
+
+  // Core functions
+  getCdsServices,
+  handleCdsHook,
+  createCdsHooksServer,
+  createCdsHooksHandler,
+
+  // Helper functions
+  getPregnancyContext,
+  getDraftMedications,
+  buildCards
+};
@@ -0,0 +1,141 @@
+/**
+ * HTTP Helpers
+ *
+ * Request parsing and JSON responses shared by the HTTP servers, built on
+ * Node's http module
+ *
+ * @module http-helpers
+ */
+
+const { createError } = require('../utils/validators');
+const { ERROR_CODES } = require('../utils/constants');
+
+/**
+ * Largest request body accepted, in bytes
+ */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * HTTP status for each error code; anything else is a 500
+ */
+const ERROR_STATUS = {
+  [ERROR_CODES.INVALID_REQUEST]: 400,
+  [ERROR_CODES.INVALID_WEEK]: 400,
+  [ERROR_CODES.INVALID_DATE]: 400,
+  [ERROR_CODES.INVALID_DOSE]: 400,
+  [ERROR_CODES.INVALID_TRIMESTER]: 400,
+  [ERROR_CODES.MEDICATION_NOT_FOUND]: 404,
+  [ERROR_CODES.NOT_FOUND]: 404,
+  [ERROR_CODES.MISSING_PREFETCH]: 412,
+  [ERROR_CODES.AUDIT_ERROR]: 503
+};
+
+/**
+ * Headers that let browser-based EHR apps call the server
+ */
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+/**
+ * Read and parse a JSON request body
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} [limit] - Largest body accepted, in bytes
+ * @returns {Promise<Object>} Parsed body ({} when empty); anything but a JSON object is rejected
+ */
+function readJsonBody(req, limit = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(createError(ERROR_CODES.INVALID_REQUEST, `Request body exceeds ${limit} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) return resolve({});
+
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        return reject(createError(ERROR_CODES.INVALID_REQUEST, 'Request body is not valid JSON', { error: error.message }));
+      }
+
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return reject(createError(ERROR_CODES.INVALID_REQUEST, 'Request body must be a JSON object'));
+      }
+      resolve(body);
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    ...CORS_HEADERS,
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+/**
+ * Send an error as { error: { code, message, details } } with the status for its code
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {Error} error - Error, usually from createError
+ */
+function sendError(res, error) {
+  const status = ERROR_STATUS[error.code] || 500;
+  sendJson(res, status, {
+    error: {
+      code: error.code || 'UNKNOWN_ERROR',
+      // Internal errors are not echoed to clients
+      message: status === 500 ? 'Internal server error' : error.message,
+      details: status === 500 ? {} : error.details || {}
+    }
+  });
+}
+
+/**
+ * Answer a CORS preflight request
+ *
+ * @param {http.ServerResponse} res - Response
+ */
+function sendPreflight(res) {
+  res.writeHead(204, CORS_HEADERS);
+  res.end();
+}
+
+module.exports = {
+  // Constants
+  MAX_BODY_BYTES,
+  ERROR_STATUS,
+  CORS_HEADERS,
+
+  // Core functions
+  readJsonBody,
+  sendJson,
+  sendError,
+  sendPreflight
+};
@@ -1,17 +1,29 @@
 /**
  * AuditService - Logging and audit trail management
+ * Class adapter over pregnancy-audit-logger so every API writes one audit store
  */
 
-const fs = require('fs').promises;
-const path = require('path');
+const {
+  logSafetyCheck,
+  logInteractionCheck,
+  logRiskCalculation,
+  logPaternalExposureCheck,
+  logProviderDecision,
+  queryAuditLogs,
+  exportAuditLogs,
+  verifyAuditIntegrity,
+  useAuditSettings
+} = require('./pregnancy-audit-logger');
+const { toFinding } = require('./fhir-export');
 const { createError, sanitizePatientId } = require('../utils/validators');
 const { ERROR_CODES } = require('../utils/constants');
 
 class AuditService {
   constructor(config) {
     this.config = config;
-    this.logs = [];
-    this.logPath = path.join(__dirname, '../data/audit-logs.json');
+    // Storage and key are shared with the functional logger so both paths write one trail;
+    // an instance asking for a different storage or key is rejected
+    this.storage = useAuditSettings({ storage: config?.auditStorage, hmacKey: config?.auditHmacKey });
   }
 
   /**
@@ -20,167 +32,188 @@ class AuditService {
    * @returns {Promise<string>} Log ID
    */
   async logCheck(checkData) {
-    const logEntry = {
-      id: this._generateId(),
-      timestamp: new Date().toISOString(),
-      action: 'SAFETY_CHECK',
-      medication: {
-        rxcui: checkData.medication?.rxcui || null,
-        name: checkData.medication?.name || 'Unknown',
-        dosage: checkData.dosage || null
-      },
-      patient: {
-        id: sanitizePatientId(checkData.patientId),
-        weekOfPregnancy: checkData.weekOfPregnancy,
-        trimester: checkData.trimester
-      },
-      result: {
-        safe: checkData.result?.safe || false,
-        category: checkData.result?.category || 'N',
-        riskLevel: checkData.result?.riskLevel || 'unknown',
-        warnings: checkData.result?.warnings || [],
-        recommendedAction: checkData.result?.safe ? 'Monitor' : 'Consult physician'
-      },
+    const entry = await this._write(() => logSafetyCheck({
+      patientId: sanitizePatientId(checkData.patientId),
+      medicationName: checkData.medication?.name || 'Unknown',
+      rxcui: checkData.medication?.rxcui || null,
+      weekOfPregnancy: checkData.weekOfPregnancy,
+      trimester: checkData.trimester,
+      riskScore: checkData.result?.riskScore ?? null,
+      riskLevel: checkData.result?.riskLevel || 'unknown',
+      fdaCategory: checkData.result?.category || 'N',
+      safe: checkData.result?.safe || false,
+      warnings: checkData.result?.warnings || [],
+      alternatives: checkData.result?.alternatives || [],
+      recommendation: checkData.result?.recommendation || null,
+      dose: checkData.result?.dose ? {
+        perDose: checkData.result.dose.perDose,
+        dosesPerDay: checkData.result.dose.dosesPerDay,
+        dailyTotal: checkData.result.dose.dailyTotal,
+        route: checkData.result.dose.route
+      } : null,
       context: checkData.context || {},
-      metadata: {
-        processingTimeMs: Date.now() - (checkData.startTime || Date.now()),
-        dataVersion: '2026.01',
-        complianceLevel: 'FDA_APPROVED'
-      }
-    };
-
-    this.logs.push(logEntry);
-
-    // Persist to file if enabled
-    if (this.config.enableAudit) {
-      await this._persistLogs();
-    }
+      sessionId: checkData.sessionId || null
+    }));
 
-    return logEntry.id;
+    return entry.id;
   }
 
   /**
-   * Query audit logs
-   * @param {Object} filters - Query filters
-   * @returns {Promise<Array>} Filtered logs
+   * Log an interaction check
+   * @param {Object} result - checkPregnancyInteractions result
+   * @param {Object} options - { patientId, sessionId }
+   * @returns {Promise<string>} Log ID
    */
-  async query(filters = {}) {
-    await this._loadLogs();
-
-    let results = [...this.logs];
+  async logInteractions(result, options = {}) {
+    const entry = await this._write(() => logInteractionCheck({
+      patientId: sanitizePatientId(options.patientId),
+      medications: result.medications,
+      weekOfPregnancy: result.weekOfPregnancy,
+      interactionsFound: result.interactionsFound,
+      highestSeverity: result.highestSeverity,
+      safe: result.safe,
+      recommendation: result.recommendation,
+      findings: (result.interactions || []).map(toFinding),
+      contentVersion: result.contentVersion?.id || null,
+      sessionId: options.sessionId || null
+    }));
+
+    return entry.id;
+  }
 
-    // Filter by patient ID
-    if (filters.patientId) {
-      const sanitized = sanitizePatientId(filters.patientId);
-      results = results.filter(log => log.patient?.id === sanitized);
-    }
+  /**
+   * Log a comprehensive risk calculation
+   * @param {Array<string>} medications - Medications assessed
+   * @param {Object} result - calculateComprehensiveRisk result
+   * @param {Object} options - { patientId, sessionId }
+   * @returns {Promise<string>} Log ID
+   */
+  async logRisk(medications, result, options = {}) {
+    const entry = await this._write(() => logRiskCalculation({
+      patientId: sanitizePatientId(options.patientId),
+      medications,
+      weekOfPregnancy: result.weekOfPregnancy,
+      maternalCondition: result.maternalCondition,
+      pregnancyContext: result.pregnancyContext || null,
+      scoreAdjustments: result.scoreAdjustments || [],
+      overallRiskLevel: result.overallRiskLevel,
+      riskScore: result.riskScore,
+      requiresProviderConsent: result.requiresProviderConsent,
+      requiresObstetrician: result.requiresObstetrician,
+      recommendations: result.recommendations,
+      contentVersion: result.contentVersion?.id || null,
+      sessionId: options.sessionId || null
+    }));
+
+    return entry.id;
+  }
 
-    // Filter by date range
-    if (filters.startDate) {
-      const start = new Date(filters.startDate);
-      results = results.filter(log => new Date(log.timestamp) >= start);
-    }
+  /**
+   * Log a paternal exposure check
+   * @param {Object} result - checkPaternalExposure result
+   * @param {Object} options - { patientId, sessionId }
+   * @returns {Promise<string>} Log ID
+   */
+  async logPaternalExposure(result, options = {}) {
+    const entry = await this._write(() => logPaternalExposureCheck({
+      patientId: sanitizePatientId(options.patientId),
+      medicationName: result.medicationName,
+      rxcui: result.rxcui || null,
+      conceptionDate: result.conceptionDate,
+      lastDoseDate: result.lastDoseDate,
+      semenTransferConcern: result.semenTransfer?.concern || 'unknown',
+      spermatogenesisAffected: result.spermatogenesis?.affected ?? null,
+      washoutWeeks: result.washoutWeeks,
+      exposedDuringSpermatogenesis: result.exposedDuringSpermatogenesis,
+      washoutComplete: result.washoutComplete,
+      riskLevel: result.riskLevel,
+      safe: result.safe,
+      warnings: result.warnings,
+      recommendation: result.recommendation,
+      sessionId: options.sessionId || null
+    }));
+
+    return entry.id;
+  }
 
-    if (filters.endDate) {
-      const end = new Date(filters.endDate);
-      results = results.filter(log => new Date(log.timestamp) <= end);
-    }
+  /**
+   * Log a provider decision
+   * @param {Object} decision - logProviderDecision parameters
+   * @returns {Promise<Object>} Log entry
+   */
+  async logDecision(decision) {
+    return this._write(() => logProviderDecision({
+      ...decision,
+      patientId: sanitizePatientId(decision.patientId)
+    }));
+  }
 
-    // Filter by medication
+  /**
+   * Query audit logs
+   * @param {Object} filters - Query filters
+   * @returns {Promise<Array>} Filtered logs, oldest first
+   */
+  async query(filters = {}) {
+    let results = await queryAuditLogs({
+      patientId: filters.patientId ? sanitizePatientId(filters.patientId) : undefined,
+      type: filters.type,
+      startDate: filters.startDate,
+      endDate: filters.endDate,
+      sessionId: filters.sessionId
+    });
+
+    // Filter by medication (partial, case-insensitive)
     if (filters.medicationName) {
       const searchTerm = filters.medicationName.toLowerCase();
-      results = results.filter(log => 
-        log.medication?.name?.toLowerCase().includes(searchTerm)
-      );
+      results = results.filter(entry => {
+        const data = entry.data || {};
+        const names = data.medications || [data.medicationName];
+        return names.some(name => name?.toLowerCase().includes(searchTerm));
+      });
     }
 
     // Filter by trimester
     if (filters.trimester) {
-      results = results.filter(log => log.patient?.trimester === filters.trimester);
+      results = results.filter(entry => entry.data?.trimester === filters.trimester);
     }
 
-    return results;
+    // Reports read the trail chronologically
+    return results.reverse();
   }
 
   /**
    * Export audit trail
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
-   * @param {string} format - 'json' or 'csv'
-   * @returns {Promise<Buffer|string>} Export data
+   * @param {string} format - 'json', 'csv' or 'fhir'
+   * @returns {Promise<string>} Export data
    */
   async export(startDate, endDate, format = 'json') {
-    const logs = await this.query({ startDate, endDate });
-
-    if (format === 'csv') {
-      return this._toCSV(logs);
-    }
-
-    return JSON.stringify(logs, null, 2);
+    return exportAuditLogs({ startDate, endDate }, format);
   }
 
   /**
-   * Load logs from file
-   * @private
+   * Verify the audit trail hash chain
+   * @returns {Promise<Object>} Verification result with the first broken link, if any
    */
-  async _loadLogs() {
-    if (this.logs.length > 0) return;
-
-    try {
-      const data = await fs.readFile(this.logPath, 'utf8');
-      this.logs = JSON.parse(data);
-    } catch (error) {
-      // File doesn't exist yet or is empty
-      this.logs = [];
-    }
+  async verifyIntegrity() {
+    return verifyAuditIntegrity();
   }
 
   /**
-   * Persist logs to file
+   * Run an audit write, normalizing storage failures to AUDIT_ERROR
+   * Validation errors from the logger are passed through unchanged
    * @private
    */
-  async _persistLogs() {
+  async _write(writeFn) {
     try {
-      await fs.writeFile(this.logPath, JSON.stringify(this.logs, null, 2), 'utf8');
+      return await writeFn();
     } catch (error) {
+      const storageError = error.syscall || /SQLITE/.test(error.code || '');
+      if (!storageError) throw error;
       throw createError(ERROR_CODES.AUDIT_ERROR, 'Failed to persist audit logs', { error: error.message });
     }
   }
-
-  /**
-   * Generate unique ID
-   * @private
-   */
-  _generateId() {
-    const timestamp = Date.now();
-    const random = Math.random().toString(36).substring(2, 9);
-    return `audit_${timestamp}_${random}`;
-  }
-
-  /**
-   * Convert logs to CSV
-   * @private
-   */
-  _toCSV(logs) {
-    const headers = ['Timestamp', 'Patient ID', 'Week', 'Trimester', 'Medication', 'Safe', 'Category', 'Risk Level', 'Warnings'];
-    const rows = logs.map(log => [
-      log.timestamp,
-      log.patient?.id || '',
-      log.patient?.weekOfPregnancy || '',
-      log.patient?.trimester || '',
-      log.medication?.name || '',
-      log.result?.safe ? 'Yes' : 'No',
-      log.result?.category || '',
-      log.result?.riskLevel || '',
-      (log.result?.warnings || []).join('; ')
-    ]);
-
-    const csv = [headers, ...rows]
-      .map(row => row.map(cell => `"${cell}"`).join(','))
-      .join('\n');
-
-    return csv;
-  }
 }
 
 module.exports = AuditService;
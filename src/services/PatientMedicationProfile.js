@@ -0,0 +1,324 @@
+/**
+ * PatientMedicationProfile - Medication timeline for a single patient
+ * Rebuilt by replaying medication_started / _changed / _stopped audit events,
+ * so the audit trail is the profile's only store
+ */
+
+const {
+  AUDIT_TYPES,
+  logMedicationStarted,
+  logMedicationStopped,
+  logMedicationChanged,
+  queryAuditLogs
+} = require('./pregnancy-audit-logger');
+const { resolveMedication } = require('./medication-search');
+const { getGestationalDays } = require('./pregnancy-dating');
+const { createError, toWeekOfPregnancy } = require('../utils/validators');
+const { ERROR_CODES } = require('../utils/constants');
+
+const MEDICATION_EVENT_TYPES = [
+  AUDIT_TYPES.MEDICATION_STARTED,
+  AUDIT_TYPES.MEDICATION_CHANGED,
+  AUDIT_TYPES.MEDICATION_STOPPED
+];
+
+const EFFECTIVE_DATE_FIELDS = {
+  [AUDIT_TYPES.MEDICATION_STARTED]: 'startDate',
+  [AUDIT_TYPES.MEDICATION_CHANGED]: 'changeDate',
+  [AUDIT_TYPES.MEDICATION_STOPPED]: 'stopDate'
+};
+
+class PatientMedicationProfile {
+  /**
+   * @param {string} patientId - Patient identifier as stored in the audit trail
+   * @param {Object} options - { dating } where dating is a getGestationalAge input,
+   *   used to place events that carry dates but no week
+   */
+  constructor(patientId, options = {}) {
+    if (!patientId) {
+      throw new Error('Patient ID is required');
+    }
+
+    this.patientId = patientId;
+    this.dating = options.dating || null;
+    this.events = [];
+    this.courses = [];
+  }
+
+  /**
+   * Build a profile from the patient's audit trail
+   * @param {string} patientId - Patient identifier
+   * @param {Object} options - Constructor options
+   * @returns {Promise<PatientMedicationProfile>} Profile
+   */
+  static async load(patientId, options = {}) {
+    const profile = new PatientMedicationProfile(patientId, options);
+    const entries = await queryAuditLogs({ patientId });
+
+    entries
+      .filter(entry => MEDICATION_EVENT_TYPES.includes(entry.type))
+      .forEach(entry => profile.events.push(entry));
+    profile._rebuild();
+
+    return profile;
+  }
+
+  /**
+   * Record a medication start and add it to the profile
+   * @param {Object} params - logMedicationStarted parameters (patientId is filled in)
+   * @returns {Promise<Object>} The new medication course
+   */
+  async start(params) {
+    this._requireMedicationName(params);
+    const entry = await logMedicationStarted({ ...params, patientId: this.patientId });
+    this.applyEvent(entry);
+    return this._findCourse(params.medicationName, { activeOnly: true });
+  }
+
+  /**
+   * Record a dose or frequency change
+   * @param {Object} params - logMedicationChanged parameters (patientId is filled in)
+   * @returns {Promise<Object>} The course carrying the new dose
+   */
+  async change(params) {
+    this._requireMedicationName(params);
+    this._requireActiveCourse(params.medicationName);
+    const entry = await logMedicationChanged({ ...params, patientId: this.patientId });
+    this.applyEvent(entry);
+    return this._findCourse(params.medicationName, { activeOnly: true });
+  }
+
+  /**
+   * Record a medication stop
+   * @param {Object} params - logMedicationStopped parameters (patientId is filled in)
+   * @returns {Promise<Object>} The closed course
+   */
+  async stop(params) {
+    this._requireMedicationName(params);
+    this._requireActiveCourse(params.medicationName);
+    const entry = await logMedicationStopped({ ...params, patientId: this.patientId });
+    this.applyEvent(entry);
+    return this._findCourse(params.medicationName, { activeOnly: false });
+  }
+
+  /**
+   * Add an already-recorded audit entry to the profile
+   * Entries for other patients or other event types are ignored
+   * @param {Object} entry - Audit log entry
+   * @returns {PatientMedicationProfile} this
+   */
+  applyEvent(entry) {
+    if (entry.patientId !== this.patientId || !MEDICATION_EVENT_TYPES.includes(entry.type)) {
+      return this;
+    }
+
+    this.events.push(entry);
+    this._rebuild();
+    return this;
+  }
+
+  /**
+   * Get medication courses taken during a week range (inclusive)
+   * A course with an unknown start week is treated as exposed
+   * @param {number|Object} fromWeek - First week of the window
+   * @param {number|Object} toWeek - Last week of the window (default: fromWeek)
+   * @returns {Array<Object>} Courses with the overlapping exposureWeeks
+   */
+  getExposures(fromWeek, toWeek = fromWeek) {
+    const from = toWeekOfPregnancy(fromWeek);
+    const to = toWeekOfPregnancy(toWeek);
+
+    if (from > to) {
+      throw createError(ERROR_CODES.INVALID_WEEK, `Exposure window start (${from}) is after its end (${to})`);
+    }
+
+    return this.courses
+      .filter(course => (course.startWeek ?? -Infinity) <= to && (course.stopWeek ?? Infinity) >= from)
+      .map(course => ({
+        ...course,
+        exposureWeeks: [
+          Math.max(from, course.startWeek ?? from),
+          Math.min(to, course.stopWeek ?? to)
+        ]
+      }));
+  }
+
+  /**
+   * Get active medication courses
+   * @param {number|Object} weekOfPregnancy - Week to evaluate (default: courses not yet stopped)
+   * @returns {Array<Object>} Active courses
+   */
+  getActiveMedications(weekOfPregnancy = null) {
+    if (weekOfPregnancy === null || weekOfPregnancy === undefined) {
+      return this.courses.filter(course => course.active);
+    }
+
+    return this.getExposures(weekOfPregnancy);
+  }
+
+  /**
+   * Get names of medications active at a week, one per medication
+   * Used by calculateComprehensiveRisk when given a profile
+   * @param {number|Object} weekOfPregnancy - Week to evaluate
+   * @returns {Array<string>} Medication names
+   */
+  getActiveMedicationNames(weekOfPregnancy = null) {
+    const names = new Map();
+    this.getActiveMedications(weekOfPregnancy).forEach(course => {
+      names.set(course.medicationKey, course.medicationName);
+    });
+    return Array.from(names.values());
+  }
+
+  /**
+   * Get the full medication history, oldest course first
+   * @returns {Array<Object>} Medication courses
+   */
+  getHistory() {
+    return [...this.courses];
+  }
+
+  /**
+   * Get medication events in the order they were replayed
+   * @returns {Array<Object>} { type, medicationName, date, weekOfPregnancy, data }
+   */
+  getTimeline() {
+    return this._orderedEvents().map(entry => ({
+      id: entry.id,
+      type: entry.type,
+      medicationName: entry.data.medicationName,
+      date: this._effectiveDate(entry),
+      weekOfPregnancy: this._eventWeek(entry),
+      data: entry.data
+    }));
+  }
+
+  /**
+   * Replay events into medication courses
+   * Each start or change opens a course; a change or stop closes the open one
+   * @private
+   */
+  _rebuild() {
+    this.courses = [];
+
+    this._orderedEvents().forEach(entry => {
+      const { data } = entry;
+      const key = this._medicationKey(data.medicationName);
+      const date = this._effectiveDate(entry);
+      const week = this._eventWeek(entry);
+      const open = this.courses.find(course => course.active && course.medicationKey === key);
+
+      if (open && entry.type !== AUDIT_TYPES.MEDICATION_STARTED) {
+        open.active = false;
+        open.stopDate = date;
+        open.stopWeek = week;
+        open.stopReason = data.reason || null;
+      }
+
+      if (entry.type === AUDIT_TYPES.MEDICATION_STOPPED) return;
+
+      // Restarting an active medication is treated as a dose change
+      if (open && open.active) {
+        open.active = false;
+        open.stopDate = date;
+        open.stopWeek = week;
+        open.stopReason = 'restarted';
+      }
+
+      this.courses.push({
+        medicationName: data.medicationName,
+        medicationKey: key,
+        dosage: data.dosage ?? open?.dosage ?? null,
+        frequency: data.frequency ?? open?.frequency ?? null,
+        indication: data.indication ?? open?.indication ?? null,
+        startDate: date,
+        startWeek: week,
+        stopDate: null,
+        stopWeek: null,
+        stopReason: null,
+        prescriber: entry.prescriber || null,
+        active: true
+      });
+    });
+  }
+
+  /**
+   * Events sorted by effective date, then by when they were logged
+   * (chain position for entries logged in the same millisecond)
+   * @private
+   */
+  _orderedEvents() {
+    return [...this.events].sort((a, b) => {
+      const byDate = new Date(this._effectiveDate(a)) - new Date(this._effectiveDate(b));
+      return byDate !== 0
+        ? byDate
+        : new Date(a.timestamp) - new Date(b.timestamp) || (a.sequence || 0) - (b.sequence || 0);
+    });
+  }
+
+  /**
+   * Date the event took effect (falls back to when it was logged)
+   * @private
+   */
+  _effectiveDate(entry) {
+    return entry.data[EFFECTIVE_DATE_FIELDS[entry.type]] || entry.timestamp;
+  }
+
+  /**
+   * Week of pregnancy for an event, from the entry or from the dating input
+   * Zero or negative weeks mean the event preceded the LMP
+   * @private
+   */
+  _eventWeek(entry) {
+    if (typeof entry.data.weekOfPregnancy === 'number') {
+      return entry.data.weekOfPregnancy;
+    }
+
+    if (!this.dating) return null;
+
+    return Math.floor(getGestationalDays(this.dating, this._effectiveDate(entry)) / 7);
+  }
+
+  /**
+   * Match brand, case and RxCUI variants to one medication
+   * @private
+   */
+  _medicationKey(medicationName) {
+    const medication = resolveMedication(medicationName, { combinations: true })?.medication;
+    return (medication ? medication.name : String(medicationName)).toLowerCase();
+  }
+
+  /**
+   * @private
+   */
+  _findCourse(medicationName, { activeOnly }) {
+    const key = this._medicationKey(medicationName);
+    const matches = this.courses.filter(course =>
+      course.medicationKey === key && (!activeOnly || course.active)
+    );
+    return matches[matches.length - 1] || null;
+  }
+
+  /**
+   * @private
+   */
+  _requireMedicationName(params) {
+    if (!params || !params.medicationName) {
+      throw new Error('Medication name is required');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _requireActiveCourse(medicationName) {
+    if (!this._findCourse(medicationName, { activeOnly: true })) {
+      throw createError(
+        ERROR_CODES.MEDICATION_NOT_FOUND,
+        `No active course of ${medicationName} for patient`
+      );
+    }
+  }
+}
+
+module.exports = PatientMedicationProfile;
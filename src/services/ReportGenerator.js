@@ -1,7 +1,30 @@
 /**
  * ReportGenerator - Generate reports for doctors
+ * Works on pregnancy-audit-logger entries (see AuditService.query)
  */
 
+const { AUDIT_TYPES } = require('./pregnancy-audit-logger');
+const { buildFhirBundle } = require('./fhir-export');
+const { PdfDocument } = require('../utils/pdf-document');
+const { FDA_CATEGORIES, FDA_DISCLAIMER, TRIMESTERS } = require('../utils/constants');
+
+/**
+ * PDF palette (category colors come from FDA_CATEGORIES)
+ */
+const PDF_COLORS = {
+  text: '#111827',
+  muted: '#6b7280',
+  rule: '#d1d5db',
+  headerFill: '#f3f4f6',
+  accent: '#be185d',
+  trimesters: { 1: '#fce7f3', 2: '#ede9fe', 3: '#e0f2fe' }
+};
+
+/**
+ * Last week shown on the gestational timeline
+ */
+const TIMELINE_WEEKS = 42;
+
 class ReportGenerator {
   constructor(config) {
     this.config = config;
@@ -10,10 +33,11 @@ class ReportGenerator {
   /**
    * Generate JSON summary report
    * @param {string} patientId - Patient ID (hashed)
-   * @param {Array} logs - Audit logs
+   * @param {Array} entries - Audit log entries
    * @returns {Object} JSON report
    */
-  generateJSON(patientId, logs) {
+  generateJSON(patientId, entries) {
+    const logs = this._safetyChecks(entries);
     const summary = {
       reportId: this._generateReportId(),
       generatedAt: new Date().toISOString(),
@@ -24,15 +48,17 @@ class ReportGenerator {
         totalChecks: logs.length
       },
       summary: {
-        totalMedications: new Set(logs.map(l => l.medication?.name)).size,
-        safeMedications: logs.filter(l => l.result?.safe).length,
-        unsafeMedications: logs.filter(l => !l.result?.safe).length,
+        totalMedications: new Set(logs.map(l => l.data?.medicationName)).size,
+        safeMedications: logs.filter(l => l.data?.safe).length,
+        unsafeMedications: logs.filter(l => !l.data?.safe).length,
         categoriesUsed: this._getCategoryBreakdown(logs),
         trimesterBreakdown: this._getTrimesterBreakdown(logs)
       },
       medications: this._getMedicationSummary(logs),
       warnings: this._collectWarnings(logs),
       recommendations: this._generateRecommendations(logs),
+      providerDecisions: this._getProviderDecisions(entries),
+      paternalExposures: this._getPaternalExposures(entries),
       disclaimer: 'This report is for informational purposes only. Consult your healthcare provider for medical advice.'
     };
 
@@ -41,10 +67,11 @@ class ReportGenerator {
 
   /**
    * Generate CSV export
-   * @param {Array} logs - Audit logs
+   * @param {Array} entries - Audit log entries
    * @returns {string} CSV content
    */
-  generateCSV(logs) {
+  generateCSV(entries) {
+    const logs = this._safetyChecks(entries);
     const headers = [
       'Date/Time',
       'Medication Name',
@@ -59,14 +86,14 @@ class ReportGenerator {
 
     const rows = logs.map(log => [
       log.timestamp,
-      log.medication?.name || '',
-      log.patient?.weekOfPregnancy || '',
-      log.patient?.trimester || '',
-      log.result?.category || '',
-      log.result?.safe ? 'Yes' : 'No',
-      log.result?.riskLevel || '',
-      (log.result?.warnings || []).join('; '),
-      log.result?.alternatives?.join(', ') || ''
+      log.data?.medicationName || '',
+      log.data?.weekOfPregnancy || '',
+      log.data?.trimester || '',
+      log.data?.fdaCategory || '',
+      log.data?.safe ? 'Yes' : 'No',
+      log.data?.riskLevel || '',
+      (log.data?.warnings || []).join('; '),
+      log.data?.alternatives?.join(', ') || ''
     ]);
 
     return [headers, ...rows]
@@ -75,16 +102,364 @@ class ReportGenerator {
   }
 
   /**
-   * Generate PDF report (placeholder)
+   * Generate FHIR R4 Bundle for EHR import
+   * Patients are identified from the entries (see AuditService.query)
+   * @param {Array} entries - Audit log entries
+   * @returns {Object} Bundle of MedicationStatement, DetectedIssue, RiskAssessment and Observation resources
+   */
+  generateFHIR(entries) {
+    return buildFhirBundle(entries);
+  }
+
+  /**
+   * Generate PDF report for the patient's provider
    * @param {string} patientId - Patient ID
-   * @param {Array} logs - Audit logs
-   * @returns {Promise<Buffer>} PDF buffer
+   * @param {Array} entries - Audit log entries
+   * @returns {Promise<Buffer>} PDF file
+   */
+  async generatePDF(patientId, entries) {
+    const report = this.generateJSON(patientId, entries);
+    const logs = this._safetyChecks(entries);
+    const doc = new PdfDocument({
+      info: {
+        title: 'Pregnancy Medication Safety Report',
+        subject: `Patient ${patientId || 'unknown'}`,
+        author: 'Bumpie_Meds'
+      }
+    });
+
+    this._pdfHeader(doc, report, logs);
+    this._pdfTimeline(doc, logs);
+    this._pdfMedicationTable(doc, report, logs);
+    this._pdfList(doc, 'Warnings', report.warnings, 'No warnings recorded.');
+    this._pdfList(
+      doc,
+      'Recommendations',
+      report.recommendations.map(rec =>
+        `[${rec.priority.toUpperCase()}] ${rec.recommendation}` +
+        (rec.medications?.length ? ` - ${[...new Set(rec.medications)].join(', ')}` : '')
+      ),
+      'No changes recommended based on recorded checks.'
+    );
+    this._pdfList(
+      doc,
+      'Provider Decisions',
+      report.providerDecisions.map(d =>
+        `${this._formatDate(d.timestamp)} - ${d.provider || 'Provider'}: ${String(d.decision || '').toUpperCase()} ` +
+        `${d.medication || ''}${d.reasoning ? ` (${d.reasoning})` : ''}`
+      ),
+      'No provider decisions recorded.'
+    );
+    if (report.paternalExposures.length > 0) {
+      this._pdfList(
+        doc,
+        'Paternal Exposures',
+        report.paternalExposures.map(p =>
+          `${this._formatDate(p.timestamp)} - ${p.medication}: ${String(p.riskLevel).toUpperCase()}` +
+          (p.conceptionDate ? `, conception ${p.conceptionDate}` : '') +
+          (p.recommendation ? ` (${p.recommendation})` : '')
+        ),
+        'No paternal exposures recorded.'
+      );
+    }
+    this._pdfDisclaimer(doc);
+
+    doc.forEachPage((index, count) => {
+      const y = doc.height - doc.margin - 12;
+      doc.line(doc.margin, y - 6, doc.width - doc.margin, y - 6, { color: PDF_COLORS.rule });
+      doc.text(`Report ${report.reportId} - for healthcare provider review`, doc.margin, y, {
+        size: 7, color: PDF_COLORS.muted
+      });
+      doc.text(`Page ${index + 1} of ${count}`, doc.margin, y, {
+        size: 7, color: PDF_COLORS.muted, align: 'right', width: doc.contentWidth
+      });
+    });
+
+    return doc.toBuffer();
+  }
+
+  /**
+   * Draw the report title and patient header
+   * @private
+   */
+  _pdfHeader(doc, report, logs) {
+    doc.text('Pregnancy Medication Safety Report', doc.margin, doc.y, {
+      font: 'bold', size: 18, color: PDF_COLORS.accent
+    });
+    doc.y += 24;
+    doc.text(`Generated ${this._formatDate(report.generatedAt)}`, doc.margin, doc.y, {
+      size: 9, color: PDF_COLORS.muted
+    });
+    doc.y += 18;
+
+    const latest = logs[logs.length - 1];
+    const fields = [
+      ['Patient ID', report.patientId || 'Not recorded'],
+      ['Report ID', report.reportId],
+      ['Period', report.period.start
+        ? `${this._formatDate(report.period.start)} to ${this._formatDate(report.period.end)}`
+        : 'No safety checks recorded'],
+      ['Safety checks', String(report.period.totalChecks)],
+      ['Latest week', latest?.data?.weekOfPregnancy
+        ? `Week ${latest.data.weekOfPregnancy} (trimester ${latest.data.trimester || '-'})`
+        : 'Not recorded'],
+      ['Medications', `${report.summary.totalMedications} checked, ${report.summary.unsafeMedications} unsafe results`]
+    ];
+
+    const rowHeight = 16;
+    const boxHeight = Math.ceil(fields.length / 2) * rowHeight + 12;
+    const columnWidth = doc.contentWidth / 2;
+    doc.rect(doc.margin, doc.y, doc.contentWidth, boxHeight, { fill: PDF_COLORS.headerFill });
+
+    fields.forEach(([label, value], index) => {
+      const x = doc.margin + 10 + (index % 2) * columnWidth;
+      const y = doc.y + 8 + Math.floor(index / 2) * rowHeight;
+      doc.text(`${label}:`, x, y, { font: 'bold', size: 9 });
+      doc.text(value, x + 72, y, { size: 9 });
+    });
+
+    doc.y += boxHeight + 20;
+  }
+
+  /**
+   * Draw a section heading, keeping room for at least `minContent` points below it
+   * @private
+   */
+  _pdfSection(doc, title, minContent = 30) {
+    doc.ensureSpace(22 + minContent);
+    doc.text(title, doc.margin, doc.y, { font: 'bold', size: 13, color: PDF_COLORS.accent });
+    doc.y += 17;
+    doc.line(doc.margin, doc.y, doc.width - doc.margin, doc.y, { color: PDF_COLORS.rule });
+    doc.y += 8;
+  }
+
+  /**
+   * Draw the gestational timeline: trimester bands with one row per
+   * medication and a marker, colored by FDA category, at each week it was checked
+   * @private
+   */
+  _pdfTimeline(doc, logs) {
+    this._pdfSection(doc, 'Gestational Timeline', 60);
+
+    const labelWidth = 110;
+    const left = doc.margin + labelWidth;
+    const trackWidth = doc.contentWidth - labelWidth;
+    const weekX = week => left + (Math.min(Math.max(week, 0), TIMELINE_WEEKS) / TIMELINE_WEEKS) * trackWidth;
+    const medications = this._getMedicationWeeks(logs);
+    const rowHeight = 14;
+
+    const drawScale = () => {
+      Object.values(TRIMESTERS).forEach(trimester => {
+        const start = weekX(trimester.weeksRange[0] - 1);
+        const end = weekX(trimester.number === 3 ? TIMELINE_WEEKS : trimester.weeksRange[1]);
+        doc.rect(start, doc.y, end - start, 14, { fill: PDF_COLORS.trimesters[trimester.number] });
+        doc.text(trimester.name, start, doc.y + 3, { size: 7, align: 'center', width: end - start });
+      });
+      doc.y += 16;
+      for (let week = 0; week <= TIMELINE_WEEKS; week += 4) {
+        doc.text(String(week), weekX(week) - 10, doc.y, { size: 6, color: PDF_COLORS.muted, align: 'center', width: 20 });
+      }
+      doc.text('Week', doc.margin, doc.y, { size: 6, color: PDF_COLORS.muted });
+      doc.y += 10;
+    };
+
+    drawScale();
+
+    if (medications.length === 0) {
+      doc.paragraph('No safety checks recorded.', { size: 9, color: PDF_COLORS.muted });
+      doc.y += 10;
+      return;
+    }
+
+    medications.forEach(med => {
+      if (doc.ensureSpace(rowHeight)) drawScale();
+      doc.text(this._truncate(doc, med.name, labelWidth - 8, 8), doc.margin, doc.y + 2, { size: 8 });
+      doc.line(left, doc.y + rowHeight / 2, left + trackWidth, doc.y + rowHeight / 2, { color: PDF_COLORS.rule });
+      med.checks.forEach(check => {
+        const color = (FDA_CATEGORIES[check.category] || FDA_CATEGORIES.N).color;
+        doc.rect(weekX(check.week) - 3, doc.y + rowHeight / 2 - 3, 6, 6, { fill: color });
+      });
+      doc.y += rowHeight;
+    });
+
+    doc.y += 14;
+  }
+
+  /**
+   * Draw the medication table with FDA category colors and a legend
+   * @private
+   */
+  _pdfMedicationTable(doc, report, logs) {
+    this._pdfSection(doc, 'Medications', 50);
+
+    const weeksByName = Object.fromEntries(this._getMedicationWeeks(logs).map(m => [m.name, m]));
+    const columns = [
+      { title: 'Medication', width: 130 },
+      { title: 'FDA', width: 34 },
+      { title: 'Category', width: 150 },
+      { title: 'Weeks checked', width: 88 },
+      { title: 'Checks', width: 40 },
+      { title: 'Latest', width: doc.contentWidth - 442 }
+    ];
+    const padding = 4;
+
+    const drawHeader = () => {
+      doc.rect(doc.margin, doc.y, doc.contentWidth, 16, { fill: PDF_COLORS.headerFill });
+      let x = doc.margin;
+      columns.forEach(column => {
+        doc.text(column.title, x + padding, doc.y + 4, { font: 'bold', size: 8 });
+        x += column.width;
+      });
+      doc.y += 16;
+    };
+
+    drawHeader();
+
+    if (report.medications.length === 0) {
+      doc.paragraph('No medications checked.', { size: 9, color: PDF_COLORS.muted });
+    }
+
+    report.medications.forEach(med => {
+      const latest = weeksByName[med.name]?.checks.slice(-1)[0];
+      const code = latest?.category || med.categories[med.categories.length - 1] || 'N';
+      const category = FDA_CATEGORIES[code] || FDA_CATEGORIES.N;
+      const cells = [
+        doc.wrapText(med.name, columns[0].width - padding * 2, 'regular', 8),
+        null,
+        doc.wrapText(category.label, columns[2].width - padding * 2, 'regular', 8),
+        doc.wrapText(this._formatWeeks(weeksByName[med.name]?.weeks || []), columns[3].width - padding * 2, 'regular', 8),
+        [String(med.timesChecked)],
+        [med.safe ? 'Safe' : 'Not safe']
+      ];
+      const rowHeight = Math.max(...cells.filter(Boolean).map(lines => lines.length)) * 10 + 8;
+
+      if (doc.ensureSpace(rowHeight)) drawHeader();
+
+      let x = doc.margin;
+      cells.forEach((lines, index) => {
+        if (index === 1) {
+          doc.rect(x + padding, doc.y + 3, columns[1].width - padding * 2, 12, { fill: category.color });
+          doc.text(category.code, x + padding, doc.y + 5, {
+            font: 'bold', size: 8, color: '#ffffff', align: 'center', width: columns[1].width - padding * 2
+          });
+        } else {
+          lines.forEach((line, i) => doc.text(line, x + padding, doc.y + 5 + i * 10, {
+            size: 8,
+            font: index === 5 ? 'bold' : 'regular',
+            color: index === 5 && !med.safe ? FDA_CATEGORIES.D.color : PDF_COLORS.text
+          }));
+        }
+        x += columns[index].width;
+      });
+
+      doc.y += rowHeight;
+      doc.line(doc.margin, doc.y, doc.width - doc.margin, doc.y, { color: PDF_COLORS.rule });
+    });
+
+    // Category legend
+    doc.y += 8;
+    doc.ensureSpace(14);
+    let x = doc.margin;
+    Object.values(FDA_CATEGORIES).forEach(category => {
+      const label = `${category.code} ${category.riskLevel}`;
+      doc.rect(x, doc.y + 1, 8, 8, { fill: category.color });
+      doc.text(label, x + 11, doc.y + 1, { size: 7, color: PDF_COLORS.muted });
+      x += doc.widthOfString(label, 'regular', 7) + 24;
+    });
+    doc.y += 26;
+  }
+
+  /**
+   * Draw a bulleted section
+   * @private
+   */
+  _pdfList(doc, title, items, emptyText) {
+    this._pdfSection(doc, title);
+
+    if (items.length === 0) {
+      doc.paragraph(emptyText, { size: 9, color: PDF_COLORS.muted });
+    }
+
+    items.forEach(item => {
+      const lines = doc.wrapText(item, doc.contentWidth - 12, 'regular', 9);
+      lines.forEach((line, index) => {
+        doc.ensureSpace(12);
+        if (index === 0) doc.text('•', doc.margin, doc.y, { size: 9 });
+        doc.text(line, doc.margin + 12, doc.y, { size: 9 });
+        doc.y += 12;
+      });
+      doc.y += 2;
+    });
+
+    doc.y += 12;
+  }
+
+  /**
+   * Draw the FDA disclaimer that closes the report
+   * @private
+   */
+  _pdfDisclaimer(doc) {
+    // Rejoin the constant's hard-wrapped lines, keeping headings, blank lines and list items
+    const text = FDA_DISCLAIMER.trim().replace(/(?<![\n:])\n(?![\n-]|[A-Za-z ]+:)/g, ' ');
+    const lines = doc.wrapText(text, doc.contentWidth - 16, 'regular', 7.5);
+    const height = lines.length * 10 + 16;
+
+    doc.ensureSpace(Math.min(height, doc.bottom - doc.margin));
+    doc.rect(doc.margin, doc.y, doc.contentWidth, Math.min(height, doc.bottom - doc.y), {
+      stroke: PDF_COLORS.rule
+    });
+    doc.y += 8;
+    lines.forEach(line => {
+      doc.ensureSpace(10);
+      doc.text(line, doc.margin + 8, doc.y, { size: 7.5, color: PDF_COLORS.muted });
+      doc.y += 10;
+    });
+  }
+
+  /**
+   * Keep only safety check entries
+   * @private
+   */
+  _safetyChecks(entries) {
+    return entries.filter(entry => entry.type === AUDIT_TYPES.SAFETY_CHECK);
+  }
+
+  /**
+   * Get provider decisions recorded in the audit trail
+   * @private
    */
-  async generatePDF(patientId, logs) {
-    // TODO: Implement PDF generation with pdfkit
-    // For now, return JSON as placeholder
-    const json = this.generateJSON(patientId, logs);
-    return Buffer.from(JSON.stringify(json, null, 2));
+  _getProviderDecisions(entries) {
+    return entries
+      .filter(entry => entry.type === AUDIT_TYPES.PROVIDER_DECISION)
+      .map(entry => ({
+        timestamp: entry.timestamp,
+        provider: entry.provider?.name || entry.provider?.id || null,
+        medication: entry.data?.medicationName,
+        decision: entry.data?.decision,
+        reasoning: entry.data?.reasoning,
+        followUpRequired: entry.data?.followUpRequired || false
+      }));
+  }
+
+  /**
+   * Get paternal exposure checks recorded in the audit trail
+   * @private
+   */
+  _getPaternalExposures(entries) {
+    return entries
+      .filter(entry => entry.type === AUDIT_TYPES.PATERNAL_EXPOSURE_CHECK)
+      .map(entry => ({
+        timestamp: entry.timestamp,
+        medication: entry.data?.medicationName,
+        conceptionDate: entry.data?.conceptionDate || null,
+        lastDoseDate: entry.data?.lastDoseDate || null,
+        exposedDuringSpermatogenesis: entry.data?.exposedDuringSpermatogenesis ?? null,
+        washoutComplete: entry.data?.washoutComplete ?? null,
+        riskLevel: entry.data?.riskLevel || 'unknown',
+        safe: entry.data?.safe || false,
+        warnings: entry.data?.warnings || [],
+        recommendation: entry.data?.recommendation || null
+      }));
   }
 
   /**
@@ -94,7 +469,7 @@ class ReportGenerator {
   _getCategoryBreakdown(logs) {
     const breakdown = {};
     logs.forEach(log => {
-      const cat = log.result?.category || 'N';
+      const cat = log.data?.fdaCategory || 'N';
       breakdown[cat] = (breakdown[cat] || 0) + 1;
     });
     return breakdown;
@@ -107,7 +482,7 @@ class ReportGenerator {
   _getTrimesterBreakdown(logs) {
     const breakdown = { 1: 0, 2: 0, 3: 0 };
     logs.forEach(log => {
-      const tri = log.patient?.trimester;
+      const tri = log.data?.trimester;
       if (tri) breakdown[tri]++;
     });
     return breakdown;
@@ -120,7 +495,7 @@ class ReportGenerator {
   _getMedicationSummary(logs) {
     const meds = {};
     logs.forEach(log => {
-      const name = log.medication?.name;
+      const name = log.data?.medicationName;
       if (!name) return;
 
       if (!meds[name]) {
@@ -134,9 +509,9 @@ class ReportGenerator {
       }
 
       meds[name].timesChecked++;
-      meds[name].categories.add(log.result?.category);
-      meds[name].safe = log.result?.safe;
-      (log.result?.warnings || []).forEach(w => meds[name].warnings.add(w));
+      meds[name].categories.add(log.data?.fdaCategory);
+      meds[name].safe = log.data?.safe;
+      (log.data?.warnings || []).forEach(w => meds[name].warnings.add(w));
     });
 
     // Convert sets to arrays
@@ -154,7 +529,7 @@ class ReportGenerator {
   _collectWarnings(logs) {
     const warnings = new Set();
     logs.forEach(log => {
-      (log.result?.warnings || []).forEach(w => warnings.add(w));
+      (log.data?.warnings || []).forEach(w => warnings.add(w));
     });
     return Array.from(warnings);
   }
@@ -166,27 +541,81 @@ class ReportGenerator {
   _generateRecommendations(logs) {
     const recs = [];
 
-    const unsafeLogs = logs.filter(l => !l.result?.safe);
+    const unsafeLogs = logs.filter(l => !l.data?.safe);
     if (unsafeLogs.length > 0) {
       recs.push({
         priority: 'high',
         recommendation: 'Consult physician about unsafe medications',
-        medications: unsafeLogs.map(l => l.medication?.name).filter(Boolean)
+        medications: unsafeLogs.map(l => l.data?.medicationName).filter(Boolean)
       });
     }
 
-    const categoryX = logs.filter(l => l.result?.category === 'X');
+    const categoryX = logs.filter(l => l.data?.fdaCategory === 'X');
     if (categoryX.length > 0) {
       recs.push({
         priority: 'critical',
         recommendation: 'STOP IMMEDIATELY - Category X medications contraindicated',
-        medications: categoryX.map(l => l.medication?.name).filter(Boolean)
+        medications: categoryX.map(l => l.data?.medicationName).filter(Boolean)
       });
     }
 
     return recs;
   }
 
+  /**
+   * Get the weeks and FDA category of each check, per medication
+   * @private
+   */
+  _getMedicationWeeks(logs) {
+    const meds = {};
+    logs.forEach(log => {
+      const name = log.data?.medicationName;
+      if (!name) return;
+
+      meds[name] = meds[name] || { name, checks: [], weeks: new Set() };
+      meds[name].checks.push({ week: log.data.weekOfPregnancy, category: log.data.fdaCategory || 'N' });
+      if (log.data.weekOfPregnancy) meds[name].weeks.add(log.data.weekOfPregnancy);
+    });
+
+    return Object.values(meds).map(m => ({
+      ...m,
+      weeks: Array.from(m.weeks).sort((a, b) => a - b)
+    }));
+  }
+
+  /**
+   * Format weeks as ranges, e.g. [8, 9, 10, 20] -> '8-10, 20'
+   * @private
+   */
+  _formatWeeks(weeks) {
+    const ranges = [];
+    weeks.forEach(week => {
+      const last = ranges[ranges.length - 1];
+      if (last && week === last[1] + 1) last[1] = week;
+      else ranges.push([week, week]);
+    });
+    return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ') || '-';
+  }
+
+  /**
+   * Format an ISO timestamp as YYYY-MM-DD
+   * @private
+   */
+  _formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString().slice(0, 10) : '-';
+  }
+
+  /**
+   * Shorten text to fit a width, adding an ellipsis
+   * @private
+   */
+  _truncate(doc, text, width, size) {
+    if (doc.widthOfString(text, 'regular', size) <= width) return text;
+    let cut = text.length;
+    while (cut > 1 && doc.widthOfString(`${text.slice(0, cut)}…`, 'regular', size) > width) cut--;
+    return `${text.slice(0, cut)}…`;
+  }
+
   /**
    * Generate report ID
    * @private
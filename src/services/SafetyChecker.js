@@ -1,107 +1,110 @@
 /**
  * SafetyChecker - Core medication safety checking logic
+ * Class adapter over pregnancy-safety-engine so both APIs score identically
  */
 
 const TrimesterAnalyzer = require('./TrimesterAnalyzer');
+const {
+  checkMedicationSafety,
+  calculateRiskScore
+} = require('./pregnancy-safety-engine');
+const { resolveMedication, medicationNotFoundError } = require('./medication-search');
 const { FDA_CATEGORIES } = require('../utils/constants');
-const { validateMedication, validateWeek, createError } = require('../utils/validators');
-const { ERROR_CODES } = require('../utils/constants');
-const fs = require('fs').promises;
-const path = require('path');
+const { validateMedication, toWeekOfPregnancy } = require('../utils/validators');
 
 class SafetyChecker {
   constructor(config) {
     this.config = config;
     this.trimesterAnalyzer = new TrimesterAnalyzer();
-    this.medications = null;
     this.cache = new Map();
   }
 
   /**
-   * Load medication database
-   * @private
+   * Find medication by name or RxCUI
+   * @param {string} medicationId - Name or RxCUI
+   * @param {Object} [options] - { combinations } also resolve combination products
+   * @returns {Promise<Object>} Medication data
    */
-  async _loadMedications() {
-    if (this.medications) return this.medications;
-
-    try {
-      const dataPath = path.join(__dirname, '../data/medications.json');
-      const data = await fs.readFile(dataPath, 'utf8');
-      this.medications = JSON.parse(data);
-      return this.medications;
-    } catch (error) {
-      throw createError(ERROR_CODES.DATA_LOAD_ERROR, 'Failed to load medication database', { error: error.message });
-    }
+  async findMedication(medicationId, options = {}) {
+    return (await this.resolveMedication(medicationId, options)).medication;
   }
 
   /**
-   * Find medication by name or RxCUI
+   * Find medication by name or RxCUI, with how the name matched
    * @param {string} medicationId - Name or RxCUI
-   * @returns {Promise<Object>} Medication data
+   * @param {Object} [options] - { combinations } also resolve combination products
+   * @returns {Promise<Object>} { medication, match }
    */
-  async findMedication(medicationId) {
-    await this._loadMedications();
-
-    const searchTerm = medicationId.toLowerCase().trim();
-    
-    // Search by RxCUI
-    let med = this.medications.find(m => m.rxcui === searchTerm);
-    
-    // Search by name
-    if (!med) {
-      med = this.medications.find(m => 
-        m.name.toLowerCase() === searchTerm ||
-        m.genericName?.toLowerCase() === searchTerm ||
-        m.brandNames?.some(b => b.toLowerCase() === searchTerm)
-      );
-    }
+  async resolveMedication(medicationId, options = {}) {
+    const resolved = resolveMedication(medicationId, options);
 
-    if (!med) {
-      throw createError(ERROR_CODES.MEDICATION_NOT_FOUND, `Medication not found: ${medicationId}`);
+    if (!resolved) {
+      throw medicationNotFoundError(medicationId);
     }
 
-    return med;
+    return resolved;
   }
 
   /**
    * Check medication safety
    * @param {string} medicationId - Name or RxCUI
-   * @param {number} weekOfPregnancy - Week (1-40+)
+   * @param {number|Object} weekOfPregnancy - Week (1-40+) or gestational age
+   * @param {Object} [dosing] - { dose, quantity, frequency, route }
    * @returns {Promise<Object>} Safety result
    */
-  async check(medicationId, weekOfPregnancy) {
-    validateWeek(weekOfPregnancy);
+  async check(medicationId, weekOfPregnancy, dosing = null) {
+    weekOfPregnancy = toWeekOfPregnancy(weekOfPregnancy);
 
     // Check cache
-    const cacheKey = `${medicationId}_${weekOfPregnancy}`;
+    const cacheKey = `${medicationId}_${weekOfPregnancy}${dosing ? `_${JSON.stringify(dosing)}` : ''}`;
     if (this.config.cacheEnabled && this.cache.has(cacheKey)) {
       return this.cache.get(cacheKey);
     }
 
-    const medication = await this.findMedication(medicationId);
-    validateMedication(medication);
+    const { medication, match: nameMatch } = await this.resolveMedication(medicationId, { combinations: true });
+    if (!medication.combination) {
+      validateMedication(medication);
+    }
 
-    const trimester = this.trimesterAnalyzer.getTrimester(weekOfPregnancy);
-    const trimesterKey = `trimester${trimester}`;
-    const trimesterData = medication.pregnancyCategory[trimesterKey];
+    const assessment = checkMedicationSafety(medication.name, weekOfPregnancy, dosing);
+    const trimester = assessment.trimester.number;
+    const trimesterData = assessment.trimesterSpecific;
+    const category = assessment.fdaCategory?.category || 'N';
 
     const result = {
       medication: {
         name: medication.name,
         genericName: medication.genericName,
-        rxcui: medication.rxcui
+        rxcui: medication.rxcui || null
       },
-      safe: trimesterData?.safe || false,
-      category: medication.pregnancyCategory.fda,
-      categoryInfo: FDA_CATEGORIES[medication.pregnancyCategory.fda],
-      riskLevel: trimesterData?.risk || 'unknown',
+      nameMatch,
+      ...(assessment.combination && {
+        combination: true,
+        worstIngredient: assessment.worstIngredient,
+        ingredients: assessment.ingredients
+      }),
+      safe: assessment.safe,
+      category,
+      categoryInfo: FDA_CATEGORIES[category],
+      riskBasis: assessment.riskBasis,
+      riskScore: assessment.riskScore,
+      riskLevel: assessment.riskLevel,
+      pllr: assessment.pllr,
       trimester,
       trimesterInfo: this.trimesterAnalyzer.getTrimesterInfo(trimester),
       weekOfPregnancy,
-      warnings: trimesterData?.warnings || [],
-      alternatives: trimesterData?.alternatives || [],
-      maxDosage: trimesterData?.maxDosage || null,
-      contraindications: medication.contraindications || [],
+      criticalPeriod: assessment.criticalPeriod,
+      warnings: assessment.warnings,
+      alternatives: assessment.alternatives,
+      maxDosage: (!assessment.combination && trimesterData?.maxDosage) || null,
+      maxDailyDose: medication.maxDailyDose || null,
+      dose: assessment.dose,
+      recommendation: assessment.recommendation,
+      requiresProviderConsent: assessment.requiresProviderConsent,
+      requiresObstetrician: assessment.requiresObstetrician,
+      contraindications: assessment.contraindications,
+      verified: assessment.verified,
+      curation: assessment.curation,
       sources: medication.sources || [],
       lastUpdated: medication.lastUpdated
     };
@@ -109,7 +112,7 @@ class SafetyChecker {
     // Cache result
     if (this.config.cacheEnabled) {
       this.cache.set(cacheKey, result);
-      setTimeout(() => this.cache.delete(cacheKey), this.config.cacheTTL * 1000);
+      setTimeout(() => this.cache.delete(cacheKey), this.config.cacheTTL * 1000).unref();
     }
 
     return result;
@@ -124,7 +127,7 @@ class SafetyChecker {
   async getTrimesterInfo(medicationId, trimester) {
     const medication = await this.findMedication(medicationId);
     const key = `trimester${trimester}`;
-    return medication.pregnancyCategory[key] || null;
+    return medication.pregnancyCategory?.[key] || null;
   }
 
   /**
@@ -167,17 +170,11 @@ class SafetyChecker {
   /**
    * Calculate risk score (0-100)
    * @param {Object} medication - Medication data
-   * @param {number} trimester - Trimester number
+   * @param {number} weekOfPregnancy - Week of pregnancy
    * @returns {number} Risk score
    */
-  calculateRiskScore(medication, trimester) {
-    const categoryScores = { A: 10, B: 30, C: 60, D: 85, X: 100, N: 50 };
-    const baseScore = categoryScores[medication.pregnancyCategory.fda] || 50;
-
-    // Increase score in first trimester (critical period)
-    const trimesterMultiplier = trimester === 1 ? 1.2 : 1.0;
-
-    return Math.min(100, Math.round(baseScore * trimesterMultiplier));
+  calculateRiskScore(medication, weekOfPregnancy, dosing = null) {
+    return calculateRiskScore(medication, weekOfPregnancy, dosing);
   }
 }
 
@@ -3,7 +3,8 @@
  */
 
 const { TRIMESTERS } = require('../utils/constants');
-const { validateWeek, validateTrimester } = require('../utils/validators');
+const { validateTrimester } = require('../utils/validators');
+const { getTrimesterNumber } = require('../utils/trimesters');
 
 class TrimesterAnalyzer {
   /**
@@ -12,11 +13,7 @@ class TrimesterAnalyzer {
    * @returns {number} Trimester number (1, 2, or 3)
    */
   getTrimester(weekOfPregnancy) {
-    validateWeek(weekOfPregnancy);
-
-    if (weekOfPregnancy >= 1 && weekOfPregnancy <= 13) return 1;
-    if (weekOfPregnancy >= 14 && weekOfPregnancy <= 27) return 2;
-    return 3;
+    return getTrimesterNumber(weekOfPregnancy);
   }
 
   /**
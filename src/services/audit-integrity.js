@@ -0,0 +1,291 @@
+/**
+ * Audit Integrity
+ *
+ * Hash chain for the pregnancy audit trail. Each entry stores the hash of
+ * the entry before it (previousHash) and its own hash over every other
+ * field, so editing, reordering or deleting an entry breaks the chain from
+ * that point on. With an HMAC key, hashes cannot be recomputed by someone
+ * who can edit the log but does not hold the key: verifying with the key
+ * requires every chained entry to be HMAC-signed, so entries relabelled as
+ * plain SHA-256 are rejected
+ *
+ * The start of the chain is anchored too: the first chained entry is
+ * either sequence 1 (previousHash GENESIS_HASH) or continues from the last
+ * entry removed by a recorded retention cleanup. Entries written before
+ * chaining are accepted only as recorded by a migration marker
+ *
+ * @module audit-integrity
+ */
+
+const crypto = require('crypto');
+
+/**
+ * previousHash of the first entry in a chain
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Hash algorithms recorded on each entry
+ */
+const HASH_ALGORITHMS = {
+  SHA256: 'sha256',
+  HMAC_SHA256: 'hmac-sha256'
+};
+
+/**
+ * Default spacing of export checkpoints, in entries
+ */
+const CHECKPOINT_INTERVAL = 100;
+
+/**
+ * Type of the audit entry that records a retention cleanup
+ */
+const RETENTION_CHECKPOINT_TYPE = 'retention_cleanup';
+
+/**
+ * Serialize a value with object keys sorted, so the hash does not depend
+ * on property order
+ *
+ * @param {*} value - Any JSON value
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Compute the hash of an entry (every field except hash itself)
+ *
+ * @param {Object} entry - Audit entry including previousHash
+ * @param {string|null} [hmacKey] - HMAC key, or null for plain SHA-256
+ * @returns {string} Hex digest
+ */
+function computeEntryHash(entry, hmacKey = null) {
+  const { hash, ...content } = entry;
+  const hasher = hmacKey
+    ? crypto.createHmac('sha256', hmacKey)
+    : crypto.createHash('sha256');
+
+  return hasher.update(canonicalize(content)).digest('hex');
+}
+
+/**
+ * Describe the entries written before hash chaining at the start of a log:
+ * their count and a digest over their content
+ *
+ * @param {Array<Object>} entries - Audit entries in storage order
+ * @returns {Object|null} { entries, digest }, or null if the log starts chained
+ */
+function describeLegacyEntries(entries) {
+  const firstChained = entries.findIndex(entry => entry.hash);
+  const legacy = firstChained === -1 ? entries : entries.slice(0, firstChained);
+  if (legacy.length === 0) return null;
+
+  return {
+    entries: legacy.length,
+    digest: crypto.createHash('sha256').update(canonicalize(legacy)).digest('hex')
+  };
+}
+
+/**
+ * Compare two legacy records (null means no legacy entries)
+ *
+ * @param {Object|null} a - Legacy record
+ * @param {Object|null} b - Legacy record
+ * @returns {boolean} True if both describe the same entries
+ */
+function sameLegacyRecord(a, b) {
+  if (!a || !b) return !a && !b;
+  return a.entries === b.entries && a.digest === b.digest;
+}
+
+/**
+ * Link a new entry to the end of the chain
+ *
+ * @param {Object} entry - New audit entry
+ * @param {Object|null} previousEntry - Last entry in the store, if any
+ * @param {string|null} [hmacKey] - HMAC key
+ * @returns {Object} The entry with sequence, previousHash, hashAlgorithm and hash
+ */
+function chainEntry(entry, previousEntry, hmacKey = null) {
+  const chained = {
+    ...entry,
+    sequence: (previousEntry?.sequence || 0) + 1,
+    previousHash: previousEntry?.hash || GENESIS_HASH,
+    hashAlgorithm: hmacKey ? HASH_ALGORITHMS.HMAC_SHA256 : HASH_ALGORITHMS.SHA256
+  };
+
+  chained.hash = computeEntryHash(chained, hmacKey);
+  return chained;
+}
+
+/**
+ * Verify a chain of entries, oldest first
+ * Entries written before hash chaining was introduced (no hash) are allowed
+ * only at the start of the log, are counted as legacyEntries, and must match
+ * the migration marker (`legacy`) on the first chained entry or the record
+ * of a later retention cleanup. The first chained entry must be sequence 1,
+ * or continue from the anchor recorded by a retention cleanup entry
+ * (startSequence > 1)
+ *
+ * @param {Array<Object>} entries - Audit entries in storage order
+ * @param {string|null} [hmacKey] - HMAC key used when the entries were written
+ * @returns {Object} Verification result with the first broken link, if any
+ */
+function verifyChain(entries, hmacKey = null) {
+  let previous = null;
+  let legacyEntries = 0;
+  let checked = 0;
+
+  const retentionCheckpoints = entries.filter(entry =>
+    entry.hash && entry.type === RETENTION_CHECKPOINT_TYPE && entry.data
+  );
+
+  const result = (firstBrokenLink = null) => ({
+    valid: firstBrokenLink === null,
+    entriesChecked: checked,
+    legacyEntries,
+    startSequence: entries.find(e => e.hash)?.sequence ?? null,
+    headHash: previous?.hash || null,
+    headSequence: previous?.sequence ?? null,
+    firstBrokenLink,
+    verifiedAt: new Date().toISOString()
+  });
+
+  const broken = (index, entry, reason, details = {}) => result({
+    index,
+    id: entry.id,
+    sequence: entry.sequence ?? null,
+    timestamp: entry.timestamp,
+    reason,
+    ...details
+  });
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+
+    if (!entry.hash) {
+      if (previous) return broken(index, entry, 'missing_hash');
+      legacyEntries++;
+      continue;
+    }
+
+    if (entry.hashAlgorithm === HASH_ALGORITHMS.HMAC_SHA256 && !hmacKey) {
+      return broken(index, entry, 'hmac_key_required');
+    }
+
+    // A keyed log cannot contain plain hashes: anyone could recompute those
+    if (hmacKey && entry.hashAlgorithm !== HASH_ALGORITHMS.HMAC_SHA256) {
+      return broken(index, entry, 'unkeyed_hash', {
+        expected: HASH_ALGORITHMS.HMAC_SHA256,
+        actual: entry.hashAlgorithm || null
+      });
+    }
+
+    if (previous) {
+      if (entry.previousHash !== previous.hash) {
+        return broken(index, entry, 'previous_hash_mismatch', {
+          expected: previous.hash,
+          actual: entry.previousHash
+        });
+      }
+      if (entry.sequence !== previous.sequence + 1) {
+        return broken(index, entry, 'sequence_gap', {
+          expected: previous.sequence + 1,
+          actual: entry.sequence
+        });
+      }
+    } else if (entry.sequence === 1) {
+      if (entry.previousHash !== GENESIS_HASH) {
+        return broken(index, entry, 'previous_hash_mismatch', {
+          expected: GENESIS_HASH,
+          actual: entry.previousHash
+        });
+      }
+    } else {
+      // Older entries are gone: only a retention cleanup may have removed them
+      const anchored = retentionCheckpoints.some(checkpoint =>
+        checkpoint.data.anchor?.sequence === entry.sequence - 1 &&
+        checkpoint.data.anchor?.hash === entry.previousHash
+      );
+      if (!anchored) {
+        return broken(index, entry, 'missing_chain_anchor', {
+          expected: { sequence: entry.sequence - 1, hash: entry.previousHash },
+          actual: null
+        });
+      }
+    }
+
+    const expected = computeEntryHash(entry, hmacKey);
+    if (entry.hash !== expected) {
+      return broken(index, entry, 'hash_mismatch', { expected, actual: entry.hash });
+    }
+
+    if (!previous) {
+      const actual = describeLegacyEntries(entries);
+      const recorded = [
+        ...(entry.sequence === 1 ? [entry.legacy || null] : []),
+        ...retentionCheckpoints.map(checkpoint => checkpoint.data.legacy || null)
+      ];
+      if (!recorded.some(record => sameLegacyRecord(record, actual))) {
+        return broken(index, entry, 'legacy_entries_mismatch', {
+          expected: recorded[recorded.length - 1] ?? null,
+          actual
+        });
+      }
+    }
+
+    previous = entry;
+    checked++;
+  }
+
+  return result();
+}
+
+/**
+ * Build chain checkpoints: every `interval`th chained entry plus the head
+ *
+ * @param {Array<Object>} entries - Audit entries in storage order
+ * @param {number} [interval] - Entries between checkpoints
+ * @returns {Array<Object>} [{ sequence, id, timestamp, hash }]
+ */
+function buildCheckpoints(entries, interval = CHECKPOINT_INTERVAL) {
+  const chained = entries.filter(entry => entry.hash);
+  const checkpoints = chained.filter((entry, index) =>
+    (index + 1) % interval === 0 || index === chained.length - 1
+  );
+
+  return checkpoints.map(entry => ({
+    sequence: entry.sequence,
+    id: entry.id,
+    timestamp: entry.timestamp,
+    hash: entry.hash
+  }));
+}
+
+module.exports = {
+  // Constants
+  GENESIS_HASH,
+  HASH_ALGORITHMS,
+  CHECKPOINT_INTERVAL,
+  RETENTION_CHECKPOINT_TYPE,
+
+  // Core functions
+  chainEntry,
+  verifyChain,
+  buildCheckpoints,
+
+  // Helper functions
+  canonicalize,
+  computeEntryHash,
+  describeLegacyEntries
+};
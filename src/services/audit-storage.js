@@ -0,0 +1,588 @@
+/**
+ * Audit Storage
+ *
+ * Storage adapters for the pregnancy audit trail. Every adapter implements
+ * the same async interface:
+ *   initialize()         - create the store if needed
+ *   append(entry)        - add one entry
+ *   readAll()            - all entries, oldest first
+ *   readLast()           - the newest entry, or null
+ *   replaceAll(entries)  - rewrite the store (retention cleanup only)
+ *
+ * Adapters shared between processes may also implement withLock(fn), which
+ * runs fn while holding an exclusive lock on the store. The audit logger
+ * wraps each read-then-append in it so two writers cannot fork the chain.
+ *
+ * @module audit-storage
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createError } = require('../utils/validators');
+const { AUDIT_STORAGE_TYPES, ERROR_CODES } = require('../utils/constants');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const READ_CHUNK_BYTES = 64 * 1024;
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+
+/**
+ * Default file per storage type
+ */
+const DEFAULT_AUDIT_PATHS = {
+  [AUDIT_STORAGE_TYPES.JSONL]: path.join(DATA_DIR, 'pregnancy-audit-logs.jsonl'),
+  [AUDIT_STORAGE_TYPES.SQLITE]: path.join(DATA_DIR, 'pregnancy-audit-logs.sqlite'),
+  [AUDIT_STORAGE_TYPES.JSON]: path.join(DATA_DIR, 'pregnancy-audit-logs.json')
+};
+
+/**
+ * Read entries from a single-file JSON audit log ({ entries: [...] })
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Promise<Array|null>} Entries, or null if the file does not exist
+ */
+async function readJsonAuditFile(filePath) {
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return data.entries || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Build a unique temporary path next to a file
+ *
+ * @param {string} filePath - Destination file
+ * @returns {string} Temporary path
+ */
+function tempPathFor(filePath) {
+  return `${filePath}.${process.pid}.${Date.now()}.${Math.random().toString(36).substring(2, 9)}.tmp`;
+}
+
+/**
+ * Write a file atomically via a temporary file and rename
+ *
+ * @param {string} filePath - Destination
+ * @param {string} contents - File contents
+ */
+async function writeFileAtomic(filePath, contents) {
+  const tempPath = tempPathFor(filePath);
+  await fs.writeFile(tempPath, contents);
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a function while holding a lock file, created exclusively next to
+ * the file it protects. A lock older than staleMs is left over from a
+ * crashed writer and is removed
+ *
+ * @param {string} lockPath - Lock file
+ * @param {Function} fn - Async function to run
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeoutMs] - Give up after this long
+ * @param {number} [options.staleMs] - Age at which a lock is considered abandoned
+ * @returns {Promise<*>} Result of fn
+ */
+async function withFileLock(lockPath, fn, options = {}) {
+  const timeoutMs = options.timeoutMs ?? LOCK_TIMEOUT_MS;
+  const staleMs = options.staleMs ?? LOCK_STALE_MS;
+  const started = Date.now();
+  let handle = null;
+
+  while (!handle) {
+    try {
+      handle = await fs.open(lockPath, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      const stat = await fs.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > staleMs) {
+        await fs.unlink(lockPath).catch(() => {});
+        continue;
+      }
+
+      if (Date.now() - started > timeoutMs) {
+        throw createError(
+          ERROR_CODES.AUDIT_ERROR,
+          `Timed out waiting for audit log lock ${lockPath}`,
+          { timeoutMs }
+        );
+      }
+      await delay(LOCK_RETRY_MS);
+    }
+  }
+
+  try {
+    await handle.writeFile(String(process.pid));
+    return await fn();
+  } finally {
+    await handle.close();
+    await fs.unlink(lockPath).catch(() => {});
+  }
+}
+
+/**
+ * In-memory storage, for tests and ephemeral sessions
+ */
+class MemoryAuditStorage {
+  constructor() {
+    this.type = AUDIT_STORAGE_TYPES.MEMORY;
+    this.entries = [];
+  }
+
+  async initialize() {}
+
+  async append(entry) {
+    // Stored as a copy so callers holding the entry cannot change the trail
+    this.entries.push(JSON.parse(JSON.stringify(entry)));
+  }
+
+  async readAll() {
+    return this.entries.slice();
+  }
+
+  async readLast() {
+    return this.entries[this.entries.length - 1] || null;
+  }
+
+  async replaceAll(entries) {
+    this.entries = entries.slice();
+  }
+}
+
+/**
+ * Append-only JSON Lines file: one entry per line, so a write never
+ * rewrites earlier entries. Writers in several processes take a lock file
+ * (`<path>.lock`) through withLock, so each append sees the latest entry
+ */
+class JsonlAuditStorage {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.path] - JSONL file
+   * @param {string} [options.legacyPath] - Single-file JSON log to import when the JSONL file is first created
+   * @param {Object} [options.lock] - Lock file timing ({ timeoutMs, staleMs })
+   */
+  constructor(options = {}) {
+    this.type = AUDIT_STORAGE_TYPES.JSONL;
+    this.path = options.path || DEFAULT_AUDIT_PATHS[AUDIT_STORAGE_TYPES.JSONL];
+    this.legacyPath = options.legacyPath || null;
+    this.lockPath = `${this.path}.lock`;
+    this.lockOptions = options.lock || {};
+    this.initialized = null;
+  }
+
+  initialize() {
+    if (!this.initialized) {
+      this.initialized = this._initialize().catch(error => {
+        this.initialized = null;
+        throw error;
+      });
+    }
+    return this.initialized;
+  }
+
+  async _initialize() {
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+
+    try {
+      await fs.access(this.path);
+      return;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const legacyEntries = this.legacyPath ? await readJsonAuditFile(this.legacyPath) : null;
+    const contents = (legacyEntries || []).map(entry => `${JSON.stringify(entry)}\n`).join('');
+
+    // Link the finished file into place so only one process creates (and migrates) it
+    const tempPath = tempPathFor(this.path);
+    await fs.writeFile(tempPath, contents);
+    try {
+      await fs.link(tempPath, this.path);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    } finally {
+      await fs.unlink(tempPath);
+    }
+  }
+
+  /**
+   * Run fn while holding this file's lock
+   *
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} Result of fn
+   */
+  async withLock(fn) {
+    await this.initialize();
+    return withFileLock(this.lockPath, fn, this.lockOptions);
+  }
+
+  async append(entry) {
+    await this.initialize();
+    await fs.appendFile(this.path, `${JSON.stringify(entry)}\n`);
+  }
+
+  async readAll() {
+    await this.initialize();
+    const contents = await fs.readFile(this.path, 'utf8');
+    const lines = contents.split('\n');
+    const entries = [];
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A final line without a newline is a write still in progress
+        if (index === lines.length - 1) return;
+        throw createError(
+          ERROR_CODES.AUDIT_ERROR,
+          `Corrupt audit log line ${index + 1} in ${this.path}`,
+          { error: error.message }
+        );
+      }
+    });
+
+    return entries;
+  }
+
+  async readLast() {
+    await this.initialize();
+    const handle = await fs.open(this.path, 'r');
+
+    try {
+      const { size } = await handle.stat();
+      let tail = '';
+      let position = size;
+
+      // Read backwards until the tail holds a complete line
+      while (position > 0) {
+        const length = Math.min(READ_CHUNK_BYTES, position);
+        position -= length;
+        const buffer = Buffer.alloc(length);
+        await handle.read(buffer, 0, length, position);
+        tail = buffer.toString('utf8') + tail;
+
+        // The first piece may be cut mid-line and the last is empty or a write in progress
+        const lines = tail.split('\n');
+        const complete = lines.slice(position === 0 ? 0 : 1, -1).filter(line => line.trim());
+        if (complete.length > 0) return JSON.parse(complete[complete.length - 1]);
+      }
+
+      return null;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async replaceAll(entries) {
+    await this.initialize();
+    await writeFileAtomic(this.path, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  }
+}
+
+/**
+ * SQLite database file. Uses node:sqlite (Node.js 22.5+) when available,
+ * otherwise the better-sqlite3 package. withLock holds a write transaction
+ * (BEGIN IMMEDIATE), so writers on other connections wait their turn
+ */
+class SqliteAuditStorage {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.path] - Database file
+   * @param {Object} [options.lock] - Lock timing ({ timeoutMs })
+   */
+  constructor(options = {}) {
+    this.type = AUDIT_STORAGE_TYPES.SQLITE;
+    this.path = options.path || DEFAULT_AUDIT_PATHS[AUDIT_STORAGE_TYPES.SQLITE];
+    this.lockOptions = options.lock || {};
+    this.lockQueue = Promise.resolve();
+    this.db = null;
+  }
+
+  async initialize() {
+    if (this.db) return;
+
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    const db = openSqliteDatabase(this.path);
+    db.exec(`
+      PRAGMA journal_mode = WAL;
+      PRAGMA busy_timeout = 5000;
+      CREATE TABLE IF NOT EXISTS audit_entries (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        type TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        patient_id TEXT,
+        entry TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS audit_entries_patient ON audit_entries (patient_id);
+      CREATE INDEX IF NOT EXISTS audit_entries_timestamp ON audit_entries (timestamp);
+    `);
+    this.db = db;
+  }
+
+  async append(entry) {
+    await this.initialize();
+    this._insert(entry);
+  }
+
+  async readAll() {
+    await this.initialize();
+    return this.db
+      .prepare('SELECT entry FROM audit_entries ORDER BY seq')
+      .all()
+      .map(row => JSON.parse(row.entry));
+  }
+
+  async readLast() {
+    await this.initialize();
+    const row = this.db.prepare('SELECT entry FROM audit_entries ORDER BY seq DESC LIMIT 1').get();
+    return row ? JSON.parse(row.entry) : null;
+  }
+
+  async replaceAll(entries) {
+    await this.initialize();
+    // A savepoint also works inside the transaction withLock holds
+    this.db.exec('SAVEPOINT replace_all');
+    try {
+      this.db.exec('DELETE FROM audit_entries');
+      entries.forEach(entry => this._insert(entry));
+      this.db.exec('RELEASE replace_all');
+    } catch (error) {
+      this.db.exec('ROLLBACK TO replace_all; RELEASE replace_all');
+      throw error;
+    }
+  }
+
+  /**
+   * Run fn inside a write transaction on this connection
+   * Calls on one adapter share its connection, so they run one at a time
+   *
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} Result of fn
+   */
+  withLock(fn) {
+    const result = this.lockQueue.then(() => this._transaction(fn));
+    this.lockQueue = result.catch(() => {});
+    return result;
+  }
+
+  async _transaction(fn) {
+    await this.initialize();
+    await this._beginImmediate();
+
+    try {
+      const result = await fn();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  async _beginImmediate() {
+    const timeoutMs = this.lockOptions.timeoutMs ?? LOCK_TIMEOUT_MS;
+    const started = Date.now();
+
+    // Poll without SQLite's busy handler, which would block the event loop
+    this.db.exec('PRAGMA busy_timeout = 0');
+    try {
+      for (;;) {
+        try {
+          this.db.exec('BEGIN IMMEDIATE');
+          return;
+        } catch (error) {
+          if (error.code !== 'SQLITE_BUSY' && !/database is locked/.test(error.message)) throw error;
+          if (Date.now() - started > timeoutMs) {
+            throw createError(
+              ERROR_CODES.AUDIT_ERROR,
+              `Timed out waiting for audit database lock ${this.path}`,
+              { timeoutMs }
+            );
+          }
+          await delay(LOCK_RETRY_MS);
+        }
+      }
+    } finally {
+      this.db.exec('PRAGMA busy_timeout = 5000');
+    }
+  }
+
+  _insert(entry) {
+    this.db
+      .prepare('INSERT INTO audit_entries (id, type, timestamp, patient_id, entry) VALUES (?, ?, ?, ?, ?)')
+      .run(entry.id, entry.type, entry.timestamp, entry.patientId || null, JSON.stringify(entry));
+  }
+}
+
+/**
+ * Original single-file JSON log ({ version, created, entries: [...] })
+ * Every write rewrites the whole file; kept for existing deployments
+ */
+class JsonAuditStorage {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.path] - JSON file
+   * @param {number} [options.retentionYears] - Recorded in a new file's header
+   */
+  constructor(options = {}) {
+    this.type = AUDIT_STORAGE_TYPES.JSON;
+    this.path = options.path || DEFAULT_AUDIT_PATHS[AUDIT_STORAGE_TYPES.JSON];
+    this.retentionYears = options.retentionYears || 7;
+  }
+
+  async initialize() {
+    try {
+      await fs.access(this.path);
+    } catch (error) {
+      await fs.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.writeFile(this.path, JSON.stringify({
+        version: '1.0.0',
+        created: new Date().toISOString(),
+        retentionYears: this.retentionYears,
+        entries: []
+      }, null, 2));
+    }
+  }
+
+  async append(entry) {
+    const logData = await this._read();
+    logData.entries.push(entry);
+    await this._write(logData);
+  }
+
+  async readAll() {
+    return (await this._read()).entries;
+  }
+
+  async readLast() {
+    const entries = await this.readAll();
+    return entries[entries.length - 1] || null;
+  }
+
+  async replaceAll(entries) {
+    const logData = await this._read();
+    logData.entries = entries;
+    await this._write(logData);
+  }
+
+  async _read() {
+    await this.initialize();
+    return JSON.parse(await fs.readFile(this.path, 'utf8'));
+  }
+
+  async _write(logData) {
+    logData.lastUpdated = new Date().toISOString();
+    await fs.writeFile(this.path, JSON.stringify(logData, null, 2));
+  }
+}
+
+/**
+ * Open a SQLite database with whichever driver is available
+ *
+ * @param {string} filePath - Database file
+ * @returns {Object} Database handle with exec / prepare / close
+ */
+function openSqliteDatabase(filePath) {
+  try {
+    const { DatabaseSync } = require('node:sqlite');
+    return new DatabaseSync(filePath);
+  } catch (error) {
+    if (!['ERR_UNKNOWN_BUILTIN_MODULE', 'MODULE_NOT_FOUND'].includes(error.code)) throw error;
+  }
+
+  try {
+    const Database = require('better-sqlite3');
+    return new Database(filePath);
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+  }
+
+  throw createError(
+    ERROR_CODES.INVALID_CONFIG,
+    'SQLite audit storage requires Node.js 22.5+ (node:sqlite) or the better-sqlite3 package'
+  );
+}
+
+/**
+ * Check whether an object implements the audit storage interface
+ *
+ * @param {*} storage - Candidate adapter
+ * @returns {boolean} True for an adapter
+ */
+function isAuditStorage(storage) {
+  return Boolean(storage) &&
+    ['append', 'readAll', 'replaceAll'].every(method => typeof storage[method] === 'function');
+}
+
+/**
+ * Create an audit storage adapter
+ *
+ * @param {Object} [options] - Storage options, or an adapter instance (returned as is)
+ * @param {string} [options.type] - One of AUDIT_STORAGE_TYPES (default 'jsonl')
+ * @param {string} [options.path] - Storage file (jsonl, sqlite and json)
+ * @param {string} [options.legacyPath] - JSON log to import into a new JSONL file
+ *   (defaults to the original pregnancy-audit-logs.json when path is not given)
+ * @returns {Object} Audit storage adapter
+ */
+function createAuditStorage(options = {}) {
+  if (isAuditStorage(options)) return options;
+
+  const type = options.type || AUDIT_STORAGE_TYPES.JSONL;
+
+  switch (type) {
+    case AUDIT_STORAGE_TYPES.MEMORY:
+      return new MemoryAuditStorage();
+    case AUDIT_STORAGE_TYPES.JSONL:
+      return new JsonlAuditStorage({
+        path: options.path,
+        legacyPath: options.legacyPath ?? (options.path ? null : DEFAULT_AUDIT_PATHS[AUDIT_STORAGE_TYPES.JSON])
+      });
+    case AUDIT_STORAGE_TYPES.SQLITE:
+      return new SqliteAuditStorage({ path: options.path });
+    case AUDIT_STORAGE_TYPES.JSON:
+      return new JsonAuditStorage({ path: options.path, retentionYears: options.retentionYears });
+    default:
+      throw createError(
+        ERROR_CODES.INVALID_CONFIG,
+        `Unknown audit storage type: ${type}. Use one of ${Object.values(AUDIT_STORAGE_TYPES).join(', ')}`
+      );
+  }
+}
+
+module.exports = {
+  // Constants
+  DEFAULT_AUDIT_PATHS,
+
+  // Adapters
+  MemoryAuditStorage,
+  JsonlAuditStorage,
+  SqliteAuditStorage,
+  JsonAuditStorage,
+
+  // Core functions
+  createAuditStorage,
+  isAuditStorage
+};
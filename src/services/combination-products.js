@@ -0,0 +1,116 @@
+/**
+ * Combination Products
+ *
+ * Fixed-dose combination products ("Percocet", "Zestoretic") modeled as
+ * multi-ingredient entities. Products are listed in
+ * src/data/combination-products.json by brand and by the names of their
+ * active ingredients; safety, interaction and risk checks expand a product
+ * into its ingredient records and report the worst case
+ *
+ * @module combination-products
+ */
+
+const path = require('path');
+const { resolveMedication, MATCH_TYPES } = require('./medication-search');
+
+/**
+ * Bundled combination product file
+ */
+const COMBINATION_PRODUCTS_FILE = path.join(__dirname, '../data/combination-products.json');
+
+/**
+ * Resolve a name to a combination product
+ *
+ * @param {string} name - Product name, brand or misspelling
+ * @returns {Object|null} { product, match } or null when the name is not a combination product
+ */
+function findCombinationProduct(name) {
+  const resolved = resolveMedication(name, { combinations: true });
+  if (!resolved?.medication.combination) return null;
+
+  return { product: resolved.medication, match: resolved.match };
+}
+
+/**
+ * Expand a combination product into its active ingredients. Ingredients are
+ * looked up by exact name only; one missing from the database is returned
+ * with a null record so callers can report it rather than drop it
+ *
+ * @param {Object} product - Combination product (from findCombinationProduct)
+ * @returns {Array<Object>} [{ name, medication }] in label order
+ */
+function expandCombinationProduct(product) {
+  return product.ingredients.map(name => {
+    const resolved = resolveMedication(name);
+    const medication = resolved?.match.type === MATCH_TYPES.EXACT ? resolved.medication : null;
+
+    return { name: medication?.name || name, medication };
+  });
+}
+
+/**
+ * Expand a medication name into the records it stands for: the ingredients of
+ * a combination product, or the one matching record
+ *
+ * @param {string} name - Medication or product name as entered
+ * @returns {Object} { product, ingredients: [{ name, medication }] }; product is null for single medications
+ */
+function expandMedicationName(name) {
+  const combination = findCombinationProduct(name);
+  if (combination) {
+    return { product: combination.product, ingredients: expandCombinationProduct(combination.product) };
+  }
+
+  const medication = resolveMedication(name)?.medication || null;
+  return { product: null, ingredients: [{ name: medication?.name || name, medication }] };
+}
+
+/**
+ * Check a combination product file
+ *
+ * @param {Object} data - Parsed file ({ version, products })
+ * @returns {Array<Object>} Problems as { path, message }
+ */
+function validateCombinationProducts(data) {
+  if (!data || typeof data.products !== 'object' || Array.isArray(data.products)) {
+    return [{ path: '$.products', message: 'must be an object of products keyed by id' }];
+  }
+
+  const problems = [];
+  const brands = new Map();
+
+  Object.entries(data.products).forEach(([id, product]) => {
+    const at = `$.products.${id}`;
+
+    if (!product?.name || typeof product.name !== 'string') {
+      problems.push({ path: `${at}.name`, message: 'is required' });
+    }
+    if (!Array.isArray(product?.ingredients) || product.ingredients.length < 2) {
+      problems.push({ path: `${at}.ingredients`, message: 'must list at least two active ingredients' });
+    }
+
+    (product?.brandNames || []).forEach((brand, index) => {
+      const key = String(brand).toLowerCase();
+      if (brands.has(key)) {
+        problems.push({ path: `${at}.brandNames[${index}]`, message: `duplicates ${brands.get(key)}` });
+      } else {
+        brands.set(key, `${at}.brandNames[${index}]`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+module.exports = {
+  // Constants
+  COMBINATION_PRODUCTS_FILE,
+
+  // Core functions
+  findCombinationProduct,
+  expandCombinationProduct,
+  expandMedicationName,
+
+  // Helper functions
+  validateCombinationProducts
+};
@@ -0,0 +1,407 @@
+/**
+ * FHIR Export
+ *
+ * Converts pregnancy audit entries to a FHIR R4 Bundle for EHR integration:
+ * - MedicationStatement for each medication course (exposure), coded with RxNorm
+ * - DetectedIssue for each interaction or pregnancy contraindication finding
+ * - RiskAssessment for each composite risk calculation with a patient id
+ *   (RiskAssessment.subject is required, so anonymous calculations are skipped)
+ * - Observation for each gestational age an assessment was made at
+ *
+ * Resource ids are derived from audit entry ids, so exporting the same
+ * entries twice produces the same resources. Patients are referenced by
+ * identifier only; the receiving system resolves them to its own Patient
+ *
+ * @module fhir-export
+ */
+
+const crypto = require('crypto');
+const { AUDIT_TYPES } = require('./pregnancy-audit-logger');
+const PatientMedicationProfile = require('./PatientMedicationProfile');
+const { findMedication } = require('./pregnancy-safety-engine');
+
+/**
+ * Code systems and identifier namespaces
+ */
+const FHIR_SYSTEMS = {
+  RXNORM: 'http://www.nlm.nih.gov/research/umls/rxnorm',
+  LOINC: 'http://loinc.org',
+  UCUM: 'http://unitsofmeasure.org',
+  ACT_CODE: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+  RISK_PROBABILITY: 'http://terminology.hl7.org/CodeSystem/risk-probability',
+  PATIENT_ID: 'urn:bumpie-meds:patient',
+  AUDIT_ENTRY: 'urn:bumpie-meds:audit-entry',
+  INTERACTION_RULE: 'urn:bumpie-meds:interaction-rule'
+};
+
+/**
+ * LOINC code for gestational age
+ */
+const GESTATIONAL_AGE_CODE = {
+  system: FHIR_SYSTEMS.LOINC,
+  code: '49051-6',
+  display: 'Gestational age in weeks'
+};
+
+/**
+ * DetectedIssue codes (v3 ActCode) by finding type
+ */
+const DETECTED_ISSUE_CODES = {
+  drug_interaction: { code: 'DRG', display: 'Drug Interaction Alert', text: 'Drug interaction during pregnancy' },
+  pregnancy_contraindication: { code: 'COND', display: 'Condition Alert', text: 'Contraindicated in pregnancy' },
+  pregnancy_high_risk: { code: 'COND', display: 'Condition Alert', text: 'Evidence of fetal risk' },
+  duplicate_ingredient: { code: 'DUPTHPY', display: 'Duplicate Therapy Alert', text: 'Active ingredient in more than one medication' }
+};
+
+/**
+ * Our severities mapped to DetectedIssue.severity
+ */
+const ISSUE_SEVERITY = {
+  critical: 'high',
+  high: 'high',
+  moderate: 'moderate',
+  low: 'low',
+  minimal: 'low'
+};
+
+/**
+ * Our risk levels mapped to the risk-probability code system
+ */
+const RISK_PROBABILITY = {
+  minimal: { code: 'negligible', display: 'Negligible likelihood' },
+  low: { code: 'low', display: 'Low likelihood' },
+  moderate: { code: 'moderate', display: 'Moderate likelihood' },
+  high: { code: 'high', display: 'High likelihood' },
+  critical: { code: 'high', display: 'High likelihood' }
+};
+
+/**
+ * Build a FHIR R4 collection Bundle from audit entries
+ *
+ * @param {Array<Object>} entries - Audit log entries (any order, any patients)
+ * @param {Object} [options] - Options
+ * @param {string} [options.timestamp] - Bundle timestamp (default: now)
+ * @returns {Object} FHIR Bundle
+ */
+function buildFhirBundle(entries, options = {}) {
+  const ordered = [...entries].sort((a, b) =>
+    new Date(a.timestamp) - new Date(b.timestamp) || (a.sequence || 0) - (b.sequence || 0)
+  );
+  const resources = [];
+
+  groupByPatient(ordered).forEach((patientEntries, patientId) => {
+    const statements = patientId ? toMedicationStatements(patientId, patientEntries) : [];
+    const observations = new Map();
+
+    const gestationalAge = entry => {
+      const week = entry.data?.weekOfPregnancy;
+      if (typeof week !== 'number') return null;
+
+      if (!observations.has(week)) {
+        observations.set(week, toGestationalAgeObservation(week, entry));
+      }
+      return observations.get(week);
+    };
+
+    const assessments = [];
+    patientEntries.forEach(entry => {
+      if (entry.type === AUDIT_TYPES.SAFETY_CHECK) {
+        gestationalAge(entry);
+      } else if (entry.type === AUDIT_TYPES.INTERACTION_CHECK) {
+        gestationalAge(entry);
+        assessments.push(...toDetectedIssues(entry, statements));
+      } else if (entry.type === AUDIT_TYPES.RISK_CALCULATION && patientId) {
+        assessments.push(toRiskAssessment(entry, statements, gestationalAge(entry)));
+      }
+    });
+
+    resources.push(...statements, ...observations.values(), ...assessments);
+  });
+
+  return {
+    resourceType: 'Bundle',
+    id: crypto.randomUUID(),
+    type: 'collection',
+    timestamp: options.timestamp || new Date().toISOString(),
+    entry: resources.map(({ fullUrl, resource }) => ({ fullUrl, resource }))
+  };
+}
+
+/**
+ * Convert a live checkPregnancyInteractions result to DetectedIssue resources
+ *
+ * @param {Object} result - checkPregnancyInteractions result
+ * @param {Object} [options] - Options
+ * @param {string} [options.patientId] - Patient identifier
+ * @returns {Array<Object>} DetectedIssue resources
+ */
+function interactionResultToDetectedIssues(result, options = {}) {
+  const entry = {
+    id: `check_${result.assessmentDate}_${result.medications.join('+')}`,
+    timestamp: result.assessmentDate,
+    patientId: options.patientId || null,
+    data: {
+      weekOfPregnancy: result.weekOfPregnancy,
+      interactionsFound: result.interactionsFound,
+      highestSeverity: result.highestSeverity,
+      recommendation: result.recommendation,
+      findings: result.interactions.map(toFinding)
+    }
+  };
+
+  return toDetectedIssues(entry, []).map(({ resource }) => resource);
+}
+
+/**
+ * Reduce a checkPregnancyInteractions interaction to what the audit trail keeps
+ *
+ * @param {Object} interaction - Interaction from checkPregnancyInteractions
+ * @returns {Object} { type, ruleId, severity, trimesterRisk, medications, reason, recommendation }
+ */
+function toFinding(interaction) {
+  return {
+    type: interaction.type,
+    ruleId: interaction.ruleId || null,
+    severity: interaction.severity,
+    trimesterRisk: interaction.currentTrimesterRisk
+      || interaction.trimesterRisks?.[interaction.currentTrimester]
+      || null,
+    medications: interaction.medications,
+    reason: interaction.reason,
+    recommendation: interaction.recommendation
+  };
+}
+
+/**
+ * One MedicationStatement per course replayed from medication events
+ * @private
+ */
+function toMedicationStatements(patientId, entries) {
+  const profile = new PatientMedicationProfile(patientId);
+  entries.forEach(entry => profile.applyEvent(entry));
+
+  return profile.getHistory().map(course => {
+    const medication = findMedication(course.medicationName);
+    const coding = medication?.rxcui ? [{
+      system: FHIR_SYSTEMS.RXNORM,
+      code: medication.rxcui,
+      display: medication.genericName || medication.name
+    }] : undefined;
+
+    const resource = withId({
+      resourceType: 'MedicationStatement',
+      status: course.active ? 'active' : course.stopReason === 'restarted' ? 'completed' : 'stopped',
+      medicationCodeableConcept: { coding, text: course.medicationName },
+      subject: patientReference(patientId),
+      effectivePeriod: compact({ start: course.startDate, end: course.stopDate || undefined }),
+      dateAsserted: course.startDate,
+      informationSource: course.prescriber?.name ? { display: course.prescriber.name } : undefined,
+      reasonCode: course.indication ? [{ text: course.indication }] : undefined,
+      statusReason: course.stopReason && course.stopReason !== 'restarted'
+        ? [{ text: course.stopReason }]
+        : undefined,
+      dosage: course.dosage || course.frequency
+        ? [{ text: [course.dosage, course.frequency].filter(Boolean).join(' ') }]
+        : undefined,
+      note: [{ text: `Exposure: ${formatWeeks(course.startWeek, course.stopWeek)}` }]
+    }, `statement:${patientId}:${course.medicationKey}:${course.startDate}`);
+
+    return { ...resource, medicationKey: course.medicationKey, medicationName: course.medicationName };
+  });
+}
+
+/**
+ * DetectedIssue resources for the findings of one interaction check
+ * Entries logged before findings were recorded produce one summary issue
+ * @private
+ */
+function toDetectedIssues(entry, statements) {
+  const { data } = entry;
+  const findings = data.findings || (data.interactionsFound > 0 ? [{
+    type: 'drug_interaction',
+    severity: data.highestSeverity,
+    medications: data.medications || [],
+    reason: `${data.interactionsFound} interaction(s) found`,
+    recommendation: data.recommendation
+  }] : []);
+
+  return findings.map((finding, index) => {
+    const code = DETECTED_ISSUE_CODES[finding.type] || DETECTED_ISSUE_CODES.drug_interaction;
+    const severity = finding.trimesterRisk === 'critical' ? 'critical' : finding.severity;
+
+    return withId({
+      resourceType: 'DetectedIssue',
+      identifier: [auditIdentifier(entry)],
+      status: 'final',
+      code: {
+        coding: [{ system: FHIR_SYSTEMS.ACT_CODE, code: code.code, display: code.display }],
+        text: finding.ruleId ? `${code.text} (${finding.ruleId})` : code.text
+      },
+      severity: ISSUE_SEVERITY[severity],
+      patient: entry.patientId ? patientReference(entry.patientId) : undefined,
+      identifiedDateTime: entry.timestamp,
+      implicated: (finding.medications || []).map(name => medicationReference(name, statements)),
+      detail: typeof data.weekOfPregnancy === 'number'
+        ? `${finding.reason} (week ${data.weekOfPregnancy})`
+        : finding.reason,
+      reference: finding.ruleId ? `${FHIR_SYSTEMS.INTERACTION_RULE}:${finding.ruleId}` : undefined,
+      mitigation: finding.recommendation ? [{ action: { text: finding.recommendation } }] : undefined
+    }, `issue:${entry.id}:${index}`);
+  });
+}
+
+/**
+ * RiskAssessment for one composite risk calculation
+ * @private
+ */
+function toRiskAssessment(entry, statements, observation) {
+  const { data } = entry;
+  const probability = RISK_PROBABILITY[data.overallRiskLevel];
+  const basis = (data.medications || [])
+    .map(name => medicationReference(name, statements))
+    .filter(reference => reference.reference);
+
+  if (observation) basis.unshift({ reference: observation.fullUrl });
+
+  return withId({
+    resourceType: 'RiskAssessment',
+    identifier: [auditIdentifier(entry)],
+    status: 'final',
+    code: { text: 'Pregnancy medication risk' },
+    subject: patientReference(entry.patientId),
+    occurrenceDateTime: entry.timestamp,
+    basis: basis.length > 0 ? basis : undefined,
+    prediction: [compact({
+      outcome: { text: 'Adverse pregnancy outcome from medication exposure' },
+      qualitativeRisk: probability ? {
+        coding: [{ system: FHIR_SYSTEMS.RISK_PROBABILITY, ...probability }],
+        text: data.overallRiskLevel
+      } : undefined,
+      rationale: `Composite risk score ${data.riskScore}/100 for ${(data.medications || []).join(', ')}`
+    })],
+    mitigation: data.recommendations?.length ? data.recommendations.map(recommendationText).join('\n') : undefined,
+    note: data.contentVersion ? [{ text: `Knowledge base: ${data.contentVersion}` }] : undefined
+  }, `risk:${entry.id}`);
+}
+
+/**
+ * Observation of gestational age, first recorded by `entry`
+ * @private
+ */
+function toGestationalAgeObservation(week, entry) {
+  return withId({
+    resourceType: 'Observation',
+    identifier: [auditIdentifier(entry)],
+    status: 'final',
+    code: { coding: [GESTATIONAL_AGE_CODE], text: 'Gestational age' },
+    subject: entry.patientId ? patientReference(entry.patientId) : undefined,
+    effectiveDateTime: entry.timestamp,
+    valueQuantity: { value: week, unit: 'wk', system: FHIR_SYSTEMS.UCUM, code: 'wk' }
+  }, `gestational-age:${entry.patientId}:${week}`);
+}
+
+/**
+ * Group entries by patient, keeping order; anonymous entries share one group
+ * @private
+ */
+function groupByPatient(entries) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = entry.patientId || null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+  return groups;
+}
+
+/**
+ * Reference a medication's statement if the patient has one, else name it
+ * @private
+ */
+function medicationReference(name, statements) {
+  const medication = findMedication(name);
+  const key = (medication ? medication.name : String(name)).toLowerCase();
+  const matches = statements.filter(statement => statement.medicationKey === key);
+  const statement = matches[matches.length - 1];
+
+  return statement
+    ? { reference: statement.fullUrl, display: statement.medicationName }
+    : { display: name };
+}
+
+/**
+ * @private
+ */
+function patientReference(patientId) {
+  return { identifier: { system: FHIR_SYSTEMS.PATIENT_ID, value: patientId } };
+}
+
+/**
+ * One line of RiskAssessment.mitigation from a calculator recommendation
+ * ({ action, medication, reason }) or a plain string
+ * @private
+ */
+function recommendationText(recommendation) {
+  if (typeof recommendation === 'string') return recommendation;
+
+  const { action, medication, reason } = recommendation;
+  const subject = medication ? `${action} - ${medication}` : action;
+  return reason ? `${subject}: ${reason}` : subject;
+}
+
+/**
+ * @private
+ */
+function auditIdentifier(entry) {
+  return { system: FHIR_SYSTEMS.AUDIT_ENTRY, value: entry.id };
+}
+
+/**
+ * Give a resource a deterministic UUID and drop empty fields
+ * @private
+ */
+function withId(resource, seed) {
+  const hex = crypto.createHash('sha1').update(seed).digest('hex');
+  // Name-based UUID layout (version 5, RFC 4122 variant)
+  const id = [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    `5${hex.slice(13, 16)}`,
+    ((parseInt(hex.slice(16, 18), 16) & 0x3f) | 0x80).toString(16) + hex.slice(18, 20),
+    hex.slice(20, 32)
+  ].join('-');
+
+  return {
+    fullUrl: `urn:uuid:${id}`,
+    resource: compact({ resourceType: resource.resourceType, id, ...resource })
+  };
+}
+
+/**
+ * @private
+ */
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * @private
+ */
+function formatWeeks(startWeek, stopWeek) {
+  const start = startWeek ?? '?';
+  if (stopWeek === null || stopWeek === undefined) return `from week ${start}`;
+  return `weeks ${start}-${stopWeek}`;
+}
+
+module.exports = {
+  // Constants
+  FHIR_SYSTEMS,
+  GESTATIONAL_AGE_CODE,
+
+  // Core functions
+  buildFhirBundle,
+  interactionResultToDetectedIssues,
+
+  // Helper functions
+  toFinding
+};
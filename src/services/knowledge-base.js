@@ -0,0 +1,176 @@
+/**
+ * Knowledge Base
+ *
+ * Loads the pregnancy interaction rules, preconception washout rules and
+ * maternal-condition guidance from src/data, validates them against src/data/schemas/knowledge-base.schema.json
+ * and merges host-supplied supplementary files into the built-in set
+ *
+ * @module knowledge-base
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateSchema } = require('../utils/schema-validator');
+const { createError } = require('../utils/validators');
+const { ERROR_CODES, THERAPEUTIC_CLASSES } = require('../utils/constants');
+const schema = require('../data/schemas/knowledge-base.schema.json');
+
+/**
+ * Built-in knowledge base files. The interactions file also carries the
+ * preconception washout rules
+ */
+const BUILT_IN_FILES = {
+  interactions: path.join(__dirname, '../data/pregnancy-interactions.json'),
+  conditions: path.join(__dirname, '../data/maternal-conditions.json')
+};
+
+/**
+ * Read a knowledge base file
+ *
+ * @param {string} filePath - Path to a JSON file
+ * @returns {Object} Parsed file
+ */
+function readKnowledgeBaseFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw createError(
+      ERROR_CODES.DATA_LOAD_ERROR,
+      `Failed to read knowledge base file: ${filePath}`,
+      { error: error.message }
+    );
+  }
+}
+
+/**
+ * Validate a knowledge base file against the schema, known therapeutic classes
+ * and non-negative washout periods
+ *
+ * @param {Object} data - Parsed file
+ * @param {string} source - File path or source name for error messages
+ * @returns {Object} The data, if valid
+ */
+function validateKnowledgeBase(data, source) {
+  const { errors } = validateSchema(data, schema);
+
+  Object.entries(data?.interactions || {}).forEach(([ruleId, rule]) => {
+    (rule.match || []).forEach((participant, index) => {
+      if (participant.class && !THERAPEUTIC_CLASSES[participant.class]) {
+        errors.push({
+          path: `$.interactions.${ruleId}.match[${index}].class`,
+          message: `unknown therapeutic class "${participant.class}"`
+        });
+      }
+    });
+  });
+
+  Object.entries(data?.washouts || {}).forEach(([ruleId, rule]) => {
+    if (rule?.match?.class && !THERAPEUTIC_CLASSES[rule.match.class]) {
+      errors.push({
+        path: `$.washouts.${ruleId}.match.class`,
+        message: `unknown therapeutic class "${rule.match.class}"`
+      });
+    }
+    if (typeof rule?.washoutWeeks === 'number' && rule.washoutWeeks < 0) {
+      errors.push({ path: `$.washouts.${ruleId}.washoutWeeks`, message: 'must not be negative' });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw createError(
+      ERROR_CODES.DATA_LOAD_ERROR,
+      `Invalid knowledge base ${source}: ${errors[0].path} ${errors[0].message}`,
+      { source, errors }
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Load the built-in knowledge base and merge supplementary files
+ * Supplementary entries are added to the built-in set; an entry with the same
+ * key as a built-in one replaces it and is listed in overrides
+ *
+ * @param {Object} [options] - Options
+ * @param {Array<string|Object>} [options.supplementary] - File paths or parsed files
+ * @returns {Object} { interactions, washouts, conditions, contentVersion, overrides }
+ */
+function loadKnowledgeBase({ supplementary = [] } = {}) {
+  const interactionsFile = validateKnowledgeBase(readKnowledgeBaseFile(BUILT_IN_FILES.interactions), BUILT_IN_FILES.interactions);
+  const conditionsFile = validateKnowledgeBase(readKnowledgeBaseFile(BUILT_IN_FILES.conditions), BUILT_IN_FILES.conditions);
+
+  const interactions = { ...interactionsFile.interactions };
+  const washouts = { ...interactionsFile.washouts };
+  const conditions = { ...conditionsFile.conditions };
+  const overrides = [];
+  const supplementaryVersions = [];
+
+  supplementary.forEach((entry, index) => {
+    const isPath = typeof entry === 'string';
+    const data = isPath ? readKnowledgeBaseFile(entry) : entry;
+    const source = data?.source || (isPath ? path.basename(entry, '.json') : `supplementary-${index + 1}`);
+
+    validateKnowledgeBase(data, isPath ? entry : source);
+
+    Object.entries(data.interactions || {}).forEach(([ruleId, rule]) => {
+      if (interactions[ruleId]) overrides.push({ type: 'interaction', key: ruleId, source });
+      interactions[ruleId] = rule;
+    });
+
+    Object.entries(data.washouts || {}).forEach(([ruleId, rule]) => {
+      if (washouts[ruleId]) overrides.push({ type: 'washout', key: ruleId, source });
+      washouts[ruleId] = rule;
+    });
+
+    Object.entries(data.conditions || {}).forEach(([key, condition]) => {
+      if (conditions[key]) overrides.push({ type: 'condition', key, source });
+      conditions[key] = condition;
+    });
+
+    supplementaryVersions.push({ source, version: data.version });
+  });
+
+  return {
+    interactions,
+    washouts,
+    conditions,
+    overrides,
+    contentVersion: buildContentVersion(interactionsFile.version, conditionsFile.version, supplementaryVersions)
+  };
+}
+
+/**
+ * Build the content version stamp attached to results
+ *
+ * @param {string} interactionsVersion - Built-in interaction rules version
+ * @param {string} conditionsVersion - Built-in maternal conditions version
+ * @param {Array<Object>} supplementary - [{ source, version }]
+ * @returns {Object} { id, interactions, conditions, supplementary }
+ */
+function buildContentVersion(interactionsVersion, conditionsVersion, supplementary) {
+  const parts = [
+    `interactions@${interactionsVersion}`,
+    `conditions@${conditionsVersion}`,
+    ...supplementary.map(s => `${s.source}@${s.version}`)
+  ];
+
+  return {
+    id: parts.join('+'),
+    interactions: interactionsVersion,
+    conditions: conditionsVersion,
+    supplementary
+  };
+}
+
+module.exports = {
+  // Constants
+  BUILT_IN_FILES,
+
+  // Core functions
+  loadKnowledgeBase,
+  validateKnowledgeBase,
+
+  // Helper functions
+  readKnowledgeBaseFile
+};
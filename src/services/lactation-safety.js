@@ -0,0 +1,263 @@
+/**
+ * Lactation Safety
+ *
+ * Breastfeeding guidance for a medication, adjusted for the infant's age, and
+ * postpartum mode: a medication check counted in weeks after delivery rather
+ * than weeks of pregnancy
+ *
+ * @module lactation-safety
+ */
+
+const { resolveMedication, medicationNotFoundError } = require('./medication-search');
+const { expandCombinationProduct } = require('./combination-products');
+const { createError, validatePostpartumWeek } = require('../utils/validators');
+const { ERROR_CODES, INFANT_AGE_GROUPS } = require('../utils/constants');
+
+/**
+ * Lactation safety levels
+ */
+const LACTATION_SAFETY = {
+  SAFE: {
+    level: 'safe',
+    description: 'Safe - Can breastfeed normally',
+    recommendation: 'Continue breastfeeding without concern'
+  },
+  CAUTION: {
+    level: 'caution',
+    description: 'Use with Caution - Monitor infant',
+    recommendation: 'Breastfeed with monitoring for infant side effects'
+  },
+  UNSAFE: {
+    level: 'unsafe',
+    description: 'Unsafe - Do NOT breastfeed',
+    recommendation: 'Discontinue breastfeeding or use alternative medication'
+  },
+  UNKNOWN: {
+    level: 'unknown',
+    description: 'Unknown - Insufficient data',
+    recommendation: 'Consult healthcare provider before breastfeeding'
+  }
+};
+
+/**
+ * Relative infant dose, in percent of the mother's weight-adjusted dose,
+ * above which exposure through milk is generally considered a concern
+ */
+const RID_THRESHOLD_PERCENT = 10;
+
+/**
+ * Gestational weeks: births before PRETERM_BIRTH_WEEKS are preterm, and
+ * preterm ages are corrected to TERM_WEEKS
+ */
+const PRETERM_BIRTH_WEEKS = 37;
+const TERM_WEEKS = 40;
+
+/**
+ * Infant age group for breastfeeding guidance
+ *
+ * @param {Object} infant - Infant
+ * @param {number} infant.ageWeeks - Weeks since birth
+ * @param {number} [infant.gestationalAgeAtBirth=40] - Week of pregnancy at birth
+ * @returns {Object} INFANT_AGE_GROUPS entry with ageWeeks and correctedAgeWeeks
+ */
+function getInfantAgeGroup({ ageWeeks, gestationalAgeAtBirth = TERM_WEEKS } = {}) {
+  if (typeof ageWeeks !== 'number' || !Number.isFinite(ageWeeks) || ageWeeks < 0) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `Infant age must be a number of weeks from 0, got ${ageWeeks}`);
+  }
+  if (typeof gestationalAgeAtBirth !== 'number' || gestationalAgeAtBirth < 22 || gestationalAgeAtBirth > 44) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `Gestational age at birth must be between 22 and 44 weeks, got ${gestationalAgeAtBirth}`);
+  }
+
+  const preterm = gestationalAgeAtBirth < PRETERM_BIRTH_WEEKS;
+  const correctedAgeWeeks = preterm ? ageWeeks - (TERM_WEEKS - gestationalAgeAtBirth) : ageWeeks;
+
+  let group;
+  if (preterm && correctedAgeWeeks < INFANT_AGE_GROUPS.neonate.maxWeeks) {
+    group = INFANT_AGE_GROUPS.premature;
+  } else if (correctedAgeWeeks < INFANT_AGE_GROUPS.neonate.maxWeeks) {
+    group = INFANT_AGE_GROUPS.neonate;
+  } else if (correctedAgeWeeks < INFANT_AGE_GROUPS.infant.maxWeeks) {
+    group = INFANT_AGE_GROUPS.infant;
+  } else {
+    group = INFANT_AGE_GROUPS.older_infant;
+  }
+
+  return { ...group, ageWeeks, correctedAgeWeeks };
+}
+
+/**
+ * Get lactation safety information
+ * With an infant, guidance the record gives for the infant's age group
+ * replaces the general rating
+ *
+ * @param {string} medicationName - Medication name
+ * @param {Object} [options] - Options
+ * @param {Object} [options.infant] - { ageWeeks, gestationalAgeAtBirth } (see getInfantAgeGroup)
+ * @returns {Object} Lactation safety information
+ */
+function getLactationSafety(medicationName, { infant } = {}) {
+  const infantAgeGroup = infant ? getInfantAgeGroup(infant) : null;
+  const resolved = resolveMedication(medicationName, { combinations: true });
+  if (resolved?.medication.combination) {
+    return getCombinationLactationSafety(resolved.medication, infantAgeGroup);
+  }
+
+  if (!resolved) {
+    return {
+      found: false,
+      medicationName,
+      recommendation: 'Consult healthcare provider before use while breastfeeding'
+    };
+  }
+
+  return assessLactation(resolved.medication, infantAgeGroup);
+}
+
+/**
+ * Lactation safety of a combination product: the least safe ingredient,
+ * with unknown ranked between caution and safe
+ *
+ * @param {Object} product - Combination product
+ * @param {Object|null} infantAgeGroup - getInfantAgeGroup result
+ * @returns {Object} Lactation safety information with per-ingredient detail
+ */
+function getCombinationLactationSafety(product, infantAgeGroup) {
+  const order = [LACTATION_SAFETY.UNSAFE, LACTATION_SAFETY.CAUTION, LACTATION_SAFETY.UNKNOWN, LACTATION_SAFETY.SAFE];
+  const ingredients = expandCombinationProduct(product).map(({ name, medication }) =>
+    medication
+      ? assessLactation(medication, infantAgeGroup)
+      : { found: false, medicationName: name, safety: LACTATION_SAFETY.UNKNOWN, infantMonitoring: [] }
+  );
+  const worst = ingredients.reduce((a, b) => (order.indexOf(b.safety) < order.indexOf(a.safety) ? b : a));
+  const byIngredient = field => ingredients
+    .filter(i => i.found && i[field])
+    .map(i => `${i.medicationName}: ${i[field]}`)
+    .join(' ') || null;
+
+  return {
+    found: true,
+    medicationName: product.name,
+    genericName: product.name,
+    combination: true,
+    lactationSafe: worst.lactationSafe ?? null,
+    safety: worst.safety,
+    notes: byIngredient('notes') || 'No additional notes available',
+    recommendation: worst.safety.recommendation,
+    infantAgeGroup,
+    infantAgeNote: byIngredient('infantAgeNote'),
+    timing: byIngredient('timing'),
+    infantMonitoring: [...new Set(ingredients.flatMap(i => i.infantMonitoring))],
+    ingredients: ingredients.map(i => ({
+      name: i.medicationName,
+      found: i.found,
+      lactationSafe: i.lactationSafe ?? null,
+      safety: i.safety.level,
+      relativeInfantDose: i.relativeInfantDose || null,
+      milkPlasmaRatio: i.milkPlasmaRatio || null,
+      halfLifeHours: i.halfLifeHours ?? null
+    }))
+  };
+}
+
+/**
+ * Check a medication after delivery. Pregnancy categories no longer apply:
+ * while breastfeeding the result follows lactation safety for an infant of
+ * that age; otherwise only the risk to a future pregnancy is flagged
+ *
+ * @param {string} medicationName - Medication name
+ * @param {Object} options - Options
+ * @param {number} options.weeksPostpartum - Completed weeks since delivery (0-104)
+ * @param {boolean} [options.breastfeeding=true] - Whether the mother is breastfeeding
+ * @param {Object} [options.infant] - { ageWeeks, gestationalAgeAtBirth }; age defaults to weeksPostpartum
+ * @returns {Object} Postpartum safety assessment
+ */
+function checkPostpartumSafety(medicationName, { weeksPostpartum, breastfeeding = true, infant = {} } = {}) {
+  validatePostpartumWeek(weeksPostpartum);
+
+  const resolved = resolveMedication(medicationName, { combinations: true });
+  if (!resolved) {
+    throw medicationNotFoundError(medicationName);
+  }
+
+  const medication = resolved.medication;
+  const records = medication.combination
+    ? expandCombinationProduct(medication).map(ingredient => ingredient.medication).filter(Boolean)
+    : [medication];
+  const lactation = breastfeeding
+    ? getLactationSafety(medication.name, { infant: { ageWeeks: weeksPostpartum, ...infant } })
+    : null;
+
+  // A new pregnancy can start before the first period returns
+  const warnings = records
+    .filter(record => record.pregnancyCategory?.fda === 'X' || record.pllr?.riskSummary?.riskLevel === 'contraindicated')
+    .map(record => `${record.name} is contraindicated in pregnancy: use effective contraception while taking it`);
+
+  return {
+    mode: 'postpartum',
+    found: true,
+    medicationName: medication.name,
+    genericName: medication.genericName,
+    combination: Boolean(medication.combination),
+    weeksPostpartum,
+    breastfeeding,
+    lactation,
+    safe: lactation ? lactation.safety === LACTATION_SAFETY.SAFE : true,
+    warnings,
+    recommendation: lactation
+      ? lactation.recommendation
+      : 'Not breastfeeding: pregnancy and lactation restrictions no longer apply',
+    assessmentDate: new Date().toISOString()
+  };
+}
+
+/**
+ * Lactation safety of one medication record
+ * @private
+ */
+function assessLactation(medication, infantAgeGroup) {
+  const lactation = medication.lactation || {};
+  const ageGuidance = (infantAgeGroup && lactation.infantAge?.[infantAgeGroup.key]) || null;
+  const lactationSafe = ageGuidance ? ageGuidance.safe : lactation.safe;
+  const safety = getSafetyLevel(lactationSafe);
+
+  return {
+    found: true,
+    medicationName: medication.name,
+    genericName: medication.genericName,
+    lactationSafe: lactationSafe ?? null,
+    safety,
+    notes: lactation.notes || 'No additional notes available',
+    recommendation: safety.recommendation,
+    infantAgeGroup,
+    infantAgeNote: ageGuidance?.note || null,
+    relativeInfantDose: lactation.relativeInfantDose
+      ? { ...lactation.relativeInfantDose, aboveThreshold: lactation.relativeInfantDose.max > RID_THRESHOLD_PERCENT }
+      : null,
+    milkPlasmaRatio: lactation.milkPlasmaRatio || null,
+    halfLifeHours: lactation.halfLifeHours ?? null,
+    timing: lactation.timing || null,
+    infantMonitoring: lactation.infantMonitoring || []
+  };
+}
+
+/**
+ * Safety level for a record's lactation rating: true, false or 'caution'
+ * @private
+ */
+function getSafetyLevel(lactationSafe) {
+  if (lactationSafe === true) return LACTATION_SAFETY.SAFE;
+  if (lactationSafe === false) return LACTATION_SAFETY.UNSAFE;
+  if (lactationSafe === 'caution') return LACTATION_SAFETY.CAUTION;
+  return LACTATION_SAFETY.UNKNOWN;
+}
+
+module.exports = {
+  // Constants
+  LACTATION_SAFETY,
+  RID_THRESHOLD_PERCENT,
+
+  // Core functions
+  getInfantAgeGroup,
+  getLactationSafety,
+  checkPostpartumSafety
+};
@@ -0,0 +1,433 @@
+/**
+ * Medication Curation
+ *
+ * Clinical review of medication records. Each record carries a `curation`
+ * block with its review status (draft -> reviewed -> approved), the history of
+ * status changes and the provenance of individual fields (source, citation,
+ * reviewer, review date):
+ *
+ *   "curation": {
+ *     "status": "approved",
+ *     "history": [{ "status": "reviewed", "reviewer": "...", "date": "...", "note": "..." }],
+ *     "fields": {
+ *       "pregnancyCategory.trimester3.warnings": { "source": "clinician", "citation": "...", "reviewer": "...", "reviewDate": "..." }
+ *     }
+ *   }
+ *
+ * Rebuilding the database from RxNorm or label data goes through
+ * mergeMedicationRecords, which keeps clinician-authored values and sends a
+ * record back to draft when its curated data changes. Only approved records
+ * are clinically verified; `verified` on a record mirrors that
+ *
+ * @module medication-curation
+ */
+
+const { createError } = require('../utils/validators');
+const { CURATION_STATUS, CURATION_TRANSITIONS, PLLR_SECTIONS, ERROR_CODES } = require('../utils/constants');
+
+/**
+ * Provenance sources with a meaning to the merge. Other sources (a journal,
+ * a guideline) are kept as given
+ */
+const PROVENANCE_SOURCES = {
+  CLINICIAN: 'clinician', // Written by a clinician; never replaced by a rebuild
+  GENERATED: 'generated', // Filled in by a tool (e.g. trimester data from a letter); never replaces a value
+  OPENFDA: 'openFDA',
+  RXNORM: 'RxNorm'
+};
+
+/**
+ * Clinically curated fields, as dotted paths. Everything else on a record
+ * (RxCUI, brand names, NDC codes, label text) is imported data
+ */
+const CURATED_FIELDS = [
+  'therapeuticClasses',
+  'dosages',
+  'maxDailyDose',
+  'contraindications',
+  'pregnancyCategory.fda',
+  ...[1, 2, 3].flatMap(number => ['safe', 'risk', 'warnings', 'alternatives', 'maxDosage', 'lowDose']
+    .map(field => `pregnancyCategory.trimester${number}.${field}`)),
+  ...Object.keys(PLLR_SECTIONS).map(section => `pllr.${section}`),
+  ...['safe', 'relativeInfantDose', 'milkPlasmaRatio', 'halfLifeHours', 'timing', 'infantMonitoring', 'infantAge', 'notes']
+    .map(field => `lactation.${field}`),
+  ...['semenTransfer', 'spermatogenesis', 'washoutWeeks', 'recommendation'].map(field => `paternal.${field}`)
+];
+
+/**
+ * Fields left out of a record diff: the curation block itself and bookkeeping
+ * derived from it or from the build
+ */
+const UNCOMPARED_FIELDS = ['curation', 'verified', 'lastUpdated', 'pregnancyCategory', 'pllr', 'lactation', 'paternal'];
+
+/**
+ * Normalized curation block of a record. Records written before curation
+ * existed are draft, or approved if they were marked verified
+ *
+ * @param {Object} record - Medication record
+ * @returns {Object} { status, history, fields }
+ */
+function getCuration(record) {
+  const curation = record?.curation || {};
+
+  return {
+    status: curation.status || (record?.verified === true ? CURATION_STATUS.APPROVED : CURATION_STATUS.DRAFT),
+    history: curation.history || [],
+    fields: curation.fields || {}
+  };
+}
+
+/**
+ * Review summary for results built from a record
+ *
+ * @param {Object} record - Medication record
+ * @returns {Object} { status, verified, reviewedBy, reviewedAt, approvedBy, approvedAt, unreviewedFields }
+ */
+function getCurationSummary(record) {
+  const { status, history, fields } = getCuration(record);
+  const latest = wanted => [...history].reverse().find(entry => entry.status === wanted) || null;
+  // Reviews and approvals from before the record last went back to draft no longer count
+  const reviewed = status === CURATION_STATUS.DRAFT ? null : latest(CURATION_STATUS.REVIEWED);
+  const approved = status === CURATION_STATUS.APPROVED ? latest(CURATION_STATUS.APPROVED) : null;
+
+  return {
+    status,
+    verified: status === CURATION_STATUS.APPROVED,
+    reviewedBy: reviewed?.reviewer || null,
+    reviewedAt: reviewed?.date || null,
+    approvedBy: approved?.reviewer || null,
+    approvedAt: approved?.date || null,
+    unreviewedFields: CURATED_FIELDS.filter(field => hasValue(getField(record, field)) && !fields[field]?.reviewer)
+  };
+}
+
+/**
+ * Record where a curated field's value came from
+ *
+ * @param {Object} record - Medication record
+ * @param {string} field - Curated field path (see CURATED_FIELDS)
+ * @param {Object} provenance - { source, citation, reviewer, reviewDate }
+ * @returns {Object} Updated copy of the record
+ */
+function recordProvenance(record, field, provenance) {
+  requireCuratedField(field);
+  if (!provenance?.source) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `Provenance for ${field} needs a source`);
+  }
+  if (provenance.reviewer && !provenance.reviewDate) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `Provenance for ${field} names a reviewer but no review date`);
+  }
+
+  const curation = getCuration(record);
+  return withCuration(record, {
+    ...curation,
+    fields: {
+      ...curation.fields,
+      [field]: {
+        source: provenance.source,
+        citation: provenance.citation || null,
+        reviewer: provenance.reviewer || null,
+        reviewDate: provenance.reviewDate || null
+      }
+    }
+  });
+}
+
+/**
+ * Change a curated field. A reviewed or approved record goes back to draft
+ *
+ * @param {Object} record - Medication record
+ * @param {string} field - Curated field path (see CURATED_FIELDS)
+ * @param {*} value - New value
+ * @param {Object} provenance - { source, citation, reviewer, reviewDate }
+ * @returns {Object} Updated copy of the record
+ */
+function updateCuratedField(record, field, value, provenance) {
+  const updated = recordProvenance(setField(record, field, value), field, provenance);
+  const date = provenance.reviewDate || new Date().toISOString();
+
+  return returnToDraft(updated, { date, reviewer: provenance.reviewer || null, note: `Changed ${field}` });
+}
+
+/**
+ * Move a record to a new review status
+ * Allowed: draft -> reviewed -> approved, and back to draft from either. A
+ * record is approved by someone other than its reviewer. Reviewing a record
+ * signs off its curated fields under the reviewer's name
+ *
+ * @param {Object} record - Medication record
+ * @param {string} status - New status (see CURATION_STATUS)
+ * @param {Object} review - { reviewer, date, note }
+ * @returns {Object} Updated copy of the record
+ */
+function transitionReviewStatus(record, status, { reviewer = null, date = new Date().toISOString(), note = null } = {}) {
+  const curation = getCuration(record);
+
+  if (!Object.values(CURATION_STATUS).includes(status)) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `Unknown review status: ${status}`, {
+      allowed: Object.values(CURATION_STATUS)
+    });
+  }
+  if (!CURATION_TRANSITIONS[curation.status].includes(status)) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `${record.name} cannot move from ${curation.status} to ${status}`, {
+      allowed: CURATION_TRANSITIONS[curation.status]
+    });
+  }
+  if (status !== CURATION_STATUS.DRAFT && !reviewer) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `A reviewer is required to mark ${record.name} ${status}`);
+  }
+
+  if (status === CURATION_STATUS.APPROVED) {
+    const { reviewedBy } = getCurationSummary(record);
+    if (reviewedBy && reviewedBy === reviewer) {
+      throw createError(ERROR_CODES.INVALID_REQUEST, `${record.name} was reviewed by ${reviewer}; approval needs a second clinician`);
+    }
+  }
+
+  const fields = { ...curation.fields };
+  if (status === CURATION_STATUS.REVIEWED) {
+    CURATED_FIELDS
+      .filter(field => hasValue(getField(record, field)) && !fields[field]?.reviewer)
+      .forEach(field => {
+        fields[field] = { source: null, citation: null, ...fields[field], reviewer, reviewDate: date };
+      });
+  }
+
+  return withCuration(record, {
+    status,
+    history: [...curation.history, { status, reviewer, date, note }],
+    fields
+  });
+}
+
+/**
+ * Compare two versions of a medication record field by field
+ *
+ * @param {Object} current - Record in the database
+ * @param {Object} incoming - Rebuilt record
+ * @returns {Array<Object>} Differences as { field, current, incoming, curated, protected }
+ */
+function diffMedicationRecords(current, incoming) {
+  const topLevel = [...new Set([...Object.keys(current || {}), ...Object.keys(incoming || {})])]
+    .filter(field => !UNCOMPARED_FIELDS.includes(field) && !CURATED_FIELDS.includes(field));
+
+  return [...CURATED_FIELDS, ...topLevel]
+    .map(field => ({ field, current: getField(current, field), incoming: getField(incoming, field) }))
+    .filter(({ current: a, incoming: b }) => (hasValue(a) || hasValue(b)) && !sameValue(a, b))
+    .map(difference => ({
+      ...difference,
+      curated: CURATED_FIELDS.includes(difference.field),
+      protected: isProtected(current, difference.field)
+    }));
+}
+
+/**
+ * Merge a rebuilt record into the database record
+ * - Imported fields (RxCUI, brand names, NDCs, ...) take the rebuilt value
+ * - A curated field that is empty takes the rebuilt value
+ * - A clinician-authored field, or any curated field of a reviewed or approved
+ *   record, is kept; a different rebuilt value is reported as a conflict
+ * - Empty and generated rebuilt values never replace curated ones
+ * If a curated field changes, the record goes back to draft
+ *
+ * @param {Object} current - Record in the database
+ * @param {Object} incoming - Rebuilt record
+ * @param {Object} [options] - { date } for the draft history entry
+ * @returns {Object} { record, changes, conflicts }
+ */
+function mergeMedicationRecords(current, incoming, { date = new Date().toISOString() } = {}) {
+  const incomingFields = getCuration(incoming).fields;
+  const curation = getCuration(current);
+  const fields = { ...curation.fields };
+  const changes = [];
+  const conflicts = [];
+  let record = current;
+
+  diffMedicationRecords(current, incoming).forEach(difference => {
+    const { field, curated } = difference;
+
+    if (!curated) {
+      if (difference.incoming === undefined) return;
+      record = setField(record, field, difference.incoming);
+      changes.push(difference);
+      return;
+    }
+
+    if (hasValue(difference.current)) {
+      if (difference.protected) {
+        if (hasValue(difference.incoming)) conflicts.push(difference);
+        return;
+      }
+      if (!hasValue(difference.incoming) || incomingFields[field]?.source === PROVENANCE_SOURCES.GENERATED) return;
+    }
+
+    record = setField(record, field, difference.incoming);
+    if (incomingFields[field]) {
+      fields[field] = incomingFields[field];
+    } else {
+      delete fields[field];
+    }
+    changes.push(difference);
+  });
+
+  record = withCuration(record, { ...curation, fields });
+  if (changes.length > 0 && incoming.lastUpdated) {
+    record.lastUpdated = incoming.lastUpdated;
+  }
+
+  const curatedChanges = changes.filter(change => change.curated).map(change => change.field);
+  if (curatedChanges.length > 0) {
+    record = returnToDraft(record, { date, reviewer: null, note: `Rebuilt: ${curatedChanges.join(', ')}` });
+  }
+
+  return { record, changes, conflicts };
+}
+
+/**
+ * Merge a rebuilt database into the current one. Records are matched by
+ * RxCUI, then by name; current records missing from the rebuild are kept and
+ * new ones are added as drafts
+ *
+ * @param {Array<Object>} current - Records in the database
+ * @param {Array<Object>} incoming - Rebuilt records
+ * @param {Object} [options] - { date } for draft history entries
+ * @returns {Object} { medications, report: { added, updated, unchanged, returnedToDraft, conflicts } }
+ */
+function mergeMedicationDatabases(current, incoming, options = {}) {
+  const report = { added: [], updated: [], unchanged: [], returnedToDraft: [], conflicts: [] };
+  const matched = new Set();
+  const keyOf = record => record.rxcui ? `rxcui:${record.rxcui}` : `name:${String(record.name).toLowerCase()}`;
+  const byKey = new Map(incoming.map(record => [keyOf(record), record]));
+  const byName = new Map(incoming.map(record => [String(record.name).toLowerCase(), record]));
+
+  const medications = current.map(record => {
+    const rebuilt = byKey.get(keyOf(record)) || byName.get(String(record.name).toLowerCase());
+    if (!rebuilt || matched.has(rebuilt)) return record;
+    matched.add(rebuilt);
+
+    const { record: merged, changes, conflicts } = mergeMedicationRecords(record, rebuilt, options);
+    (changes.length > 0 ? report.updated : report.unchanged).push(record.name);
+    if (getCuration(record).status !== CURATION_STATUS.DRAFT && getCuration(merged).status === CURATION_STATUS.DRAFT) {
+      report.returnedToDraft.push(record.name);
+    }
+    conflicts.forEach(conflict => report.conflicts.push({ medication: record.name, ...conflict }));
+
+    return merged;
+  });
+
+  incoming.filter(record => !matched.has(record)).forEach(record => {
+    const curation = getCuration(record);
+    medications.push(withCuration(record, { ...curation, status: CURATION_STATUS.DRAFT }));
+    report.added.push(record.name);
+  });
+
+  return { medications, report };
+}
+
+/**
+ * Whether a rebuild may not change a field of this record
+ * @private
+ */
+function isProtected(record, field) {
+  if (!CURATED_FIELDS.includes(field)) return false;
+
+  const { status, fields } = getCuration(record);
+  const provenance = fields[field];
+  return status !== CURATION_STATUS.DRAFT ||
+    Boolean(provenance?.reviewer) ||
+    provenance?.source === PROVENANCE_SOURCES.CLINICIAN;
+}
+
+/**
+ * Send a record back to draft, noting why
+ * @private
+ */
+function returnToDraft(record, entry) {
+  const curation = getCuration(record);
+  if (curation.status === CURATION_STATUS.DRAFT) return withCuration(record, curation);
+
+  return withCuration(record, {
+    ...curation,
+    status: CURATION_STATUS.DRAFT,
+    history: [...curation.history, { status: CURATION_STATUS.DRAFT, ...entry }]
+  });
+}
+
+/**
+ * Copy of a record with a curation block; `verified` follows the status
+ * @private
+ */
+function withCuration(record, curation) {
+  return { ...record, curation, verified: curation.status === CURATION_STATUS.APPROVED };
+}
+
+/**
+ * @private
+ */
+function requireCuratedField(field) {
+  if (!CURATED_FIELDS.includes(field)) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `Not a curated field: ${field}`, { allowed: CURATED_FIELDS });
+  }
+}
+
+/**
+ * @private
+ */
+function getField(record, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+/**
+ * Copy of a record with one field set, copying the objects along the path
+ * @private
+ */
+function setField(record, field, value) {
+  const [key, ...rest] = field.split('.');
+  const copy = { ...record };
+
+  if (rest.length === 0) {
+    if (value === undefined) delete copy[key];
+    else copy[key] = value;
+  } else {
+    copy[key] = setField(record?.[key] || {}, rest.join('.'), value);
+  }
+
+  return copy;
+}
+
+/**
+ * @private
+ */
+function hasValue(value) {
+  if (value === undefined || value === null || value === '') return false;
+  return !Array.isArray(value) || value.length > 0;
+}
+
+/**
+ * Deep equality that ignores object key order
+ * @private
+ */
+function sameValue(a, b) {
+  const canonical = value => JSON.stringify(value, (key, v) => (
+    v && typeof v === 'object' && !Array.isArray(v)
+      ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+      : v
+  ));
+  return canonical(a) === canonical(b);
+}
+
+module.exports = {
+  // Constants
+  PROVENANCE_SOURCES,
+  CURATED_FIELDS,
+
+  // Core functions
+  getCuration,
+  getCurationSummary,
+  recordProvenance,
+  updateCuratedField,
+  transitionReviewStatus,
+  diffMedicationRecords,
+  mergeMedicationRecords,
+  mergeMedicationDatabases
+};
@@ -0,0 +1,537 @@
+/**
+ * Medication Import
+ *
+ * Builds medication records offline from locally downloaded RxNorm RRF files
+ * (RXNCONSO, RXNREL, RXNSAT) and openFDA drug label JSON dumps. Nothing is
+ * fetched over the network and nothing depends on the clock, so the same
+ * files and base records always build the same database
+ *
+ * Each base record keeps its curated clinical fields (therapeutic classes,
+ * pregnancy category, trimester data, PLLR conclusions, contraindications,
+ * dosing). The import refreshes what the files are authoritative for:
+ * RxCUI, brand names, NDCs, active ingredients and the label's pregnancy and
+ * lactation sections. A record with no pregnancy data of its own gets the
+ * category letter or PLLR narrative found in its label, with openFDA
+ * provenance and in draft review status
+ *
+ * @module medication-import
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createError } = require('../utils/validators');
+const { ERROR_CODES } = require('../utils/constants');
+const { recordProvenance, CURATED_FIELDS, PROVENANCE_SOURCES } = require('./medication-curation');
+
+/**
+ * RRF column positions used by the importer
+ * (see the RxNorm Technical Documentation, section 12)
+ */
+const RRF_COLUMNS = {
+  RXNCONSO: { rxcui: 0, sab: 11, tty: 12, str: 14, suppress: 16 },
+  RXNREL: { rxcui1: 0, rxcui2: 4, rela: 7, sab: 10, suppress: 14 },
+  RXNSAT: { rxcui: 0, atn: 8, sab: 9, atv: 10, suppress: 11 }
+};
+
+/**
+ * RxNorm term types kept from RXNCONSO
+ */
+const TERM_TYPES = ['IN', 'BN', 'SCDC', 'SCD', 'SBD'];
+
+/**
+ * Relationships kept from RXNREL, each stored in one direction. An RXNREL row
+ * reads "RXCUI2 <RELA> RXCUI1"; inverse labels are turned around
+ */
+const RELATIONSHIPS = {
+  tradename_of: 'tradename_of', // BN -> IN, SBD -> SCD
+  has_tradename: 'tradename_of',
+  consists_of: 'consists_of', // SCD -> SCDC
+  constitutes: 'consists_of',
+  has_ingredient: 'has_ingredient', // SCDC -> IN
+  ingredient_of: 'has_ingredient'
+};
+
+/**
+ * openFDA label fields copied into a record's label sections
+ */
+const LABEL_SECTIONS = {
+  pregnancy: 'pregnancy',
+  pregnancyOrBreastFeeding: 'pregnancy_or_breast_feeding',
+  teratogenicEffects: 'teratogenic_effects',
+  nonteratogenicEffects: 'nonteratogenic_effects',
+  laborAndDelivery: 'labor_and_delivery',
+  lactation: 'lactation',
+  nursingMothers: 'nursing_mothers',
+  reproductivePotential: 'females_and_males_of_reproductive_potential'
+};
+
+/**
+ * Read an RRF file line by line
+ *
+ * @param {string} filePath - RRF file
+ * @param {Function} onRow - Called with each row's fields
+ * @returns {Promise<void>}
+ */
+async function readRrf(filePath, onRow) {
+  if (!fs.existsSync(filePath)) {
+    throw createError(ERROR_CODES.DATA_LOAD_ERROR, `RxNorm file not found: ${filePath}`);
+  }
+
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line) onRow(line.split('|'));
+  }
+}
+
+/**
+ * Load the parts of an RxNorm release the importer needs
+ *
+ * @param {string} directory - Directory holding RXNCONSO.RRF, RXNREL.RRF and RXNSAT.RRF
+ * @returns {Promise<Object>} RxNorm index (concepts, relationships and NDCs)
+ */
+async function loadRxNorm(directory) {
+  const concepts = new Map();
+  const forward = new Map();
+  const reverse = new Map();
+  const ndcs = new Map();
+
+  const C = RRF_COLUMNS.RXNCONSO;
+  await readRrf(path.join(directory, 'RXNCONSO.RRF'), row => {
+    if (row[C.sab] !== 'RXNORM' || row[C.suppress] !== 'N' || !TERM_TYPES.includes(row[C.tty])) return;
+    concepts.set(row[C.rxcui], { rxcui: row[C.rxcui], tty: row[C.tty], name: row[C.str] });
+  });
+
+  const R = RRF_COLUMNS.RXNREL;
+  const link = (map, from, rela, to) => {
+    if (!map.has(from)) map.set(from, {});
+    const edges = map.get(from);
+    (edges[rela] = edges[rela] || new Set()).add(to);
+  };
+  await readRrf(path.join(directory, 'RXNREL.RRF'), row => {
+    const rela = RELATIONSHIPS[row[R.rela]];
+    if (!rela || row[R.sab] !== 'RXNORM' || row[R.suppress] === 'Y' || !row[R.rxcui1] || !row[R.rxcui2]) return;
+
+    // "RXCUI2 has_tradename RXCUI1" is stored as "RXCUI1 tradename_of RXCUI2"
+    const inverse = rela !== row[R.rela];
+    const [subject, object] = inverse ? [row[R.rxcui1], row[R.rxcui2]] : [row[R.rxcui2], row[R.rxcui1]];
+    link(forward, subject, rela, object);
+    link(reverse, object, rela, subject);
+  });
+
+  const S = RRF_COLUMNS.RXNSAT;
+  await readRrf(path.join(directory, 'RXNSAT.RRF'), row => {
+    if (row[S.atn] !== 'NDC' || row[S.sab] !== 'RXNORM' || row[S.suppress] !== 'N') return;
+    if (!ndcs.has(row[S.rxcui])) ndcs.set(row[S.rxcui], new Set());
+    ndcs.get(row[S.rxcui]).add(row[S.atv]);
+  });
+
+  return createRxNormIndex({ concepts, forward, reverse, ndcs });
+}
+
+/**
+ * Wrap loaded RxNorm tables with lookups
+ * @private
+ */
+function createRxNormIndex({ concepts, forward, reverse, ndcs }) {
+  const related = (map, rxcui, rela) => [...(map.get(rxcui)?.[rela] || [])].filter(id => concepts.has(id));
+  const ingredientNames = new Map();
+  concepts.forEach(concept => {
+    if (concept.tty === 'IN') ingredientNames.set(concept.name.toLowerCase(), concept.rxcui);
+  });
+
+  /**
+   * Ingredient RxCUIs of a brand, product or component
+   */
+  const ingredientsOf = rxcui => {
+    const concept = concepts.get(rxcui);
+    if (!concept) return [];
+
+    switch (concept.tty) {
+      case 'IN': return [rxcui];
+      case 'SCDC': return related(forward, rxcui, 'has_ingredient');
+      case 'BN': return related(forward, rxcui, 'tradename_of').filter(id => concepts.get(id).tty === 'IN');
+      case 'SCD': return [...new Set(related(forward, rxcui, 'consists_of').flatMap(ingredientsOf))];
+      case 'SBD': return [...new Set(related(forward, rxcui, 'tradename_of').flatMap(ingredientsOf))];
+      default: return [];
+    }
+  };
+
+  return {
+    concepts,
+    ingredientsOf,
+
+    /**
+     * Ingredient concept for a record, by RxCUI or by name
+     */
+    findIngredient(record) {
+      const byRxcui = record.rxcui && concepts.get(String(record.rxcui));
+      if (byRxcui?.tty === 'IN') return byRxcui;
+
+      const rxcui = [record.genericName, record.name]
+        .filter(Boolean)
+        .map(name => ingredientNames.get(name.toLowerCase()))
+        .find(Boolean);
+      return rxcui ? concepts.get(rxcui) : null;
+    },
+
+    /**
+     * Brand names of an ingredient, split into single-ingredient brands and
+     * brands of combination products
+     */
+    brandsOf(ingredientRxcui) {
+      const single = [];
+      const combination = [];
+
+      related(reverse, ingredientRxcui, 'tradename_of')
+        .map(id => concepts.get(id))
+        .filter(concept => concept.tty === 'BN')
+        .forEach(brand => {
+          const ingredients = ingredientsOf(brand.rxcui);
+          (ingredients.length > 1 ? combination : single).push({ ...brand, ingredients });
+        });
+
+      return { single, combination };
+    },
+
+    /**
+     * Clinical drugs and branded drugs whose only ingredient is this one
+     */
+    productsOf(ingredientRxcui) {
+      const generic = related(reverse, ingredientRxcui, 'has_ingredient')
+        .flatMap(component => related(reverse, component, 'consists_of'))
+        .filter(rxcui => concepts.get(rxcui).tty === 'SCD' && ingredientsOf(rxcui).length === 1);
+      const branded = generic.flatMap(rxcui => related(reverse, rxcui, 'tradename_of'));
+
+      return [...new Set([...generic, ...branded])];
+    },
+
+    ndcsOf(rxcuis) {
+      return rxcuis.flatMap(rxcui => [...(ndcs.get(rxcui) || [])]);
+    }
+  };
+}
+
+/**
+ * Read openFDA drug label dumps (the unzipped drug-label-*.json files)
+ *
+ * @param {Array<string>} files - Label dump files
+ * @returns {Promise<Object>} { labels, lastUpdated } with lastUpdated the newest meta.last_updated
+ */
+async function loadLabels(files) {
+  const labels = [];
+  let lastUpdated = null;
+
+  for (const file of files) {
+    let dump;
+    try {
+      dump = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      throw createError(ERROR_CODES.DATA_LOAD_ERROR, `Failed to read openFDA label file: ${file}`, { error: error.message });
+    }
+
+    // Dumps are large; keep only labels that say something about pregnancy or lactation
+    (dump.results || []).filter(hasLabelSections).forEach(label => labels.push(label));
+
+    const updated = dump.meta?.last_updated;
+    if (updated && (!lastUpdated || updated > lastUpdated)) lastUpdated = updated;
+  }
+
+  return { labels, lastUpdated };
+}
+
+/**
+ * Whether a label has any of the sections the import copies
+ * @private
+ */
+function hasLabelSections(label) {
+  return Object.values(LABEL_SECTIONS).some(field => label[field]);
+}
+
+/**
+ * Pick the label for an ingredient: a label for one of its single-ingredient
+ * products, or failing that one whose only generic name is the ingredient.
+ * The newest label wins, then the lowest set id
+ *
+ * @param {Array<Object>} labels - openFDA labels
+ * @param {string} name - Ingredient name
+ * @param {Array<string>} productRxcuis - RxCUIs of the ingredient's products
+ * @returns {Object|null} Label
+ */
+function selectLabel(labels, name, productRxcuis) {
+  const products = new Set(productRxcuis);
+  const generic = name.toUpperCase();
+
+  const usable = labels.filter(hasLabelSections);
+  const byRxcui = usable.filter(label => (label.openfda?.rxcui || []).some(rxcui => products.has(rxcui)));
+  const candidates = byRxcui.length > 0
+    ? byRxcui
+    : usable.filter(label => {
+      const names = label.openfda?.generic_name || [];
+      return names.length === 1 && names[0].toUpperCase() === generic;
+    });
+
+  return candidates.sort((a, b) =>
+    String(b.effective_time || '').localeCompare(String(a.effective_time || '')) ||
+    String(a.set_id || '').localeCompare(String(b.set_id || ''))
+  )[0] || null;
+}
+
+/**
+ * Pregnancy and lactation sections of a label
+ *
+ * @param {Object} label - openFDA label
+ * @returns {Object} { setId, version, effectiveDate, pregnancyCategory, sections }
+ */
+function extractLabelSections(label) {
+  const sections = {};
+  Object.entries(LABEL_SECTIONS).forEach(([key, field]) => {
+    if (label[field]) sections[key] = cleanText(label[field].join(' '));
+  });
+
+  const time = String(label.effective_time || '');
+  const pregnancyText = sections.pregnancy || sections.teratogenicEffects || sections.pregnancyOrBreastFeeding || '';
+  const letter = pregnancyText.match(/pregnancy category\s*:?\s*([ABCDX])\b/i);
+
+  return {
+    setId: label.set_id || null,
+    version: label.version || null,
+    effectiveDate: /^\d{8}$/.test(time) ? `${time.slice(0, 4)}-${time.slice(4, 6)}-${time.slice(6, 8)}` : null,
+    pregnancyCategory: letter ? letter[1].toUpperCase() : null,
+    sections
+  };
+}
+
+/**
+ * PLLR headings of the 8.1 Pregnancy section, as printed on labels. Longer
+ * headings come first so "Human Data" is not read as "Data"
+ */
+const PLLR_HEADINGS = [
+  'Pregnancy Exposure Registry',
+  'Risk Summary',
+  'Clinical Considerations',
+  'Disease-Associated Maternal and/or Embryo/Fetal Risk',
+  'Dose Adjustments During Pregnancy and the Postpartum Period',
+  'Fetal/Neonatal Adverse Reactions',
+  'Labor or Delivery',
+  'Human Data',
+  'Animal Data',
+  'Data'
+];
+
+/**
+ * Split a PLLR 8.1 Pregnancy section into the record's pllr shape. The risk
+ * conclusion (riskSummary.riskLevel) is left for a reviewer to set
+ *
+ * @param {Object} label - Result of extractLabelSections
+ * @returns {Object|null} pllr sections, or null for a label in the letter-category format
+ */
+function parsePllrSections(label) {
+  const parts = splitHeadings(label.sections.pregnancy || '', PLLR_HEADINGS);
+  if (!parts['Risk Summary']) return null;
+
+  const considerations = {
+    diseaseAssociatedRisk: parts['Disease-Associated Maternal and/or Embryo/Fetal Risk'] || null,
+    doseAdjustments: parts['Dose Adjustments During Pregnancy and the Postpartum Period'] || null,
+    fetalNeonatalAdverseReactions: parts['Fetal/Neonatal Adverse Reactions'] || null,
+    laborOrDelivery: parts['Labor or Delivery'] || null
+  };
+  const data = { human: parts['Human Data'] || null, animal: parts['Animal Data'] || null };
+
+  return {
+    riskSummary: { text: parts['Risk Summary'], riskLevel: null },
+    clinicalConsiderations: Object.values(considerations).some(Boolean) ? considerations : null,
+    data: data.human || data.animal ? data : null,
+    pregnancyExposureRegistry: parts['Pregnancy Exposure Registry']
+      ? { available: true, text: parts['Pregnancy Exposure Registry'] }
+      : { available: false },
+    reproductivePotential: label.sections.reproductivePotential || null
+  };
+}
+
+/**
+ * Text following each heading up to the next one, keyed by heading
+ * @private
+ */
+function splitHeadings(text, headings) {
+  const escaped = headings.map(heading => heading.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'));
+  const marks = [...text.matchAll(new RegExp(`\\b(?:${escaped.join('|')})\\b`, 'g'))];
+
+  const parts = {};
+  marks.forEach((mark, index) => {
+    const body = cleanText(text.slice(mark.index + mark[0].length, marks[index + 1]?.index ?? text.length));
+    if (body && !parts[mark[0]]) parts[mark[0]] = body;
+  });
+
+  return parts;
+}
+
+/**
+ * Collapse whitespace and drop a leading section number ("8.1 Pregnancy")
+ * @private
+ */
+function cleanText(text) {
+  return String(text).replace(/\s+/g, ' ').replace(/^\d+(\.\d+)*\s+/, '').trim();
+}
+
+/**
+ * Trimester blocks implied by a category letter, for records with no curated trimester data
+ * @private
+ */
+function trimestersFromCategory(letter) {
+  const risk = { A: 'minimal', B: 'low', C: 'moderate', D: 'high', X: 'critical' }[letter];
+  const block = { safe: ['A', 'B'].includes(letter), risk, warnings: [], alternatives: [] };
+
+  return { fda: letter, trimester1: { ...block }, trimester2: { ...block }, trimester3: { ...block } };
+}
+
+/**
+ * Title-case an RxNorm ingredient name ("hydrochlorothiazide" -> "Hydrochlorothiazide")
+ * @private
+ */
+function titleCase(name) {
+  return name.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Combination products from brands that name more than one ingredient
+ * @private
+ */
+function toCombinationProducts(brands, concepts) {
+  const products = {};
+
+  brands.forEach(brand => {
+    const ingredients = brand.ingredients.map(rxcui => titleCase(concepts.get(rxcui).name)).sort();
+    const key = ingredients.map(name => name.toLowerCase().replace(/\W+/g, '_')).join('_');
+    const last = ingredients[ingredients.length - 1];
+
+    products[key] = products[key] || {
+      name: `${ingredients.slice(0, -1).join(', ')} and ${last}`,
+      brandNames: [],
+      ingredients
+    };
+    if (!products[key].brandNames.includes(brand.name)) products[key].brandNames.push(brand.name);
+  });
+
+  Object.values(products).forEach(product => product.brandNames.sort());
+  return Object.fromEntries(Object.keys(products).sort().map(key => [key, products[key]]));
+}
+
+/**
+ * Build medication records from RxNorm and openFDA files
+ *
+ * @param {Object} options - Options
+ * @param {Array<Object>} options.medications - Base records (at least { name }), e.g. the current medications.json
+ * @param {string} options.rxnormDir - Directory with RXNCONSO.RRF, RXNREL.RRF and RXNSAT.RRF
+ * @param {Array<string>} [options.labelFiles] - openFDA drug label dump files
+ * @param {string} [options.date] - Build date (YYYY-MM-DD); defaults to the newest label dump's meta.last_updated
+ * @returns {Promise<Object>} { medications, combinationProducts, report }
+ */
+async function importMedicationData({ medications, rxnormDir, labelFiles = [], date = null }) {
+  if (!Array.isArray(medications)) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, 'Base medications must be an array of records');
+  }
+
+  const rxnorm = await loadRxNorm(rxnormDir);
+  const { labels, lastUpdated } = await loadLabels(labelFiles);
+
+  const buildDate = date || (lastUpdated && lastUpdated.slice(0, 10));
+  if (!buildDate || !/^\d{4}-\d{2}-\d{2}$/.test(buildDate)) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, 'A build date is required when the label files carry no meta.last_updated');
+  }
+
+  const report = { matched: [], unmatched: [], withoutLabel: [], categoryFromLabel: [], pllrFromLabel: [], removedCombinationBrands: [] };
+  const combinationBrands = [];
+
+  const built = medications.map(base => {
+    const ingredient = rxnorm.findIngredient(base);
+    if (!ingredient) {
+      report.unmatched.push(base.name);
+      return base;
+    }
+    report.matched.push(base.name);
+
+    const { single, combination } = rxnorm.brandsOf(ingredient.rxcui);
+    combinationBrands.push(...combination);
+
+    // Curated brand names stay unless RxNorm lists them for a combination product
+    const combinationNames = new Set(combination.map(brand => brand.name.toLowerCase()));
+    const kept = (base.brandNames || []).filter(brand => !combinationNames.has(brand.toLowerCase()));
+    (base.brandNames || []).filter(brand => combinationNames.has(brand.toLowerCase()))
+      .forEach(brand => report.removedCombinationBrands.push({ medication: base.name, brand }));
+    const keptNames = new Set(kept.map(brand => brand.toLowerCase()));
+    const imported = single.map(brand => brand.name).filter(brand => !keptNames.has(brand.toLowerCase())).sort();
+
+    const products = rxnorm.productsOf(ingredient.rxcui);
+    const label = selectLabel(labels, ingredient.name, products);
+    const labelData = label ? extractLabelSections(label) : null;
+    if (!label) report.withoutLabel.push(base.name);
+
+    const record = {
+      id: base.id || `med_rxcui_${ingredient.rxcui}`,
+      ...base,
+      rxcui: ingredient.rxcui,
+      name: base.name,
+      genericName: base.genericName || base.name,
+      brandNames: [...kept, ...imported],
+      ndcCodes: [...new Set(rxnorm.ndcsOf(products))].sort(),
+      ingredients: [{ rxcui: ingredient.rxcui, name: titleCase(ingredient.name) }],
+      label: labelData,
+      sources: [
+        ...(base.sources || []).filter(source => !['RxNorm', 'openFDA'].includes(source.type)),
+        { type: 'RxNorm', url: `https://rxnav.nlm.nih.gov/REST/rxcui/${ingredient.rxcui}`, date: buildDate },
+        ...(labelData?.setId ? [{
+          type: 'openFDA',
+          url: `https://api.fda.gov/drug/label.json?search=set_id:${labelData.setId}`,
+          date: buildDate
+        }] : [])
+      ],
+      lastUpdated: `${buildDate}T00:00:00.000Z`
+    };
+
+    // Pregnancy data from the label only where nothing was curated; it stays a
+    // draft until a clinician reviews it (see medication-curation)
+    const derived = [];
+    if (!base.pregnancyCategory && labelData?.pregnancyCategory) {
+      record.pregnancyCategory = trimestersFromCategory(labelData.pregnancyCategory);
+      derived.push(['pregnancyCategory.fda', PROVENANCE_SOURCES.OPENFDA]);
+      CURATED_FIELDS.filter(field => /^pregnancyCategory\.trimester\d\.(safe|risk)$/.test(field))
+        .forEach(field => derived.push([field, PROVENANCE_SOURCES.GENERATED]));
+      report.categoryFromLabel.push(base.name);
+    }
+    if (!base.pllr && labelData) {
+      const pllr = parsePllrSections(labelData);
+      if (pllr) {
+        record.pllr = pllr;
+        Object.keys(pllr).filter(section => pllr[section])
+          .forEach(section => derived.push([`pllr.${section}`, PROVENANCE_SOURCES.OPENFDA]));
+        report.pllrFromLabel.push(base.name);
+      }
+    }
+
+    const citation = `openFDA label set_id ${labelData?.setId}`;
+    return derived.reduce((result, [field, source]) => recordProvenance(result, field, { source, citation }), record);
+  });
+
+  return {
+    medications: built,
+    combinationProducts: toCombinationProducts(combinationBrands, rxnorm.concepts),
+    report: { ...report, date: buildDate, labels: labels.length }
+  };
+}
+
+module.exports = {
+  // Constants
+  RRF_COLUMNS,
+  LABEL_SECTIONS,
+
+  // Core functions
+  importMedicationData,
+  loadRxNorm,
+  loadLabels,
+
+  // Helper functions
+  selectLabel,
+  extractLabelSections,
+  parsePllrSections
+};
@@ -0,0 +1,158 @@
+/**
+ * Medication Linter
+ *
+ * Checks the medication database against its JSON Schema
+ * (src/data/schemas/medication.schema.json) and for inconsistencies the
+ * schema cannot express: trimester data that contradicts itself, Category X
+ * without contraindications, alternatives that name no medication, brand names
+ * claimed twice, that are really generic names or that belong to a
+ * combination product, and RxCUI collisions
+ *
+ * @module medication-linter
+ */
+
+const { validateSchema } = require('../utils/schema-validator');
+const { createMedicationIndex, resolveMedication, toCombinationEntities } = require('./medication-search');
+const { INTERNATIONAL_GENERIC_NAMES } = require('../utils/constants');
+const schema = require('../data/schemas/medication.schema.json');
+
+/**
+ * Lint rules, by id
+ */
+const LINT_RULES = {
+  SAFE_WITH_HIGH_RISK: 'safe-with-high-risk',
+  CATEGORY_X_WITHOUT_CONTRAINDICATIONS: 'category-x-without-contraindications',
+  UNRESOLVED_ALTERNATIVE: 'unresolved-alternative',
+  DUPLICATE_BRAND: 'duplicate-brand',
+  COMBINATION_BRAND: 'combination-brand',
+  BRAND_IS_GENERIC: 'brand-is-generic',
+  RXCUI_COLLISION: 'rxcui-collision'
+};
+
+/**
+ * Trimester risks that cannot be marked safe
+ */
+const UNSAFE_RISKS = ['high', 'severe', 'critical'];
+
+/**
+ * Words that mark a brand name as a combination product ("Lotensin HCT",
+ * "Motrin PM", "Unisom with Pain Relief", "Actoplus Met")
+ */
+const COMBINATION_BRAND_PATTERN = /\b(hct|hctz|pm|with|multi-symptom|met)\b/i;
+
+/**
+ * Validate medication records against the medication JSON Schema
+ *
+ * @param {Array<Object>} medications - Medication records
+ * @returns {Array<Object>} Problems as { path, message }
+ */
+function validateMedicationSchema(medications) {
+  return validateSchema(medications, schema).errors;
+}
+
+/**
+ * Find inconsistencies within and across medication records
+ *
+ * @param {Array<Object>} medications - Medication records
+ * @param {Object} [options] - Options
+ * @param {Object} [options.combinationProducts] - Products keyed by id, as in src/data/combination-products.json
+ * @returns {Array<Object>} Problems as { path, rule, message }
+ */
+function lintMedicationRecords(medications, { combinationProducts = {} } = {}) {
+  const problems = [];
+  const report = (path, rule, message) => problems.push({ path, rule, message });
+
+  const records = medications.filter(record => record && typeof record === 'object');
+  const combinations = toCombinationEntities(combinationProducts);
+  const index = createMedicationIndex(records, combinations);
+
+  // Names that are generic names: every record's names and synonyms,
+  // combination ingredients and international names such as Paracetamol
+  const genericNames = new Map(Object.entries(INTERNATIONAL_GENERIC_NAMES));
+  records.forEach(record => {
+    [record.name, record.genericName, ...(record.synonyms || [])]
+      .filter(Boolean)
+      .forEach(name => genericNames.set(name.toLowerCase(), record.name));
+  });
+  combinations.forEach(product => {
+    product.ingredients.forEach(name => {
+      if (!genericNames.has(name.toLowerCase())) genericNames.set(name.toLowerCase(), name);
+    });
+  });
+
+  const combinationBrands = new Map();
+  combinations.forEach(product => {
+    product.brandNames.forEach(brand => combinationBrands.set(brand.toLowerCase(), product.name));
+  });
+
+  const brands = new Map();
+  const rxcuis = new Map();
+
+  medications.forEach((record, i) => {
+    if (!record || typeof record !== 'object') return;
+    const at = `$[${i}]`;
+
+    [1, 2, 3].forEach(number => {
+      const trimester = record.pregnancyCategory?.[`trimester${number}`];
+      if (!trimester) return;
+      const trimesterAt = `${at}.pregnancyCategory.trimester${number}`;
+
+      if (trimester.safe === true && UNSAFE_RISKS.includes(trimester.risk)) {
+        report(trimesterAt, LINT_RULES.SAFE_WITH_HIGH_RISK, `is marked safe but its risk is ${trimester.risk}`);
+      }
+
+      // Resolved as findMedication does: a combination product is no alternative
+      (trimester.alternatives || []).forEach((alternative, j) => {
+        const resolved = resolveMedication(alternative, { index });
+        if (!resolved) {
+          report(`${trimesterAt}.alternatives[${j}]`, LINT_RULES.UNRESOLVED_ALTERNATIVE, `"${alternative}" does not resolve to a medication`);
+        } else if (resolved.medication === record) {
+          report(`${trimesterAt}.alternatives[${j}]`, LINT_RULES.UNRESOLVED_ALTERNATIVE, `"${alternative}" is this medication`);
+        }
+      });
+    });
+
+    if (record.pregnancyCategory?.fda === 'X' && !(record.contraindications || []).length) {
+      report(`${at}.contraindications`, LINT_RULES.CATEGORY_X_WITHOUT_CONTRAINDICATIONS, 'is empty for a Category X medication');
+    }
+
+    (record.brandNames || []).forEach((brand, j) => {
+      const key = String(brand).toLowerCase();
+      const brandAt = `${at}.brandNames[${j}]`;
+
+      if (genericNames.has(key)) {
+        report(brandAt, LINT_RULES.BRAND_IS_GENERIC, `"${brand}" is a generic name (${genericNames.get(key)}), not a brand; list international names in synonyms`);
+      } else if (combinationBrands.has(key)) {
+        report(brandAt, LINT_RULES.COMBINATION_BRAND, `"${brand}" is a brand of the combination product ${combinationBrands.get(key)}`);
+      } else if (COMBINATION_BRAND_PATTERN.test(brand)) {
+        report(brandAt, LINT_RULES.COMBINATION_BRAND, `"${brand}" names a combination product; list it in combination-products.json`);
+      } else if (brands.has(key) && brands.get(key).record !== record) {
+        const first = brands.get(key);
+        report(brandAt, LINT_RULES.DUPLICATE_BRAND, `"${brand}" is also a brand of ${first.record.name} (${first.path})`);
+      } else if (!brands.has(key)) {
+        brands.set(key, { record, path: brandAt });
+      }
+    });
+
+    if (record.rxcui) {
+      const key = String(record.rxcui);
+      if (rxcuis.has(key)) {
+        const first = rxcuis.get(key);
+        report(`${at}.rxcui`, LINT_RULES.RXCUI_COLLISION, `${key} is also the RxCUI of ${first.record.name} (${first.path})`);
+      } else {
+        rxcuis.set(key, { record, path: `${at}.rxcui` });
+      }
+    }
+  });
+
+  return problems;
+}
+
+module.exports = {
+  // Constants
+  LINT_RULES,
+
+  // Core functions
+  validateMedicationSchema,
+  lintMedicationRecords
+};
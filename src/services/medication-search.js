@@ -0,0 +1,485 @@
+/**
+ * Medication Search
+ *
+ * Search index over medication names, generic names, international synonyms
+ * ("Paracetamol"), brand names and RxCUIs. Free-text input is normalized
+ * (case, punctuation, salts, strengths and dosage forms) and matched exactly,
+ * by token, by prefix and by edit distance. Only exact and normalized
+ * matches resolve ("Tylenol Extra", "sertraline HCl 50 mg"); misspellings
+ * such as "acetaminophin" are offered as suggestions
+ *
+ * @module medication-search
+ */
+
+const { createError } = require('../utils/validators');
+const { ERROR_CODES } = require('../utils/constants');
+const medications = require('../data/medications.json');
+const combinationProducts = require('../data/combination-products.json');
+
+/**
+ * How a search term matched, best first
+ */
+const MATCH_TYPES = {
+  EXACT: 'exact',
+  NORMALIZED: 'normalized',
+  TOKENS: 'tokens',
+  PREFIX: 'prefix',
+  FUZZY: 'fuzzy'
+};
+
+/**
+ * Base score per match type; fuzzy matches lose 10 per edit
+ */
+const MATCH_SCORES = {
+  [MATCH_TYPES.EXACT]: 100,
+  [MATCH_TYPES.NORMALIZED]: 95,
+  [MATCH_TYPES.TOKENS]: 85,
+  [MATCH_TYPES.PREFIX]: 80,
+  [MATCH_TYPES.FUZZY]: 70
+};
+
+/**
+ * Which field of the record a term came from, in tie-break order
+ */
+const TERM_FIELDS = ['name', 'genericName', 'synonym', 'brandName', 'rxcui'];
+
+/**
+ * Salt and ester words dropped from names ("sertraline HCl", "levothyroxine sodium")
+ */
+const SALT_WORDS = new Set([
+  'hydrochloride', 'hcl', 'hydrobromide', 'hbr', 'sodium', 'potassium', 'calcium', 'magnesium',
+  'maleate', 'mesylate', 'besylate', 'succinate', 'tartrate', 'bitartrate', 'citrate', 'sulfate',
+  'sulphate', 'phosphate', 'acetate', 'fumarate', 'hyclate', 'carbonate', 'bromide', 'lactate',
+  'monohydrate', 'dihydrate', 'trihydrate'
+]);
+
+/**
+ * Dosage form, release and strength qualifiers dropped from names ("Tylenol Extra Strength", "50 mg tablet")
+ */
+const QUALIFIER_WORDS = new Set([
+  'tablet', 'tablets', 'tab', 'tabs', 'capsule', 'capsules', 'cap', 'caps', 'caplet', 'caplets',
+  'gelcap', 'gelcaps', 'softgel', 'softgels', 'oral', 'solution', 'suspension', 'syrup', 'liquid',
+  'chewable', 'odt', 'injection', 'er', 'xr', 'sr', 'dr', 'cr', 'xl', 'extended', 'delayed',
+  'release', 'extra', 'strength', 'maximum', 'max', 'regular', 'film', 'coated',
+  'mg', 'mcg', 'g', 'ml', 'iu', 'unit', 'units'
+]);
+
+/**
+ * Strengths such as "50", "50mg", "0.5%" or "5/325"
+ */
+const STRENGTH_PATTERN = /^\d+(\.\d+)?(\/\d+(\.\d+)?)*(mg|mcg|g|ml|iu|units?|%)?$/;
+
+let defaultIndex = null;
+
+/**
+ * Split a name into lowercase tokens without punctuation or accents
+ *
+ * @param {string} text - Name as typed
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9.%/]+/g, ' ')
+    .split(' ')
+    // "hydrocodone/apap" is two names; "5/325" is one strength
+    .flatMap(token => (STRENGTH_PATTERN.test(token) ? [token] : token.split('/')))
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Normalize a medication name for matching: lowercase tokens with salts,
+ * strengths and dosage-form words removed. Falls back to all tokens when
+ * nothing else is left ("Extra Strength")
+ *
+ * @param {string} text - Name as typed
+ * @returns {string} Normalized name
+ */
+function normalizeMedicationName(text) {
+  const tokens = tokenize(text);
+  const kept = tokens.filter(token =>
+    !SALT_WORDS.has(token) && !QUALIFIER_WORDS.has(token) && !STRENGTH_PATTERN.test(token)
+  );
+
+  return (kept.length > 0 ? kept : tokens).join(' ');
+}
+
+/**
+ * Optimal string alignment distance: insertions, deletions, substitutions and
+ * adjacent transpositions each cost 1
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} [max] - Stop early and return max + 1 once the distance exceeds this
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Edits tolerated for a query of a given length
+ *
+ * @param {number} length - Normalized query length
+ * @returns {number} Maximum edit distance
+ */
+function maxEditsFor(length) {
+  return length < 4 ? 0 : length < 7 ? 1 : length < 11 ? 2 : 3;
+}
+
+/**
+ * Combination products as searchable entities. A product has no record of its
+ * own: it carries the names of the medication records it is made of
+ *
+ * @param {Object} products - Products keyed by id, as in src/data/combination-products.json
+ * @returns {Array<Object>} [{ id, name, genericName, brandNames, ingredients, combination: true }]
+ */
+function toCombinationEntities(products) {
+  return Object.entries(products || {}).map(([id, product]) => ({
+    id,
+    name: product.name,
+    genericName: product.name,
+    brandNames: product.brandNames || [],
+    ingredients: product.ingredients,
+    combination: true
+  }));
+}
+
+/**
+ * Build a search index over medication records and combination products.
+ * A brand name listed on a combination product is indexed for the product
+ * only, so "Percocet" never resolves to one of its ingredients
+ *
+ * @param {Array<Object>} records - Medication records
+ * @param {Array<Object>} [combinations] - Combination entities (see toCombinationEntities)
+ * @returns {Object} { terms, exact, normalized }
+ */
+function createMedicationIndex(records, combinations = []) {
+  const terms = [];
+  const exact = new Map();
+  const normalized = new Map();
+
+  const addTerm = (medication, term, field) => {
+    if (!term) return;
+
+    const entry = {
+      medication,
+      term: String(term),
+      field,
+      lowercase: String(term).toLowerCase().trim(),
+      normalized: normalizeMedicationName(term)
+    };
+    entry.tokens = entry.normalized.split(' ');
+
+    terms.push(entry);
+    if (!exact.has(entry.lowercase)) exact.set(entry.lowercase, entry);
+    if (!normalized.has(entry.normalized)) normalized.set(entry.normalized, entry);
+  };
+
+  const combinationBrands = new Set(
+    combinations.flatMap(product => product.brandNames).map(brand => brand.toLowerCase().trim())
+  );
+
+  records.forEach(medication => {
+    addTerm(medication, medication.name, 'name');
+    addTerm(medication, medication.genericName, 'genericName');
+    (medication.synonyms || []).forEach(synonym => addTerm(medication, synonym, 'synonym'));
+    (medication.brandNames || [])
+      .filter(brand => !combinationBrands.has(brand.toLowerCase().trim()))
+      .forEach(brand => addTerm(medication, brand, 'brandName'));
+    addTerm(medication, medication.rxcui, 'rxcui');
+  });
+
+  combinations.forEach(product => {
+    addTerm(product, product.name, 'name');
+    product.brandNames.forEach(brand => addTerm(product, brand, 'brandName'));
+  });
+
+  return { terms, exact, normalized };
+}
+
+/**
+ * Index over src/data/medications.json and src/data/combination-products.json,
+ * built on first use
+ * @private
+ */
+function getIndex() {
+  if (!defaultIndex) {
+    defaultIndex = createMedicationIndex(medications, toCombinationEntities(combinationProducts.products));
+  }
+  return defaultIndex;
+}
+
+/**
+ * Shape a term match for callers
+ * @private
+ */
+function toMatch(entry, query, type, distance = 0) {
+  return {
+    medication: entry.medication,
+    query,
+    matchedTerm: entry.term,
+    field: entry.field,
+    type,
+    distance,
+    score: MATCH_SCORES[type] - distance * 10
+  };
+}
+
+/**
+ * Match a query against one indexed term
+ * @private
+ */
+function matchTerm(entry, query, normalizedQuery, queryTokens, maxEdits) {
+  if (entry.lowercase === query.toLowerCase().trim()) return toMatch(entry, query, MATCH_TYPES.EXACT);
+  if (entry.field === 'rxcui') return null;
+  if (entry.normalized === normalizedQuery) return toMatch(entry, query, MATCH_TYPES.NORMALIZED);
+
+  if (queryTokens.every(token => entry.tokens.includes(token))) {
+    return toMatch(entry, query, MATCH_TYPES.TOKENS);
+  }
+
+  if (normalizedQuery.length >= 2 && entry.normalized.startsWith(normalizedQuery)) {
+    return toMatch(entry, query, MATCH_TYPES.PREFIX);
+  }
+
+  if (maxEdits === 0) return null;
+
+  const distance = editDistance(normalizedQuery, entry.normalized, maxEdits);
+  if (distance <= maxEdits) return toMatch(entry, query, MATCH_TYPES.FUZZY, distance);
+
+  // A one-word query may be a misspelling of one word of a longer brand name;
+  // these rank one edit below whole-name misspellings
+  if (queryTokens.length === 1 && entry.tokens.length > 1) {
+    const tokenDistance = Math.min(...entry.tokens
+      .filter(token => token.length >= 4)
+      .map(token => editDistance(normalizedQuery, token, maxEdits)));
+
+    if (tokenDistance <= maxEdits) {
+      return { ...toMatch(entry, query, MATCH_TYPES.FUZZY, tokenDistance + 1), partial: true };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Sort matches best first: score, then name before generic before brand, then alphabetically
+ * @private
+ */
+function compareMatches(a, b) {
+  return b.score - a.score ||
+    TERM_FIELDS.indexOf(a.field) - TERM_FIELDS.indexOf(b.field) ||
+    a.matchedTerm.localeCompare(b.matchedTerm);
+}
+
+/**
+ * Search medications by free text, best match per medication first
+ *
+ * @param {string} query - Name, brand, RxCUI or misspelling
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit] - Most results returned (default 10)
+ * @returns {Array<Object>} [{ name, genericName, rxcui, matchedTerm, field, type, distance, score }];
+ *   combination products also carry { combination: true, ingredients }
+ */
+function searchMedications(query, { limit = 10 } = {}) {
+  if (!query || !String(query).trim()) return [];
+
+  const text = String(query);
+  const normalizedQuery = normalizeMedicationName(text);
+  const queryTokens = normalizedQuery.split(' ');
+  const maxEdits = maxEditsFor(normalizedQuery.length);
+  const best = new Map();
+
+  getIndex().terms.forEach(entry => {
+    const match = matchTerm(entry, text, normalizedQuery, queryTokens, maxEdits);
+    if (!match) return;
+
+    const current = best.get(entry.medication);
+    if (!current || compareMatches(match, current) < 0) best.set(entry.medication, match);
+  });
+
+  return [...best.values()]
+    .sort(compareMatches)
+    .slice(0, limit)
+    .map(({ medication, query: _query, partial: _partial, ...match }) => ({
+      name: medication.name,
+      genericName: medication.genericName,
+      rxcui: medication.rxcui,
+      ...(medication.combination && { combination: true, ingredients: medication.ingredients }),
+      ...match
+    }));
+}
+
+/**
+ * Resolve a name to one medication record. Only exact and normalized matches
+ * resolve: a near miss may be a different drug that is not in the database
+ * (ketoprofen is two edits from Neoprofen), so misspellings are left to
+ * suggestMedications and never answered for
+ *
+ * Combination products resolve only when asked for: callers that expect a
+ * single medication record get null for "Percocet" rather than one of its
+ * ingredients
+ *
+ * @param {string} query - Name, brand or RxCUI
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.combinations] - Resolve combination products as well (default false)
+ * @param {Object} [options.index] - Index to resolve against (default: the bundled data; see createMedicationIndex)
+ * @returns {Object|null} { medication, match: { query, matchedTerm, field, type, distance } } or null
+ */
+function resolveMedication(query, { combinations = false, index = getIndex() } = {}) {
+  const resolved = resolveTerm(query, index);
+  return resolved && (combinations || !resolved.medication.combination) ? resolved : null;
+}
+
+/**
+ * @private
+ */
+function resolveTerm(query, index) {
+  if (query === null || query === undefined || !String(query).trim()) return null;
+
+  const text = String(query);
+  const found = index.exact.get(text.toLowerCase().trim()) ||
+    index.normalized.get(normalizeMedicationName(text));
+
+  if (!found) return null;
+
+  const type = found.lowercase === text.toLowerCase().trim() ? MATCH_TYPES.EXACT : MATCH_TYPES.NORMALIZED;
+  return describeResolution(toMatch(found, text, type));
+}
+
+/**
+ * @private
+ */
+function describeResolution({ medication, query, matchedTerm, field, type, distance }) {
+  return { medication, match: { query, matchedTerm, field, type, distance } };
+}
+
+/**
+ * Prefix completions for a form input, by term rather than by medication so
+ * brand names show as typed ("Tyl" -> "Tylenol", "Tylenol PM", ...)
+ *
+ * @param {string} prefix - Text typed so far
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit] - Most completions returned (default 10)
+ * @returns {Array<Object>} [{ label, name, genericName, rxcui, field }], plus combination: true for products
+ */
+function autocompleteMedications(prefix, { limit = 10 } = {}) {
+  const typed = tokenize(prefix).join(' ');
+  if (!typed) return [];
+
+  const maxEdits = typed.length >= 4 ? 1 : 0;
+  const seen = new Set();
+
+  const completions = getIndex().terms
+    .filter(entry => entry.field !== 'rxcui')
+    .map(entry => {
+      const label = tokenize(entry.term).join(' ');
+      const rank = label.startsWith(typed) ? 0
+        : label.split(' ').some(word => word.startsWith(typed)) ? 1
+          : maxEdits > 0 && editDistance(typed, label.slice(0, typed.length), maxEdits) <= maxEdits ? 2
+            : null;
+      return rank === null ? null : { entry, rank };
+    })
+    .filter(Boolean)
+    .sort((a, b) =>
+      a.rank - b.rank ||
+      TERM_FIELDS.indexOf(a.entry.field) - TERM_FIELDS.indexOf(b.entry.field) ||
+      a.entry.term.length - b.entry.term.length ||
+      a.entry.term.localeCompare(b.entry.term)
+    );
+
+  // Misspelled completions are offered only when nothing matches as typed
+  const matches = completions.length > 0 && completions[0].rank < 2
+    ? completions.filter(({ rank }) => rank < 2)
+    : completions;
+
+  const results = [];
+  for (const { entry } of matches) {
+    const key = entry.term.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    results.push({
+      label: entry.term,
+      name: entry.medication.name,
+      genericName: entry.medication.genericName,
+      rxcui: entry.medication.rxcui,
+      field: entry.field,
+      ...(entry.medication.combination && { combination: true })
+    });
+    if (results.length === limit) break;
+  }
+
+  return results;
+}
+
+/**
+ * Ranked suggestions for a name that did not resolve
+ *
+ * @param {string} query - Name as typed
+ * @param {number} [limit] - Most suggestions returned (default 5)
+ * @returns {Array<Object>} [{ name, rxcui, matchedTerm }]
+ */
+function suggestMedications(query, limit = 5) {
+  return searchMedications(query, { limit }).map(({ name, rxcui, matchedTerm }) => ({ name, rxcui, matchedTerm }));
+}
+
+/**
+ * MEDICATION_NOT_FOUND error carrying ranked suggestions in details
+ *
+ * @param {string} query - Name as typed
+ * @returns {Error} Error with details { query, suggestions }
+ */
+function medicationNotFoundError(query) {
+  const suggestions = suggestMedications(query);
+  const hint = suggestions.length > 0 ? `. Did you mean: ${suggestions.map(s => s.name).join(', ')}?` : '';
+
+  return createError(ERROR_CODES.MEDICATION_NOT_FOUND, `Medication not found: ${query}${hint}`, { query, suggestions });
+}
+
+module.exports = {
+  // Constants
+  MATCH_TYPES,
+
+  // Core functions
+  searchMedications,
+  resolveMedication,
+  autocompleteMedications,
+  suggestMedications,
+  medicationNotFoundError,
+
+  // Helper functions
+  createMedicationIndex,
+  toCombinationEntities,
+  normalizeMedicationName,
+  editDistance,
+  tokenize
+};
@@ -0,0 +1,141 @@
+/**
+ * Paternal Exposure
+ *
+ * Assessment of a medication taken by the father around conception: transfer
+ * to the partner through semen, effects on the sperm that will fertilize, and
+ * the washout the label or guidelines recommend before trying to conceive
+ *
+ * @module paternal-exposure
+ */
+
+const { addDays, differenceInCalendarDays, format } = require('date-fns');
+const { resolveMedication, medicationNotFoundError } = require('./medication-search');
+const { parseDate } = require('./pregnancy-dating');
+const { createError } = require('../utils/validators');
+const { ERROR_CODES } = require('../utils/constants');
+
+/**
+ * Days for a spermatogonium to become a mature sperm: a dose taken within
+ * this many days of conception reached the sperm that fertilized
+ */
+const SPERMATOGENESIS_DAYS = 74;
+
+/**
+ * Paternal risk levels, lowest first. Only none and low are considered safe
+ */
+const PATERNAL_RISK_LEVELS = ['none', 'low', 'moderate', 'high'];
+
+/**
+ * Check a medication taken by the father
+ * Without a last dose date the medication is taken as ongoing; without a
+ * conception date the washout is measured to asOf
+ *
+ * @param {string} medicationName - Medication name
+ * @param {Object} [options] - Options
+ * @param {string|Date} [options.conceptionDate] - Planned or estimated date of conception
+ * @param {string|Date} [options.lastDoseDate] - Date of the last dose, if stopped
+ * @param {string|Date} [options.asOf=new Date()] - Date of the assessment
+ * @returns {Object} Paternal exposure assessment
+ */
+function checkPaternalExposure(medicationName, { conceptionDate = null, lastDoseDate = null, asOf = new Date() } = {}) {
+  const today = parseDate(asOf, 'asOf');
+  const conception = conceptionDate ? parseDate(conceptionDate, 'conceptionDate') : null;
+  const lastDose = lastDoseDate ? parseDate(lastDoseDate, 'lastDoseDate') : null;
+  if (lastDose && lastDose > today) {
+    throw createError(ERROR_CODES.INVALID_DATE, `Last dose date ${format(lastDose, 'yyyy-MM-dd')} is in the future`);
+  }
+
+  const resolved = resolveMedication(medicationName);
+  if (!resolved) {
+    throw medicationNotFoundError(medicationName);
+  }
+
+  const medication = resolved.medication;
+  const paternal = medication.paternal || null;
+  const ongoing = !lastDose;
+
+  // Sperm fertilizing at conception developed over the preceding window
+  const windowStart = conception && addDays(conception, -SPERMATOGENESIS_DAYS);
+  const exposedDuringSpermatogenesis = conception ? ongoing || lastDose >= windowStart : null;
+
+  const washoutWeeks = paternal ? paternal.washoutWeeks : null;
+  const reference = conception || today;
+  let washoutComplete = null;
+  let safeFrom = null;
+  if (washoutWeeks !== null && washoutWeeks !== undefined) {
+    safeFrom = addDays(lastDose || today, washoutWeeks * 7);
+    washoutComplete = ongoing ? washoutWeeks === 0 : safeFrom <= reference;
+  }
+  const stopBy = conception && washoutWeeks ? addDays(conception, -washoutWeeks * 7) : null;
+
+  const riskLevel = paternal
+    ? getPaternalRiskLevel(paternal, { ongoing, washoutComplete, exposedDuringSpermatogenesis })
+    : 'unknown';
+
+  const warnings = [];
+  if (paternal?.semenTransfer.condomAdvised && (ongoing || !washoutComplete)) {
+    warnings.push(`Use condoms while taking ${medication.name} and for ${washoutWeeks} weeks after the last dose`);
+  }
+  if (paternal && washoutComplete === false && washoutWeeks > 0) {
+    warnings.push(stopBy && ongoing
+      ? `Stop ${medication.name} by ${format(stopBy, 'yyyy-MM-dd')} to complete the ${washoutWeeks}-week washout before conception`
+      : `The ${washoutWeeks}-week washout after ${medication.name} ends on ${format(safeFrom, 'yyyy-MM-dd')}`);
+  }
+  if (paternal?.spermatogenesis.affected && exposedDuringSpermatogenesis) {
+    warnings.push(`Sperm for this conception developed during ${medication.name} treatment: ${paternal.spermatogenesis.note}`);
+  }
+
+  return {
+    mode: 'paternal',
+    found: true,
+    medicationName: medication.name,
+    genericName: medication.genericName,
+    rxcui: medication.rxcui || null,
+    paternalData: Boolean(paternal),
+    semenTransfer: paternal ? paternal.semenTransfer : null,
+    spermatogenesis: paternal ? paternal.spermatogenesis : null,
+    washoutWeeks,
+    spermatogenesisDays: SPERMATOGENESIS_DAYS,
+    conceptionDate: conception && format(conception, 'yyyy-MM-dd'),
+    lastDoseDate: lastDose && format(lastDose, 'yyyy-MM-dd'),
+    exposureWindow: conception
+      ? { start: format(windowStart, 'yyyy-MM-dd'), end: format(conception, 'yyyy-MM-dd') }
+      : null,
+    exposedDuringSpermatogenesis,
+    washoutComplete,
+    stopBy: stopBy && format(stopBy, 'yyyy-MM-dd'),
+    safeFrom: safeFrom && format(safeFrom, 'yyyy-MM-dd'),
+    daysUntilSafe: safeFrom ? Math.max(0, differenceInCalendarDays(safeFrom, today)) : null,
+    riskLevel,
+    safe: riskLevel === 'none' || riskLevel === 'low',
+    warnings,
+    recommendation: paternal?.recommendation
+      || (paternal ? 'No paternal precautions needed' : 'No data on paternal use: consult healthcare provider before trying to conceive'),
+    assessmentDate: new Date().toISOString()
+  };
+}
+
+/**
+ * Risk level from a record's paternal data: semen transfer counts until the
+ * washout ends, a pending washout is at least moderate, and treatment while
+ * the fertilizing sperm developed is at least low when the drug affects it
+ * @private
+ */
+function getPaternalRiskLevel(paternal, { ongoing, washoutComplete, exposedDuringSpermatogenesis }) {
+  const levels = ['none'];
+  if (ongoing || !washoutComplete) levels.push(paternal.semenTransfer.concern);
+  if (washoutComplete === false) levels.push('moderate');
+  if (exposedDuringSpermatogenesis && paternal.spermatogenesis.affected) levels.push('low');
+
+  return levels.reduce((highest, level) =>
+    (PATERNAL_RISK_LEVELS.indexOf(level) > PATERNAL_RISK_LEVELS.indexOf(highest) ? level : highest));
+}
+
+module.exports = {
+  // Constants
+  SPERMATOGENESIS_DAYS,
+  PATERNAL_RISK_LEVELS,
+
+  // Core functions
+  checkPaternalExposure
+};
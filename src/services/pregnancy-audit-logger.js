@@ -7,10 +7,19 @@
  * @module pregnancy-audit-logger
  */
 
-const fs = require('fs').promises;
 const path = require('path');
+const { createAuditStorage, isAuditStorage } = require('./audit-storage');
+const {
+  chainEntry,
+  verifyChain,
+  buildCheckpoints,
+  describeLegacyEntries,
+  HASH_ALGORITHMS,
+  RETENTION_CHECKPOINT_TYPE
+} = require('./audit-integrity');
+const { createError } = require('../utils/validators');
+const { ERROR_CODES, AUDIT_STORAGE_TYPES } = require('../utils/constants');
 
-const AUDIT_LOG_PATH = path.join(__dirname, '../data/pregnancy-audit-logs.json');
 const RETENTION_YEARS = 7; // FDA requirement: 7-year retention
 
 /**
@@ -20,13 +29,15 @@ const AUDIT_TYPES = {
   SAFETY_CHECK: 'safety_check',
   INTERACTION_CHECK: 'interaction_check',
   RISK_CALCULATION: 'risk_calculation',
+  PATERNAL_EXPOSURE_CHECK: 'paternal_exposure_check',
   PROVIDER_DECISION: 'provider_decision',
   PATIENT_DECISION: 'patient_decision',
   MEDICATION_STARTED: 'medication_started',
   MEDICATION_STOPPED: 'medication_stopped',
   MEDICATION_CHANGED: 'medication_changed',
   ADVERSE_EVENT: 'adverse_event',
-  PROVIDER_CONSULTATION: 'provider_consultation'
+  PROVIDER_CONSULTATION: 'provider_consultation',
+  RETENTION_CLEANUP: RETENTION_CHECKPOINT_TYPE
 };
 
 /**
@@ -41,42 +52,113 @@ const DECISION_TYPES = {
 };
 
 /**
- * Initialize audit log file if it doesn't exist
+ * Active audit storage adapter, created on first use
  */
-async function initializeAuditLog() {
-  try {
-    await fs.access(AUDIT_LOG_PATH);
-  } catch (error) {
-    // File doesn't exist, create it
-    const initialData = {
-      version: '1.0.0',
-      created: new Date().toISOString(),
-      retentionYears: RETENTION_YEARS,
-      entries: []
-    };
-    
-    // Ensure directory exists
-    const dir = path.dirname(AUDIT_LOG_PATH);
-    await fs.mkdir(dir, { recursive: true });
-    
-    await fs.writeFile(AUDIT_LOG_PATH, JSON.stringify(initialData, null, 2));
+let auditStorage = null;
+
+/**
+ * Storage and key selected through useAuditSettings, or null while no
+ * AuditService has configured the logger
+ */
+let auditSettingsClaim = null;
+
+/**
+ * Select the audit storage used by every logging and query function
+ * 
+ * @param {Object} [options] - createAuditStorage options ({ type, path }) or an adapter
+ * @returns {Object} The active adapter
+ */
+function setAuditStorage(options = {}) {
+  auditStorage = isAuditStorage(options)
+    ? options
+    : createAuditStorage({ retentionYears: RETENTION_YEARS, ...options });
+  auditSettingsClaim = null;
+  return auditStorage;
+}
+
+/**
+ * HMAC key for the hash chain (null = plain SHA-256)
+ */
+let auditHmacKey = null;
+
+/**
+ * Pending append, so entries are chained one at a time
+ */
+let appendQueue = Promise.resolve();
+
+/**
+ * Set the HMAC key used to hash new entries and verify the chain
+ * 
+ * @param {string|null} key - Secret key, or null for plain SHA-256
+ */
+function setAuditHmacKey(key) {
+  auditHmacKey = key || null;
+  auditSettingsClaim = null;
+}
+
+/**
+ * Describe storage options so equal configurations compare equal
+ * An adapter instance only equals itself
+ *
+ * @param {Object} options - createAuditStorage options or an adapter
+ * @returns {Object|string} Comparable key
+ */
+function storageKey(options) {
+  if (isAuditStorage(options)) return options;
+  return JSON.stringify({
+    type: options.type || AUDIT_STORAGE_TYPES.JSONL,
+    path: options.path ? path.resolve(options.path) : null,
+    legacyPath: options.legacyPath ? path.resolve(options.legacyPath) : null
+  });
+}
+
+/**
+ * Select the audit storage and HMAC key for an AuditService
+ * Both are shared by every instance in the process, so the first instance
+ * selects them and later instances must ask for the same storage and key
+ *
+ * @param {Object} [options] - Options
+ * @param {Object} [options.storage] - createAuditStorage options or an adapter
+ * @param {string|null} [options.hmacKey] - HMAC key, or null for plain SHA-256
+ * @returns {Object} The active adapter
+ * @throws {Error} INVALID_CONFIG if another instance selected a different storage or key
+ */
+function useAuditSettings(options = {}) {
+  const storage = options.storage || {};
+  const hmacKey = options.hmacKey || null;
+
+  if (auditSettingsClaim === null) {
+    setAuditStorage(storage);
+    setAuditHmacKey(hmacKey);
+    auditSettingsClaim = { storage: storageKey(storage), hmacKey };
+    return auditStorage;
   }
+
+  if (auditSettingsClaim.storage !== storageKey(storage) || auditSettingsClaim.hmacKey !== hmacKey) {
+    throw createError(
+      ERROR_CODES.INVALID_CONFIG,
+      'auditStorage and auditHmacKey differ from those already selected by another instance; the audit trail is shared by every instance in the process',
+      { storageType: auditStorage.type || null }
+    );
+  }
+
+  return auditStorage;
 }
 
 /**
- * Read audit log
+ * Get the active audit storage adapter
+ * 
+ * @returns {Object} Audit storage adapter
  */
-async function readAuditLog() {
-  await initializeAuditLog();
-  const data = await fs.readFile(AUDIT_LOG_PATH, 'utf8');
-  return JSON.parse(data);
+function getAuditStorage() {
+  return auditStorage || setAuditStorage();
 }
 
 /**
- * Write audit log
+ * Initialize the audit store if it doesn't exist
  */
-async function writeAuditLog(logData) {
-  await fs.writeFile(AUDIT_LOG_PATH, JSON.stringify(logData, null, 2));
+async function initializeAuditLog() {
+  await getAuditStorage().initialize?.();
 }
 
 /**
@@ -88,6 +170,7 @@ async function writeAuditLog(logData) {
 async function logSafetyCheck({
   patientId = null,
   medicationName,
+  rxcui = null,
   weekOfPregnancy,
   trimester,
   riskScore,
@@ -95,7 +178,10 @@ async function logSafetyCheck({
   fdaCategory,
   safe,
   warnings = [],
+  alternatives = [],
   recommendation,
+  dose = null,
+  context = null,
   sessionId = null
 }) {
   const entry = {
@@ -106,6 +192,7 @@ async function logSafetyCheck({
     sessionId,
     data: {
       medicationName,
+      rxcui,
       weekOfPregnancy,
       trimester,
       riskScore,
@@ -113,8 +200,11 @@ async function logSafetyCheck({
       fdaCategory,
       safe,
       warnings,
-      recommendation
-    }
+      alternatives,
+      recommendation,
+      dose
+    },
+    context
   };
 
   await appendAuditEntry(entry);
@@ -135,6 +225,8 @@ async function logInteractionCheck({
   highestSeverity,
   safe,
   recommendation,
+  findings = [],
+  contentVersion = null,
   sessionId = null
 }) {
   const entry = {
@@ -149,7 +241,9 @@ async function logInteractionCheck({
       interactionsFound,
       highestSeverity,
       safe,
-      recommendation
+      recommendation,
+      findings,
+      contentVersion
     }
   };
 
@@ -168,11 +262,14 @@ async function logRiskCalculation({
   medications,
   weekOfPregnancy,
   maternalCondition = null,
+  pregnancyContext = null,
+  scoreAdjustments = [],
   overallRiskLevel,
   riskScore,
   requiresProviderConsent,
   requiresObstetrician,
   recommendations,
+  contentVersion = null,
   sessionId = null
 }) {
   const entry = {
@@ -185,11 +282,64 @@ async function logRiskCalculation({
       medications,
       weekOfPregnancy,
       maternalCondition,
+      pregnancyContext,
+      scoreAdjustments,
       overallRiskLevel,
       riskScore,
       requiresProviderConsent,
       requiresObstetrician,
-      recommendations
+      recommendations,
+      contentVersion
+    }
+  };
+
+  await appendAuditEntry(entry);
+  return entry;
+}
+
+/**
+ * Log a paternal medication exposure check
+ * 
+ * @param {Object} params - Log parameters
+ * @returns {Object} Log entry
+ */
+async function logPaternalExposureCheck({
+  patientId = null,
+  medicationName,
+  rxcui = null,
+  conceptionDate = null,
+  lastDoseDate = null,
+  semenTransferConcern,
+  spermatogenesisAffected,
+  washoutWeeks,
+  exposedDuringSpermatogenesis,
+  washoutComplete,
+  riskLevel,
+  safe,
+  warnings = [],
+  recommendation,
+  sessionId = null
+}) {
+  const entry = {
+    id: generateLogId(),
+    type: AUDIT_TYPES.PATERNAL_EXPOSURE_CHECK,
+    timestamp: new Date().toISOString(),
+    patientId,
+    sessionId,
+    data: {
+      medicationName,
+      rxcui,
+      conceptionDate,
+      lastDoseDate,
+      semenTransferConcern,
+      spermatogenesisAffected,
+      washoutWeeks,
+      exposedDuringSpermatogenesis,
+      washoutComplete,
+      riskLevel,
+      safe,
+      warnings,
+      recommendation
     }
   };
 
@@ -299,6 +449,7 @@ async function logMedicationStarted({
   dosage,
   frequency,
   weekOfPregnancy,
+  startDate = null,
   prescriberId = null,
   prescriberName = null,
   indication,
@@ -323,6 +474,7 @@ async function logMedicationStarted({
       dosage,
       frequency,
       weekOfPregnancy,
+      startDate,
       indication
     }
   };
@@ -341,6 +493,7 @@ async function logMedicationStopped({
   patientId,
   medicationName,
   weekOfPregnancy,
+  stopDate = null,
   reason,
   prescriberId = null,
   prescriberName = null,
@@ -363,6 +516,53 @@ async function logMedicationStopped({
     data: {
       medicationName,
       weekOfPregnancy,
+      stopDate,
+      reason
+    }
+  };
+
+  await appendAuditEntry(entry);
+  return entry;
+}
+
+/**
+ * Log medication dose or frequency change
+ * 
+ * @param {Object} params - Log parameters
+ * @returns {Object} Log entry
+ */
+async function logMedicationChanged({
+  patientId,
+  medicationName,
+  dosage,
+  frequency,
+  weekOfPregnancy,
+  changeDate = null,
+  reason = null,
+  prescriberId = null,
+  prescriberName = null,
+  sessionId = null
+}) {
+  if (!patientId) {
+    throw new Error('Patient ID is required');
+  }
+
+  const entry = {
+    id: generateLogId(),
+    type: AUDIT_TYPES.MEDICATION_CHANGED,
+    timestamp: new Date().toISOString(),
+    patientId,
+    sessionId,
+    prescriber: prescriberId || prescriberName ? {
+      id: prescriberId,
+      name: prescriberName
+    } : null,
+    data: {
+      medicationName,
+      dosage,
+      frequency,
+      weekOfPregnancy,
+      changeDate,
       reason
     }
   };
@@ -415,13 +615,51 @@ async function logAdverseEvent({
 }
 
 /**
- * Append entry to audit log
+ * Run a write after every queued write has finished, holding the storage
+ * lock (when the adapter has one) so other processes cannot interleave
+ */
+function enqueueWrite(write) {
+  const result = appendQueue.then(() => {
+    const storage = getAuditStorage();
+    return typeof storage.withLock === 'function' ? storage.withLock(write) : write();
+  });
+  appendQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Append entry to audit log, linked to the previous entry's hash
+ * The entry is updated in place with sequence, previousHash, hashAlgorithm and hash.
+ * The first entry chained after unhashed (pre-chaining) entries records them
+ * as its migration marker (`legacy`)
  */
-async function appendAuditEntry(entry) {
-  const logData = await readAuditLog();
-  logData.entries.push(entry);
-  logData.lastUpdated = new Date().toISOString();
-  await writeAuditLog(logData);
+function appendAuditEntry(entry) {
+  return enqueueWrite(async () => {
+    const storage = getAuditStorage();
+    const previous = storage.readLast
+      ? await storage.readLast()
+      : (await storage.readAll()).slice(-1)[0] || null;
+
+    if (previous && !previous.hash) {
+      entry.legacy = describeLegacyEntries(await storage.readAll());
+    }
+
+    Object.assign(entry, chainEntry(entry, previous, auditHmacKey));
+    await storage.append(entry);
+  });
+}
+
+/**
+ * Verify the audit trail hash chain
+ * 
+ * @param {Object} [options] - Options
+ * @param {string} [options.hmacKey] - Key to verify with (default: the configured key)
+ * @returns {Promise<Object>} { valid, entriesChecked, legacyEntries, headHash, firstBrokenLink, ... }
+ */
+async function verifyAuditIntegrity(options = {}) {
+  await appendQueue;
+  const entries = await getAuditStorage().readAll();
+  return verifyChain(entries, options.hmacKey ?? auditHmacKey);
 }
 
 /**
@@ -431,8 +669,7 @@ async function appendAuditEntry(entry) {
  * @returns {Array} Matching log entries
  */
 async function queryAuditLogs(filters = {}) {
-  const logData = await readAuditLog();
-  let results = logData.entries;
+  let results = await getAuditStorage().readAll();
 
   // Filter by patient ID
   if (filters.patientId) {
@@ -471,8 +708,10 @@ async function queryAuditLogs(filters = {}) {
     results = results.filter(entry => entry.sessionId === filters.sessionId);
   }
 
-  // Sort by timestamp (newest first)
-  results.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  // Sort by timestamp (newest first), then by chain position for entries in the same millisecond
+  results.sort((a, b) =>
+    new Date(b.timestamp) - new Date(a.timestamp) || (b.sequence || 0) - (a.sequence || 0)
+  );
 
   return results;
 }
@@ -481,7 +720,7 @@ async function queryAuditLogs(filters = {}) {
  * Export audit logs for FDA compliance
  * 
  * @param {Object} filters - Optional filters
- * @param {string} format - Export format ('json' or 'csv')
+ * @param {string} format - Export format ('json', 'csv' or 'fhir')
  * @returns {string} Formatted export data
  */
 async function exportAuditLogs(filters = {}, format = 'json') {
@@ -491,10 +730,29 @@ async function exportAuditLogs(filters = {}, format = 'json') {
     return convertToCSV(entries);
   }
 
+  if (format === 'fhir') {
+    // Required here: fhir-export depends on this module
+    const { buildFhirBundle } = require('./fhir-export');
+    return JSON.stringify(buildFhirBundle(entries), null, 2);
+  }
+
+  // Checkpoints cover the whole chain so a filtered export can be matched
+  // against a later verification of the full log
+  const allEntries = await getAuditStorage().readAll();
+  const verification = verifyChain(allEntries, auditHmacKey);
+
   return JSON.stringify({
     exportDate: new Date().toISOString(),
     filters,
     entryCount: entries.length,
+    integrity: {
+      hashAlgorithm: auditHmacKey ? HASH_ALGORITHMS.HMAC_SHA256 : HASH_ALGORITHMS.SHA256,
+      valid: verification.valid,
+      firstBrokenLink: verification.firstBrokenLink,
+      headSequence: verification.headSequence,
+      headHash: verification.headHash,
+      checkpoints: buildCheckpoints(allEntries)
+    },
     entries
   }, null, 2);
 }
@@ -518,7 +776,9 @@ function convertToCSV(entries) {
     'Risk Level',
     'Decision',
     'Provider',
-    'Notes'
+    'Notes',
+    'Sequence',
+    'Hash'
   ];
 
   const rows = entries.map(entry => {
@@ -536,7 +796,9 @@ function convertToCSV(entries) {
       data.riskLevel || data.overallRiskLevel || '',
       data.decision || '',
       provider.name || '',
-      data.reasoning || data.recommendation || ''
+      data.reasoning || data.recommendation || '',
+      entry.sequence ?? '',
+      entry.hash || ''
     ].map(field => `"${field}"`).join(',');
   });
 
@@ -545,31 +807,49 @@ function convertToCSV(entries) {
 
 /**
  * Clean up old audit logs (beyond retention period)
+ * A cleanup that removes entries appends a retention_cleanup entry recording
+ * the last removed link of the chain and the remaining pre-chaining entries,
+ * so the shortened chain still verifies
  */
 async function cleanupOldLogs() {
-  const logData = await readAuditLog();
   const retentionDate = new Date();
   retentionDate.setFullYear(retentionDate.getFullYear() - RETENTION_YEARS);
 
-  const originalCount = logData.entries.length;
-  
-  logData.entries = logData.entries.filter(entry => 
-    new Date(entry.timestamp) >= retentionDate
-  );
-
-  const removedCount = originalCount - logData.entries.length;
-
-  if (removedCount > 0) {
-    logData.lastCleanup = new Date().toISOString();
-    logData.removedEntries = removedCount;
-    await writeAuditLog(logData);
-  }
+  return enqueueWrite(async () => {
+    const storage = getAuditStorage();
+    const entries = await storage.readAll();
+
+    const retained = entries.filter(entry => 
+      new Date(entry.timestamp) >= retentionDate
+    );
+
+    const removed = entries.filter(entry => !retained.includes(entry));
+
+    if (removed.length > 0) {
+      const lastRemoved = removed.filter(entry => entry.hash).pop();
+
+      await storage.replaceAll(retained);
+      await storage.append(chainEntry({
+        id: generateLogId(),
+        type: AUDIT_TYPES.RETENTION_CLEANUP,
+        timestamp: new Date().toISOString(),
+        patientId: null,
+        sessionId: null,
+        data: {
+          removed: removed.length,
+          retentionDate: retentionDate.toISOString(),
+          anchor: lastRemoved ? { sequence: lastRemoved.sequence, hash: lastRemoved.hash } : null,
+          legacy: describeLegacyEntries(retained)
+        }
+      }, entries[entries.length - 1], auditHmacKey));
+    }
 
-  return {
-    removed: removedCount,
-    retained: logData.entries.length,
-    retentionDate: retentionDate.toISOString()
-  };
+    return {
+      removed: removed.length,
+      retained: retained.length,
+      retentionDate: retentionDate.toISOString()
+    };
+  });
 }
 
 /**
@@ -665,10 +945,12 @@ module.exports = {
   logSafetyCheck,
   logInteractionCheck,
   logRiskCalculation,
+  logPaternalExposureCheck,
   logProviderDecision,
   logPatientDecision,
   logMedicationStarted,
   logMedicationStopped,
+  logMedicationChanged,
   logAdverseEvent,
 
   // Query and export functions
@@ -678,5 +960,14 @@ module.exports = {
 
   // Maintenance functions
   cleanupOldLogs,
-  initializeAuditLog
+  initializeAuditLog,
+
+  // Integrity functions
+  verifyAuditIntegrity,
+  setAuditHmacKey,
+
+  // Storage
+  setAuditStorage,
+  getAuditStorage,
+  useAuditSettings
 };
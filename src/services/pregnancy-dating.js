@@ -0,0 +1,312 @@
+/**
+ * Pregnancy Dating
+ *
+ * Computes gestational age from last menstrual period, estimated due date,
+ * conception / IVF transfer date or first-trimester ultrasound, and reconciles
+ * the sources using ACOG redating rules (Committee Opinion 700)
+ *
+ * @module pregnancy-dating
+ */
+
+const { addDays, differenceInCalendarDays, format, isValid, parseISO, startOfDay } = require('date-fns');
+const { createError } = require('../utils/validators');
+const { ERROR_CODES } = require('../utils/constants');
+
+/**
+ * Length of a pregnancy dated from LMP (40 weeks)
+ */
+const PREGNANCY_LENGTH_DAYS = 280;
+
+/**
+ * Days between LMP and conception in a standard 28-day cycle
+ */
+const CONCEPTION_OFFSET_DAYS = 14;
+
+/**
+ * Largest gestational age that can be dated (matches validateWeek upper bound)
+ */
+const MAX_GESTATIONAL_DAYS = 45 * 7 + 6;
+
+/**
+ * Dating methods, in order of precedence
+ */
+const DATING_METHODS = {
+  ART: 'art',
+  ULTRASOUND: 'ultrasound',
+  LMP: 'lmp',
+  CONCEPTION: 'conception',
+  EDD: 'edd'
+};
+
+/**
+ * Ultrasound redating thresholds
+ * If the ultrasound and LMP estimates differ by more than maxDiscrepancyDays,
+ * the pregnancy is redated to the ultrasound
+ */
+const REDATING_THRESHOLDS = [
+  { upToDays: 8 * 7 + 6, maxDiscrepancyDays: 5, method: 'CRL' },
+  { upToDays: 13 * 7 + 6, maxDiscrepancyDays: 7, method: 'CRL' },
+  { upToDays: 15 * 7 + 6, maxDiscrepancyDays: 7, method: 'Biometry' },
+  { upToDays: 21 * 7 + 6, maxDiscrepancyDays: 10, method: 'Biometry' },
+  { upToDays: 27 * 7 + 6, maxDiscrepancyDays: 14, method: 'Biometry' },
+  { upToDays: Infinity, maxDiscrepancyDays: 21, method: 'Biometry' }
+];
+
+/**
+ * Largest crown-rump length used for dating (corresponds to ~14 weeks)
+ */
+const MAX_CRL_MM = 84;
+
+/**
+ * Parse a date input without shifting date-only strings into UTC
+ *
+ * @param {Date|string} value - Date or ISO date string
+ * @param {string} field - Field name for error messages
+ * @returns {Date} Local date at midnight
+ */
+function parseDate(value, field) {
+  const date = value instanceof Date ? value : parseISO(String(value));
+
+  if (!isValid(date)) {
+    throw createError(ERROR_CODES.INVALID_DATE, `Invalid date for ${field}: ${value}`);
+  }
+
+  return startOfDay(date);
+}
+
+/**
+ * Estimate gestational age from crown-rump length (Robinson & Fleming)
+ *
+ * @param {number} crlMm - Crown-rump length in millimetres
+ * @returns {number} Gestational age in days
+ */
+function gestationalAgeFromCRL(crlMm) {
+  if (typeof crlMm !== 'number' || crlMm <= 0 || crlMm > MAX_CRL_MM) {
+    throw createError(
+      ERROR_CODES.INVALID_DATE,
+      `Crown-rump length must be between 0 and ${MAX_CRL_MM} mm for first-trimester dating, got ${crlMm}`
+    );
+  }
+
+  return Math.round(8.052 * Math.sqrt(crlMm) + 23.73);
+}
+
+/**
+ * Convert a gestational age in days to weeks and days
+ *
+ * @param {number} totalDays - Gestational age in days
+ * @returns {Object} { weeks, days, totalDays, label }
+ */
+function toWeeksAndDays(totalDays) {
+  const weeks = Math.floor(totalDays / 7);
+  const days = totalDays % 7;
+  return {
+    weeks,
+    days,
+    totalDays,
+    label: `${weeks}w${days}d`
+  };
+}
+
+/**
+ * Get the redating threshold for an ultrasound performed at a gestational age
+ *
+ * @param {number} gestationalAgeDays - Ultrasound gestational age at the scan
+ * @returns {Object} Threshold entry
+ */
+function getRedatingThreshold(gestationalAgeDays) {
+  return REDATING_THRESHOLDS.find(t => gestationalAgeDays <= t.upToDays);
+}
+
+/**
+ * Derive an EDD from each supplied dating source
+ *
+ * @param {Object} input - Dating input
+ * @returns {Object} EDD per method (only methods that were supplied)
+ */
+function estimateDueDates(input) {
+  const estimates = {};
+
+  if (input.ivfTransfer) {
+    const transferDate = parseDate(input.ivfTransfer.date, 'ivfTransfer.date');
+    const embryoAgeDays = input.ivfTransfer.embryoAgeDays ?? 5;
+    if (![3, 5, 6].includes(embryoAgeDays)) {
+      throw createError(ERROR_CODES.INVALID_DATE, `Embryo age must be 3, 5 or 6 days, got ${embryoAgeDays}`);
+    }
+    estimates[DATING_METHODS.ART] = addDays(transferDate, PREGNANCY_LENGTH_DAYS - CONCEPTION_OFFSET_DAYS - embryoAgeDays);
+  }
+
+  if (input.ultrasound) {
+    const scanDate = parseDate(input.ultrasound.date, 'ultrasound.date');
+    const scanAgeDays = input.ultrasound.crlMm !== undefined
+      ? gestationalAgeFromCRL(input.ultrasound.crlMm)
+      : input.ultrasound.gestationalAgeDays;
+
+    if (typeof scanAgeDays !== 'number' || scanAgeDays <= 0) {
+      throw createError(ERROR_CODES.INVALID_DATE, 'Ultrasound requires crlMm or gestationalAgeDays');
+    }
+    estimates[DATING_METHODS.ULTRASOUND] = addDays(scanDate, PREGNANCY_LENGTH_DAYS - scanAgeDays);
+    estimates.ultrasoundAgeDays = scanAgeDays;
+  }
+
+  if (input.lmp) {
+    estimates[DATING_METHODS.LMP] = addDays(parseDate(input.lmp, 'lmp'), PREGNANCY_LENGTH_DAYS);
+  }
+
+  if (input.conceptionDate) {
+    estimates[DATING_METHODS.CONCEPTION] = addDays(
+      parseDate(input.conceptionDate, 'conceptionDate'),
+      PREGNANCY_LENGTH_DAYS - CONCEPTION_OFFSET_DAYS
+    );
+  }
+
+  if (input.edd) {
+    estimates[DATING_METHODS.EDD] = parseDate(input.edd, 'edd');
+  }
+
+  return estimates;
+}
+
+/**
+ * Reconcile dating sources into a single EDD
+ * ART dating is never revised; otherwise a menstrual (or conception) estimate
+ * is redated to the ultrasound when the discrepancy exceeds the ACOG threshold
+ *
+ * @param {Object} estimates - Output of estimateDueDates
+ * @returns {Object} { edd, method, redated, discrepancyDays, threshold }
+ */
+function reconcileDueDates(estimates) {
+  if (estimates[DATING_METHODS.ART]) {
+    return { edd: estimates[DATING_METHODS.ART], method: DATING_METHODS.ART, redated: false, discrepancyDays: null, threshold: null };
+  }
+
+  const menstrualMethod = [DATING_METHODS.LMP, DATING_METHODS.CONCEPTION].find(m => estimates[m]);
+  const ultrasoundEdd = estimates[DATING_METHODS.ULTRASOUND];
+
+  if (menstrualMethod && ultrasoundEdd) {
+    const discrepancyDays = Math.abs(differenceInCalendarDays(estimates[menstrualMethod], ultrasoundEdd));
+    const threshold = getRedatingThreshold(estimates.ultrasoundAgeDays);
+    const redated = discrepancyDays > threshold.maxDiscrepancyDays;
+
+    return {
+      edd: redated ? ultrasoundEdd : estimates[menstrualMethod],
+      method: redated ? DATING_METHODS.ULTRASOUND : menstrualMethod,
+      redated,
+      discrepancyDays,
+      threshold
+    };
+  }
+
+  const method = [DATING_METHODS.ULTRASOUND, DATING_METHODS.LMP, DATING_METHODS.CONCEPTION, DATING_METHODS.EDD]
+    .find(m => estimates[m]);
+
+  if (!method) {
+    throw createError(
+      ERROR_CODES.INVALID_DATE,
+      'At least one dating source is required: lmp, edd, conceptionDate, ivfTransfer or ultrasound'
+    );
+  }
+
+  return { edd: estimates[method], method, redated: false, discrepancyDays: null, threshold: null };
+}
+
+/**
+ * Calculate gestational age from dating information
+ *
+ * The returned object carries weeks/days and a weekOfPregnancy (completed
+ * weeks, minimum 1) and can be passed anywhere a week number is accepted.
+ *
+ * @param {Object} input - Dating input
+ * @param {Date|string} [input.lmp] - First day of last menstrual period
+ * @param {Date|string} [input.edd] - Previously established estimated due date
+ * @param {Date|string} [input.conceptionDate] - Known conception date
+ * @param {Object} [input.ivfTransfer] - { date, embryoAgeDays: 3 | 5 | 6 }
+ * @param {Object} [input.ultrasound] - { date, crlMm } or { date, gestationalAgeDays }
+ * @param {Date|string} [asOf] - Date to compute gestational age for (default: today)
+ * @returns {Object} Gestational age result
+ */
+function calculateGestationalAge(input, asOf = new Date()) {
+  if (!input || typeof input !== 'object') {
+    throw createError(ERROR_CODES.INVALID_DATE, 'Dating input must be an object');
+  }
+
+  const referenceDate = parseDate(asOf, 'asOf');
+  const estimates = estimateDueDates(input);
+  const reconciled = reconcileDueDates(estimates);
+
+  const totalDays = PREGNANCY_LENGTH_DAYS - differenceInCalendarDays(reconciled.edd, referenceDate);
+
+  if (totalDays < 0) {
+    throw createError(ERROR_CODES.INVALID_DATE, 'Dating places the reference date before the last menstrual period');
+  }
+
+  if (totalDays > MAX_GESTATIONAL_DAYS) {
+    throw createError(ERROR_CODES.INVALID_DATE, `Gestational age exceeds 45 weeks (${toWeeksAndDays(totalDays).label})`);
+  }
+
+  const gestationalAge = toWeeksAndDays(totalDays);
+
+  return {
+    ...gestationalAge,
+    weekOfPregnancy: Math.max(1, gestationalAge.weeks),
+    edd: format(reconciled.edd, 'yyyy-MM-dd'),
+    lmpEquivalent: format(addDays(reconciled.edd, -PREGNANCY_LENGTH_DAYS), 'yyyy-MM-dd'),
+    asOf: format(referenceDate, 'yyyy-MM-dd'),
+    method: reconciled.method,
+    redated: reconciled.redated,
+    discrepancyDays: reconciled.discrepancyDays,
+    redatingRule: reconciled.threshold ? {
+      ultrasoundMethod: reconciled.threshold.method,
+      maxDiscrepancyDays: reconciled.threshold.maxDiscrepancyDays
+    } : null,
+    sources: Object.keys(estimates)
+      .filter(key => Object.values(DATING_METHODS).includes(key))
+      .reduce((acc, key) => {
+        acc[key] = format(estimates[key], 'yyyy-MM-dd');
+        return acc;
+      }, {})
+  };
+}
+
+/**
+ * Get signed gestational age in days on any date
+ * Unlike calculateGestationalAge this does not reject dates before the LMP,
+ * so pre-conception exposures come back as zero or negative days
+ *
+ * @param {Object} input - Dating input (see calculateGestationalAge)
+ * @param {Date|string} date - Date to evaluate
+ * @returns {number} Gestational age in days (negative before LMP)
+ */
+function getGestationalDays(input, date) {
+  const reconciled = reconcileDueDates(estimateDueDates(input));
+  return PREGNANCY_LENGTH_DAYS - differenceInCalendarDays(reconciled.edd, parseDate(date, 'date'));
+}
+
+/**
+ * Get gestational age on a given date from an established EDD
+ *
+ * @param {Date|string} edd - Estimated due date
+ * @param {Date|string} [asOf] - Reference date (default: today)
+ * @returns {Object} Gestational age result
+ */
+function getGestationalAgeFromEDD(edd, asOf = new Date()) {
+  return calculateGestationalAge({ edd }, asOf);
+}
+
+module.exports = {
+  // Constants
+  DATING_METHODS,
+  REDATING_THRESHOLDS,
+  PREGNANCY_LENGTH_DAYS,
+
+  // Core functions
+  calculateGestationalAge,
+  getGestationalAgeFromEDD,
+  getGestationalDays,
+  gestationalAgeFromCRL,
+
+  // Helper functions
+  parseDate,
+  reconcileDueDates,
+  toWeeksAndDays
+};
@@ -0,0 +1,323 @@
+/**
+ * Pregnancy Exposure Analysis
+ *
+ * Answers "what did this exposure overlap?" for medications taken over a
+ * span of weeks, typically from before conception until the pregnancy was
+ * recognised. Reports each embryonic window that was overlapped, with risk
+ * taken from the safety engine's critical weeks and risk score
+ *
+ * @module pregnancy-exposure-analysis
+ */
+
+const {
+  isCriticalPeriod,
+  calculateRiskScore,
+  getRiskLevel
+} = require('./pregnancy-safety-engine');
+const { getGestationalDays } = require('./pregnancy-dating');
+const { resolveMedication, medicationNotFoundError } = require('./medication-search');
+const { expandCombinationProduct } = require('./combination-products');
+const { resolvePregnancyRisk } = require('../utils/pllr');
+const { createError } = require('../utils/validators');
+const { ERROR_CODES } = require('../utils/constants');
+
+/**
+ * Embryonic development windows, in completed gestational weeks from LMP
+ * (inclusive; conception is taken as 2 weeks after LMP). Timings follow
+ * Moore, Persaud & Torchia, The Developing Human, and the CDC birth defects
+ * pages. Windows overlap where structures develop at the same time
+ */
+const EMBRYONIC_WINDOWS = {
+  // First 2 weeks after conception
+  ALL_OR_NONE: {
+    key: 'all_or_none',
+    name: 'All-or-none period',
+    weeks: [2, 3],
+    outcome: 'Exposure either ends the pregnancy or has no effect; malformations are not expected'
+  },
+  // Neural folds form about 18 days after conception; the tube is closed by day 28
+  NEURAL_TUBE: {
+    key: 'neural_tube',
+    name: 'Neural tube closure',
+    weeks: [4, 6],
+    outcome: 'Neural tube defects (spina bifida, anencephaly)'
+  },
+  // Heart tube forms about 3 weeks after conception; septation is complete by about 8 weeks
+  CARDIAC: {
+    key: 'cardiac',
+    name: 'Cardiac development',
+    weeks: [5, 10],
+    outcome: 'Congenital heart defects'
+  },
+  // Upper lip fuses 6 to 7 weeks after conception; the secondary palate closes by about 10 weeks
+  PALATE: {
+    key: 'palate',
+    name: 'Palate formation',
+    weeks: [8, 12],
+    outcome: 'Cleft lip and palate'
+  }
+};
+
+/**
+ * Critical period severities, lowest first
+ */
+const SEVERITY_ORDER = ['normal', 'moderate', 'high', 'critical'];
+
+/**
+ * Resolve one end of an exposure to a gestational week
+ *
+ * @param {Object} exposure - Exposure input
+ * @param {string} end - 'start' or 'stop'
+ * @param {Object} dating - Dating input for date-based exposures
+ * @returns {number|null} Week (zero or negative before LMP), or null if unknown
+ */
+function resolveExposureWeek(exposure, end, dating) {
+  const week = exposure[`${end}Week`];
+  const date = exposure[`${end}Date`];
+
+  if (typeof week === 'number') return week;
+  if (!date) return null;
+
+  if (!dating) {
+    throw createError(
+      ERROR_CODES.INVALID_DATE,
+      `Dating information is required to place ${end}Date on the pregnancy timeline`
+    );
+  }
+
+  return Math.floor(getGestationalDays(dating, date) / 7);
+}
+
+/**
+ * Assess one embryonic window against an exposure span
+ *
+ * @param {Object} window - EMBRYONIC_WINDOWS entry
+ * @param {Object} medication - Medication object
+ * @param {number} start - First exposed week
+ * @param {number} stop - Last exposed week
+ * @returns {Object} Window assessment
+ */
+function assessWindow(window, medication, start, stop) {
+  const from = Math.max(start, window.weeks[0]);
+  const to = Math.min(stop, window.weeks[1]);
+
+  if (from > to) {
+    return {
+      ...window,
+      exposed: false,
+      overlapWeeks: null,
+      severity: null,
+      reasons: [],
+      riskScore: null,
+      riskLevel: null
+    };
+  }
+
+  // Malformations are not expected from all-or-none exposure, so the
+  // per-week first trimester score does not apply
+  if (window.key === EMBRYONIC_WINDOWS.ALL_OR_NONE.key) {
+    return {
+      ...window,
+      exposed: true,
+      overlapWeeks: [from, to],
+      severity: 'normal',
+      reasons: [window.outcome],
+      riskScore: null,
+      riskLevel: null
+    };
+  }
+
+  let severity = 'normal';
+  let riskScore = 0;
+  const reasons = new Set();
+
+  for (let week = from; week <= to; week++) {
+    const critical = isCriticalPeriod(week);
+    if (SEVERITY_ORDER.indexOf(critical.severity) > SEVERITY_ORDER.indexOf(severity)) {
+      severity = critical.severity;
+    }
+    if (critical.isCritical) reasons.add(critical.reason);
+
+    // null for an unclassified medication: its risk is unknown, not low
+    const weekScore = calculateRiskScore(medication, week);
+    riskScore = weekScore === null ? null : Math.max(riskScore ?? 0, weekScore);
+  }
+
+  return {
+    ...window,
+    exposed: true,
+    overlapWeeks: [from, to],
+    severity,
+    reasons: Array.from(reasons),
+    riskScore,
+    riskLevel: riskScore === null ? 'unknown' : getRiskLevel(riskScore)
+  };
+}
+
+/**
+ * Analyze which embryonic windows a medication exposure overlapped
+ *
+ * @param {Object} exposure - Exposure
+ * @param {string} exposure.medicationName - Medication name or RxCUI
+ * @param {number} [exposure.startWeek] - First week taken (zero or negative = before LMP)
+ * @param {number} [exposure.stopWeek] - Last week taken (omit if ongoing)
+ * @param {Date|string} [exposure.startDate] - Date first taken (needs options.dating)
+ * @param {Date|string} [exposure.stopDate] - Date last taken (needs options.dating)
+ * @param {Object} [options] - { dating } getGestationalAge input for date-based exposures
+ * @returns {Object} Exposure analysis
+ */
+function analyzeExposure(exposure, options = {}) {
+  if (!exposure || !exposure.medicationName) {
+    throw new Error('Medication name is required');
+  }
+
+  const medication = resolveMedication(exposure.medicationName, { combinations: true })?.medication;
+  if (!medication) {
+    throw medicationNotFoundError(exposure.medicationName);
+  }
+
+  // A combination product is assessed by each active ingredient in the database
+  const records = medication.combination
+    ? expandCombinationProduct(medication).map(ingredient => ingredient.medication).filter(Boolean)
+    : [medication];
+
+  const startWeek = resolveExposureWeek(exposure, 'start', options.dating);
+  const stopWeek = resolveExposureWeek(exposure, 'stop', options.dating);
+
+  if (startWeek !== null && stopWeek !== null && startWeek > stopWeek) {
+    throw createError(ERROR_CODES.INVALID_WEEK, `Exposure starts (week ${startWeek}) after it stops (week ${stopWeek})`);
+  }
+
+  // An unknown start is treated as exposed since before conception,
+  // an unknown stop as still ongoing
+  const start = startWeek ?? -Infinity;
+  const stop = stopWeek ?? Infinity;
+
+  const byIngredient = records.map(record => ({
+    record,
+    windows: Object.values(EMBRYONIC_WINDOWS).map(window => assessWindow(window, record, start, stop))
+  }));
+
+  // Worst ingredient per window
+  const windows = Object.values(EMBRYONIC_WINDOWS).map((window, index) =>
+    byIngredient
+      .map(ingredient => ({ ...ingredient.windows[index], ...(medication.combination && { worstIngredient: ingredient.record.name }) }))
+      .reduce((worst, w) => ((w.riskScore ?? -1) > (worst.riskScore ?? -1) ? w : worst))
+  );
+  const exposed = windows.filter(w => w.exposed);
+
+  const highestSeverity = exposed.reduce((highest, w) =>
+    SEVERITY_ORDER.indexOf(w.severity) > SEVERITY_ORDER.indexOf(highest) ? w.severity : highest
+  , 'normal');
+  const highestRiskScore = maxScore(exposed.map(w => w.riskScore));
+  const ingredients = byIngredient.map(({ record, windows: ingredientWindows }) => {
+    const scores = ingredientWindows.filter(w => w.exposed).map(w => w.riskScore);
+    return { name: record.name, highestRiskScore: maxScore(scores) };
+  });
+  const worst = ingredients.reduce((a, b) => ((b.highestRiskScore ?? -1) > (a.highestRiskScore ?? -1) ? b : a));
+  const risk = resolvePregnancyRisk(records[ingredients.indexOf(worst)]);
+
+  return {
+    medicationName: medication.name,
+    ...(medication.combination && { combination: true, ingredients }),
+    fdaCategory: risk.fdaCategory,
+    riskBasis: risk.basis,
+    exposureWeeks: {
+      start: startWeek,
+      stop: stopWeek,
+      startKnown: startWeek !== null,
+      ongoing: stopWeek === null
+    },
+    preconceptionOnly: stop < EMBRYONIC_WINDOWS.ALL_OR_NONE.weeks[0],
+    allOrNoneOnly: exposed.length === 1 && exposed[0].key === EMBRYONIC_WINDOWS.ALL_OR_NONE.key,
+    windows,
+    exposedWindows: exposed.map(w => w.key),
+    highestSeverity: exposed.length > 0 ? highestSeverity : null,
+    highestRiskScore,
+    riskLevel: highestRiskScore !== null ? getRiskLevel(highestRiskScore) : null,
+    summary: summarizeExposure(medication.name, exposed)
+  };
+}
+
+/**
+ * Analyze several exposures, or every course in a patient medication profile
+ *
+ * @param {Array<Object>|PatientMedicationProfile} exposures - Exposures (see analyzeExposure)
+ *   or an object with getHistory()
+ * @param {Object} [options] - { dating }
+ * @returns {Object} Per-exposure analyses and the combined result
+ */
+function analyzeExposures(exposures, options = {}) {
+  let list = exposures;
+
+  // Profile courses already carry resolved weeks
+  if (exposures && typeof exposures.getHistory === 'function') {
+    list = exposures.getHistory().map(course => ({
+      medicationName: course.medicationName,
+      startWeek: course.startWeek,
+      stopWeek: course.stopWeek
+    }));
+  }
+
+  if (!Array.isArray(list)) {
+    throw new Error('Exposures must be an array or a medication profile');
+  }
+
+  const analyses = list.map(exposure => analyzeExposure(exposure, options));
+  const exposed = analyses.filter(a => a.exposedWindows.length > 0);
+  const highestRiskScore = maxScore(exposed.map(a => a.highestRiskScore));
+
+  return {
+    exposures: analyses,
+    exposedWindows: Object.values(EMBRYONIC_WINDOWS)
+      .map(w => w.key)
+      .filter(key => analyses.some(a => a.exposedWindows.includes(key))),
+    highestSeverity: exposed.reduce((highest, a) =>
+      SEVERITY_ORDER.indexOf(a.highestSeverity) > SEVERITY_ORDER.indexOf(highest) ? a.highestSeverity : highest
+    , exposed.length > 0 ? 'normal' : null),
+    highestRiskScore,
+    riskLevel: highestRiskScore !== null ? getRiskLevel(highestRiskScore) : null
+  };
+}
+
+/**
+ * Highest of a list of risk scores, ignoring windows without one
+ *
+ * @param {Array<number|null>} scores - Risk scores
+ * @returns {number|null} Highest score, or null if none
+ */
+function maxScore(scores) {
+  const known = scores.filter(score => score !== null);
+  return known.length > 0 ? Math.max(...known) : null;
+}
+
+/**
+ * Build a one-line summary of an exposure analysis
+ *
+ * @param {string} medicationName - Medication name
+ * @param {Array<Object>} exposedWindows - Exposed window assessments
+ * @returns {string} Summary
+ */
+function summarizeExposure(medicationName, exposedWindows) {
+  if (exposedWindows.length === 0) {
+    return `${medicationName} exposure did not overlap an embryonic development window`;
+  }
+
+  if (exposedWindows.length === 1 && exposedWindows[0].key === EMBRYONIC_WINDOWS.ALL_OR_NONE.key) {
+    return `${medicationName} exposure was limited to the all-or-none period; if the pregnancy continues, malformations are not expected`;
+  }
+
+  return `${medicationName} exposure overlapped: ${exposedWindows.map(w => w.name.toLowerCase()).join(', ')}`;
+}
+
+module.exports = {
+  // Constants
+  EMBRYONIC_WINDOWS,
+
+  // Core functions
+  analyzeExposure,
+  analyzeExposures,
+
+  // Helper functions
+  summarizeExposure
+};
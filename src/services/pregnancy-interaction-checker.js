@@ -7,366 +7,405 @@
  * @module pregnancy-interaction-checker
  */
 
-const { findMedication, getTrimester, FDA_CATEGORIES } = require('./pregnancy-safety-engine');
-const { validateWeek } = require('../utils/validators');
+const path = require('path');
+const { addDays, differenceInCalendarDays, format } = require('date-fns');
+const { getTrimester, FDA_CATEGORIES } = require('./pregnancy-safety-engine');
+const { toWeekOfPregnancy, createError } = require('../utils/validators');
+const { resolvePregnancyRisk } = require('../utils/pllr');
+const { ERROR_CODES, RISK_BASIS, THERAPEUTIC_CLASSES, FOLIC_ACID_STANDARD } = require('../utils/constants');
+const { loadKnowledgeBase } = require('./knowledge-base');
+const { expandMedicationName } = require('./combination-products');
+const { parseDate } = require('./pregnancy-dating');
 
 /**
- * Pregnancy-specific drug interactions
- * Some interactions that are moderate normally become serious during pregnancy
+ * Interaction rules and maternal-condition guidance, loaded and validated from
+ * src/data/pregnancy-interactions.json and src/data/maternal-conditions.json
+ *
+ * Each interaction rule lists the participants it matches in `match`: a
+ * therapeutic class ({ class: 'nsaid' }, see constants.THERAPEUTIC_CLASSES) or a
+ * single drug ({ drug: 'Levothyroxine' }). Two-participant rules are drug
+ * interactions; one-participant rules describe a contraindication in pregnancy.
+ * Alternatives are keyed by class or drug and reported per concrete medication.
+ * Washout rules match one participant, or a drug by one of its `aliases`, and
+ * give the weeks before conception a medication must be stopped.
  */
-const PREGNANCY_INTERACTIONS = {
-  // NSAIDs + ACE Inhibitors - High risk during pregnancy
-  'ibuprofen_lisinopril': {
-    medications: ['Ibuprofen', 'Lisinopril'],
-    severity: 'critical',
-    normalSeverity: 'moderate',
-    pregnancySpecific: true,
-    reason: 'Combined use significantly increases risk of renal failure in fetus',
-    effects: {
-      maternal: ['Kidney damage', 'Blood pressure instability'],
-      fetal: ['Renal failure', 'Oligohydramnios', 'Fetal death'],
-      neonatal: ['Kidney dysfunction', 'Hypotension']
-    },
-    trimesterRisks: {
-      1: 'high',
-      2: 'critical',
-      3: 'critical'
-    },
-    recommendation: 'AVOID COMBINATION - Use safer alternatives',
-    alternatives: {
-      'Ibuprofen': ['Acetaminophen'],
-      'Lisinopril': ['Methyldopa', 'Labetalol']
-    }
-  },
+let knowledgeBase = loadKnowledgeBase();
 
-  // NSAIDs + NSAIDs - Increased bleeding risk
-  'ibuprofen_aspirin': {
-    medications: ['Ibuprofen', 'Aspirin'],
-    severity: 'high',
-    normalSeverity: 'moderate',
-    pregnancySpecific: true,
-    reason: 'Increased bleeding risk, especially near delivery',
-    effects: {
-      maternal: ['Increased bleeding', 'Prolonged labor'],
-      fetal: ['Premature closure of ductus arteriosus'],
-      neonatal: ['Bleeding complications', 'Pulmonary hypertension']
-    },
-    trimesterRisks: {
-      1: 'moderate',
-      2: 'high',
-      3: 'critical'
-    },
-    recommendation: 'Avoid in 3rd trimester; use caution earlier',
-    alternatives: {
-      'Ibuprofen': ['Acetaminophen'],
-      'Aspirin': ['Low-dose aspirin under supervision only']
-    }
-  },
+/**
+ * Supplementary files the knowledge base was loaded with by useKnowledgeBase,
+ * or null while no BumpieMeds instance has configured it
+ */
+let knowledgeBaseClaim = null;
 
-  // SSRIs + NSAIDs - Bleeding risk
-  'sertraline_ibuprofen': {
-    medications: ['Sertraline', 'Ibuprofen'],
-    severity: 'high',
-    normalSeverity: 'moderate',
-    pregnancySpecific: true,
-    reason: 'Both increase bleeding risk; synergistic effect during pregnancy',
-    effects: {
-      maternal: ['Postpartum hemorrhage risk'],
-      fetal: ['Persistent pulmonary hypertension (3rd trimester)'],
-      neonatal: ['Bleeding', 'Withdrawal symptoms']
-    },
-    trimesterRisks: {
-      1: 'moderate',
-      2: 'moderate',
-      3: 'high'
-    },
-    recommendation: 'Avoid combination; use acetaminophen instead of NSAIDs',
-    alternatives: {
-      'Ibuprofen': ['Acetaminophen']
-    }
-  },
+/**
+ * Describe a supplementary file list so equal configurations compare equal
+ *
+ * @param {Array<string|Object>} supplementary - File paths or parsed files
+ * @returns {string} Comparable key
+ */
+function supplementaryKey(supplementary) {
+  return JSON.stringify(supplementary.map(file =>
+    typeof file === 'string' ? path.resolve(file) : file
+  ));
+}
 
-  // Statins + Pregnancy (any medication)
-  'atorvastatin_pregnancy': {
-    medications: ['Atorvastatin'],
-    severity: 'critical',
-    normalSeverity: 'n/a',
-    pregnancySpecific: true,
-    reason: 'Category X - Absolutely contraindicated in pregnancy',
-    effects: {
-      maternal: ['None specific'],
-      fetal: ['Severe birth defects', 'Skeletal abnormalities', 'CNS malformations'],
-      neonatal: ['Multiple congenital anomalies']
-    },
-    trimesterRisks: {
-      1: 'critical',
-      2: 'critical',
-      3: 'critical'
-    },
-    recommendation: 'DISCONTINUE IMMEDIATELY - Never use during pregnancy',
-    alternatives: {
-      'Atorvastatin': ['Dietary management', 'Bile acid sequestrants (limited use)']
-    }
-  },
+/**
+ * Reload the knowledge base with host-supplied supplementary rule files
+ * Supplementary interactions and conditions are merged over the built-in set.
+ * This replaces any configuration made through useKnowledgeBase
+ *
+ * @param {Object} [options] - Options
+ * @param {Array<string|Object>} [options.supplementary] - File paths or parsed files
+ * @returns {Object} Content version of the merged knowledge base
+ */
+function configureKnowledgeBase(options = {}) {
+  knowledgeBase = loadKnowledgeBase(options);
+  knowledgeBaseClaim = null;
+  return knowledgeBase.contentVersion;
+}
 
-  // ACE Inhibitors + Pregnancy
-  'lisinopril_pregnancy': {
-    medications: ['Lisinopril'],
-    severity: 'critical',
-    normalSeverity: 'n/a',
-    pregnancySpecific: true,
-    reason: 'Causes fetal renal damage and death in 2nd/3rd trimesters',
-    effects: {
-      maternal: ['Hypotension'],
-      fetal: ['Renal failure', 'Oligohydramnios', 'Intrauterine growth restriction', 'Death'],
-      neonatal: ['Anuria', 'Hypotension', 'Renal failure', 'Death']
-    },
-    trimesterRisks: {
-      1: 'high',
-      2: 'critical',
-      3: 'critical'
-    },
-    recommendation: 'DISCONTINUE - Switch to pregnancy-safe antihypertensive',
-    alternatives: {
-      'Lisinopril': ['Methyldopa', 'Labetalol', 'Nifedipine']
-    }
-  },
+/**
+ * Load the knowledge base for a BumpieMeds instance
+ * The knowledge base is shared by every instance in the process, so the first
+ * instance loads its supplementary files and later instances must ask for the
+ * same files
+ *
+ * @param {Object} [options] - Options
+ * @param {Array<string|Object>} [options.supplementary] - File paths or parsed files
+ * @returns {Object} Content version of the merged knowledge base
+ * @throws {Error} INVALID_CONFIG if another instance loaded different files
+ */
+function useKnowledgeBase(options = {}) {
+  const key = supplementaryKey(options.supplementary || []);
+
+  if (knowledgeBaseClaim === null) {
+    knowledgeBase = loadKnowledgeBase(options);
+    knowledgeBaseClaim = key;
+  } else if (knowledgeBaseClaim !== key) {
+    throw createError(
+      ERROR_CODES.INVALID_CONFIG,
+      'knowledgeBaseFiles differ from those already loaded by another instance; the knowledge base is shared by every instance in the process',
+      { loaded: knowledgeBase.contentVersion.id }
+    );
+  }
 
-  // ARBs + Pregnancy  
-  'losartan_pregnancy': {
-    medications: ['Losartan'],
-    severity: 'critical',
-    normalSeverity: 'n/a',
-    pregnancySpecific: true,
-    reason: 'Similar mechanism to ACE inhibitors - causes fetal harm',
-    effects: {
-      maternal: ['Hypotension'],
-      fetal: ['Renal failure', 'Oligohydramnios', 'Skull hypoplasia', 'Death'],
-      neonatal: ['Anuria', 'Hypotension', 'Renal failure']
-    },
-    trimesterRisks: {
-      1: 'high',
-      2: 'critical',
-      3: 'critical'
-    },
-    recommendation: 'DISCONTINUE - Switch to safer blood pressure medication',
-    alternatives: {
-      'Losartan': ['Methyldopa', 'Labetalol', 'Nifedipine']
-    }
+  return knowledgeBase.contentVersion;
+}
+
+/**
+ * Get the content version of the loaded knowledge base
+ *
+ * @returns {Object} { id, interactions, conditions, supplementary }
+ */
+function getContentVersion() {
+  return knowledgeBase.contentVersion;
+}
+
+/**
+ * Check whether a medication satisfies an interaction rule participant
+ * 
+ * @param {Object} medication - Medication record
+ * @param {Object} participant - { class } or { drug }
+ * @returns {boolean} True if the medication matches
+ */
+function matchesParticipant(medication, participant) {
+  if (participant.drug) {
+    const drug = participant.drug.toLowerCase();
+    return [medication.name, medication.genericName].some(name => name?.toLowerCase() === drug);
   }
-};
+
+  return (medication.therapeuticClasses || []).includes(participant.class);
+}
 
 /**
- * Maternal health conditions and medication considerations
+ * Build an interaction result from a rule and the medications that matched it
+ * Reports the concrete medications and the class or drug each one matched on,
+ * and keys the rule's alternatives by concrete medication name
+ * 
+ * @param {string} ruleId - Interaction rule key
+ * @param {Object} rule - Interaction rule
+ * @param {Array<Object>} matched - [{ medication, participant }] in rule order
+ * @returns {Object} Interaction
  */
-const MATERNAL_CONDITIONS = {
-  HYPERTENSION: {
-    condition: 'Hypertension (High Blood Pressure)',
-    risksInPregnancy: ['Preeclampsia', 'Placental abruption', 'Preterm birth'],
-    safeMedications: {
-      firstLine: ['Methyldopa', 'Labetalol', 'Nifedipine'],
-      secondLine: ['Hydralazine'],
-      avoid: ['ACE Inhibitors (Lisinopril)', 'ARBs (Losartan)', 'Atenolol']
-    },
-    trimesterConsiderations: {
-      1: 'Close monitoring; establish safe medication regimen',
-      2: 'Monitor for preeclampsia; adjust medications as needed',
-      3: 'Prepare for delivery; may need medication adjustments'
+function buildInteraction(ruleId, rule, matched) {
+  const { match, alternatives: ruleAlternatives = {}, ...details } = rule;
+  const alternatives = {};
+
+  matched.forEach(({ medication, participant }) => {
+    const options = ruleAlternatives[medication.genericName] || ruleAlternatives[participant.drug || participant.class];
+    if (options) {
+      alternatives[medication.genericName] = options;
     }
-  },
+  });
 
-  DIABETES: {
-    condition: 'Diabetes',
-    risksInPregnancy: ['Macrosomia', 'Birth defects', 'Preeclampsia', 'Preterm birth'],
-    safeMedications: {
-      firstLine: ['Insulin (all types)', 'Metformin (growing evidence)'],
-      secondLine: ['Glyburide (limited use)'],
-      avoid: ['Most oral hypoglycemics', 'GLP-1 agonists', 'SGLT2 inhibitors']
-    },
-    trimesterConsiderations: {
-      1: 'Strict glucose control critical for organ formation',
-      2: 'Monitor for macrosomia; adjust insulin as resistance increases',
-      3: 'Prepare for delivery; monitor for complications'
-    }
-  },
+  return {
+    ruleId,
+    ...details,
+    medications: matched.map(({ medication }) => medication.genericName),
+    matchedOn: matched.map(({ medication, participant }) => participant.drug
+      ? { medication: medication.genericName, drug: participant.drug }
+      : {
+        medication: medication.genericName,
+        class: participant.class,
+        classLabel: THERAPEUTIC_CLASSES[participant.class]?.label || participant.class
+      }),
+    alternatives
+  };
+}
 
-  DEPRESSION: {
-    condition: 'Depression',
-    risksInPregnancy: ['Poor prenatal care', 'Preterm birth', 'Low birth weight'],
-    safeMedications: {
-      firstLine: ['Sertraline', 'Fluoxetine (some risk)'],
-      secondLine: ['Citalopram', 'Escitalopram'],
-      avoid: ['Paroxetine (Category D)', 'MAO inhibitors']
-    },
-    trimesterConsiderations: {
-      1: 'Weigh benefits vs risks; some small risk of defects',
-      2: 'Generally safer; continue if needed',
-      3: 'Monitor for neonatal adaptation syndrome; taper if possible'
-    }
-  },
+/**
+ * Find the single-medication pregnancy rule for a medication
+ * 
+ * @param {Object} medication - Medication record
+ * @returns {Object|null} Interaction built from the rule, or null
+ */
+function findPregnancyRule(medication) {
+  const entry = Object.entries(knowledgeBase.interactions).find(([, rule]) =>
+    rule.match.length === 1 && matchesParticipant(medication, rule.match[0])
+  );
 
-  ASTHMA: {
-    condition: 'Asthma',
-    risksInPregnancy: ['Preeclampsia', 'Preterm birth', 'Low birth weight'],
-    safeMedications: {
-      firstLine: ['Albuterol', 'Budesonide inhaled'],
-      secondLine: ['Montelukast', 'Other inhaled corticosteroids'],
-      avoid: ['Epinephrine (except emergencies)', 'Systemic steroids (minimize)']
-    },
-    trimesterConsiderations: {
-      1: 'Maintain good control; uncontrolled asthma more dangerous than meds',
-      2: 'Continue treatment; monitor lung function',
-      3: 'Prepare for delivery; have emergency plan'
-    }
-  },
+  if (!entry) return null;
 
-  EPILEPSY: {
-    condition: 'Epilepsy',
-    risksInPregnancy: ['Seizures harm both mother and fetus', 'Medication-related birth defects'],
-    safeMedications: {
-      firstLine: ['Lamotrigine', 'Levetiracetam'],
-      secondLine: ['Oxcarbazepine'],
-      avoid: ['Valproate (highest risk)', 'Phenytoin', 'Carbamazepine']
-    },
-    trimesterConsiderations: {
-      1: 'Folic acid critical; switch to safer medication if possible',
-      2: 'Monitor medication levels; pregnancy increases metabolism',
-      3: 'Plan for delivery; seizure control essential'
-    }
-  },
+  const [ruleId, rule] = entry;
+  return buildInteraction(ruleId, rule, [{ medication, participant: rule.match[0] }]);
+}
 
-  THYROID: {
-    condition: 'Thyroid Disorders',
-    risksInPregnancy: ['Miscarriage', 'Preeclampsia', 'Preterm birth', 'Developmental delays'],
-    safeMedications: {
-      firstLine: ['Levothyroxine (hypothyroid)', 'Propylthiouracil (hyperthyroid - 1st trimester)', 'Methimazole (hyperthyroid - 2nd/3rd trimester)'],
-      secondLine: [],
-      avoid: ['Radioactive iodine']
-    },
-    trimesterConsiderations: {
-      1: 'Critical for fetal brain development; increase levothyroxine dose',
-      2: 'Continue monitoring; adjust as needed',
-      3: 'Prepare for postpartum thyroid changes'
+/**
+ * Find every two-medication rule triggered by a pair of medications
+ * 
+ * @param {Object} med1 - Medication record
+ * @param {Object} med2 - Medication record
+ * @returns {Array<Object>} Interactions
+ */
+function matchInteractionRules(med1, med2) {
+  const matches = [];
+
+  Object.entries(knowledgeBase.interactions).forEach(([ruleId, rule]) => {
+    if (rule.match.length !== 2) return;
+
+    const [first, second] = rule.match;
+    if (matchesParticipant(med1, first) && matchesParticipant(med2, second)) {
+      matches.push(buildInteraction(ruleId, rule, [
+        { medication: med1, participant: first },
+        { medication: med2, participant: second }
+      ]));
+    } else if (matchesParticipant(med2, first) && matchesParticipant(med1, second)) {
+      matches.push(buildInteraction(ruleId, rule, [
+        { medication: med2, participant: first },
+        { medication: med1, participant: second }
+      ]));
     }
-  }
-};
+  });
+
+  return matches;
+}
+
+/**
+ * Resolve medication names to records, dropping unknown names. A combination
+ * product contributes one entry per active ingredient in the database
+ * 
+ * @param {Array<string>} medicationNames - Medication names
+ * @returns {Array<Object>} [{ name, medication, product }]; product is null for single medications
+ */
+function expandMedications(medicationNames) {
+  return medicationNames.flatMap(name => {
+    const { product, ingredients } = expandMedicationName(name);
+    return ingredients
+      .filter(ingredient => ingredient.medication)
+      .map(({ medication }) => ({ name, medication, product }));
+  });
+}
+
+/**
+ * Drop duplicate records (the same drug entered under a brand and a generic
+ * name, or as an ingredient of more than one product)
+ * 
+ * @param {Array<Object>} entries - Entries from expandMedications
+ * @returns {Array<Object>} Medication records
+ */
+function uniqueMedications(entries) {
+  const seen = new Set();
+
+  return entries
+    .map(entry => entry.medication)
+    .filter(med => {
+      if (seen.has(med.genericName)) return false;
+      seen.add(med.genericName);
+      return true;
+    });
+}
+
+/**
+ * Find active ingredients taken through more than one entered medication
+ * where at least one is a combination product ("Percocet" and "Tylenol")
+ * 
+ * @param {Array<Object>} entries - Entries from expandMedications
+ * @returns {Array<Object>} [{ ingredient, sources }] with sources as entered
+ */
+function findDuplicateIngredients(entries) {
+  const byIngredient = new Map();
+
+  entries.forEach(entry => {
+    const group = byIngredient.get(entry.medication.genericName) || [];
+    byIngredient.set(entry.medication.genericName, [...group, entry]);
+  });
+
+  return [...byIngredient.entries()]
+    .map(([ingredient, group]) => ({
+      ingredient,
+      sources: [...new Set(group.map(entry => entry.name))],
+      combination: group.some(entry => entry.product)
+    }))
+    .filter(({ sources, combination }) => combination && sources.length > 1)
+    .map(({ ingredient, sources }) => ({ ingredient, sources }));
+}
+
+/**
+ * Combination products among the entered names, with the ingredients they were checked by
+ * 
+ * @param {Array<Object>} entries - Entries from expandMedications
+ * @returns {Array<Object>} [{ name, product, ingredients, checked }] with checked the ingredients found in the database
+ */
+function combinationProductsIn(entries) {
+  const products = new Map();
+
+  entries.filter(entry => entry.product).forEach(({ name, medication, product }) => {
+    const summary = products.get(name) || { name, product: product.name, ingredients: product.ingredients, checked: [] };
+    summary.checked.push(medication.genericName);
+    products.set(name, summary);
+  });
+
+  return [...products.values()];
+}
 
 /**
  * Check for drug interactions during pregnancy
  * 
  * @param {Array<string>} medicationNames - Array of medication names
- * @param {number} weekOfPregnancy - Current week of pregnancy
+ * @param {number|Object} weekOfPregnancy - Current week of pregnancy or gestational age from pregnancy-dating
  * @returns {Object} Interaction assessment
  */
 function checkPregnancyInteractions(medicationNames, weekOfPregnancy) {
   if (!Array.isArray(medicationNames) || medicationNames.length === 0) {
-    throw new Error('Medication names must be a non-empty array');
+    throw createError(ERROR_CODES.INVALID_REQUEST, 'Medication names must be a non-empty array');
   }
 
-  validateWeek(weekOfPregnancy);
+  weekOfPregnancy = toWeekOfPregnancy(weekOfPregnancy);
 
   const trimester = getTrimester(weekOfPregnancy);
   const interactions = [];
   const warnings = [];
   let highestSeverity = 'none';
 
+  // Combination products are checked by each of their active ingredients
+  const expanded = expandMedications(medicationNames);
+
   // Check each medication individually for pregnancy contraindications
-  medicationNames.forEach(medName => {
-    const med = findMedication(medName);
-    if (med) {
-      const fdaCategory = med.pregnancyCategory?.fda;
+  expanded.forEach(({ name, medication: med, product }) => {
+    // PLLR-only labels are placed on the letter scale via their Risk Summary
+    const riskBasis = resolvePregnancyRisk(med);
+    const fdaCategory = riskBasis.scoringCategory;
+    const labelSource = riskBasis.basis === RISK_BASIS.PLLR ? 'PLLR Risk Summary' : `Category ${fdaCategory}`;
+    
+    // Check for Category X (contraindicated)
+    if (fdaCategory === 'X') {
+      const interaction = findPregnancyRule(med) || {
+        medications: [med.genericName],
+        severity: 'critical',
+        pregnancySpecific: true,
+        reason: `${labelSource} - Contraindicated in pregnancy`,
+        effects: {
+          maternal: ['Unknown'],
+          fetal: ['Birth defects', 'Fetal harm'],
+          neonatal: ['Potential complications']
+        },
+        trimesterRisks: { 1: 'critical', 2: 'critical', 3: 'critical' },
+        recommendation: 'DISCONTINUE IMMEDIATELY',
+        alternatives: {}
+      };
       
-      // Check for Category X (contraindicated)
-      if (fdaCategory === 'X') {
-        const interactionKey = `${med.genericName.toLowerCase()}_pregnancy`;
-        const interaction = PREGNANCY_INTERACTIONS[interactionKey] || {
-          medications: [med.genericName],
-          severity: 'critical',
-          pregnancySpecific: true,
-          reason: 'Category X - Contraindicated in pregnancy',
-          effects: {
-            maternal: ['Unknown'],
-            fetal: ['Birth defects', 'Fetal harm'],
-            neonatal: ['Potential complications']
-          },
-          trimesterRisks: { 1: 'critical', 2: 'critical', 3: 'critical' },
-          recommendation: 'DISCONTINUE IMMEDIATELY',
-          alternatives: {}
-        };
-        
-        interactions.push({
-          type: 'pregnancy_contraindication',
-          ...interaction,
-          currentTrimester: trimester.number
-        });
-        
-        highestSeverity = 'critical';
-      }
+      interactions.push({
+        type: 'pregnancy_contraindication',
+        ...interaction,
+        ...(product && { product: name }),
+        currentTrimester: trimester.number
+      });
       
-      // Check for Category D (serious risk)
-      else if (fdaCategory === 'D') {
-        const interactionKey = `${med.genericName.toLowerCase()}_pregnancy`;
-        const interaction = PREGNANCY_INTERACTIONS[interactionKey] || {
-          medications: [med.genericName],
-          severity: 'high',
-          pregnancySpecific: true,
-          reason: 'Category D - Evidence of fetal risk',
-          effects: {
-            maternal: ['Varies by medication'],
-            fetal: ['Fetal harm possible'],
-            neonatal: ['Potential complications']
-          },
-          trimesterRisks: { 1: 'high', 2: 'high', 3: 'high' },
-          recommendation: 'Avoid unless benefits outweigh risks',
-          alternatives: {}
-        };
-        
-        interactions.push({
-          type: 'pregnancy_high_risk',
-          ...interaction,
-          currentTrimester: trimester.number
-        });
-        
-        if (highestSeverity !== 'critical') {
-          highestSeverity = 'high';
-        }
+      highestSeverity = 'critical';
+    }
+    
+    // Check for Category D (serious risk)
+    else if (fdaCategory === 'D') {
+      const interaction = findPregnancyRule(med) || {
+        medications: [med.genericName],
+        severity: 'high',
+        pregnancySpecific: true,
+        reason: `${labelSource} - Evidence of fetal risk`,
+        effects: {
+          maternal: ['Varies by medication'],
+          fetal: ['Fetal harm possible'],
+          neonatal: ['Potential complications']
+        },
+        trimesterRisks: { 1: 'high', 2: 'high', 3: 'high' },
+        recommendation: 'Avoid unless benefits outweigh risks',
+        alternatives: {}
+      };
+      
+      interactions.push({
+        type: 'pregnancy_high_risk',
+        ...interaction,
+        ...(product && { product: name }),
+        currentTrimester: trimester.number
+      });
+      
+      if (highestSeverity !== 'critical') {
+        highestSeverity = 'high';
       }
     }
   });
 
-  // Check for drug-drug interactions
-  for (let i = 0; i < medicationNames.length; i++) {
-    for (let j = i + 1; j < medicationNames.length; j++) {
-      const med1 = findMedication(medicationNames[i]);
-      const med2 = findMedication(medicationNames[j]);
-      
-      if (med1 && med2) {
-        // Create interaction key (alphabetically sorted)
-        const names = [med1.genericName.toLowerCase(), med2.genericName.toLowerCase()].sort();
-        const interactionKey = names.join('_');
+  // The same ingredient through a combination product and another medication
+  findDuplicateIngredients(expanded).forEach(({ ingredient, sources }) => {
+    interactions.push({
+      type: 'duplicate_ingredient',
+      medications: [ingredient],
+      sources,
+      severity: 'moderate',
+      pregnancySpecific: false,
+      reason: `${ingredient} is an active ingredient of more than one medication (${sources.join(', ')})`,
+      recommendation: `Check the combined daily dose of ${ingredient} across all products`,
+      alternatives: {},
+      currentTrimester: trimester.number
+    });
+
+    if (highestSeverity === 'none') {
+      highestSeverity = 'moderate';
+    }
+  });
+
+  // Check for drug-drug interactions (class-to-class, class-to-drug and drug-to-drug rules)
+  const resolved = uniqueMedications(expanded);
+  for (let i = 0; i < resolved.length; i++) {
+    for (let j = i + 1; j < resolved.length; j++) {
+      matchInteractionRules(resolved[i], resolved[j]).forEach(interaction => {
+        const trimesterRisk = interaction.trimesterRisks[trimester.number];
         
-        const interaction = PREGNANCY_INTERACTIONS[interactionKey];
+        interactions.push({
+          type: 'drug_interaction',
+          ...interaction,
+          currentTrimester: trimester.number,
+          currentTrimesterRisk: trimesterRisk
+        });
         
-        if (interaction) {
-          const trimesterRisk = interaction.trimesterRisks[trimester.number];
-          
-          interactions.push({
-            type: 'drug_interaction',
-            ...interaction,
-            currentTrimester: trimester.number,
-            currentTrimesterRisk: trimesterRisk
-          });
-          
-          // Update highest severity
-          if (interaction.severity === 'critical' || trimesterRisk === 'critical') {
-            highestSeverity = 'critical';
-          } else if (interaction.severity === 'high' && highestSeverity !== 'critical') {
-            highestSeverity = 'high';
-          } else if (interaction.severity === 'moderate' && highestSeverity === 'none') {
-            highestSeverity = 'moderate';
-          }
+        // Update highest severity
+        if (interaction.severity === 'critical' || trimesterRisk === 'critical') {
+          highestSeverity = 'critical';
+        } else if (interaction.severity === 'high' && highestSeverity !== 'critical') {
+          highestSeverity = 'high';
+        } else if (interaction.severity === 'moderate' && highestSeverity === 'none') {
+          highestSeverity = 'moderate';
         }
-      }
+      });
     }
   }
 
@@ -378,6 +417,7 @@ function checkPregnancyInteractions(medicationNames, weekOfPregnancy) {
     weekOfPregnancy,
     trimester: trimester.number,
     medications: medicationNames,
+    combinationProducts: combinationProductsIn(expanded),
     interactionsFound: interactions.length,
     interactions,
     highestSeverity,
@@ -385,6 +425,7 @@ function checkPregnancyInteractions(medicationNames, weekOfPregnancy) {
     requiresProviderConsent,
     requiresObstetrician,
     recommendation: generateInteractionRecommendation(highestSeverity, interactions),
+    contentVersion: knowledgeBase.contentVersion,
     assessmentDate: new Date().toISOString()
   };
 }
@@ -398,14 +439,15 @@ function checkPregnancyInteractions(medicationNames, weekOfPregnancy) {
  */
 function getSafeAlternativesForCondition(conditionName, trimesterNumber) {
   const conditionKey = conditionName.toUpperCase().replace(/\s+/g, '_');
-  const condition = MATERNAL_CONDITIONS[conditionKey];
+  const condition = knowledgeBase.conditions[conditionKey];
   
   if (!condition) {
     return {
       found: false,
       condition: conditionName,
       message: 'Condition not found in database',
-      recommendation: 'Consult healthcare provider for medication options'
+      recommendation: 'Consult healthcare provider for medication options',
+      contentVersion: knowledgeBase.contentVersion
     };
   }
 
@@ -416,85 +458,361 @@ function getSafeAlternativesForCondition(conditionName, trimesterNumber) {
     risks: condition.risksInPregnancy,
     safeMedications: condition.safeMedications,
     trimesterGuidance: condition.trimesterConsiderations[trimesterNumber],
-    recommendation: `First-line treatments: ${condition.safeMedications.firstLine.join(', ')}`
+    recommendation: `First-line treatments: ${condition.safeMedications.firstLine.join(', ')}`,
+    contentVersion: knowledgeBase.contentVersion
   };
 }
 
 /**
- * Assess medication regimen for maternal condition
+ * Assess medication regimen for one or more maternal conditions
+ * Each medication is checked against every condition's treatment lists: one
+ * to avoid for a condition must change, and one recommended for a condition
+ * but to avoid for another is reported as a conflict. Trimester
+ * considerations of all conditions are merged into one plan
  * 
  * @param {Array<string>} currentMedications - Current medications
- * @param {string} maternalCondition - Maternal health condition
+ * @param {string|Array<string>} maternalConditions - Maternal health condition(s)
  * @param {number} weekOfPregnancy - Current week
  * @returns {Object} Comprehensive assessment
  */
-function assessMedicationRegimen(currentMedications, maternalCondition, weekOfPregnancy) {
-  validateWeek(weekOfPregnancy);
+function assessMedicationRegimen(currentMedications, maternalConditions, weekOfPregnancy) {
+  weekOfPregnancy = toWeekOfPregnancy(weekOfPregnancy);
   
   const trimester = getTrimester(weekOfPregnancy);
-  const conditionKey = maternalCondition.toUpperCase().replace(/\s+/g, '_');
-  const condition = MATERNAL_CONDITIONS[conditionKey];
-  
-  if (!condition) {
-    throw new Error(`Unknown maternal condition: ${maternalCondition}`);
-  }
+  const conditions = resolveConditions(maternalConditions);
 
   // Check interactions
   const interactionResult = checkPregnancyInteractions(currentMedications, weekOfPregnancy);
   
-  // Analyze each medication against recommended list
-  const medicationAnalysis = currentMedications.map(medName => {
-    const med = findMedication(medName);
-    const genericName = med?.genericName || medName;
-    
-    const isFirstLine = condition.safeMedications.firstLine.some(safe => 
-      safe.toLowerCase().includes(genericName.toLowerCase()) || 
-      genericName.toLowerCase().includes(safe.toLowerCase())
-    );
-    
-    const isSecondLine = condition.safeMedications.secondLine.some(safe => 
-      safe.toLowerCase().includes(genericName.toLowerCase()) || 
-      genericName.toLowerCase().includes(safe.toLowerCase())
-    );
-    
-    const shouldAvoid = condition.safeMedications.avoid.some(avoid => 
-      avoid.toLowerCase().includes(genericName.toLowerCase()) || 
-      genericName.toLowerCase().includes(avoid.toLowerCase())
-    );
+  // Analyze each medication against every condition's lists; combination
+  // products are analyzed by each active ingredient
+  const medicationAnalysis = currentMedications.flatMap(medName => {
+    const { product, ingredients } = expandMedicationName(medName);
+    return ingredients.map(({ name, medication }) => ({ medName, product, genericName: medication?.genericName || name }));
+  }).map(({ medName, product, genericName }) => {
+    const byCondition = conditions.map(condition => ({
+      condition: condition.condition,
+      status: getConditionStatus(genericName, condition)
+    }));
+    const conditionsWith = (...statuses) => byCondition.filter(c => statuses.includes(c.status)).map(c => c.condition);
+    const avoidFor = conditionsWith('avoid');
+    const treats = conditionsWith('recommended', 'acceptable');
+
+    let status = 'unknown';
+    let recommendation = 'REVIEW - Consult provider';
+    if (avoidFor.length > 0 && treats.length > 0) {
+      status = 'conflict';
+      recommendation = `SWITCH - Treats ${treats.join(', ')} but not safe for ${avoidFor.join(', ')} during pregnancy`;
+    } else if (avoidFor.length > 0) {
+      status = 'avoid';
+      recommendation = `DISCONTINUE - Not safe for ${avoidFor.join(', ')} during pregnancy`;
+    } else if (conditionsWith('recommended').length > 0) {
+      status = 'recommended';
+      recommendation = 'CONTINUE - First-line treatment';
+    } else if (treats.length > 0) {
+      status = 'acceptable';
+      recommendation = 'ACCEPTABLE - Second-line option';
+    }
 
     return {
       medication: genericName,
-      status: shouldAvoid ? 'avoid' : isFirstLine ? 'recommended' : isSecondLine ? 'acceptable' : 'unknown',
-      recommendation: shouldAvoid 
-        ? `DISCONTINUE - Not safe for ${condition.condition} during pregnancy`
-        : isFirstLine 
-        ? 'CONTINUE - First-line treatment'
-        : isSecondLine
-        ? 'ACCEPTABLE - Second-line option'
-        : 'REVIEW - Consult provider'
+      ...(product && { product: medName }),
+      status,
+      recommendation,
+      byCondition
     };
   });
 
-  const needsChange = medicationAnalysis.some(m => m.status === 'avoid');
+  const conflicts = medicationAnalysis
+    .filter(m => m.status === 'conflict')
+    .map(m => ({
+      medication: m.medication,
+      recommendedFor: m.byCondition.filter(c => c.status === 'recommended' || c.status === 'acceptable').map(c => c.condition),
+      avoidFor: m.byCondition.filter(c => c.status === 'avoid').map(c => c.condition)
+    }));
+  const needsChange = medicationAnalysis.some(m => m.status === 'avoid' || m.status === 'conflict');
   const allRecommended = medicationAnalysis.every(m => m.status === 'recommended');
+  const trimesterPlan = mergeTrimesterConsiderations(conditions);
 
   return {
-    condition: condition.condition,
+    condition: conditions.map(c => c.condition).join(', '),
+    conditions: conditions.map(c => c.condition),
     trimester: trimester.number,
     weekOfPregnancy,
     currentMedications: medicationAnalysis,
+    conflicts,
     interactions: interactionResult,
-    conditionRisks: condition.risksInPregnancy,
-    trimesterGuidance: condition.trimesterConsiderations[trimester.number],
+    conditionRisks: [...new Set(conditions.flatMap(c => c.risksInPregnancy))],
+    trimesterGuidance: conditions.length === 1
+      ? conditions[0].trimesterConsiderations[trimester.number]
+      : trimesterPlan[trimester.number].map(item => `${item.condition}: ${item.guidance}`).join(' '),
+    trimesterPlan,
     needsChange,
     optimal: allRecommended && !interactionResult.interactionsFound,
-    recommendations: generateRegimenRecommendations(medicationAnalysis, condition),
+    recommendations: generateRegimenRecommendations(medicationAnalysis, conditions),
     requiresProviderConsent: needsChange || interactionResult.requiresProviderConsent,
     requiresObstetrician: interactionResult.requiresObstetrician,
+    contentVersion: knowledgeBase.contentVersion,
     assessmentDate: new Date().toISOString()
   };
 }
 
+/**
+ * Look up maternal conditions by name, dropping repeats
+ * @private
+ */
+function resolveConditions(maternalConditions) {
+  const names = Array.isArray(maternalConditions) ? maternalConditions : [maternalConditions];
+  if (names.length === 0 || names.some(name => typeof name !== 'string' || !name.trim())) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, 'Maternal conditions must be a condition name or a non-empty list of names');
+  }
+
+  const conditions = names.map(name => {
+    const condition = knowledgeBase.conditions[name.trim().toUpperCase().replace(/\s+/g, '_')];
+    if (!condition) {
+      throw createError(ERROR_CODES.INVALID_REQUEST, `Unknown maternal condition: ${name}`, {
+        known: Object.keys(knowledgeBase.conditions).map(key => key.toLowerCase())
+      });
+    }
+    return condition;
+  });
+  return [...new Set(conditions)];
+}
+
+/**
+ * Status of a medication in one condition's treatment lists: avoid,
+ * recommended (first-line), acceptable (second-line) or unknown
+ * @private
+ */
+function getConditionStatus(genericName, condition) {
+  const name = genericName.toLowerCase();
+  const listed = list => list.some(entry => entry.toLowerCase().includes(name) || name.includes(entry.toLowerCase()));
+
+  if (listed(condition.safeMedications.avoid)) return 'avoid';
+  if (listed(condition.safeMedications.firstLine)) return 'recommended';
+  if (listed(condition.safeMedications.secondLine)) return 'acceptable';
+  return 'unknown';
+}
+
+/**
+ * Trimester considerations of every condition, keyed by trimester number
+ * @private
+ */
+function mergeTrimesterConsiderations(conditions) {
+  return Object.fromEntries([1, 2, 3].map(number => [
+    number,
+    conditions
+      .filter(condition => condition.trimesterConsiderations[number])
+      .map(condition => ({ condition: condition.condition, guidance: condition.trimesterConsiderations[number] }))
+  ]));
+}
+
+/**
+ * Assess a medication regimen before conception (preconception mode)
+ * Reports the washout period of each medication that must be stopped and the
+ * date to stop it by, the folic acid dose to start, and switches to the
+ * condition's first-line medications. Combination products are assessed by
+ * each active ingredient
+ * 
+ * @param {Array<string>} currentMedications - Current medications
+ * @param {Date|string} targetConceptionDate - Planned conception or embryo transfer date
+ * @param {Object} [options] - Options
+ * @param {string} [options.maternalCondition] - Maternal health condition
+ * @param {Date|string} [options.asOf] - Reference date (default: today)
+ * @returns {Object} Preconception assessment
+ */
+function assessPreconceptionRegimen(currentMedications, targetConceptionDate, { maternalCondition = null, asOf = new Date() } = {}) {
+  if (!Array.isArray(currentMedications) || currentMedications.length === 0) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, 'Medication names must be a non-empty array');
+  }
+
+  const today = parseDate(asOf, 'asOf');
+  const target = parseDate(targetConceptionDate, 'targetConceptionDate');
+  const daysUntilConception = differenceInCalendarDays(target, today);
+  if (daysUntilConception < 0) {
+    throw createError(ERROR_CODES.INVALID_DATE, `Target conception date ${format(target, 'yyyy-MM-dd')} is in the past`);
+  }
+
+  let condition = null;
+  if (maternalCondition) {
+    condition = knowledgeBase.conditions[maternalCondition.toUpperCase().replace(/\s+/g, '_')];
+    if (!condition) {
+      throw createError(ERROR_CODES.INVALID_REQUEST, `Unknown maternal condition: ${maternalCondition}`, {
+        known: Object.keys(knowledgeBase.conditions).map(key => key.toLowerCase())
+      });
+    }
+  }
+
+  const medicationAnalysis = currentMedications.flatMap(medName => {
+    const { product, ingredients } = expandMedicationName(medName);
+    return ingredients.map(({ name, medication }) => {
+      const washout = findWashoutRule(medication, [medName, name]);
+      // A drug not in the database is reported by its rule name (Depakote as Valproate)
+      const genericName = medication?.genericName || washout?.match.drug || name;
+      const stopBy = washout ? addDays(target, -washout.washoutWeeks * 7) : null;
+
+      return {
+        medication: genericName,
+        ...(product && { product: medName }),
+        ...assessPreconceptionMedication(medication, genericName, washout, condition),
+        washoutWeeks: washout ? washout.washoutWeeks : null,
+        stopBy: stopBy && format(stopBy, 'yyyy-MM-dd'),
+        onSchedule: !stopBy || stopBy >= today,
+        // Stopping today, conception is safe from this date
+        safeFrom: washout ? format(addDays(today, washout.washoutWeeks * 7), 'yyyy-MM-dd') : null
+      };
+    });
+  });
+
+  const washouts = medicationAnalysis.filter(med => med.washoutWeeks !== null);
+  const earliestConceptionDate = washouts
+    .map(med => med.safeFrom)
+    .reduce((latest, date) => (date > latest ? date : latest), format(today, 'yyyy-MM-dd'));
+
+  const folicAcid = condition?.preconception?.folicAcid || FOLIC_ACID_STANDARD;
+  const folicAcidStartBy = addDays(target, -folicAcid.startWeeksBefore * 7);
+
+  const recommendations = medicationAnalysis
+    .filter(med => med.status !== 'continue')
+    .map(med => ({
+      action: med.status.toUpperCase(),
+      medication: med.medication,
+      reason: med.reason,
+      stopBy: med.stopBy,
+      alternatives: med.alternatives
+    }));
+
+  if (recommendations.length === 0) {
+    recommendations.push({
+      action: 'CONTINUE',
+      reason: 'No medication needs to be stopped before conception',
+      note: 'Review the regimen with your provider once pregnant'
+    });
+  }
+
+  const needsChange = medicationAnalysis.some(med => med.status === 'stop' || med.status === 'switch');
+
+  return {
+    mode: 'preconception',
+    condition: condition?.condition || null,
+    targetConceptionDate: format(target, 'yyyy-MM-dd'),
+    daysUntilConception,
+    weeksUntilConception: Math.floor(daysUntilConception / 7),
+    currentMedications: medicationAnalysis,
+    washouts: washouts.map(({ medication, washoutWeeks, stopBy, onSchedule, safeFrom }) =>
+      ({ medication, washoutWeeks, stopBy, onSchedule, safeFrom })),
+    earliestConceptionDate,
+    onSchedule: earliestConceptionDate <= format(target, 'yyyy-MM-dd'),
+    folicAcid: {
+      dailyDoseMg: folicAcid.dailyDoseMg,
+      startWeeksBefore: folicAcid.startWeeksBefore,
+      startBy: format(folicAcidStartBy, 'yyyy-MM-dd'),
+      onSchedule: folicAcidStartBy >= today,
+      reason: folicAcid.reason
+    },
+    conditionRisks: condition?.risksInPregnancy || [],
+    conditionGuidance: condition?.preconception?.guidance || null,
+    needsChange,
+    recommendations,
+    requiresProviderConsent: recommendations.some(rec => rec.action !== 'CONTINUE'),
+    contentVersion: knowledgeBase.contentVersion,
+    assessmentDate: new Date().toISOString()
+  };
+}
+
+/**
+ * Find the washout rule for a medication
+ * 
+ * @param {Object|null} medication - Medication record, or null when not in the database
+ * @param {Array<string>} names - Names the medication was entered or expanded as
+ * @returns {Object|null} Washout rule with its ruleId, or null
+ */
+function findWashoutRule(medication, names) {
+  const entered = names.filter(Boolean).map(name => name.toLowerCase());
+
+  const entry = Object.entries(knowledgeBase.washouts).find(([, rule]) => {
+    if (medication && matchesParticipant(medication, rule.match)) return true;
+    if (!rule.match.drug) return false;
+    return [rule.match.drug, ...(rule.aliases || [])].some(name => entered.includes(name.toLowerCase()));
+  });
+
+  return entry ? { ruleId: entry[0], ...entry[1] } : null;
+}
+
+/**
+ * Status of one medication before conception: switch when the condition lists
+ * it to avoid, stop when it has a washout rule, review Category D and X
+ * without one and medications not in the database or without a pregnancy
+ * risk classification, otherwise continue
+ * @private
+ */
+function assessPreconceptionMedication(medication, genericName, washout, condition) {
+  const listed = list => (list || []).some(entry =>
+    entry.toLowerCase().includes(genericName.toLowerCase()) ||
+    genericName.toLowerCase().includes(entry.toLowerCase())
+  );
+  const safeMedications = condition?.safeMedications || {};
+
+  if (listed(safeMedications.avoid)) {
+    return {
+      status: 'switch',
+      reason: washout
+        ? `${washout.reason}. Not safe for ${condition.condition} in pregnancy`
+        : `Not safe for ${condition.condition} in pregnancy`,
+      recommendation: washout ? washout.recommendation : 'Switch to a first-line medication before trying to conceive',
+      alternatives: safeMedications.firstLine
+    };
+  }
+
+  if (washout) {
+    return { status: 'stop', reason: washout.reason, recommendation: washout.recommendation, alternatives: [] };
+  }
+
+  if (listed(safeMedications.firstLine) || listed(safeMedications.secondLine)) {
+    return {
+      status: 'continue',
+      reason: listed(safeMedications.firstLine) ? 'First-line treatment' : 'Second-line option',
+      recommendation: 'CONTINUE - No washout needed before conception',
+      alternatives: []
+    };
+  }
+
+  const fdaCategory = medication ? resolvePregnancyRisk(medication).scoringCategory : null;
+  if (fdaCategory === 'X' || fdaCategory === 'D') {
+    return {
+      status: 'review',
+      reason: `Category ${fdaCategory} in pregnancy`,
+      recommendation: 'REVIEW - Plan a switch with your provider before trying to conceive',
+      alternatives: safeMedications.firstLine || []
+    };
+  }
+
+  if (!medication) {
+    return {
+      status: 'review',
+      reason: 'Not in the medication database',
+      recommendation: 'REVIEW - Consult provider before trying to conceive',
+      alternatives: []
+    };
+  }
+
+  if (!fdaCategory) {
+    return {
+      status: 'review',
+      reason: 'No pregnancy risk classification',
+      recommendation: 'REVIEW - Consult provider before trying to conceive',
+      alternatives: []
+    };
+  }
+
+  return {
+    status: 'continue',
+    reason: 'No washout needed before conception',
+    recommendation: 'CONTINUE - No washout needed before conception',
+    alternatives: []
+  };
+}
+
 /**
  * Generate recommendation text for interactions
  */
@@ -516,17 +834,36 @@ function generateInteractionRecommendation(severity, interactions) {
 
 /**
  * Generate recommendations for medication regimen
+ * Alternatives are first-line treatments that no other condition avoids
  */
-function generateRegimenRecommendations(analysis, condition) {
+function generateRegimenRecommendations(analysis, conditions) {
+  conditions = Array.isArray(conditions) ? conditions : [conditions];
   const recommendations = [];
+  const alternativesFor = names => conditions
+    .filter(condition => names.includes(condition.condition))
+    .flatMap(condition => condition.safeMedications.firstLine)
+    .filter(alternative => !conditions.some(condition =>
+      condition.safeMedications.avoid.some(avoid => avoid.toLowerCase().includes(alternative.toLowerCase()))
+    ));
+  const conditionsWith = (med, status) => (med.byCondition || []).filter(c => c.status === status).map(c => c.condition);
   
   analysis.forEach(med => {
-    if (med.status === 'avoid') {
+    if (med.status === 'conflict') {
+      const avoidFor = conditionsWith(med, 'avoid');
+      const treats = [...conditionsWith(med, 'recommended'), ...conditionsWith(med, 'acceptable')];
+      recommendations.push({
+        action: 'SWITCH',
+        medication: med.medication,
+        reason: `Treats ${treats.join(', ')} but not safe for ${avoidFor.join(', ')} during pregnancy`,
+        alternatives: alternativesFor(treats)
+      });
+    } else if (med.status === 'avoid') {
+      const avoidFor = med.byCondition ? conditionsWith(med, 'avoid') : conditions.map(c => c.condition);
       recommendations.push({
         action: 'DISCONTINUE',
         medication: med.medication,
-        reason: `Not safe for ${condition.condition} during pregnancy`,
-        alternatives: condition.safeMedications.firstLine
+        reason: `Not safe for ${avoidFor.join(', ')} during pregnancy`,
+        alternatives: alternativesFor(avoidFor)
       });
     } else if (med.status === 'unknown') {
       recommendations.push({
@@ -550,16 +887,29 @@ function generateRegimenRecommendations(analysis, condition) {
 }
 
 module.exports = {
-  // Constants
-  PREGNANCY_INTERACTIONS,
-  MATERNAL_CONDITIONS,
+  // Constants (current merged knowledge base)
+  get PREGNANCY_INTERACTIONS() {
+    return knowledgeBase.interactions;
+  },
+  get MATERNAL_CONDITIONS() {
+    return knowledgeBase.conditions;
+  },
+  get PRECONCEPTION_WASHOUTS() {
+    return knowledgeBase.washouts;
+  },
   
   // Core functions
   checkPregnancyInteractions,
   getSafeAlternativesForCondition,
   assessMedicationRegimen,
+  assessPreconceptionRegimen,
+  configureKnowledgeBase,
+  useKnowledgeBase,
   
   // Helper functions
+  getContentVersion,
+  matchInteractionRules,
+  findWashoutRule,
   generateInteractionRecommendation,
   generateRegimenRecommendations
 };
@@ -18,10 +18,11 @@ const {
 const { 
   checkPregnancyInteractions,
   assessMedicationRegimen,
-  MATERNAL_CONDITIONS 
+  getContentVersion
 } = require('./pregnancy-interaction-checker');
 
-const { validateWeek } = require('../utils/validators');
+const { toWeekOfPregnancy, toPregnancyContext, createError } = require('../utils/validators');
+const { PREECLAMPSIA_RISK_FACTORS, RISK_BASIS, ERROR_CODES } = require('../utils/constants');
 
 /**
  * Risk level thresholds
@@ -33,17 +34,65 @@ const RISK_THRESHOLDS = {
   CRITICAL: 85
 };
 
+/**
+ * Composite score points added for the pregnancy context
+ * (see getPregnancyContextAdjustments)
+ */
+const PREGNANCY_CONTEXT_POINTS = {
+  gestation: { twins: 5, triplets_or_more: 10 },
+  ivf: 3,
+  maternalAge: { under18: 3, from35: 3, from40: 5 },
+  bmi: { underweight: 2, from30: 3, from40: 5 },
+  priorPretermBirth: 5,
+  impairment: { mild: 3, moderate: 8, severe: 12 },
+  preeclampsiaRisk: { moderate: 3, high: 5 }
+};
+
+/**
+ * Maternal conditions that are preeclampsia risk factors in their own right
+ */
+const CONDITION_PREECLAMPSIA_FACTORS = {
+  HYPERTENSION: 'chronic_hypertension',
+  DIABETES: 'pregestational_diabetes'
+};
+
+/**
+ * Get the medication name from a regimen entry
+ * 
+ * @param {string|Object} entry - Medication name or { name, dose, quantity, frequency, route }
+ * @returns {string} Medication name
+ */
+function getMedicationName(entry) {
+  return typeof entry === 'string' ? entry : entry?.name || entry?.medicationName;
+}
+
+/**
+ * Get dose inputs from a regimen entry
+ * 
+ * @param {string|Object} entry - Medication name or { name, dose, quantity, frequency, route }
+ * @returns {Object|null} Dosing input, or null when no dose was given
+ */
+function getEntryDosing(entry) {
+  if (typeof entry !== 'object' || entry === null || entry.dose === undefined || entry.dose === null) {
+    return null;
+  }
+
+  const { dose, quantity, frequency, route } = entry;
+  return { dose, quantity, frequency, route };
+}
+
 /**
  * Calculate composite pregnancy risk for single medication
  * 
  * @param {string} medicationName - Medication name
  * @param {number} weekOfPregnancy - Current week of pregnancy
+ * @param {Object} [dosing] - { dose, quantity, frequency, route }
  * @returns {Object} Risk assessment
  */
-function calculateSingleMedicationRisk(medicationName, weekOfPregnancy) {
-  validateWeek(weekOfPregnancy);
+function calculateSingleMedicationRisk(medicationName, weekOfPregnancy, dosing = null) {
+  weekOfPregnancy = toWeekOfPregnancy(weekOfPregnancy);
   
-  const safetyCheck = checkMedicationSafety(medicationName, weekOfPregnancy);
+  const safetyCheck = checkMedicationSafety(medicationName, weekOfPregnancy, dosing);
   
   if (!safetyCheck.found) {
     return {
@@ -61,7 +110,14 @@ function calculateSingleMedicationRisk(medicationName, weekOfPregnancy) {
     trimester: safetyCheck.trimester.number,
     riskScore: safetyCheck.riskScore,
     riskLevel: safetyCheck.riskLevel,
-    fdaCategory: safetyCheck.fdaCategory.category,
+    fdaCategory: safetyCheck.fdaCategory ? safetyCheck.fdaCategory.category : null,
+    riskBasis: safetyCheck.riskBasis,
+    dose: safetyCheck.dose,
+    ...(safetyCheck.combination && {
+      combination: true,
+      worstIngredient: safetyCheck.worstIngredient,
+      ingredients: safetyCheck.ingredients
+    }),
     safe: safetyCheck.safe,
     criticalPeriod: safetyCheck.criticalPeriod.isCritical,
     warnings: safetyCheck.warnings,
@@ -75,45 +131,56 @@ function calculateSingleMedicationRisk(medicationName, weekOfPregnancy) {
 /**
  * Calculate composite risk for multiple medications
  * 
- * @param {Array<string>} medicationNames - Array of medication names
+ * @param {Array<string|Object>} medications - Medication names, or { name, dose, quantity, frequency, route }
  * @param {number} weekOfPregnancy - Current week of pregnancy
+ * @param {Object} [pregnancyContext] - Pregnancy context (see validators.toPregnancyContext)
  * @returns {Object} Composite risk assessment
  */
-function calculateMultipleMedicationRisk(medicationNames, weekOfPregnancy) {
-  if (!Array.isArray(medicationNames) || medicationNames.length === 0) {
-    throw new Error('Medication names must be a non-empty array');
+function calculateMultipleMedicationRisk(medications, weekOfPregnancy, pregnancyContext = null) {
+  if (!Array.isArray(medications) || medications.length === 0) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, 'Medication names must be a non-empty array');
   }
 
-  validateWeek(weekOfPregnancy);
+  weekOfPregnancy = toWeekOfPregnancy(weekOfPregnancy);
 
   const trimester = getTrimester(weekOfPregnancy);
+  const medicationNames = medications.map(getMedicationName);
   
   // Assess each medication individually
-  const medicationRisks = medicationNames.map(medName => 
-    calculateSingleMedicationRisk(medName, weekOfPregnancy)
+  const medicationRisks = medications.map(entry => 
+    calculateSingleMedicationRisk(getMedicationName(entry), weekOfPregnancy, getEntryDosing(entry))
   );
 
   // Check for interactions
   const interactionCheck = checkPregnancyInteractions(medicationNames, weekOfPregnancy);
 
-  // Calculate composite risk score
-  const compositeScore = calculateCompositeScore(medicationRisks, interactionCheck);
+  // Calculate composite risk score, adjusted for the pregnancy context
+  const context = pregnancyContext ? toPregnancyContext(pregnancyContext) : null;
+  const preeclampsiaRisk = context ? assessPreeclampsiaRisk(context) : null;
+  const scoreAdjustments = context ? getPregnancyContextAdjustments(context) : [];
+  const medicationRiskScore = calculateCompositeScore(medicationRisks, interactionCheck);
+  const compositeScore = calculateCompositeScore(medicationRisks, interactionCheck, context);
   const overallRiskLevel = getRiskLevelFromScore(compositeScore);
 
   // Determine highest individual risk
   const highestIndividualRisk = Math.max(
-    ...medicationRisks.filter(m => m.found).map(m => m.riskScore || 0)
+    0, ...medicationRisks.filter(m => m.found && m.riskScore !== null).map(m => m.riskScore)
   );
 
   // Check if any Category X medications
   const hasCategoryX = medicationRisks.some(m => m.found && m.fdaCategory === 'X');
   const hasCategoryD = medicationRisks.some(m => m.found && m.fdaCategory === 'D');
 
+  // Medications with no pregnancy risk classification add nothing to the
+  // score, so they are routed to provider review instead
+  const hasUnclassified = medicationRisks.some(m => m.found && m.riskBasis === RISK_BASIS.UNCLASSIFIED);
+
   // Determine if requires medical oversight
   const requiresProviderConsent = 
     compositeScore > RISK_THRESHOLDS.MODERATE || 
     hasCategoryD || 
     hasCategoryX ||
+    hasUnclassified ||
     interactionCheck.requiresProviderConsent;
 
   const requiresObstetrician = 
@@ -185,8 +252,12 @@ function calculateMultipleMedicationRisk(medicationNames, weekOfPregnancy) {
     interactionRisks: interactionCheck.interactions || [],
     overallRiskLevel,
     riskScore: compositeScore,
+    medicationRiskScore,
+    pregnancyContext: context,
+    preeclampsiaRisk,
+    scoreAdjustments,
     highestIndividualRisk,
-    safe: overallRiskLevel === 'low' && !hasCategoryD && !hasCategoryX,
+    safe: overallRiskLevel === 'low' && !hasCategoryD && !hasCategoryX && !hasUnclassified,
     hasCategoryX,
     hasCategoryD,
     warnings: allWarnings,
@@ -194,48 +265,89 @@ function calculateMultipleMedicationRisk(medicationNames, weekOfPregnancy) {
     recommendations,
     requiresProviderConsent,
     requiresObstetrician,
+    contentVersion: interactionCheck.contentVersion,
     assessmentDate: new Date().toISOString()
   };
 }
 
 /**
- * Calculate comprehensive risk including maternal condition
+ * Resolve a medication list or patient profile to medication names
  * 
- * @param {Array<string>} medicationNames - Medications being taken
+ * @param {Array<string>|Object} medications - Names or an object with getActiveMedicationNames
+ * @param {number} weekOfPregnancy - Week used to select a profile's active medications
+ * @returns {Array<string>} Medication names
+ */
+function resolveMedicationNames(medications, weekOfPregnancy) {
+  if (medications && typeof medications.getActiveMedicationNames === 'function') {
+    return medications.getActiveMedicationNames(weekOfPregnancy);
+  }
+  return medications;
+}
+
+/**
+ * Calculate comprehensive risk including maternal conditions
+ * 
+ * @param {Array<string|Object>|PatientMedicationProfile} medicationNames - Medication names or
+ *   { name, dose, quantity, frequency, route }, or a patient profile whose medications
+ *   active at weekOfPregnancy are used (an empty regimen result if none are active)
  * @param {number} weekOfPregnancy - Current week
- * @param {string} maternalCondition - Maternal health condition (optional)
+ * @param {string|Array<string>} maternalCondition - Maternal health condition or conditions (optional)
+ * @param {Object} [pregnancyContext] - Pregnancy context (see validators.toPregnancyContext);
+ *   hypertension and diabetes count as preeclampsia risk factors
  * @returns {Object} Comprehensive risk assessment
  */
-function calculateComprehensiveRisk(medicationNames, weekOfPregnancy, maternalCondition = null) {
-  validateWeek(weekOfPregnancy);
+function calculateComprehensiveRisk(medicationNames, weekOfPregnancy, maternalCondition = null, pregnancyContext = null) {
+  weekOfPregnancy = toWeekOfPregnancy(weekOfPregnancy);
+  const isProfile = Boolean(medicationNames) && typeof medicationNames.getActiveMedicationNames === 'function';
+  medicationNames = resolveMedicationNames(medicationNames, weekOfPregnancy);
+
+  const conditionNames = maternalCondition ? [].concat(maternalCondition) : [];
+
+  // A profile with nothing active at this week has no medication risk to assess
+  if (isProfile && medicationNames.length === 0) {
+    return buildEmptyRegimenRisk(weekOfPregnancy, pregnancyContext, conditionNames);
+  }
+  const conditionFactors = conditionNames
+    .map(name => typeof name === 'string' && CONDITION_PREECLAMPSIA_FACTORS[name.trim().toUpperCase().replace(/\s+/g, '_')])
+    .filter(Boolean);
+  const context = pregnancyContext && conditionFactors.length > 0
+    ? {
+      ...pregnancyContext,
+      preeclampsiaRiskFactors: [...new Set([...(pregnancyContext.preeclampsiaRiskFactors || []), ...conditionFactors])]
+    }
+    : pregnancyContext;
 
   // Get multi-medication risk
-  const medicationRisk = calculateMultipleMedicationRisk(medicationNames, weekOfPregnancy);
+  const medicationRisk = calculateMultipleMedicationRisk(medicationNames, weekOfPregnancy, context);
 
   // If no maternal condition, return medication risk only
-  if (!maternalCondition) {
+  if (conditionNames.length === 0) {
     return {
       ...medicationRisk,
       maternalCondition: null,
+      maternalConditions: [],
       conditionManagement: null
     };
   }
 
-  // Assess medication regimen for maternal condition
+  // Assess medication regimen against every maternal condition
   const regimenAssessment = assessMedicationRegimen(
-    medicationNames,
-    maternalCondition,
+    medicationNames.map(getMedicationName),
+    conditionNames,
     weekOfPregnancy
   );
 
   // Adjust composite score based on condition appropriateness
   let adjustedScore = medicationRisk.riskScore;
+  let conditionAdjustment = null;
   
   // If medications are not appropriate for condition, increase risk
   if (regimenAssessment.needsChange) {
     adjustedScore += 15; // Significant penalty for inappropriate medications
+    conditionAdjustment = { points: 15, reason: `Medications need to change for ${regimenAssessment.condition}` };
   } else if (!regimenAssessment.optimal) {
     adjustedScore += 5; // Minor penalty for suboptimal regimen
+    conditionAdjustment = { points: 5, reason: `Regimen is not optimal for ${regimenAssessment.condition}` };
   }
 
   // Cap at 100
@@ -262,12 +374,15 @@ function calculateComprehensiveRisk(medicationNames, weekOfPregnancy, maternalCo
     
     // Maternal condition
     maternalCondition: regimenAssessment.condition,
+    maternalConditions: regimenAssessment.conditions,
     conditionManagement: {
       optimal: regimenAssessment.optimal,
       needsChange: regimenAssessment.needsChange,
       currentMedications: regimenAssessment.currentMedications,
+      conflicts: regimenAssessment.conflicts,
       conditionRisks: regimenAssessment.conditionRisks,
-      trimesterGuidance: regimenAssessment.trimesterGuidance
+      trimesterGuidance: regimenAssessment.trimesterGuidance,
+      trimesterPlan: regimenAssessment.trimesterPlan
     },
     
     // Overall risk
@@ -275,6 +390,13 @@ function calculateComprehensiveRisk(medicationNames, weekOfPregnancy, maternalCo
     riskScore: adjustedScore,
     originalRiskScore: medicationRisk.riskScore,
     riskAdjustment: adjustedScore - medicationRisk.riskScore,
+    medicationRiskScore: medicationRisk.medicationRiskScore,
+    pregnancyContext: medicationRisk.pregnancyContext,
+    preeclampsiaRisk: medicationRisk.preeclampsiaRisk,
+    scoreAdjustments: [
+      ...medicationRisk.scoreAdjustments,
+      ...(conditionAdjustment ? [{ factor: 'maternalCondition', value: regimenAssessment.condition, ...conditionAdjustment }] : [])
+    ],
     
     // Safety flags
     safe: adjustedRiskLevel === 'low' && regimenAssessment.optimal,
@@ -296,29 +418,81 @@ function calculateComprehensiveRisk(medicationNames, weekOfPregnancy, maternalCo
       medicationRisk.requiresObstetrician || 
       regimenAssessment.requiresObstetrician,
     
+    contentVersion: regimenAssessment.contentVersion,
+    assessmentDate: new Date().toISOString()
+  };
+}
+
+/**
+ * Build the comprehensive risk result for a regimen with no medications
+ * 
+ * @param {number} weekOfPregnancy - Current week
+ * @param {Object|null} pregnancyContext - Pregnancy context
+ * @param {Array<string>} conditionNames - Maternal conditions
+ * @returns {Object} Comprehensive risk assessment with no medication risk
+ */
+function buildEmptyRegimenRisk(weekOfPregnancy, pregnancyContext, conditionNames) {
+  const context = pregnancyContext ? toPregnancyContext(pregnancyContext) : null;
+
+  return {
+    weekOfPregnancy,
+    trimester: getTrimester(weekOfPregnancy).number,
+    medicationCount: 0,
+    medicationRisks: [],
+    interactionRisks: [],
+    maternalCondition: conditionNames[0] || null,
+    maternalConditions: conditionNames,
+    conditionManagement: null,
+    overallRiskLevel: 'low',
+    riskScore: 0,
+    medicationRiskScore: 0,
+    pregnancyContext: context,
+    preeclampsiaRisk: context ? assessPreeclampsiaRisk(context) : null,
+    scoreAdjustments: [],
+    highestIndividualRisk: 0,
+    safe: true,
+    hasCategoryX: false,
+    hasCategoryD: false,
+    warnings: [],
+    safeAlternatives: [],
+    recommendations: [{
+      priority: 'INFO',
+      action: 'No medications to review',
+      reason: `No medications are active at week ${weekOfPregnancy}`,
+      urgency: 'routine monitoring'
+    }],
+    requiresProviderConsent: false,
+    requiresObstetrician: false,
+    contentVersion: getContentVersion(),
     assessmentDate: new Date().toISOString()
   };
 }
 
 /**
  * Calculate composite score from individual risks and interactions
+ * Unclassified medications (null riskScore) are left out of the average and
+ * the maximum; callers report them through hasUnclassified
  * 
  * @param {Array} medicationRisks - Individual medication risk assessments
  * @param {Object} interactionCheck - Interaction check results
+ * @param {Object} [pregnancyContext] - Pregnancy context; adds getPregnancyContextAdjustments points
  * @returns {number} Composite score (0-100)
  */
-function calculateCompositeScore(medicationRisks, interactionCheck) {
+function calculateCompositeScore(medicationRisks, interactionCheck, pregnancyContext = null) {
   const validRisks = medicationRisks.filter(m => m.found);
+  const scoredRisks = validRisks.filter(m => m.riskScore !== null);
   
   if (validRisks.length === 0) {
     return 0;
   }
 
   // Calculate average medication risk
-  const avgMedicationRisk = validRisks.reduce((sum, m) => sum + (m.riskScore || 0), 0) / validRisks.length;
+  const avgMedicationRisk = scoredRisks.length > 0
+    ? scoredRisks.reduce((sum, m) => sum + m.riskScore, 0) / scoredRisks.length
+    : 0;
   
   // Get highest individual risk
-  const maxRisk = Math.max(...validRisks.map(m => m.riskScore || 0));
+  const maxRisk = Math.max(0, ...scoredRisks.map(m => m.riskScore));
   
   // Weight: 60% highest risk, 40% average risk
   let baseScore = (maxRisk * 0.6) + (avgMedicationRisk * 0.4);
@@ -341,10 +515,136 @@ function calculateCompositeScore(medicationRisks, interactionCheck) {
     baseScore += (validRisks.length - 2) * 3; // +3 per medication beyond 2
   }
 
+  // A higher-risk pregnancy leaves less margin for medication risk
+  if (pregnancyContext) {
+    getPregnancyContextAdjustments(toPregnancyContext(pregnancyContext)).forEach(adjustment => {
+      baseScore += adjustment.points;
+    });
+  }
+
   // Cap at 100
   return Math.min(Math.round(baseScore), 100);
 }
 
+/**
+ * Itemize the composite score points added for a pregnancy context
+ * Each fact is scored once: preeclampsia points come only from risk factors
+ * that gestation, IVF, age, BMI and renal impairment have not already scored
+ * 
+ * @param {Object} context - Validated pregnancy context (see validators.toPregnancyContext)
+ * @returns {Array<Object>} Adjustments as { factor, value, points, reason }
+ */
+function getPregnancyContextAdjustments(context) {
+  const points = PREGNANCY_CONTEXT_POINTS;
+  const adjustments = [];
+  const add = (factor, value, score, reason) => adjustments.push({ factor, value, points: score, reason });
+
+  if (context.gestation !== 'singleton') {
+    add('gestation', context.gestation, points.gestation[context.gestation],
+      'Multiple gestation raises the risk of preterm birth and preeclampsia, and changes drug distribution');
+  }
+  if (context.ivf) {
+    add('ivf', true, points.ivf, 'IVF pregnancies have higher rates of preeclampsia and placental complications');
+  }
+  if (context.maternalAge !== null) {
+    if (context.maternalAge >= 40) {
+      add('maternalAge', context.maternalAge, points.maternalAge.from40, 'Maternal age 40 or over');
+    } else if (context.maternalAge >= 35) {
+      add('maternalAge', context.maternalAge, points.maternalAge.from35, 'Maternal age 35 or over');
+    } else if (context.maternalAge < 18) {
+      add('maternalAge', context.maternalAge, points.maternalAge.under18, 'Maternal age under 18');
+    }
+  }
+  if (context.bmi !== null) {
+    if (context.bmi >= 40) {
+      add('bmi', context.bmi, points.bmi.from40, 'BMI 40 or over: severe obesity');
+    } else if (context.bmi >= 30) {
+      add('bmi', context.bmi, points.bmi.from30, 'BMI 30 or over: obesity');
+    } else if (context.bmi < 18.5) {
+      add('bmi', context.bmi, points.bmi.underweight, 'BMI under 18.5: underweight');
+    }
+  }
+  if (context.priorPretermBirth) {
+    add('priorPretermBirth', true, points.priorPretermBirth, 'A prior preterm birth raises the risk of another');
+  }
+  if (context.renalImpairment !== 'none') {
+    add('renalImpairment', context.renalImpairment, points.impairment[context.renalImpairment],
+      'Reduced renal clearance of medications and their metabolites');
+  }
+  if (context.hepaticImpairment !== 'none') {
+    add('hepaticImpairment', context.hepaticImpairment, points.impairment[context.hepaticImpairment],
+      'Reduced hepatic metabolism of medications');
+  }
+
+  const scored = getImpliedPreeclampsiaFactors(context);
+  const preeclampsia = gradePreeclampsiaFactors(
+    context.preeclampsiaRiskFactors.filter(factor => !scored.includes(factor))
+  );
+  if (preeclampsia.level !== 'low') {
+    add('preeclampsiaRisk', preeclampsia.level, points.preeclampsiaRisk[preeclampsia.level],
+      `${preeclampsia.level === 'high' ? 'High' : 'Moderate'} preeclampsia risk: ${[...preeclampsia.highRiskFactors, ...preeclampsia.moderateRiskFactors].map(factor => factor.replace(/_/g, ' ')).join(', ')}`);
+  }
+
+  return adjustments;
+}
+
+/**
+ * Preeclampsia risk from the listed risk factors and those implied by the
+ * rest of the context (multiple gestation, renal impairment, BMI, age, IVF)
+ * 
+ * @param {Object} context - Validated pregnancy context (see validators.toPregnancyContext)
+ * @returns {Object} { level, highRiskFactors, moderateRiskFactors, aspirinRecommended }
+ */
+function assessPreeclampsiaRisk(context) {
+  const preeclampsia = gradePreeclampsiaFactors([
+    ...context.preeclampsiaRiskFactors,
+    ...getImpliedPreeclampsiaFactors(context)
+  ]);
+
+  return {
+    ...preeclampsia,
+    aspirinRecommended: preeclampsia.level !== 'low'
+  };
+}
+
+/**
+ * Preeclampsia risk factors implied by the rest of the pregnancy context
+ * 
+ * @param {Object} context - Validated pregnancy context
+ * @returns {Array<string>} Risk factor ids
+ */
+function getImpliedPreeclampsiaFactors(context) {
+  const factors = [];
+  if (context.gestation !== 'singleton') factors.push('multifetal_gestation');
+  if (context.renalImpairment !== 'none') factors.push('renal_disease');
+  if (context.bmi !== null && context.bmi >= 30) factors.push('obesity');
+  if (context.maternalAge !== null && context.maternalAge >= 35) factors.push('age_35_or_older');
+  if (context.ivf) factors.push('ivf');
+  return factors;
+}
+
+/**
+ * Grade preeclampsia risk factors: one high-risk factor makes the risk high,
+ * two moderate-risk factors make it moderate
+ * 
+ * @param {Array<string>} riskFactors - Risk factor ids
+ * @returns {Object} { level, highRiskFactors, moderateRiskFactors }
+ */
+function gradePreeclampsiaFactors(riskFactors) {
+  const factors = new Set(riskFactors);
+  const highRiskFactors = PREECLAMPSIA_RISK_FACTORS.high.filter(factor => factors.has(factor));
+  const moderateRiskFactors = PREECLAMPSIA_RISK_FACTORS.moderate.filter(factor => factors.has(factor));
+
+  let level = 'low';
+  if (highRiskFactors.length > 0) {
+    level = 'high';
+  } else if (moderateRiskFactors.length >= 2) {
+    level = 'moderate';
+  }
+
+  return { level, highRiskFactors, moderateRiskFactors };
+}
+
 /**
  * Get risk level from numeric score
  * 
@@ -405,6 +705,19 @@ function generateMultiMedicationRecommendations(
     });
   }
 
+  // Unknown risk: no letter category or PLLR risk summary
+  medicationRisks
+    .filter(m => m.found && m.riskBasis === RISK_BASIS.UNCLASSIFIED)
+    .forEach(med => {
+      recommendations.push({
+        priority: 'HIGH',
+        action: 'Review with provider before use',
+        medication: med.medicationName,
+        reason: 'No pregnancy risk classification - risk unknown',
+        urgency: 'before next dose'
+      });
+    });
+
   // Critical interactions
   if (interactionCheck.highestSeverity === 'critical') {
     recommendations.push({
@@ -475,11 +788,23 @@ function generateMultiMedicationRecommendations(
 /**
  * Get provider recommendation based on risk assessment
  * 
+ * With a pregnancy context, a high-risk pregnancy is referred to an
+ * obstetrician and organ impairment or preeclampsia risk add consults and
+ * considerations
+ * 
  * @param {Object} riskAssessment - Risk assessment result
  * @returns {Object} Provider recommendation
  */
 function getProviderRecommendation(riskAssessment) {
-  const { overallRiskLevel, riskScore, requiresObstetrician, hasCategoryX, hasCategoryD } = riskAssessment;
+  const {
+    riskScore,
+    requiresObstetrician,
+    hasCategoryX,
+    hasCategoryD,
+    weekOfPregnancy,
+    pregnancyContext = null,
+    preeclampsiaRisk = null
+  } = riskAssessment;
 
   let providerType = 'Primary Care Provider';
   let urgency = 'routine';
@@ -503,19 +828,68 @@ function getProviderRecommendation(riskAssessment) {
     timeframe = 'Within 1 week';
   }
 
+  const highRiskPregnancy = isHighRiskPregnancy(pregnancyContext, preeclampsiaRisk);
+  if (highRiskPregnancy && (urgency === 'routine' || urgency === 'soon')) {
+    providerType = 'Obstetrician';
+  }
+
+  const consults = [];
+  const considerations = [];
+  if (pregnancyContext) {
+    if (pregnancyContext.gestation !== 'singleton') {
+      considerations.push('Multiple gestation: plasma volume and drug clearance rise more than in a singleton pregnancy; monitor drug levels where available');
+    }
+    if (pregnancyContext.priorPretermBirth) {
+      considerations.push('Prior preterm birth: cervical length screening is recommended');
+    }
+    if (['moderate', 'severe'].includes(pregnancyContext.renalImpairment)) {
+      consults.push('Nephrology');
+      considerations.push('Renal impairment: adjust doses of renally cleared medications');
+    }
+    if (['moderate', 'severe'].includes(pregnancyContext.hepaticImpairment)) {
+      consults.push('Hepatology');
+      considerations.push('Hepatic impairment: adjust doses of hepatically metabolized medications');
+    }
+  }
+  // Aspirin prophylaxis is started between 12 and 28 weeks
+  if (preeclampsiaRisk?.aspirinRecommended && (!weekOfPregnancy || weekOfPregnancy <= 28)) {
+    considerations.push(`${preeclampsiaRisk.level === 'high' ? 'High' : 'Moderate'} preeclampsia risk: low-dose aspirin (81 mg daily) is recommended from 12 weeks until delivery`);
+  }
+
   return {
     providerType,
     urgency,
     action,
     timeframe,
     escalationNeeded: urgency === 'emergency' || urgency === 'urgent',
+    highRiskPregnancy,
+    consults,
+    considerations,
     recommendation: `${action} - Contact ${providerType} ${timeframe.toLowerCase()}`
   };
 }
 
+/**
+ * A pregnancy needing obstetric care whatever the medications: multiple
+ * gestation, prior preterm birth, high preeclampsia risk, severe organ
+ * impairment, maternal age 40 or over, or BMI 40 or over
+ * @private
+ */
+function isHighRiskPregnancy(context, preeclampsiaRisk) {
+  if (!context) return false;
+  return context.gestation !== 'singleton' ||
+    context.priorPretermBirth ||
+    preeclampsiaRisk?.level === 'high' ||
+    context.renalImpairment === 'severe' ||
+    context.hepaticImpairment === 'severe' ||
+    (context.maternalAge !== null && context.maternalAge >= 40) ||
+    (context.bmi !== null && context.bmi >= 40);
+}
+
 module.exports = {
   // Constants
   RISK_THRESHOLDS,
+  PREGNANCY_CONTEXT_POINTS,
   
   // Core functions
   calculateSingleMedicationRisk,
@@ -525,6 +899,10 @@ module.exports = {
   
   // Helper functions
   calculateCompositeScore,
+  getPregnancyContextAdjustments,
+  assessPreeclampsiaRisk,
   getRiskLevelFromScore,
-  generateMultiMedicationRecommendations
+  generateMultiMedicationRecommendations,
+  resolveMedicationNames,
+  getMedicationName
 };
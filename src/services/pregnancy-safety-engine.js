@@ -7,31 +7,39 @@
  * @module pregnancy-safety-engine
  */
 
-const { validateWeek, validateMedication } = require('../utils/validators');
-const medications = require('../data/medications.json');
+const { toWeekOfPregnancy, validateMedication } = require('../utils/validators');
+const { getPllrSections, resolvePregnancyRisk } = require('../utils/pllr');
+const { getTrimesterNumber } = require('../utils/trimesters');
+const { assessDose } = require('../utils/dosing');
+const { resolveMedication, suggestMedications } = require('./medication-search');
+const { expandCombinationProduct } = require('./combination-products');
+const { getCurationSummary } = require('./medication-curation');
+const { LACTATION_SAFETY, getLactationSafety } = require('./lactation-safety');
+const { RISK_BASIS, TRIMESTERS: TRIMESTER_DEFINITIONS } = require('../utils/constants');
 
 /**
  * Trimester definitions based on pregnancy weeks
+ * Week ranges come from constants.TRIMESTERS so every API agrees on boundaries
  * Critical periods for fetal development
  */
 const TRIMESTERS = {
   FIRST: {
     name: '1st Trimester',
-    weeks: [1, 12],
+    weeks: TRIMESTER_DEFINITIONS[1].weeksRange,
     description: 'Organ formation - HIGHEST RISK period',
     criticalDevelopment: ['Neural tube', 'Heart', 'Limbs', 'Eyes', 'Ears'],
     riskMultiplier: 1.5 // Higher risk weight
   },
   SECOND: {
     name: '2nd Trimester',
-    weeks: [13, 27],
+    weeks: TRIMESTER_DEFINITIONS[2].weeksRange,
     description: 'Growth phase - Moderate risk',
     criticalDevelopment: ['Brain development', 'Bone growth', 'Organ maturation'],
     riskMultiplier: 1.0
   },
   THIRD: {
     name: '3rd Trimester',
-    weeks: [28, 40],
+    weeks: TRIMESTER_DEFINITIONS[3].weeksRange,
     description: 'Preparation for birth - Focus on maternal/neonatal effects',
     criticalDevelopment: ['Final organ maturation', 'Weight gain', 'Lung development'],
     riskMultiplier: 1.2 // Increased risk for labor/delivery complications
@@ -41,7 +49,8 @@ const TRIMESTERS = {
 /**
  * FDA Pregnancy Category Definitions
  * Based on FDA pregnancy labeling system (pre-2015)
- * Note: New system uses more detailed risk summaries
+ * Note: New system uses more detailed risk summaries (see utils/pllr.js);
+ * PLLR risk levels are scored through their equivalent category below
  */
 const FDA_CATEGORIES = {
   A: {
@@ -92,49 +101,37 @@ const FDA_CATEGORIES = {
 };
 
 /**
- * Lactation safety levels
+ * Week-specific critical developmental periods
  */
-const LACTATION_SAFETY = {
-  SAFE: {
-    level: 'safe',
-    description: 'Safe - Can breastfeed normally',
-    recommendation: 'Continue breastfeeding without concern'
-  },
-  CAUTION: {
-    level: 'caution',
-    description: 'Use with Caution - Monitor infant',
-    recommendation: 'Breastfeed with monitoring for infant side effects'
-  },
-  UNSAFE: {
-    level: 'unsafe',
-    description: 'Unsafe - Do NOT breastfeed',
-    recommendation: 'Discontinue breastfeeding or use alternative medication'
-  },
-  UNKNOWN: {
-    level: 'unknown',
-    description: 'Unknown - Insufficient data',
-    recommendation: 'Consult healthcare provider before breastfeeding'
-  }
+const CRITICAL_WEEKS = {
+  // Neural tube formation
+  3: { reason: 'Neural tube formation', severity: 'critical' },
+  4: { reason: 'Neural tube formation', severity: 'critical' },
+  5: { reason: 'Heart and limb development', severity: 'critical' },
+  6: { reason: 'Heart and limb development', severity: 'critical' },
+  7: { reason: 'Organ differentiation', severity: 'high' },
+  8: { reason: 'Organ differentiation', severity: 'high' },
+  
+  // Late pregnancy - labor considerations
+  37: { reason: 'Full term - prepare for labor', severity: 'moderate' },
+  38: { reason: 'Full term - prepare for labor', severity: 'moderate' },
+  39: { reason: 'Full term - prepare for labor', severity: 'moderate' },
+  40: { reason: 'Full term - prepare for labor', severity: 'moderate' }
 };
 
 /**
  * Get trimester information based on pregnancy week
  * 
- * @param {number} weekOfPregnancy - Current week of pregnancy (1-40)
+ * @param {number} weekOfPregnancy - Current week of pregnancy (1-45; weeks 41+ are post-term 3rd trimester)
  * @returns {Object} Trimester information
  */
 function getTrimester(weekOfPregnancy) {
-  validateWeek(weekOfPregnancy);
-
-  if (weekOfPregnancy >= TRIMESTERS.FIRST.weeks[0] && weekOfPregnancy <= TRIMESTERS.FIRST.weeks[1]) {
-    return { ...TRIMESTERS.FIRST, number: 1, week: weekOfPregnancy };
-  } else if (weekOfPregnancy >= TRIMESTERS.SECOND.weeks[0] && weekOfPregnancy <= TRIMESTERS.SECOND.weeks[1]) {
-    return { ...TRIMESTERS.SECOND, number: 2, week: weekOfPregnancy };
-  } else if (weekOfPregnancy >= TRIMESTERS.THIRD.weeks[0] && weekOfPregnancy <= TRIMESTERS.THIRD.weeks[1]) {
-    return { ...TRIMESTERS.THIRD, number: 3, week: weekOfPregnancy };
-  }
+  weekOfPregnancy = toWeekOfPregnancy(weekOfPregnancy);
 
-  throw new Error(`Invalid pregnancy week: ${weekOfPregnancy}. Must be between 1-40.`);
+  const number = getTrimesterNumber(weekOfPregnancy);
+  const key = ['FIRST', 'SECOND', 'THIRD'][number - 1];
+
+  return { ...TRIMESTERS[key], number, week: weekOfPregnancy };
 }
 
 /**
@@ -144,29 +141,14 @@ function getTrimester(weekOfPregnancy) {
  * @returns {Object} Critical period information
  */
 function isCriticalPeriod(weekOfPregnancy) {
+  weekOfPregnancy = toWeekOfPregnancy(weekOfPregnancy);
   const trimester = getTrimester(weekOfPregnancy);
   
   // Week-specific critical periods (check first for specificity)
-  const criticalWeeks = {
-    // Neural tube formation
-    3: { reason: 'Neural tube formation', severity: 'critical' },
-    4: { reason: 'Neural tube formation', severity: 'critical' },
-    5: { reason: 'Heart and limb development', severity: 'critical' },
-    6: { reason: 'Heart and limb development', severity: 'critical' },
-    7: { reason: 'Organ differentiation', severity: 'high' },
-    8: { reason: 'Organ differentiation', severity: 'high' },
-    
-    // Late pregnancy - labor considerations
-    37: { reason: 'Full term - prepare for labor', severity: 'moderate' },
-    38: { reason: 'Full term - prepare for labor', severity: 'moderate' },
-    39: { reason: 'Full term - prepare for labor', severity: 'moderate' },
-    40: { reason: 'Full term - prepare for labor', severity: 'moderate' }
-  };
-
-  if (criticalWeeks[weekOfPregnancy]) {
+  if (CRITICAL_WEEKS[weekOfPregnancy]) {
     return {
       isCritical: true,
-      ...criticalWeeks[weekOfPregnancy],
+      ...CRITICAL_WEEKS[weekOfPregnancy],
       week: weekOfPregnancy
     };
   }
@@ -193,21 +175,25 @@ function isCriticalPeriod(weekOfPregnancy) {
  * 
  * @param {Object} medication - Medication object
  * @param {number} weekOfPregnancy - Current week of pregnancy
- * @returns {number} Risk score (0-100)
+ * @param {Object} [dosing] - { dose, quantity, frequency, route } (see utils/dosing)
+ * @returns {number|null} Risk score (0-100), or null for a medication with
+ *   neither a letter category nor a PLLR risk summary (risk unknown)
  */
-function calculateRiskScore(medication, weekOfPregnancy) {
+function calculateRiskScore(medication, weekOfPregnancy, dosing = null) {
   validateMedication(medication);
-  validateWeek(weekOfPregnancy);
+  weekOfPregnancy = toWeekOfPregnancy(weekOfPregnancy);
 
   const trimester = getTrimester(weekOfPregnancy);
   const critical = isCriticalPeriod(weekOfPregnancy);
   
-  // Get FDA category
-  const fdaCategory = medication.pregnancyCategory?.fda || 'C';
-  const categoryInfo = FDA_CATEGORIES[fdaCategory];
+  // Get FDA category, or the PLLR Risk Summary equivalent when no letter exists
+  const { scoringCategory } = resolvePregnancyRisk(medication);
+  if (!scoringCategory) return null;
+
+  const categoryInfo = FDA_CATEGORIES[scoringCategory];
   
   if (!categoryInfo) {
-    throw new Error(`Invalid FDA category: ${fdaCategory}`);
+    throw new Error(`Invalid FDA category: ${scoringCategory}`);
   }
 
   // Start with base score from FDA category
@@ -238,21 +224,33 @@ function calculateRiskScore(medication, weekOfPregnancy) {
     }
     
     // Adjust based on trimester risk level
-    if (trimesterData.risk === 'critical') {
-      score = Math.max(score, 85);
-    } else if (trimesterData.risk === 'high') {
-      score = Math.max(score, 65);
-    } else if (trimesterData.risk === 'moderate') {
-      score = Math.max(score, 45);
-    } else if (trimesterData.risk === 'low') {
-      score = Math.min(score, 30);
-    }
+    score = applyRiskLevel(score, trimesterData.risk);
+  }
+
+  // Adjust for the prescribed dose (low-dose band, pregnancy and label limits)
+  if (dosing) {
+    score = applyRiskLevel(score, assessDose(medication, trimester.number, dosing, weekOfPregnancy).riskOverride);
   }
 
   // Cap score at 100
   return Math.min(Math.round(score), 100);
 }
 
+/**
+ * Raise or cap a risk score to match a labelled risk level
+ * 
+ * @param {number} score - Risk score
+ * @param {string} risk - 'critical' | 'high' | 'moderate' | 'low' (others leave the score unchanged)
+ * @returns {number} Adjusted score
+ */
+function applyRiskLevel(score, risk) {
+  if (risk === 'critical') return Math.max(score, 85);
+  if (risk === 'high') return Math.max(score, 65);
+  if (risk === 'moderate') return Math.max(score, 45);
+  if (risk === 'low') return Math.min(score, 30);
+  return score;
+}
+
 /**
  * Get risk level from risk score
  * 
@@ -272,48 +270,89 @@ function getRiskLevel(score) {
  * Main function for safety assessment
  * 
  * @param {string} medicationName - Generic or brand name of medication
- * @param {number} weekOfPregnancy - Current week of pregnancy (1-40)
+ * @param {number|Object} weekOfPregnancy - Current week of pregnancy (1-40) or gestational age from pregnancy-dating
+ * @param {Object} [dosing] - { dose, quantity, frequency, route }, e.g. { dose: '81mg', frequency: 'daily' }
  * @returns {Object} Safety assessment result
  */
-function checkMedicationSafety(medicationName, weekOfPregnancy) {
+function checkMedicationSafety(medicationName, weekOfPregnancy, dosing = null) {
   if (!medicationName || typeof medicationName !== 'string') {
     throw new Error('Medication name is required and must be a string');
   }
 
-  validateWeek(weekOfPregnancy);
+  weekOfPregnancy = toWeekOfPregnancy(weekOfPregnancy);
 
-  // Find medication in database
-  const medication = findMedication(medicationName);
+  // Find medication or combination product in database
+  const resolved = resolveMedication(medicationName, { combinations: true });
   
-  if (!medication) {
+  if (!resolved) {
     return {
       found: false,
       medicationName,
       message: 'Medication not found in pregnancy safety database',
-      recommendation: 'Consult healthcare provider before use during pregnancy'
+      recommendation: 'Consult healthcare provider before use during pregnancy',
+      suggestions: suggestMedications(medicationName)
     };
   }
 
+  const { medication, match: nameMatch } = resolved;
+
+  if (medication.combination) {
+    return assessCombinationProduct(medication, weekOfPregnancy, dosing, nameMatch);
+  }
+
+  return assessMedication(medication, weekOfPregnancy, dosing, nameMatch);
+}
+
+/**
+ * Assess one medication record for a week of pregnancy
+ * 
+ * @param {Object} medication - Medication record
+ * @param {number} weekOfPregnancy - Current week of pregnancy
+ * @param {Object} [dosing] - { dose, quantity, frequency, route }
+ * @param {Object} [nameMatch] - How the name as typed matched the record
+ * @returns {Object} Safety assessment result
+ */
+function assessMedication(medication, weekOfPregnancy, dosing = null, nameMatch = null) {
   const trimester = getTrimester(weekOfPregnancy);
   const critical = isCriticalPeriod(weekOfPregnancy);
-  const riskScore = calculateRiskScore(medication, weekOfPregnancy);
-  const riskLevel = getRiskLevel(riskScore);
+  const riskScore = calculateRiskScore(medication, weekOfPregnancy, dosing);
+  const dose = dosing ? assessDose(medication, trimester.number, dosing, weekOfPregnancy) : null;
   
-  const fdaCategory = medication.pregnancyCategory?.fda || 'C';
-  const categoryInfo = FDA_CATEGORIES[fdaCategory];
+  const riskBasis = resolvePregnancyRisk(medication);
+  const scoringCategory = riskBasis.scoringCategory;
+  const categoryInfo = FDA_CATEGORIES[scoringCategory];
+
+  // Without a letter or PLLR risk summary the risk is unknown, so the
+  // result goes to provider review instead of being scored
+  const unclassified = riskBasis.basis === RISK_BASIS.UNCLASSIFIED;
+  const riskLevel = unclassified ? 'unknown' : getRiskLevel(riskScore);
   
   const trimesterKey = `trimester${trimester.number}`;
   const trimesterData = medication.pregnancyCategory?.[trimesterKey];
 
-  // Determine if safe
-  const isSafe = riskScore <= 40 && (trimesterData?.safe !== false);
+  // Determine if safe (a dose band or limit overrides the trimester flag)
+  const safeFlag = dose?.safeOverride ?? trimesterData?.safe;
+  const isSafe = !unclassified && riskScore <= 40 && (safeFlag !== false);
+
+  const warnings = [...(trimesterData?.warnings || [])];
+  if (unclassified) {
+    warnings.push('No FDA pregnancy category or PLLR risk summary available - pregnancy risk is unknown');
+  }
+  if (dose) {
+    warnings.push(...dose.warnings);
+  }
   
+  const curation = getCurationSummary(medication);
+
   // Build result
   const result = {
     found: true,
     medicationName: medication.name,
     genericName: medication.genericName,
     brandNames: medication.brandNames,
+
+    // How the name as typed matched the record (exact or normalized)
+    nameMatch,
     
     // Pregnancy information
     weekOfPregnancy,
@@ -325,10 +364,12 @@ function checkMedicationSafety(medicationName, weekOfPregnancy) {
     
     // Risk assessment
     safe: isSafe,
-    fdaCategory: {
-      category: fdaCategory,
+    fdaCategory: riskBasis.fdaCategory ? {
+      category: riskBasis.fdaCategory,
       ...categoryInfo
-    },
+    } : null,
+    riskBasis: riskBasis.basis,
+    pllrRiskLevel: riskBasis.pllrRiskLevel,
     riskScore,
     riskLevel,
     
@@ -337,20 +378,32 @@ function checkMedicationSafety(medicationName, weekOfPregnancy) {
     
     // Trimester-specific data
     trimesterSpecific: trimesterData || null,
+
+    // Dose assessment (daily total and limits), when a dose was given
+    dose,
+
+    // PLLR narrative labeling (Risk Summary, Clinical Considerations, Data, ...)
+    pllr: getPllrSections(medication),
     
     // Warnings and alternatives
-    warnings: trimesterData?.warnings || [],
+    warnings,
     alternatives: trimesterData?.alternatives || [],
     
     // Recommendations
-    recommendation: generateRecommendation(isSafe, fdaCategory, riskLevel, critical),
+    recommendation: unclassified
+      ? '❓ UNKNOWN RISK: This medication has no pregnancy risk classification. Review it with your healthcare provider before use.'
+      : generateRecommendation(isSafe, scoringCategory, riskLevel, critical),
     
     // Provider consultation needed
-    requiresProviderConsent: riskScore > 40 || fdaCategory === 'D' || fdaCategory === 'X',
-    requiresObstetrician: riskScore > 60 || fdaCategory === 'X' || critical.severity === 'critical',
+    requiresProviderConsent: unclassified || riskScore > 40 || scoringCategory === 'D' || scoringCategory === 'X',
+    requiresObstetrician: riskScore > 60 || scoringCategory === 'X' || critical.severity === 'critical',
     
     // Contraindications
     contraindications: medication.contraindications || [],
+
+    // Clinical review of the record behind this result (see medication-curation)
+    verified: curation.verified,
+    curation,
     
     // Timestamp
     assessmentDate: new Date().toISOString()
@@ -360,34 +413,97 @@ function checkMedicationSafety(medicationName, weekOfPregnancy) {
 }
 
 /**
- * Find medication in database by name (generic or brand)
+ * Assess a combination product by every active ingredient
+ * The ingredient with the highest risk score sets the result; the product is
+ * safe only when every ingredient is known and safe, and warnings,
+ * alternatives and contraindications are collected from all ingredients
+ * 
+ * @param {Object} product - Combination product (see combination-products)
+ * @param {number} weekOfPregnancy - Current week of pregnancy
+ * @param {Object} [dosing] - Dose as entered; not assessed for combination products
+ * @param {Object} [nameMatch] - How the name as typed matched the product
+ * @returns {Object} Safety assessment result with per-ingredient detail
+ */
+function assessCombinationProduct(product, weekOfPregnancy, dosing = null, nameMatch = null) {
+  const ingredients = expandCombinationProduct(product);
+  const assessed = ingredients
+    .filter(ingredient => ingredient.medication)
+    .map(ingredient => assessMedication(ingredient.medication, weekOfPregnancy));
+  const unlisted = ingredients.filter(ingredient => !ingredient.medication).map(ingredient => ingredient.name);
+
+  if (assessed.length === 0) {
+    return {
+      found: false,
+      medicationName: product.name,
+      message: 'No active ingredient of this combination product is in the pregnancy safety database',
+      recommendation: 'Consult healthcare provider before use during pregnancy',
+      suggestions: []
+    };
+  }
+
+  const worst = assessed.reduce((a, b) => (b.riskScore > a.riskScore ? b : a));
+  const unique = values => [...new Set(values)];
+
+  const warnings = assessed.flatMap(result =>
+    result.warnings.map(warning => `${result.medicationName}: ${warning}`)
+  );
+  unlisted.forEach(name => {
+    warnings.push(`${name}: Not in the pregnancy safety database - this ingredient was not assessed`);
+  });
+  if (dosing) {
+    warnings.push('Dose checks are not applied to combination products - check the daily total of each ingredient');
+  }
+
+  return {
+    ...worst,
+    medicationName: product.name,
+    genericName: product.name,
+    brandNames: product.brandNames,
+    nameMatch,
+
+    combination: true,
+    // The ingredient whose risk the product result reports
+    worstIngredient: worst.medicationName,
+    ingredients: ingredients.map(({ name, medication }) => {
+      const result = assessed.find(r => r.medicationName === medication?.name);
+      return result ? {
+        name,
+        found: true,
+        safe: result.safe,
+        fdaCategory: result.fdaCategory?.category || null,
+        riskBasis: result.riskBasis,
+        riskScore: result.riskScore,
+        riskLevel: result.riskLevel,
+        warnings: result.warnings,
+        recommendation: result.recommendation,
+        verified: result.verified,
+        curationStatus: result.curation.status
+      } : { name, found: false, safe: false, verified: false };
+    }),
+
+    safe: unlisted.length === 0 && assessed.every(result => result.safe),
+    dose: null,
+    warnings,
+    alternatives: unique(assessed.flatMap(result => result.alternatives)),
+    requiresProviderConsent: unlisted.length > 0 || assessed.some(result => result.requiresProviderConsent),
+    requiresObstetrician: assessed.some(result => result.requiresObstetrician),
+    contraindications: unique(assessed.flatMap(result => result.contraindications)),
+    // Verified only when every ingredient's record is; review detail is per ingredient
+    verified: unlisted.length === 0 && assessed.every(result => result.verified),
+    curation: null
+  };
+}
+
+/**
+ * Find medication in database by name (generic or brand) or RxCUI
+ * Salts, strengths and dosage forms are ignored; misspellings do not
+ * resolve (see medication-search)
  * 
- * @param {string} medicationName - Medication name to search
+ * @param {string} medicationName - Medication name or RxCUI to search
  * @returns {Object|null} Medication object or null
  */
 function findMedication(medicationName) {
-  const searchName = medicationName.toLowerCase().trim();
-  
-  return medications.find(med => {
-    // Check generic name
-    if (med.genericName && med.genericName.toLowerCase() === searchName) {
-      return true;
-    }
-    
-    // Check name field
-    if (med.name && med.name.toLowerCase() === searchName) {
-      return true;
-    }
-    
-    // Check brand names
-    if (med.brandNames && Array.isArray(med.brandNames)) {
-      return med.brandNames.some(brand => 
-        brand.toLowerCase() === searchName
-      );
-    }
-    
-    return false;
-  });
+  return resolveMedication(medicationName)?.medication || null;
 }
 
 /**
@@ -427,49 +543,6 @@ function generateRecommendation(isSafe, fdaCategory, riskLevel, critical) {
   return 'Consult your healthcare provider before using this medication during pregnancy.';
 }
 
-/**
- * Get lactation safety information
- * 
- * @param {string} medicationName - Medication name
- * @returns {Object} Lactation safety information
- */
-function getLactationSafety(medicationName) {
-  const medication = findMedication(medicationName);
-  
-  if (!medication) {
-    return {
-      found: false,
-      medicationName,
-      recommendation: 'Consult healthcare provider before use while breastfeeding'
-    };
-  }
-
-  // Check if lactation data exists in medication
-  const lactationSafe = medication.lactationSafe;
-  const lactationNotes = medication.lactationNotes;
-  
-  let safetyLevel;
-  if (lactationSafe === true) {
-    safetyLevel = LACTATION_SAFETY.SAFE;
-  } else if (lactationSafe === false) {
-    safetyLevel = LACTATION_SAFETY.UNSAFE;
-  } else if (lactationSafe === 'caution') {
-    safetyLevel = LACTATION_SAFETY.CAUTION;
-  } else {
-    safetyLevel = LACTATION_SAFETY.UNKNOWN;
-  }
-
-  return {
-    found: true,
-    medicationName: medication.name,
-    genericName: medication.genericName,
-    lactationSafe: lactationSafe,
-    safety: safetyLevel,
-    notes: lactationNotes || 'No additional notes available',
-    recommendation: safetyLevel.recommendation
-  };
-}
-
 /**
  * Get trimester-specific warnings
  * 
@@ -482,7 +555,15 @@ function getTrimesterWarnings(medicationName, trimesterNumber) {
     throw new Error('Trimester must be 1, 2, or 3');
   }
 
-  const medication = findMedication(medicationName);
+  const resolved = resolveMedication(medicationName, { combinations: true });
+  if (resolved?.medication.combination) {
+    // Each ingredient's warnings, prefixed with the ingredient name
+    return expandCombinationProduct(resolved.medication)
+      .filter(ingredient => ingredient.medication)
+      .flatMap(({ name }) => getTrimesterWarnings(name, trimesterNumber).map(warning => `${name}: ${warning}`));
+  }
+
+  const medication = resolved?.medication;
   
   if (!medication) {
     return [];
@@ -499,6 +580,7 @@ module.exports = {
   TRIMESTERS,
   FDA_CATEGORIES,
   LACTATION_SAFETY,
+  CRITICAL_WEEKS,
   
   // Core functions
   getTrimester,
@@ -75,6 +75,278 @@ const FDA_CATEGORIES = {
   }
 };
 
+/**
+ * PLLR (Pregnancy and Lactation Labeling Rule, 2015) label sections
+ * Replaces the letter categories on labels approved or updated after June 2015
+ */
+const PLLR_SECTIONS = {
+  riskSummary: {
+    key: 'riskSummary',
+    label: 'Risk Summary',
+    labelSection: '8.1'
+  },
+  clinicalConsiderations: {
+    key: 'clinicalConsiderations',
+    label: 'Clinical Considerations',
+    labelSection: '8.1'
+  },
+  data: {
+    key: 'data',
+    label: 'Data',
+    labelSection: '8.1'
+  },
+  pregnancyExposureRegistry: {
+    key: 'pregnancyExposureRegistry',
+    label: 'Pregnancy Exposure Registry',
+    labelSection: '8.1'
+  },
+  reproductivePotential: {
+    key: 'reproductivePotential',
+    label: 'Females and Males of Reproductive Potential',
+    labelSection: '8.3'
+  }
+};
+
+/**
+ * Risk conclusions drawn from a PLLR Risk Summary
+ * equivalentCategory is used only to place the narrative on the same scoring
+ * scale as the letter categories; it is never reported as an FDA category
+ */
+const PLLR_RISK_LEVELS = {
+  minimal: {
+    level: 'minimal',
+    label: 'No increased risk',
+    description: 'Human data do not show an increased risk of adverse developmental outcomes',
+    riskLevel: 'minimal',
+    equivalentCategory: 'A'
+  },
+  low: {
+    level: 'low',
+    label: 'Risk not established',
+    description: 'Available human data have not established a drug-associated risk; animal data reassuring',
+    riskLevel: 'low',
+    equivalentCategory: 'B'
+  },
+  moderate: {
+    level: 'moderate',
+    label: 'Potential risk',
+    description: 'Animal data or limited human data suggest a possible risk; weigh against disease risk',
+    riskLevel: 'moderate',
+    equivalentCategory: 'C'
+  },
+  high: {
+    level: 'high',
+    label: 'Known risk',
+    description: 'Human data show a drug-associated risk of adverse developmental outcomes',
+    riskLevel: 'high',
+    equivalentCategory: 'D'
+  },
+  contraindicated: {
+    level: 'contraindicated',
+    label: 'Contraindicated',
+    description: 'Label contraindicates use in pregnancy; fetal harm outweighs any benefit',
+    riskLevel: 'severe',
+    equivalentCategory: 'X'
+  }
+};
+
+/**
+ * Where a medication's pregnancy risk assessment comes from
+ */
+const RISK_BASIS = {
+  FDA_CATEGORY: 'fda_category',
+  PLLR: 'pllr',
+  UNCLASSIFIED: 'unclassified'
+};
+
+/**
+ * Postpartum period covered by postpartum mode, in weeks after delivery
+ * (breastfeeding into the second year is common)
+ */
+const POSTPARTUM_MAX_WEEKS = 104;
+
+/**
+ * Infant age groups for breastfeeding guidance, youngest first. Preterm
+ * infants and newborns clear drugs slowly; clearance approaches adult rates
+ * over the first months. Ages of preterm infants are corrected to the due date
+ */
+const INFANT_AGE_GROUPS = {
+  premature: {
+    key: 'premature',
+    label: 'Premature infant',
+    description: 'Born before 37 weeks, up to 4 weeks past the due date',
+    guidance: 'Preterm infants clear drugs slowly and are prone to apnea. Prefer medications with a low relative infant dose and a short half-life.'
+  },
+  neonate: {
+    key: 'neonate',
+    label: 'Newborn',
+    maxWeeks: 4,
+    description: 'First 4 weeks of life',
+    guidance: 'Drug clearance is still immature. Watch closely for the monitoring signs.'
+  },
+  infant: {
+    key: 'infant',
+    label: 'Infant',
+    maxWeeks: 26,
+    description: '1 to 6 months',
+    guidance: 'Drug clearance approaches adult rates by 2-3 months.'
+  },
+  older_infant: {
+    key: 'older_infant',
+    label: 'Older infant',
+    description: '6 months and older',
+    guidance: 'Solid foods reduce milk intake, so exposure through milk is lower.'
+  }
+};
+
+/**
+ * Folic acid before conception when no maternal condition calls for a higher
+ * dose (see the preconception block of maternal-conditions.json)
+ */
+const FOLIC_ACID_STANDARD = {
+  dailyDoseMg: 0.4,
+  startWeeksBefore: 4,
+  reason: 'Lowers the risk of neural tube defects'
+};
+
+/**
+ * Pregnancy context used to adjust risk scores (see utils/validators
+ * toPregnancyContext and services/pregnancy-risk-calculator)
+ */
+const GESTATION_TYPES = ['singleton', 'twins', 'triplets_or_more'];
+const IMPAIRMENT_GRADES = ['none', 'mild', 'moderate', 'severe'];
+
+/**
+ * Preeclampsia risk factors (ACOG / USPSTF). Low-dose aspirin is recommended
+ * with one high-risk factor or with two or more moderate-risk factors
+ */
+const PREECLAMPSIA_RISK_FACTORS = {
+  high: [
+    'prior_preeclampsia',
+    'multifetal_gestation',
+    'chronic_hypertension',
+    'pregestational_diabetes',
+    'renal_disease',
+    'autoimmune_disease'
+  ],
+  moderate: [
+    'nulliparity',
+    'obesity',
+    'family_history',
+    'age_35_or_older',
+    'ivf',
+    'low_income',
+    'prior_adverse_outcome',
+    'pregnancy_interval_over_10_years'
+  ]
+};
+
+/**
+ * Clinical review status of a medication record (see services/medication-curation)
+ * Only approved records count as clinically verified
+ */
+const CURATION_STATUS = {
+  DRAFT: 'draft',
+  REVIEWED: 'reviewed',
+  APPROVED: 'approved'
+};
+
+/**
+ * Review status changes allowed from each status; any change to curated data
+ * sends a record back to draft
+ */
+const CURATION_TRANSITIONS = {
+  draft: ['reviewed'],
+  reviewed: ['approved', 'draft'],
+  approved: ['draft']
+};
+
+/**
+ * International nonproprietary names that differ from the US generic name,
+ * lowercase, mapped to the US name. These are synonyms, never brand names
+ */
+const INTERNATIONAL_GENERIC_NAMES = {
+  'paracetamol': 'Acetaminophen',
+  'salbutamol': 'Albuterol',
+  'acetylsalicylic acid': 'Aspirin',
+  'adrenaline': 'Epinephrine',
+  'noradrenaline': 'Norepinephrine',
+  'pethidine': 'Meperidine',
+  'lignocaine': 'Lidocaine',
+  'frusemide': 'Furosemide',
+  'ciclosporin': 'Cyclosporine',
+  'rifampicin': 'Rifampin',
+  'glibenclamide': 'Glyburide',
+  'glyceryl trinitrate': 'Nitroglycerin'
+};
+
+/**
+ * Therapeutic classes used by class-based interaction rules
+ * Medication records list their memberships in therapeuticClasses
+ */
+const THERAPEUTIC_CLASSES = {
+  nsaid: { key: 'nsaid', label: 'NSAIDs' },
+  analgesic: { key: 'analgesic', label: 'Non-opioid analgesics' },
+  opioid: { key: 'opioid', label: 'Opioid analgesics' },
+  antiplatelet: { key: 'antiplatelet', label: 'Antiplatelet agents' },
+  anticoagulant: { key: 'anticoagulant', label: 'Anticoagulants' },
+  ace_inhibitor: { key: 'ace_inhibitor', label: 'ACE inhibitors' },
+  arb: { key: 'arb', label: 'Angiotensin II receptor blockers (ARBs)' },
+  calcium_channel_blocker: { key: 'calcium_channel_blocker', label: 'Calcium channel blockers' },
+  thiazide_diuretic: { key: 'thiazide_diuretic', label: 'Thiazide diuretics' },
+  statin: { key: 'statin', label: 'Statins (HMG-CoA reductase inhibitors)' },
+  ssri: { key: 'ssri', label: 'Selective serotonin reuptake inhibitors (SSRIs)' },
+  gabapentinoid: { key: 'gabapentinoid', label: 'Gabapentinoids' },
+  biguanide: { key: 'biguanide', label: 'Biguanides' },
+  proton_pump_inhibitor: { key: 'proton_pump_inhibitor', label: 'Proton pump inhibitors' },
+  thyroid_hormone: { key: 'thyroid_hormone', label: 'Thyroid hormones' },
+  beta2_agonist: { key: 'beta2_agonist', label: 'Beta-2 agonists' },
+  leukotriene_antagonist: { key: 'leukotriene_antagonist', label: 'Leukotriene receptor antagonists' },
+  five_alpha_reductase_inhibitor: { key: 'five_alpha_reductase_inhibitor', label: '5-alpha reductase inhibitors' },
+  antimetabolite: { key: 'antimetabolite', label: 'Antimetabolites' },
+  immunosuppressant: { key: 'immunosuppressant', label: 'Immunosuppressants' },
+  antiepileptic: { key: 'antiepileptic', label: 'Antiseizure medications' }
+};
+
+/**
+ * Dose frequencies as administrations per day
+ * "every N hours" and "N times daily" forms are parsed separately
+ */
+const DOSE_FREQUENCIES = {
+  once: 1,
+  daily: 1,
+  'once daily': 1,
+  'once a day': 1,
+  qd: 1,
+  qam: 1,
+  qpm: 1,
+  qhs: 1,
+  'at bedtime': 1,
+  bid: 2,
+  'twice daily': 2,
+  'twice a day': 2,
+  tid: 3,
+  'three times daily': 3,
+  qid: 4,
+  'four times daily': 4,
+  weekly: 1 / 7,
+  'once weekly': 1 / 7
+};
+
+/**
+ * Routes whose doses count toward systemic daily limits
+ */
+const SYSTEMIC_ROUTES = [
+  'oral',
+  'sublingual',
+  'buccal',
+  'rectal',
+  'intravenous',
+  'intramuscular',
+  'subcutaneous',
+  'transdermal'
+];
+
 const TRIMESTERS = {
   1: {
     number: 1,
@@ -108,13 +380,28 @@ const TRIMESTERS = {
   }
 };
 
+/**
+ * Audit trail storage adapters (see services/audit-storage)
+ */
+const AUDIT_STORAGE_TYPES = {
+  JSONL: 'jsonl',
+  SQLITE: 'sqlite',
+  MEMORY: 'memory',
+  JSON: 'json'
+};
+
 const ERROR_CODES = {
   MEDICATION_NOT_FOUND: 'MEDICATION_NOT_FOUND',
   INVALID_WEEK: 'INVALID_WEEK',
+  INVALID_DATE: 'INVALID_DATE',
+  INVALID_DOSE: 'INVALID_DOSE',
   INVALID_TRIMESTER: 'INVALID_TRIMESTER',
   INVALID_CONFIG: 'INVALID_CONFIG',
   DATA_LOAD_ERROR: 'DATA_LOAD_ERROR',
-  AUDIT_ERROR: 'AUDIT_ERROR'
+  AUDIT_ERROR: 'AUDIT_ERROR',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  NOT_FOUND: 'NOT_FOUND',
+  MISSING_PREFETCH: 'MISSING_PREFETCH'
 };
 
 const DEFAULT_CONFIG = {
@@ -125,13 +412,32 @@ const DEFAULT_CONFIG = {
   cacheEnabled: true,
   cacheTTL: 3600,
   showDisclaimer: true,
-  requireConsent: false
+  requireConsent: false,
+  knowledgeBaseFiles: [],
+  auditStorage: { type: AUDIT_STORAGE_TYPES.JSONL },
+  auditHmacKey: null
 };
 
 module.exports = {
   FDA_DISCLAIMER,
   FDA_CATEGORIES,
+  PLLR_SECTIONS,
+  PLLR_RISK_LEVELS,
+  RISK_BASIS,
+  CURATION_STATUS,
+  CURATION_TRANSITIONS,
+  INTERNATIONAL_GENERIC_NAMES,
   TRIMESTERS,
+  POSTPARTUM_MAX_WEEKS,
+  FOLIC_ACID_STANDARD,
+  INFANT_AGE_GROUPS,
+  GESTATION_TYPES,
+  IMPAIRMENT_GRADES,
+  PREECLAMPSIA_RISK_FACTORS,
+  THERAPEUTIC_CLASSES,
+  DOSE_FREQUENCIES,
+  SYSTEMIC_ROUTES,
+  AUDIT_STORAGE_TYPES,
   ERROR_CODES,
   DEFAULT_CONFIG
 };
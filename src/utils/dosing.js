@@ -0,0 +1,242 @@
+/**
+ * Dose helpers
+ *
+ * Parses strength strings ("325mg", "90mcg/inhalation") and frequencies,
+ * computes daily totals and compares them with the medication record's
+ * label maximum (maxDailyDose) and pregnancy-specific limits (trimester
+ * maxDosage and lowDose band).
+ */
+
+const { DOSE_FREQUENCIES, SYSTEMIC_ROUTES, ERROR_CODES } = require('./constants');
+const { createError } = require('./validators');
+
+/**
+ * Milligrams per unit for mass units
+ */
+const MG_PER_UNIT = {
+  g: 1000,
+  mg: 1,
+  mcg: 0.001,
+  ug: 0.001,
+  'µg': 0.001
+};
+
+const STRENGTH_PATTERN = /^(\d+(?:\.\d+)?)\s*([a-zµ]+)(?:\s*\/\s*([a-z]+))?$/i;
+
+/**
+ * Parse a strength string such as "325mg" or "90mcg/inhalation"
+ * Plain numbers are taken as milligrams
+ *
+ * @param {string|number|Object} value - Strength string, number, or { amount, unit }
+ * @returns {Object|null} { amount, unit, per } or null if unparseable
+ */
+function parseStrength(value) {
+  if (typeof value === 'number' && value > 0) {
+    return { amount: value, unit: 'mg', per: null };
+  }
+
+  if (value && typeof value === 'object' && typeof value.amount === 'number') {
+    return { amount: value.amount, unit: String(value.unit || 'mg').toLowerCase(), per: value.per || null };
+  }
+
+  const match = typeof value === 'string' ? value.trim().match(STRENGTH_PATTERN) : null;
+  if (!match) return null;
+
+  return {
+    amount: parseFloat(match[1]),
+    unit: match[2].toLowerCase(),
+    per: match[3] ? match[3].toLowerCase() : null
+  };
+}
+
+/**
+ * Convert a parsed strength to milligrams
+ *
+ * @param {Object|string|number} strength - Parsed or raw strength
+ * @returns {number|null} Milligrams, or null for non-mass units
+ */
+function toMilligrams(strength) {
+  const parsed = typeof strength === 'object' && strength !== null && 'unit' in strength
+    ? strength
+    : parseStrength(strength);
+  if (!parsed || !(parsed.unit in MG_PER_UNIT)) return null;
+
+  return Math.round(parsed.amount * MG_PER_UNIT[parsed.unit] * 1000) / 1000;
+}
+
+/**
+ * Parse a dose frequency to administrations per day
+ * For ranges such as "every 4-6 hours" the shortest interval is used,
+ * so the daily total is the most that could be taken
+ *
+ * @param {string|number} frequency - e.g. 'bid', 'twice daily', 'q6h', 'every 4-6 hours', 3
+ * @returns {number|null} Doses per day, or null if unparseable
+ */
+function parseFrequency(frequency) {
+  if (typeof frequency === 'number') {
+    return frequency > 0 ? frequency : null;
+  }
+  if (typeof frequency !== 'string') return null;
+
+  const text = frequency.trim().toLowerCase().replace(/\./g, '');
+
+  if (DOSE_FREQUENCIES[text] !== undefined) {
+    return DOSE_FREQUENCIES[text];
+  }
+
+  const everyHours = text.match(/^(?:q|every\s+)(\d+)(?:\s*-\s*\d+)?\s*(?:h|hr|hrs|hours?)\b/);
+  if (everyHours) {
+    return 24 / parseInt(everyHours[1], 10);
+  }
+
+  const timesDaily = text.match(/^(\d+)\s*(?:x|times)\s*(?:daily|a day|per day)\b/);
+  if (timesDaily) {
+    return parseInt(timesDaily[1], 10);
+  }
+
+  return null;
+}
+
+/**
+ * Normalize dose inputs and compute the daily total
+ *
+ * @param {Object} dosing - Dose inputs
+ * @param {string|number|Object} dosing.dose - Strength per unit, e.g. '325mg'
+ * @param {number} [dosing.quantity] - Units per administration (default 1)
+ * @param {string|number} [dosing.frequency] - Frequency (default once daily)
+ * @param {string} [dosing.route] - Route of administration (default 'oral')
+ * @returns {Object} Normalized dose
+ */
+function normalizeDose(dosing) {
+  if (!dosing || dosing.dose === undefined || dosing.dose === null) {
+    throw createError(ERROR_CODES.INVALID_DOSE, 'Dose is required, e.g. "325mg"');
+  }
+
+  const strength = parseStrength(dosing.dose);
+  if (!strength) {
+    throw createError(ERROR_CODES.INVALID_DOSE, `Unrecognized dose: ${dosing.dose}`);
+  }
+
+  const quantity = dosing.quantity ?? 1;
+  if (typeof quantity !== 'number' || quantity <= 0) {
+    throw createError(ERROR_CODES.INVALID_DOSE, `Quantity must be a positive number, got ${dosing.quantity}`);
+  }
+
+  const frequencyGiven = dosing.frequency !== undefined && dosing.frequency !== null;
+  const dosesPerDay = frequencyGiven ? parseFrequency(dosing.frequency) : 1;
+  if (dosesPerDay === null) {
+    throw createError(ERROR_CODES.INVALID_DOSE, `Unrecognized frequency: ${dosing.frequency}`);
+  }
+
+  const route = String(dosing.route || 'oral').toLowerCase();
+  const perDoseAmount = strength.amount * quantity;
+  const dailyAmount = Math.round(perDoseAmount * dosesPerDay * 1000) / 1000;
+
+  return {
+    strength,
+    quantity,
+    frequency: frequencyGiven ? dosing.frequency : null,
+    frequencyAssumed: !frequencyGiven,
+    dosesPerDay,
+    route,
+    systemic: SYSTEMIC_ROUTES.includes(route),
+    perDose: { amount: perDoseAmount, unit: strength.unit },
+    dailyTotal: { amount: dailyAmount, unit: strength.unit },
+    dailyTotalMg: toMilligrams({ amount: dailyAmount, unit: strength.unit })
+  };
+}
+
+/**
+ * Compare a dose with the medication's label and pregnancy limits
+ *
+ * @param {Object} medication - Medication record
+ * @param {number} trimesterNumber - Trimester (1, 2 or 3)
+ * @param {Object} dosing - Dose inputs (see normalizeDose)
+ * @param {number} [weekOfPregnancy] - Current week; a low-dose band with a
+ *   fromWeek applies only from that week (not when the week is unknown)
+ * @returns {Object} Dose assessment with riskOverride / safeOverride for scoring
+ */
+function assessDose(medication, trimesterNumber, dosing, weekOfPregnancy = null) {
+  const dose = normalizeDose(dosing);
+  const trimesterData = medication.pregnancyCategory?.[`trimester${trimesterNumber}`] || {};
+  const labelLimitMg = toMilligrams(medication.maxDailyDose);
+  const pregnancyLimitMg = toMilligrams(trimesterData.maxDosage);
+  const lowDoseLimitMg = toMilligrams(trimesterData.lowDose?.maxDailyDose);
+  const dailyLabel = `${dose.dailyTotal.amount}${dose.dailyTotal.unit}/day`;
+
+  const assessment = {
+    ...dose,
+    labelLimitMg,
+    pregnancyLimitMg,
+    lowDose: false,
+    exceedsPregnancyLimit: false,
+    exceedsLabelLimit: false,
+    riskOverride: null,
+    safeOverride: null,
+    warnings: []
+  };
+
+  if (dose.frequencyAssumed) {
+    assessment.warnings.push('Frequency not given - daily total assumes one dose per day');
+  }
+
+  const listedStrengths = (medication.dosages || []).map(toMilligrams).filter(mg => mg !== null);
+  const strengthMg = toMilligrams(dose.strength);
+  if (listedStrengths.length > 0 && strengthMg !== null && !listedStrengths.includes(strengthMg)) {
+    assessment.warnings.push(
+      `${dose.strength.amount}${dose.strength.unit} is not a listed strength for ${medication.name} (${medication.dosages.join(', ')})`
+    );
+  }
+
+  if (!dose.systemic) {
+    assessment.warnings.push(`Dose limits apply to systemic use - ${dose.route} dose not compared`);
+    return assessment;
+  }
+
+  if (dose.dailyTotalMg === null) {
+    assessment.warnings.push(`Cannot compare ${dose.dailyTotal.unit} doses with dose limits`);
+    return assessment;
+  }
+
+  const lowDoseBand = trimesterData.lowDose;
+  const lowDoseStarted = !lowDoseBand?.fromWeek ||
+    (weekOfPregnancy !== null && weekOfPregnancy >= lowDoseBand.fromWeek);
+
+  if (lowDoseLimitMg !== null && dose.dailyTotalMg <= lowDoseLimitMg && !lowDoseStarted) {
+    // Before the band starts the trimester's own risk applies
+    assessment.warnings.push(
+      `The low-dose band (up to ${lowDoseBand.maxDailyDose}/day) applies from week ${lowDoseBand.fromWeek}`
+    );
+  } else if (lowDoseLimitMg !== null && dose.dailyTotalMg <= lowDoseLimitMg) {
+    assessment.lowDose = true;
+    assessment.riskOverride = trimesterData.lowDose.risk || null;
+    assessment.safeOverride = trimesterData.lowDose.safe ?? null;
+    if (trimesterData.lowDose.note) {
+      assessment.warnings.push(trimesterData.lowDose.note);
+    }
+  } else if (pregnancyLimitMg !== null && dose.dailyTotalMg > pregnancyLimitMg) {
+    assessment.exceedsPregnancyLimit = true;
+    assessment.riskOverride = 'high';
+    assessment.safeOverride = false;
+    assessment.warnings.push(
+      `${dailyLabel} exceeds the pregnancy limit of ${trimesterData.maxDosage}/day for trimester ${trimesterNumber}`
+    );
+  }
+
+  if (labelLimitMg !== null && dose.dailyTotalMg > labelLimitMg) {
+    assessment.exceedsLabelLimit = true;
+    assessment.riskOverride = 'critical';
+    assessment.safeOverride = false;
+    assessment.warnings.push(`${dailyLabel} exceeds the maximum daily dose of ${medication.maxDailyDose}`);
+  }
+
+  return assessment;
+}
+
+module.exports = {
+  parseStrength,
+  toMilligrams,
+  parseFrequency,
+  normalizeDose,
+  assessDose
+};
@@ -0,0 +1,419 @@
+/**
+ * Minimal PDF writer
+ *
+ * Builds PDF 1.4 files with the standard Helvetica fonts, text, lines and
+ * filled rectangles. Coordinates are in points from the top-left corner of
+ * the page. Content streams are Flate-compressed with Node's zlib.
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Page sizes in points
+ */
+const PAGE_SIZES = {
+  LETTER: [612, 792],
+  A4: [595.28, 841.89]
+};
+
+/**
+ * Standard Type 1 fonts used by the writer
+ */
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+/**
+ * Glyph widths (1/1000 em) for characters 32-126, from the Adobe AFM files
+ */
+const GLYPH_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+/**
+ * Unicode characters with a WinAnsiEncoding code outside Latin-1
+ */
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+/**
+ * Plain-text stand-ins for characters the standard fonts cannot show
+ */
+const TEXT_REPLACEMENTS = {
+  '≥': '>=', '≤': '<=', '→': '->', '←': '<-', '✓': 'v', '✔': 'v', '✗': 'x', '✘': 'x'
+};
+
+/**
+ * Convert text to WinAnsiEncoding bytes
+ * Characters outside the encoding (emoji, symbols) are replaced or dropped
+ *
+ * @param {string} text - Text
+ * @returns {Buffer} Encoded bytes
+ */
+function encodeWinAnsi(text) {
+  const bytes = [];
+
+  for (const char of String(text)) {
+    if (TEXT_REPLACEMENTS[char]) {
+      for (const c of TEXT_REPLACEMENTS[char]) bytes.push(c.charCodeAt(0));
+      continue;
+    }
+
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char]) {
+      bytes.push(WIN_ANSI_EXTRAS[char]);
+    } else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+      bytes.push(code);
+    } else if (code === 9) {
+      bytes.push(32);
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Convert a '#rrggbb' color to PDF RGB components
+ *
+ * @param {string} hex - Hex color
+ * @returns {string} 'r g b' with components from 0 to 1
+ */
+function toRgb(hex) {
+  const value = parseInt(String(hex).replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+    .map(c => Number((c / 255).toFixed(3)))
+    .join(' ');
+}
+
+/**
+ * Format a number for a content stream
+ * @private
+ */
+function num(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Escape encoded text for a PDF literal string
+ * @private
+ */
+function pdfString(bytes) {
+  let out = '';
+  for (const byte of bytes) {
+    if (byte === 0x28 || byte === 0x29 || byte === 0x5c) out += `\\${String.fromCharCode(byte)}`;
+    else if (byte > 126) out += `\\${byte.toString(8).padStart(3, '0')}`;
+    else out += String.fromCharCode(byte);
+  }
+  return `(${out})`;
+}
+
+class PdfDocument {
+  /**
+   * @param {Object} [options] - Options
+   * @param {Array<number>} [options.size] - [width, height] in points (default Letter)
+   * @param {number} [options.margin] - Page margin in points
+   * @param {number} [options.footerHeight] - Space kept free at the bottom of each page
+   * @param {Object} [options.info] - { title, author, subject }
+   */
+  constructor(options = {}) {
+    [this.width, this.height] = options.size || PAGE_SIZES.LETTER;
+    this.margin = options.margin ?? 50;
+    this.footerHeight = options.footerHeight ?? 30;
+    this.info = options.info || {};
+    this.pages = [];
+    this.y = this.margin;
+    this.addPage();
+  }
+
+  get pageCount() {
+    return this.pages.length;
+  }
+
+  get contentWidth() {
+    return this.width - this.margin * 2;
+  }
+
+  get bottom() {
+    return this.height - this.margin - this.footerHeight;
+  }
+
+  /**
+   * Start a new page and move the cursor to its top margin
+   * @returns {PdfDocument} this
+   */
+  addPage() {
+    this.pages.push([]);
+    this.currentPage = this.pages.length - 1;
+    this.y = this.margin;
+    return this;
+  }
+
+  /**
+   * Add a page if fewer than `height` points remain above the footer
+   * @param {number} height - Space needed
+   * @returns {boolean} True if a page was added
+   */
+  ensureSpace(height) {
+    if (this.y + height <= this.bottom) return false;
+    this.addPage();
+    return true;
+  }
+
+  /**
+   * Draw on a specific page (e.g. footers once the page count is known)
+   * @param {Function} fn - Called with (pageIndex, pageCount)
+   */
+  forEachPage(fn) {
+    const current = this.currentPage;
+    this.pages.forEach((page, index) => {
+      this.currentPage = index;
+      fn(index, this.pages.length);
+    });
+    this.currentPage = current;
+  }
+
+  /**
+   * Width of a string in points
+   * @param {string} text - Text
+   * @param {string} [font] - 'regular' or 'bold'
+   * @param {number} [size] - Font size
+   * @returns {number} Width
+   */
+  widthOfString(text, font = 'regular', size = 10) {
+    const widths = GLYPH_WIDTHS[font] || GLYPH_WIDTHS.regular;
+    let total = 0;
+    for (const byte of encodeWinAnsi(text)) {
+      total += byte >= 32 && byte <= 126 ? widths[byte - 32] : 556;
+    }
+    return (total * size) / 1000;
+  }
+
+  /**
+   * Split text into lines that fit a width, breaking at spaces
+   * @param {string} text - Text (newlines start new lines)
+   * @param {number} width - Maximum line width
+   * @param {string} [font] - 'regular' or 'bold'
+   * @param {number} [size] - Font size
+   * @returns {Array<string>} Lines
+   */
+  wrapText(text, width, font = 'regular', size = 10) {
+    const lines = [];
+
+    String(text ?? '').split('\n').forEach(paragraph => {
+      let line = '';
+      paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (this.widthOfString(candidate, font, size) <= width || !line) {
+          line = candidate;
+        } else {
+          lines.push(line);
+          line = word;
+        }
+
+        // Break words that are wider than the line on their own
+        while (this.widthOfString(line, font, size) > width && line.length > 1) {
+          let cut = line.length - 1;
+          while (cut > 1 && this.widthOfString(line.slice(0, cut), font, size) > width) cut--;
+          lines.push(line.slice(0, cut));
+          line = line.slice(cut);
+        }
+      });
+      lines.push(line);
+    });
+
+    return lines;
+  }
+
+  /**
+   * Draw a single line of text with its top at y
+   * @param {string} text - Text
+   * @param {number} x - Left edge
+   * @param {number} y - Top of the line
+   * @param {Object} [options] - { font, size, color, align, width }
+   * @returns {PdfDocument} this
+   */
+  text(text, x, y, options = {}) {
+    const { font = 'regular', size = 10, color = '#111827', align = 'left', width = 0 } = options;
+    const textWidth = this.widthOfString(text, font, size);
+    let left = x;
+    if (align === 'right') left = x + width - textWidth;
+    else if (align === 'center') left = x + (width - textWidth) / 2;
+
+    // Baseline sits about 80% of the font size below the top of the line
+    const baseline = this.height - y - size * 0.8;
+    this._write(
+      `BT /${FONTS[font].resource} ${num(size)} Tf ${toRgb(color)} rg ${num(left)} ${num(baseline)} Td `,
+      encodeWinAnsi(text),
+      ' Tj ET\n'
+    );
+    return this;
+  }
+
+  /**
+   * Draw wrapped text at the cursor, adding pages as needed
+   * @param {string} text - Text
+   * @param {Object} [options] - { x, width, font, size, color, lineGap }
+   * @returns {PdfDocument} this
+   */
+  paragraph(text, options = {}) {
+    const { x = this.margin, width = this.contentWidth, font = 'regular', size = 10, lineGap = 3 } = options;
+    const lineHeight = size + lineGap;
+
+    this.wrapText(text, width, font, size).forEach(line => {
+      this.ensureSpace(lineHeight);
+      this.text(line, x, this.y, { ...options, font, size });
+      this.y += lineHeight;
+    });
+    return this;
+  }
+
+  /**
+   * Draw a rectangle
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} w - Width
+   * @param {number} h - Height
+   * @param {Object} [options] - { fill, stroke, lineWidth }
+   * @returns {PdfDocument} this
+   */
+  rect(x, y, w, h, options = {}) {
+    const { fill = null, stroke = null, lineWidth = 0.5 } = options;
+    const ops = [];
+    if (fill) ops.push(`${toRgb(fill)} rg`);
+    if (stroke) ops.push(`${toRgb(stroke)} RG ${num(lineWidth)} w`);
+    ops.push(`${num(x)} ${num(this.height - y - h)} ${num(w)} ${num(h)} re`);
+    ops.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+    this._write(`${ops.join(' ')}\n`);
+    return this;
+  }
+
+  /**
+   * Draw a straight line
+   * @param {number} x1 - Start x
+   * @param {number} y1 - Start y
+   * @param {number} x2 - End x
+   * @param {number} y2 - End y
+   * @param {Object} [options] - { color, width }
+   * @returns {PdfDocument} this
+   */
+  line(x1, y1, x2, y2, options = {}) {
+    const { color = '#d1d5db', width = 0.5 } = options;
+    this._write(
+      `${toRgb(color)} RG ${num(width)} w ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S\n`
+    );
+    return this;
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer} PDF file
+   */
+  toBuffer() {
+    const objects = [];
+    const addObject = body => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const fontIds = {};
+    Object.entries(FONTS).forEach(([key, font]) => {
+      fontIds[key] = addObject(Buffer.from(
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`
+      ));
+    });
+    const fontResources = Object.entries(FONTS)
+      .map(([key, font]) => `/${font.resource} ${fontIds[key]} 0 R`)
+      .join(' ');
+
+    const pageIds = this.pages.map(chunks => {
+      const content = zlib.deflateSync(Buffer.concat(chunks));
+      const contentId = addObject(Buffer.concat([
+        Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+        content,
+        Buffer.from('\nendstream')
+      ]));
+      return addObject(Buffer.from(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}] ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+      ));
+    });
+
+    objects[catalogId - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+    objects[pagesId - 1] = Buffer.from(
+      `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+    );
+
+    const infoEntries = [
+      this.info.title && `/Title ${pdfString(encodeWinAnsi(this.info.title))}`,
+      this.info.author && `/Author ${pdfString(encodeWinAnsi(this.info.author))}`,
+      this.info.subject && `/Subject ${pdfString(encodeWinAnsi(this.info.subject))}`,
+      '/Producer (Bumpie_Meds)',
+      `/CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z)`
+    ].filter(Boolean);
+    const infoId = addObject(Buffer.from(`<< ${infoEntries.join(' ')} >>`));
+
+    // Header with a binary comment so transfer tools treat the file as binary
+    const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = parts[0].length;
+    const offsets = objects.map((body, index) => {
+      const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+      parts.push(chunk);
+      const start = offset;
+      offset += chunk.length;
+      return start;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(offset),
+      '%%EOF',
+      ''
+    ].join('\n');
+    parts.push(Buffer.from(xref));
+
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Append operators to the current page's content stream
+   * @private
+   */
+  _write(...parts) {
+    this.pages[this.currentPage].push(...parts.map(part =>
+      Buffer.isBuffer(part) ? Buffer.from(pdfString(part), 'latin1') : Buffer.from(part, 'latin1')
+    ));
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  PAGE_SIZES,
+  encodeWinAnsi,
+  toRgb
+};
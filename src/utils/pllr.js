@@ -0,0 +1,85 @@
+/**
+ * PLLR (Pregnancy and Lactation Labeling Rule) helpers
+ *
+ * Labels approved after June 2015 carry narrative sections instead of an
+ * A/B/C/D/X letter. These helpers normalize the narrative sections on a
+ * medication record and decide which system a risk score is derived from.
+ */
+
+const { PLLR_SECTIONS, PLLR_RISK_LEVELS, RISK_BASIS } = require('./constants');
+
+/**
+ * Get normalized PLLR sections for a medication
+ *
+ * @param {Object} medication - Medication record
+ * @returns {Object|null} Section map (missing sections are null) or null if the record has no PLLR data
+ */
+function getPllrSections(medication) {
+  const pllr = medication?.pllr;
+  if (!pllr || typeof pllr !== 'object') {
+    return null;
+  }
+
+  const sections = {};
+  Object.keys(PLLR_SECTIONS).forEach(key => {
+    sections[key] = pllr[key] || null;
+  });
+
+  return sections;
+}
+
+/**
+ * Get the PLLR risk level declared in a medication's Risk Summary
+ *
+ * @param {Object} medication - Medication record
+ * @returns {Object|null} Entry from PLLR_RISK_LEVELS or null
+ */
+function getPllrRiskLevel(medication) {
+  const level = medication?.pllr?.riskSummary?.riskLevel;
+  return (level && PLLR_RISK_LEVELS[level]) || null;
+}
+
+/**
+ * Resolve which labeling system a medication's pregnancy risk is based on
+ * Letter categories take precedence; the PLLR Risk Summary is used when the
+ * letter is absent or 'N'. A record with neither is unclassified: it has no
+ * scoringCategory, and its risk is unknown rather than assumed
+ *
+ * @param {Object} medication - Medication record
+ * @returns {Object} { basis, fdaCategory, scoringCategory (null if unclassified), pllrRiskLevel }
+ */
+function resolvePregnancyRisk(medication) {
+  const letter = medication?.pregnancyCategory?.fda;
+  const pllrRiskLevel = getPllrRiskLevel(medication);
+
+  if (letter && letter !== 'N') {
+    return {
+      basis: RISK_BASIS.FDA_CATEGORY,
+      fdaCategory: letter,
+      scoringCategory: letter,
+      pllrRiskLevel
+    };
+  }
+
+  if (pllrRiskLevel) {
+    return {
+      basis: RISK_BASIS.PLLR,
+      fdaCategory: null,
+      scoringCategory: pllrRiskLevel.equivalentCategory,
+      pllrRiskLevel
+    };
+  }
+
+  return {
+    basis: RISK_BASIS.UNCLASSIFIED,
+    fdaCategory: null,
+    scoringCategory: null,
+    pllrRiskLevel: null
+  };
+}
+
+module.exports = {
+  getPllrSections,
+  getPllrRiskLevel,
+  resolvePregnancyRisk
+};
@@ -0,0 +1,159 @@
+/**
+ * Minimal JSON Schema (draft-07) validator for the bundled data schemas
+ *
+ * Supports the keywords the schemas under src/data/schemas use: type, enum,
+ * required, properties, patternProperties, additionalProperties, items,
+ * minItems, maxItems, minLength, pattern, minimum, maximum, allOf, oneOf and
+ * local $ref.
+ */
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Any value
+ * @returns {string} 'null' | 'array' | 'integer' | 'number' | typeof value
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Resolve a local reference such as "#/definitions/participant"
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference
+ * @returns {Object} Referenced schema
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local schema references are supported: ${ref}`);
+  }
+
+  return ref.slice(2).split('/').reduce((node, key) => {
+    if (!node || !(key in node)) {
+      throw new Error(`Unresolved schema reference: ${ref}`);
+    }
+    return node[key];
+  }, root);
+}
+
+/**
+ * Validate a value against a schema node, collecting errors
+ * @private
+ */
+function validateNode(value, schema, root, path, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(root, schema.$ref), root, path, errors);
+    return;
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(sub => validateNode(value, sub, root, path, errors));
+  }
+
+  if (schema.oneOf) {
+    const passing = schema.oneOf.filter(sub => {
+      const subErrors = [];
+      validateNode(value, sub, root, path, subErrors);
+      return subErrors.length === 0;
+    });
+    if (passing.length !== 1) {
+      errors.push({ path, message: `must match exactly one schema in oneOf (matched ${passing.length})` });
+      return;
+    }
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = jsonType(value);
+    const matches = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+    if (!matches) {
+      errors.push({ path, message: `must be ${types.join(' or ')}, got ${actual}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}, got ${value}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}, got ${value}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, root, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (jsonType(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push({ path, message: `is missing required property "${key}"` });
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      const childPath = `${path}.${key}`;
+      let matched = false;
+
+      if (schema.properties && key in schema.properties) {
+        matched = true;
+        validateNode(value[key], schema.properties[key], root, childPath, errors);
+      }
+
+      Object.entries(schema.patternProperties || {}).forEach(([pattern, sub]) => {
+        if (new RegExp(pattern).test(key)) {
+          matched = true;
+          validateNode(value[key], sub, root, childPath, errors);
+        }
+      });
+
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: childPath, message: 'is not an allowed property' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          validateNode(value[key], schema.additionalProperties, root, childPath, errors);
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Validate data against a JSON Schema
+ * @param {*} data - Data to validate
+ * @param {Object} schema - Root schema
+ * @returns {Object} { valid, errors: [{ path, message }] }
+ */
+function validateSchema(data, schema) {
+  const errors = [];
+  validateNode(data, schema, schema, '$', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  validateSchema
+};
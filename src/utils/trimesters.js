@@ -0,0 +1,25 @@
+/**
+ * Trimester lookup shared by the class and functional APIs
+ * constants.TRIMESTERS is the single trimester definition
+ */
+
+const { TRIMESTERS } = require('./constants');
+const { toWeekOfPregnancy } = require('./validators');
+
+/**
+ * Get trimester number from week of pregnancy
+ * The third trimester is open-ended so post-term weeks (41+) stay in it
+ * @param {number|Object} weekOfPregnancy - Week or gestational age
+ * @returns {number} Trimester number (1, 2, or 3)
+ */
+function getTrimesterNumber(weekOfPregnancy) {
+  const week = toWeekOfPregnancy(weekOfPregnancy);
+
+  if (week <= TRIMESTERS[1].weeksRange[1]) return 1;
+  if (week <= TRIMESTERS[2].weeksRange[1]) return 2;
+  return 3;
+}
+
+module.exports = {
+  getTrimesterNumber
+};
@@ -2,7 +2,15 @@
  * Input validation utilities
  */
 
-const { ERROR_CODES, DEFAULT_CONFIG } = require('./constants');
+const {
+  ERROR_CODES,
+  DEFAULT_CONFIG,
+  AUDIT_STORAGE_TYPES,
+  POSTPARTUM_MAX_WEEKS,
+  GESTATION_TYPES,
+  IMPAIRMENT_GRADES,
+  PREECLAMPSIA_RISK_FACTORS
+} = require('./constants');
 
 /**
  * Validate configuration object
@@ -20,6 +28,31 @@ function validateConfig(config = {}) {
     throw createError(ERROR_CODES.INVALID_CONFIG, 'Cache TTL cannot be negative');
   }
 
+  if (!Array.isArray(validated.knowledgeBaseFiles) ||
+      !validated.knowledgeBaseFiles.every(file => typeof file === 'string' || (file && typeof file === 'object'))) {
+    throw createError(ERROR_CODES.INVALID_CONFIG, 'knowledgeBaseFiles must be an array of file paths or rule objects');
+  }
+
+  // auditStorage is { type, path } or an adapter with append / readAll / replaceAll
+  const storage = validated.auditStorage;
+  const isAdapter = storage && typeof storage.append === 'function';
+  if (!storage || typeof storage !== 'object' ||
+      (!isAdapter && !Object.values(AUDIT_STORAGE_TYPES).includes(storage.type))) {
+    throw createError(
+      ERROR_CODES.INVALID_CONFIG,
+      `auditStorage.type must be one of ${Object.values(AUDIT_STORAGE_TYPES).join(', ')}`
+    );
+  }
+
+  if (!isAdapter && storage.path !== undefined && typeof storage.path !== 'string') {
+    throw createError(ERROR_CODES.INVALID_CONFIG, 'auditStorage.path must be a file path');
+  }
+
+  if (validated.auditHmacKey !== null &&
+      (typeof validated.auditHmacKey !== 'string' || validated.auditHmacKey.length < 16)) {
+    throw createError(ERROR_CODES.INVALID_CONFIG, 'auditHmacKey must be a string of at least 16 characters');
+  }
+
   return validated;
 }
 
@@ -35,6 +68,96 @@ function validateWeek(week) {
   return true;
 }
 
+/**
+ * Validate weeks after delivery for postpartum mode
+ * @param {number} week - Completed weeks since delivery (0 in the first week)
+ * @returns {boolean}
+ */
+function validatePostpartumWeek(week) {
+  if (typeof week !== 'number' || !Number.isInteger(week) || week < 0 || week > POSTPARTUM_MAX_WEEKS) {
+    throw createError(ERROR_CODES.INVALID_WEEK, `Weeks postpartum must be a whole number from 0 to ${POSTPARTUM_MAX_WEEKS}, got ${week}`);
+  }
+  return true;
+}
+
+/**
+ * Resolve a week of pregnancy from a week number or a gestational age object
+ * Accepts the result of pregnancy-dating calculateGestationalAge, or any
+ * { weeks, days } object; completed weeks are used (minimum week 1)
+ * @param {number|Object} weekOrGestationalAge - Week number or { weeks, days }
+ * @returns {number} Validated week of pregnancy
+ */
+function toWeekOfPregnancy(weekOrGestationalAge) {
+  let week = weekOrGestationalAge;
+
+  if (weekOrGestationalAge && typeof weekOrGestationalAge === 'object') {
+    week = weekOrGestationalAge.weekOfPregnancy ?? Math.max(1, weekOrGestationalAge.weeks);
+  }
+
+  validateWeek(week);
+  return week;
+}
+
+/**
+ * Resolve a pregnancy context, filling in defaults for a singleton pregnancy
+ * with no known risk factors
+ * @param {Object} context - { gestation, ivf, maternalAge, bmi, priorPretermBirth,
+ *   renalImpairment, hepaticImpairment, preeclampsiaRiskFactors }
+ * @returns {Object} Validated pregnancy context
+ */
+function toPregnancyContext(context) {
+  if (typeof context !== 'object' || context === null || Array.isArray(context)) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, 'Pregnancy context must be an object');
+  }
+
+  const {
+    gestation = 'singleton',
+    ivf = false,
+    maternalAge = null,
+    bmi = null,
+    priorPretermBirth = false,
+    renalImpairment = 'none',
+    hepaticImpairment = 'none',
+    preeclampsiaRiskFactors = [],
+    ...unknown
+  } = context;
+  const invalid = (field, expected, value) =>
+    createError(ERROR_CODES.INVALID_REQUEST, `Pregnancy context ${field} must be ${expected}, got ${JSON.stringify(value)}`);
+
+  if (Object.keys(unknown).length > 0) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, `Unknown pregnancy context field: ${Object.keys(unknown).join(', ')}`);
+  }
+  if (!GESTATION_TYPES.includes(gestation)) throw invalid('gestation', `one of ${GESTATION_TYPES.join(', ')}`, gestation);
+  if (typeof ivf !== 'boolean') throw invalid('ivf', 'true or false', ivf);
+  if (typeof priorPretermBirth !== 'boolean') throw invalid('priorPretermBirth', 'true or false', priorPretermBirth);
+  if (maternalAge !== null && (typeof maternalAge !== 'number' || maternalAge < 10 || maternalAge > 65)) {
+    throw invalid('maternalAge', 'a number of years from 10 to 65', maternalAge);
+  }
+  if (bmi !== null && (typeof bmi !== 'number' || bmi < 10 || bmi > 80)) {
+    throw invalid('bmi', 'a number from 10 to 80', bmi);
+  }
+  if (!IMPAIRMENT_GRADES.includes(renalImpairment)) throw invalid('renalImpairment', `one of ${IMPAIRMENT_GRADES.join(', ')}`, renalImpairment);
+  if (!IMPAIRMENT_GRADES.includes(hepaticImpairment)) throw invalid('hepaticImpairment', `one of ${IMPAIRMENT_GRADES.join(', ')}`, hepaticImpairment);
+
+  const knownFactors = [...PREECLAMPSIA_RISK_FACTORS.high, ...PREECLAMPSIA_RISK_FACTORS.moderate];
+  if (!Array.isArray(preeclampsiaRiskFactors) || preeclampsiaRiskFactors.some(factor => !knownFactors.includes(factor))) {
+    throw createError(ERROR_CODES.INVALID_REQUEST, 'Pregnancy context preeclampsiaRiskFactors must list known risk factors', {
+      known: knownFactors
+    });
+  }
+
+  return {
+    gestation,
+    ivf,
+    maternalAge,
+    bmi,
+    priorPretermBirth,
+    renalImpairment,
+    hepaticImpairment,
+    preeclampsiaRiskFactors: [...new Set(preeclampsiaRiskFactors)]
+  };
+}
+
 /**
  * Validate trimester number
  * @param {number} trimester - Trimester (1, 2, or 3)
@@ -57,11 +180,13 @@ function validateMedication(medication) {
     throw createError(ERROR_CODES.MEDICATION_NOT_FOUND, 'Medication data is required');
   }
 
-  const required = ['name', 'pregnancyCategory'];
-  for (const field of required) {
-    if (!medication[field]) {
-      throw createError(ERROR_CODES.MEDICATION_NOT_FOUND, `Medication missing required field: ${field}`);
-    }
+  if (!medication.name) {
+    throw createError(ERROR_CODES.MEDICATION_NOT_FOUND, 'Medication missing required field: name');
+  }
+
+  // Post-2015 labels may carry only PLLR narrative sections and no letter category
+  if (!medication.pregnancyCategory && !medication.pllr) {
+    throw createError(ERROR_CODES.MEDICATION_NOT_FOUND, 'Medication missing required field: pregnancyCategory or pllr');
   }
 
   return true;
@@ -94,6 +219,9 @@ function sanitizePatientId(patientId) {
 module.exports = {
   validateConfig,
   validateWeek,
+  validatePostpartumWeek,
+  toWeekOfPregnancy,
+  toPregnancyContext,
   validateTrimester,
   validateMedication,
   createError,